@@ -41,6 +41,16 @@ function diagnoseAPIKeyPersistence() {
       return;
     }
     
+    // Encrypted and session-only keys must not be written to localStorage in plain text
+    const keyStorage = window.openAIService.keyStorage || 'local';
+    if (keyStorage !== 'local' && !window.openAIService.apiKey) {
+      console.log(`❌ API key storage is "${keyStorage}"`);
+      console.log(keyStorage === 'encrypted'
+        ? "   Unlock your key with /ai key unlock PASSPHRASE"
+        : "   Session-only keys are not kept; set your key again with /ai key YOUR_KEY");
+      return;
+    }
+    
     // 2. Check if we have an API key in the service
     const currentKey = window.openAIService.apiKey;
     if (!currentKey) {
@@ -69,15 +79,19 @@ function diagnoseAPIKeyPersistence() {
       return;
     }
     
-    // 4. Ensure the key is in localStorage
-    try {
-      const storedKey = localStorage.getItem('canvas_openai_api_key');
-      if (!storedKey || storedKey !== window.openAIService.apiKey) {
-        localStorage.setItem('canvas_openai_api_key', window.openAIService.apiKey);
-        console.log("✅ Updated API key in localStorage");
+    // 4. Ensure the key is in localStorage (plain storage only)
+    if (keyStorage !== 'local') {
+      console.log(`ℹ️ Not saving the key to localStorage (storage mode is "${keyStorage}")`);
+    } else {
+      try {
+        const storedKey = localStorage.getItem('canvas_openai_api_key');
+        if (!storedKey || storedKey !== window.openAIService.apiKey) {
+          localStorage.setItem('canvas_openai_api_key', window.openAIService.apiKey);
+          console.log("✅ Updated API key in localStorage");
+        }
+      } catch (e) {
+        console.log("❌ Error saving to localStorage:", e.message);
       }
-    } catch (e) {
-      console.log("❌ Error saving to localStorage:", e.message);
     }
     
     // 5. Update ChatInterface
@@ -187,7 +201,11 @@ function diagnoseAPIKeyPersistence() {
     // Check for relevant keys
     try {
       const apiKey = localStorage.getItem('canvas_openai_api_key');
-      console.log("  'canvas_openai_api_key':", apiKey ? `Found (starts with ${apiKey.substring(0, 6)}...)` : "Not found");
+      console.log("  'canvas_openai_api_key':", apiKey ? "Found" : "Not found");
+      
+      const encryptedKey = localStorage.getItem('canvas_openai_api_key_encrypted');
+      console.log("  'canvas_openai_api_key_encrypted':", encryptedKey ? "Found" : "Not found");
+      console.log("  'llm_key_storage':", localStorage.getItem('llm_key_storage') || "Not found (local)");
       
       const apiEndpoint = localStorage.getItem('openai_api_endpoint');
       console.log("  'openai_api_endpoint':", apiEndpoint || "Not found");
@@ -202,7 +220,13 @@ function diagnoseAPIKeyPersistence() {
     // OpenAIService apiKey value
     if (window.openAIService) {
       const apiKey = window.openAIService.apiKey;
-      console.log("OpenAIService.apiKey:", apiKey ? `Set (starts with ${apiKey.substring(0, 6)}...)` : "Not set");
+      console.log("OpenAIService.apiKey:", apiKey ? "Set" : "Not set");
+      
+      if (typeof window.openAIService.getKeyStatus === 'function') {
+        const status = window.openAIService.getKeyStatus();
+        console.log("Key storage mode:", status.storage);
+        console.log("Encrypted key locked:", status.locked ? "Yes" : "No");
+      }
       
       const isValid = window.openAIService.validateApiKey();
       console.log("API key is valid:", isValid ? "Yes" : "No");
@@ -211,7 +235,7 @@ function diagnoseAPIKeyPersistence() {
     // Check localStorage value
     try {
       const storedKey = localStorage.getItem('canvas_openai_api_key');
-      console.log("localStorage API key:", storedKey ? `Found (starts with ${storedKey.substring(0, 6)}...)` : "Not found");
+      console.log("localStorage API key:", storedKey ? "Found" : "Not found");
       
       // Compare the two
       if (window.openAIService && storedKey) {
@@ -0,0 +1,158 @@
+/**
+ * js/canvas/canvas-history.js
+ * Undo/Redo History for a Canvas
+ *
+ * Every canvas tab keeps its own history. Each step stores the canvas state
+ * (active module and every module's snapshot) from before and after a change:
+ * undo puts the "before" state back and redo the "after" state. Changes made
+ * in the same tick - such as activating the chart module and then drawing a
+ * chart - are one step, as is everything between beginBatch() and endBatch().
+ */
+class CanvasHistory {
+    /**
+     * Create a history
+     * @param {Function} capture - Returns the current canvas state
+     * @param {Function} restore - Puts a captured state back on the canvas
+     * @param {number} limit - Maximum number of steps to keep
+     */
+    constructor(capture, restore, limit = 50) {
+        this.capture = capture;
+        this.restore = restore;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.batch = null;
+        this.restoring = false;
+    }
+
+    /**
+     * Make a change to the canvas as an undoable step
+     * @param {string} label - Short description, e.g. 'chart pie'
+     * @param {Function} change - Makes the change
+     * @returns {*} Whatever change returns
+     */
+    record(label, change) {
+        if (this.restoring) {
+            return change();
+        }
+        if (!this.batch) {
+            this.beginBatch();
+            Promise.resolve().then(() => this.endBatch());
+        }
+        // Within a tick the last change names the step ('use chart' then 'chart pie')
+        if (!this.batch.explicit) {
+            this.batch.label = label;
+        }
+        return change();
+    }
+
+    /**
+     * Start grouping changes into one step; batches may be nested
+     * @param {string} [label] - Description of the whole step
+     */
+    beginBatch(label = null) {
+        if (this.batch) {
+            this.batch.depth++;
+            if (label && !this.batch.explicit) {
+                this.batch.label = label;
+                this.batch.explicit = true;
+            }
+            return;
+        }
+        this.batch = {
+            label,
+            explicit: !!label,
+            depth: 1,
+            before: JSON.stringify(this.capture())
+        };
+    }
+
+    /**
+     * Finish a batch, storing it as a step if the canvas changed
+     */
+    endBatch() {
+        if (!this.batch || --this.batch.depth > 0) {
+            return;
+        }
+        const { label, before } = this.batch;
+        this.batch = null;
+
+        const after = JSON.stringify(this.capture());
+        if (after === before) {
+            return;
+        }
+        this.undoStack.push({ label: label || 'change', before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Check whether changes are still being grouped, e.g. while the AI is responding
+     * @returns {boolean} True if a batch is open
+     */
+    isBusy() {
+        return this.batch !== null;
+    }
+
+    /**
+     * Undo the last step
+     * @returns {string|null} Label of the undone step, or null if there is none
+     */
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.apply(step.before);
+        this.redoStack.push(step);
+        return step.label;
+    }
+
+    /**
+     * Redo the last undone step
+     * @returns {string|null} Label of the redone step, or null if there is none
+     */
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.apply(step.after);
+        this.undoStack.push(step);
+        return step.label;
+    }
+
+    /**
+     * Restore a stored state without recording it
+     * @param {string} state - State as stored by endBatch
+     */
+    apply(state) {
+        this.restoring = true;
+        try {
+            this.restore(JSON.parse(state));
+        } finally {
+            this.restoring = false;
+        }
+    }
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) undo and redo the active canvas. Text
+// fields keep their own undo unless they are empty.
+document.addEventListener('keydown', (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'z') {
+        return;
+    }
+    const target = event.target;
+    if (target && (target.isContentEditable ||
+        (/^(INPUT|TEXTAREA)$/.test(target.tagName) && target.value !== ''))) {
+        return;
+    }
+    if (!window.Commands || typeof window.Commands.handleHistoryCommand !== 'function') {
+        return;
+    }
+    event.preventDefault();
+    window.Commands.handleHistoryCommand(event.shiftKey ? 'redo' : 'undo', text => terminal.addOutput(text));
+});
+
+// Export for module system
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = CanvasHistory;
+}
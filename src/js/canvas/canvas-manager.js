@@ -12,6 +12,10 @@ class CanvasManager {
         this.currentModule = null;
         this.zoomLevel = 1;
         
+        // Undo/redo history, created on first use (see getHistory)
+        this.history = null;
+        this.canvasCleared = false;
+        
         // Title management
         const canvasTitle = document.getElementById('canvasTitle');
         this._defaultTitle = canvasTitle ? canvasTitle.textContent : 'Canvas Display';
@@ -63,22 +67,25 @@ class CanvasManager {
             return false;
         }
         
-        // Deactivate current module if one is active
-        if (this.currentModule) {
-            this.currentModule.deactivate();
-        }
-        
-        // Activate new module
-        this.currentModule = this.modules.get(name);
-        this.currentModule.activate();
-        
-        // Update title if module didn't set one
-        if (!this.currentModule.getModuleTitle()) {
-            this.resetCanvasTitle();
-        }
-        
-        console.log(`Activated module: ${name}`);
-        return true;
+        return this.getHistory().record(`use ${name}`, () => {
+            // Deactivate current module if one is active
+            if (this.currentModule) {
+                this.currentModule.deactivate();
+            }
+            
+            // Activate new module
+            this.currentModule = this.modules.get(name);
+            this.currentModule.activate();
+            this.getActiveCanvas().canvasCleared = false;
+            
+            // Update title if module didn't set one
+            if (!this.currentModule.getModuleTitle()) {
+                this.resetCanvasTitle();
+            }
+            
+            console.log(`Activated module: ${name}`);
+            return true;
+        });
     }
     
     /**
@@ -94,9 +101,12 @@ class CanvasManager {
      * Clear the canvas
      */
     clearCanvas() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.showInstructions();
-        return this;
+        return this.getHistory().record('clear canvas', () => {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.showInstructions();
+            this.getActiveCanvas().canvasCleared = true;
+            return this;
+        });
     }
     
     /**
@@ -110,7 +120,92 @@ class CanvasManager {
             return false;
         }
         
-        return this.currentModule.handleCommand(command, args);
+        let moduleName = this.currentModule.moduleName;
+        this.modules.forEach((module, name) => {
+            if (module === this.currentModule) moduleName = name;
+        });
+        return this.getHistory().record(moduleName ? `${moduleName} ${command}` : command, () => {
+            this.getActiveCanvas().canvasCleared = false;
+            return this.currentModule.handleCommand(command, args);
+        });
+    }
+    
+    /**
+     * Get the canvas that commands currently draw on
+     * Overridden by CollapsibleCanvasManager, which has one per tab
+     * @returns {Object} Object with modules, currentModule and history
+     */
+    getActiveCanvas() {
+        return this;
+    }
+    
+    /**
+     * Get the undo/redo history of the active canvas
+     * @returns {CanvasHistory} The history
+     */
+    getHistory() {
+        const canvas = this.getActiveCanvas();
+        if (!canvas.history) {
+            canvas.history = new CanvasHistory(
+                () => this.captureCanvasState(canvas),
+                state => this.restoreCanvasState(canvas, state)
+            );
+        }
+        return canvas.history;
+    }
+    
+    /**
+     * Get the modules shown on a canvas
+     * @param {Object} canvas - Canvas from getActiveCanvas
+     * @returns {Map} Modules by name
+     */
+    getCanvasModules(canvas) {
+        return canvas.modules && canvas.modules.size > 0 ? canvas.modules : this.modules;
+    }
+    
+    /**
+     * Capture the state of a canvas: its active module and every module's snapshot
+     * @param {Object} canvas - Canvas from getActiveCanvas
+     * @returns {Object} State for CanvasHistory
+     */
+    captureCanvasState(canvas) {
+        const current = canvas.currentModule || this.currentModule;
+        const state = { moduleName: null, modules: {}, cleared: !!canvas.canvasCleared };
+        this.getCanvasModules(canvas).forEach((module, name) => {
+            if (module === current) {
+                state.moduleName = name;
+            }
+            const snapshot = typeof module.getSnapshot === 'function' ? module.getSnapshot() : null;
+            if (snapshot !== null) {
+                state.modules[name] = snapshot;
+            }
+        });
+        return state;
+    }
+    
+    /**
+     * Put a captured state back on a canvas
+     * @param {Object} canvas - Canvas from getActiveCanvas
+     * @param {Object} state - State from captureCanvasState
+     */
+    restoreCanvasState(canvas, state) {
+        const modules = this.getCanvasModules(canvas);
+        const current = canvas.currentModule || this.currentModule;
+        if (state.moduleName && modules.get(state.moduleName) !== current) {
+            this.activateModule(state.moduleName);
+        }
+        
+        // Only the active module redraws itself
+        modules.forEach((module, name) => {
+            if (name in state.modules) {
+                module.restoreSnapshot(state.modules[name]);
+            }
+        });
+        
+        if (state.cleared) {
+            this.clearCanvas();
+        }
+        canvas.canvasCleared = state.cleared;
     }
     
     /**
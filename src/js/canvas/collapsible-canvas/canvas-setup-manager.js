@@ -125,6 +125,7 @@ class CanvasSetupManager {
             { name: 'chart', icon: 'chart-pie', title: 'Chart Module' },
             { name: 'shape', icon: 'shapes', title: 'Shape Module' },
             { name: 'markdown', icon: 'file-alt', title: 'Markdown Module' },
+            { name: 'json', icon: 'sitemap', title: 'JSON Explorer' },
             { name: 'terminal', icon: 'terminal', title: 'Terminal Module' }
         ];
         
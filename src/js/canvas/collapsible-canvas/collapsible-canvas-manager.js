@@ -246,6 +246,12 @@ class CollapsibleCanvasManager extends CanvasManager {
         // 6. Update references and activate the module in the new instance.
         this.updateCanvasReferences(id);
         
+        // 7. Let other components (e.g. per-tab chat threads) follow the active tab.
+        const instance = this.canvasInstances.find(inst => inst.id === id);
+        document.dispatchEvent(new CustomEvent('canvas:activated', {
+            detail: { id, title: instance ? instance.title : null }
+        }));
+        
         return this;
     }
     
@@ -405,6 +411,10 @@ class CollapsibleCanvasManager extends CanvasManager {
             instance.title = newName;
         }
         
+        document.dispatchEvent(new CustomEvent('canvas:renamed', {
+            detail: { id, title: newName }
+        }));
+        
         return true;
     }
     
@@ -494,6 +504,14 @@ class CollapsibleCanvasManager extends CanvasManager {
         return true;
     }
     
+    /**
+     * Get the active canvas instance, which has its own modules and undo history.
+     * @returns {Object} - The active instance, or this manager if there is none.
+     */
+    getActiveCanvas() {
+        return (this.canvasInstances || []).find(inst => inst.id === this.activeCanvasId) || this;
+    }
+    
     /**
      * Register a module with the canvas manager.
      * @param {string} name - Module name.
@@ -545,12 +563,14 @@ class CollapsibleCanvasManager extends CanvasManager {
      * @returns {boolean} - Whether activation was successful.
      */
     activateModule(name) {
-        const instance = this.canvasInstances.find(inst => inst.id === this.activeCanvasId);
-        if (instance && instance.modules.has(name)) {
-            return this.activateInstanceModule(instance, name);
-        } else {
-            return this.activateFallbackModule(name);
-        }
+        return this.getHistory().record(`use ${name}`, () => {
+            const instance = this.canvasInstances.find(inst => inst.id === this.activeCanvasId);
+            if (instance && instance.modules.has(name)) {
+                return this.activateInstanceModule(instance, name);
+            } else {
+                return this.activateFallbackModule(name);
+            }
+        });
     }
     
     /**
@@ -567,6 +587,7 @@ class CollapsibleCanvasManager extends CanvasManager {
         this.currentModule = module;
         this.currentModule.activate();
         instance.currentModule = this.currentModule;
+        instance.canvasCleared = false;
         this.updateModuleSwitcher(name);
         console.log(`Activated module: ${name} for canvas: ${instance.id}`);
         return true;
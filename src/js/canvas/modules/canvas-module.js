@@ -86,6 +86,43 @@ class CanvasModule {
         throw new Error('Method handleCommand() must be implemented by subclass');
     }
     
+    /**
+     * Get a compact, serializable summary of what the module shows, for AI context
+     * Should be overridden by subclasses that have content worth describing
+     * @returns {Object|null} Summary, or null if there is nothing to describe
+     */
+    getContextSummary() {
+        return null;
+    }
+    
+    /**
+     * Get a serializable copy of the module's state for undo/redo
+     * Should be overridden by subclasses whose state can be restored
+     * @returns {Object|null} Snapshot, or null if the module can't be restored
+     */
+    getSnapshot() {
+        return null;
+    }
+    
+    /**
+     * Restore state from getSnapshot, redrawing if the module is active
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        return this;
+    }
+    
+    /**
+     * Shorten long text for an AI context summary
+     * @param {string} text - Text to shorten
+     * @param {number} maxLength - Maximum number of characters to keep
+     * @returns {string} The text, cut off with a note if it was too long
+     */
+    static truncateForContext(text, maxLength = 4000) {
+        if (!text || text.length <= maxLength) return text || '';
+        return `${text.substring(0, maxLength)}\n... [${text.length - maxLength} more characters]`;
+    }
+    
     /**
      * Handle canvas resize
      */
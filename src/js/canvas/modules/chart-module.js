@@ -7,6 +7,10 @@ class ChartModule extends CanvasModule {
         super();
         this.currentData = [];
         this.chartType = 'bar';
+        // Set by structured chart specs; null shows the default title
+        this.title = null;
+        // Extra series ({ name, values }) for grouped bars and multi-line charts
+        this.series = [];
         this.chartOptions = {
             padding: 40,
             axisColor: '#0FFF0F',
@@ -85,6 +89,11 @@ class ChartModule extends CanvasModule {
      * @param {Array|Object|string} data - Data for the chart
      */
     setData(data) {
+        if (this.isChartSpec(data)) {
+            return this.setChartSpec(data);
+        }
+        this.title = null;
+        this.series = [];
         try {
             // Handle different data types
             if (typeof data === 'string') {
@@ -213,6 +222,154 @@ class ChartModule extends CanvasModule {
         }
     }
     
+    /**
+     * Check whether data is a structured chart spec ({ labels, values or series })
+     * @param {*} data - Data passed to setData
+     * @returns {boolean} True for a chart spec
+     */
+    isChartSpec(data) {
+        return !!data && typeof data === 'object' && !Array.isArray(data) &&
+            Array.isArray(data.labels) && (Array.isArray(data.values) || Array.isArray(data.series));
+    }
+    
+    /**
+     * Set the chart from a validated spec, e.g. structured output from the AI
+     * @param {Object} spec - { chartType, title, labels, values, series }
+     */
+    setChartSpec(spec) {
+        if (['bar', 'line', 'pie'].includes(spec.chartType)) {
+            this.chartType = spec.chartType;
+        }
+        const series = (spec.series || []).filter(entry => entry && Array.isArray(entry.values));
+        const values = Array.isArray(spec.values) && spec.values.length > 0
+            ? spec.values
+            : (series[0] ? series[0].values : []);
+        
+        this.currentData = spec.labels.map((label, index) => ({
+            label: String(label).substring(0, 10),
+            value: parseFloat(values[index]) || 0
+        }));
+        if (this.currentData.length === 0) {
+            terminal.addOutput('[ERROR] Chart spec has no data points');
+            this.drawError('No Chart Data');
+            return false;
+        }
+        if (this.currentData.length > 20) {
+            terminal.addOutput(`[INFO] Limiting chart to first 20 of ${this.currentData.length} data points`);
+            this.currentData = this.currentData.slice(0, 20);
+        }
+        
+        // Pie charts only show the first series
+        this.series = this.chartType !== 'pie' && series.length > 1
+            ? series.map(entry => ({
+                name: String(entry.name || ''),
+                values: this.currentData.map((_, index) => parseFloat(entry.values[index]) || 0)
+            }))
+            : [];
+        this.title = spec.title ? String(spec.title) : null;
+        
+        this.render();
+        terminal.addOutput(`[INFO] Chart data updated with ${this.currentData.length} items` +
+            (this.series.length > 0 ? ` in ${this.series.length} series` : ''));
+        return true;
+    }
+    
+    /**
+     * Get the series to draw: the extra series if there are several, otherwise the current data
+     * @returns {Array} Array of { name, values }
+     */
+    getSeries() {
+        if (this.series.length > 1) {
+            return this.series;
+        }
+        return [{ name: '', values: this.currentData.map(item => parseFloat(item.value) || 0) }];
+    }
+    
+    /**
+     * Draw the chart title and, for several series, a legend
+     * @param {string} defaultTitle - Title to use when the data has none
+     * @param {number} y - Baseline of the title
+     */
+    drawTitle(defaultTitle, y) {
+        const { textColor } = this.chartOptions;
+        const { width } = this.canvas;
+        this.ctx.fillStyle = textColor;
+        this.ctx.font = '16px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(this.title || defaultTitle, width / 2, y);
+        
+        if (this.series.length > 1) {
+            this.ctx.font = '12px monospace';
+            this.ctx.textAlign = 'right';
+            this.series.forEach((entry, index) => {
+                const legendY = y + 4 + index * 14;
+                this.ctx.fillStyle = this.getSeriesColor(index);
+                this.ctx.fillRect(width - this.chartOptions.padding - 10, legendY - 8, 10, 10);
+                this.ctx.fillStyle = textColor;
+                this.ctx.fillText(entry.name.substring(0, 16), width - this.chartOptions.padding - 15, legendY + 1);
+            });
+        }
+    }
+    
+    /**
+     * Color for a series, in shades of the terminal green
+     * @param {number} index - Series index
+     * @returns {string} CSS color
+     */
+    getSeriesColor(index) {
+        if (index === 0) return this.chartOptions.barColor;
+        const shades = ['#0A0', '#5F5', '#070', '#AFA', '#0C6'];
+        return shades[(index - 1) % shades.length];
+    }
+    
+    /**
+     * Summarize the chart for AI context
+     * @returns {Object|null} Chart type and data points
+     */
+    getContextSummary() {
+        if (!this.currentData || this.currentData.length === 0) return null;
+        const summary = {
+            chartType: this.chartType,
+            points: this.currentData.length,
+            data: this.currentData.slice(0, 50)
+        };
+        if (this.title) {
+            summary.title = this.title;
+        }
+        if (this.series.length > 1) {
+            summary.series = this.series;
+        }
+        return summary;
+    }
+    
+    /**
+     * Get the chart type and data for undo/redo
+     * @returns {Object} Snapshot of the chart
+     */
+    getSnapshot() {
+        return JSON.parse(JSON.stringify({
+            chartType: this.chartType,
+            data: this.currentData,
+            title: this.title,
+            series: this.series
+        }));
+    }
+    
+    /**
+     * Restore a chart from a snapshot
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.chartType = snapshot.chartType;
+        this.currentData = snapshot.data;
+        this.title = snapshot.title;
+        this.series = snapshot.series;
+        if (this.isActive) {
+            this.render();
+        }
+        return this;
+    }
+    
     /**
      * Generate random data for demonstration
      */
@@ -231,6 +388,8 @@ class ChartModule extends CanvasModule {
         }
         
         this.currentData = data;
+        this.title = null;
+        this.series = [];
         this.render();
         terminal.addOutput(`[INFO] Generated random chart data with ${numPoints} points`);
         return true;
@@ -279,10 +438,12 @@ class ChartModule extends CanvasModule {
         const chartHeight = height - padding * 2;
         
         // Find the maximum value for scaling
-        const maxValue = Math.max(...this.currentData.map(item => item.value));
+        const series = this.getSeries();
+        const maxValue = Math.max(...series.flatMap(entry => entry.values));
         
-        // Calculate bar width based on number of data points
-        const barWidth = chartWidth / this.currentData.length * 0.8;
+        // Calculate bar width based on number of data points; series share a group
+        const groupWidth = chartWidth / this.currentData.length * 0.8;
+        const barWidth = groupWidth / series.length;
         const barSpacing = chartWidth / this.currentData.length * 0.2;
         
         // Draw axes
@@ -320,36 +481,41 @@ class ChartModule extends CanvasModule {
         
         // Draw bars and labels
         this.currentData.forEach((item, index) => {
-            // Make sure value is a number and not too large
-            const value = Math.min(parseFloat(item.value) || 0, maxValue);
-            const barHeight = (value / maxValue) * chartHeight;
-            const x = padding + (chartWidth / this.currentData.length * index) + barSpacing / 2;
-            const y = height - padding - barHeight;
-            
-            // Draw bar with glow effect
-            this.ctx.shadowColor = 'rgba(0, 255, 0, 0.5)';
-            this.ctx.shadowBlur = 10;
-            this.ctx.fillStyle = barColor;
-            this.ctx.fillRect(x, y, barWidth, barHeight);
+            const groupX = padding + (chartWidth / this.currentData.length * index) + barSpacing / 2;
             
-            // Reset shadow for text
-            this.ctx.shadowBlur = 0;
+            series.forEach((entry, seriesIndex) => {
+                // Make sure value is a number and not too large
+                const value = Math.min(entry.values[index] || 0, maxValue);
+                const barHeight = (value / maxValue) * chartHeight;
+                const x = groupX + barWidth * seriesIndex;
+                const y = height - padding - barHeight;
+                
+                // Draw bar with glow effect
+                this.ctx.shadowColor = 'rgba(0, 255, 0, 0.5)';
+                this.ctx.shadowBlur = 10;
+                this.ctx.fillStyle = series.length > 1 ? this.getSeriesColor(seriesIndex) : barColor;
+                this.ctx.fillRect(x, y, barWidth, barHeight);
+                
+                // Reset shadow for text
+                this.ctx.shadowBlur = 0;
+                
+                // Draw value on top of bar
+                this.ctx.fillStyle = textColor;
+                this.ctx.font = series.length > 1 ? '10px monospace' : '12px monospace';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(value.toString(), x + barWidth / 2, y - 5);
+            });
             
             // Draw x-axis label - ensure it's a string and not too long
             const label = String(item.label || `Item ${index}`).substring(0, 10);
             this.ctx.fillStyle = textColor;
             this.ctx.font = '12px monospace';
             this.ctx.textAlign = 'center';
-            this.ctx.fillText(label, x + barWidth / 2, height - padding + 15);
-            
-            // Draw value on top of bar
-            this.ctx.fillText(value.toString(), x + barWidth / 2, y - 5);
+            this.ctx.fillText(label, groupX + groupWidth / 2, height - padding + 15);
         });
         
         // Draw chart title
-        this.ctx.font = '16px monospace';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Bar Chart', width / 2, padding / 2);
+        this.drawTitle('Bar Chart', padding / 2);
     }
     
     /**
@@ -363,7 +529,8 @@ class ChartModule extends CanvasModule {
         const chartHeight = height - padding * 2;
         
         // Find the maximum value for scaling
-        const maxValue = Math.max(...this.currentData.map(item => parseFloat(item.value) || 0));
+        const series = this.getSeries();
+        const maxValue = Math.max(...series.flatMap(entry => entry.values));
         
         // Draw axes
         this.ctx.strokeStyle = axisColor;
@@ -398,26 +565,9 @@ class ChartModule extends CanvasModule {
             this.ctx.fillText(Math.round(maxValue / 5 * i).toString(), padding - 5, y + 4);
         }
         
-        // Draw line
-        this.ctx.strokeStyle = lineColor;
-        this.ctx.lineWidth = 3;
-        this.ctx.lineJoin = 'round';
-        this.ctx.beginPath();
-        
-        // Draw data points and connect with lines
+        // Draw x-axis labels - ensure they are strings and not too long
         this.currentData.forEach((item, index) => {
-            // Make sure value is a number
-            const value = parseFloat(item.value) || 0;
             const x = padding + (chartWidth / (this.currentData.length - 1 || 1)) * index;
-            const y = height - padding - (value / maxValue) * chartHeight;
-            
-            if (index === 0) {
-                this.ctx.moveTo(x, y);
-            } else {
-                this.ctx.lineTo(x, y);
-            }
-            
-            // Draw x-axis label - ensure it's a string and not too long
             const label = String(item.label || `Item ${index}`).substring(0, 10);
             this.ctx.fillStyle = textColor;
             this.ctx.font = '12px monospace';
@@ -425,35 +575,51 @@ class ChartModule extends CanvasModule {
             this.ctx.fillText(label, x, height - padding + 15);
         });
         
-        // Add glow effect
-        this.ctx.shadowColor = 'rgba(0, 255, 0, 0.5)';
-        this.ctx.shadowBlur = 10;
-        this.ctx.stroke();
-        this.ctx.shadowBlur = 0;
-        
-        // Draw data points
-        this.currentData.forEach((item, index) => {
-            // Make sure value is a number
-            const value = parseFloat(item.value) || 0;
-            const x = padding + (chartWidth / (this.currentData.length - 1 || 1)) * index;
-            const y = height - padding - (value / maxValue) * chartHeight;
+        series.forEach((entry, seriesIndex) => {
+            const color = series.length > 1 ? this.getSeriesColor(seriesIndex) : lineColor;
+            const points = entry.values.map((value, index) => ({
+                value,
+                x: padding + (chartWidth / (this.currentData.length - 1 || 1)) * index,
+                y: height - padding - (value / maxValue) * chartHeight
+            }));
             
-            // Draw point
-            this.ctx.fillStyle = lineColor;
+            // Draw line
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 3;
+            this.ctx.lineJoin = 'round';
             this.ctx.beginPath();
-            this.ctx.arc(x, y, 5, 0, Math.PI * 2);
-            this.ctx.fill();
+            points.forEach((point, index) => {
+                if (index === 0) {
+                    this.ctx.moveTo(point.x, point.y);
+                } else {
+                    this.ctx.lineTo(point.x, point.y);
+                }
+            });
             
-            // Draw value above point
-            this.ctx.fillStyle = textColor;
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(value.toString(), x, y - 10);
+            // Add glow effect
+            this.ctx.shadowColor = 'rgba(0, 255, 0, 0.5)';
+            this.ctx.shadowBlur = 10;
+            this.ctx.stroke();
+            this.ctx.shadowBlur = 0;
+            
+            // Draw data points
+            points.forEach(point => {
+                // Draw point
+                this.ctx.fillStyle = color;
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+                this.ctx.fill();
+                
+                // Draw value above point
+                this.ctx.fillStyle = textColor;
+                this.ctx.font = '12px monospace';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(point.value.toString(), point.x, point.y - 10);
+            });
         });
         
         // Draw chart title
-        this.ctx.font = '16px monospace';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Line Chart', width / 2, padding / 2);
+        this.drawTitle('Line Chart', padding / 2);
     }
     
     /**
@@ -532,9 +698,7 @@ class ChartModule extends CanvasModule {
         });
         
         // Draw chart title
-        this.ctx.font = '16px monospace';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Pie Chart', width / 2, 30);
+        this.drawTitle('Pie Chart', 30);
     }
 }
 
@@ -209,10 +209,65 @@ class CodeModule extends HtmlModule {
         
         this.render();
         
+        // Keep the tab's code in the knowledge base so the AI can refer to it later (see '/kb')
+        if (window.knowledgeBase && this.manager && this.manager.activeCanvasId) {
+            const instance = (this.manager.canvasInstances || []).find(inst => inst.id === this.manager.activeCanvasId);
+            window.knowledgeBase.ingest({
+                title: instance ? instance.title : 'Code',
+                source: `canvas:${this.manager.activeCanvasId}`,
+                type: 'code',
+                text: code
+            });
+        }
+        
         console.log(`Code displayed (${this.code.split('\n').length} lines)`);
         return true;
     }
     
+    /**
+     * Summarize the displayed code for AI context
+     * @returns {Object|null} Language, line count and (possibly shortened) code
+     */
+    getContextSummary() {
+        if (!this.code) return null;
+        return {
+            language: this.language,
+            lines: this.code.split('\n').length,
+            code: CanvasModule.truncateForContext(this.code, 6000)
+        };
+    }
+    
+    /**
+     * Get the code and editor settings for undo/redo.
+     * @returns {Object} Snapshot of the editor
+     */
+    getSnapshot() {
+        return {
+            code: this.code,
+            language: this.language,
+            fontSize: this.fontSize,
+            showLineNumbers: this.showLineNumbers
+        };
+    }
+    
+    /**
+     * Restore the editor from a snapshot.
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.code = snapshot.code;
+        this.language = snapshot.language;
+        this.fontSize = snapshot.fontSize;
+        this.showLineNumbers = snapshot.showLineNumbers;
+        if (this.container) {
+            this.render();
+        }
+        if (this.isActive && this.manager && this.manager.tabManager) {
+            this.manager.tabManager.updateTabTitle(this.manager.activeCanvasId, this.getModuleTitle());
+        }
+        return this;
+    }
+    
     /**
      * Handle module commands.
      */
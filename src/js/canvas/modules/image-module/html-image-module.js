@@ -8,6 +8,8 @@ class HtmlImageModule extends HtmlModule {
         this.currentImage = null;
         this.zoomLevel = 1;
         this.imageInfo = {};
+        // URL of the image shown or loading, for undo/redo
+        this.imageUrl = null;
         this.supportedCommands = ['display', 'random', 'zoom', 'info', 'theme'];
         
         // Set default title using the new tab manager API
@@ -164,6 +166,7 @@ class HtmlImageModule extends HtmlModule {
             console.error("No image URL provided");
             return false;
         }
+        this.imageUrl = url;
         
         // Ensure we're using the right container for the current tab
         if (this.manager && this.manager.activeCanvasId) {
@@ -417,6 +420,50 @@ class HtmlImageModule extends HtmlModule {
         return true;
     }
     
+    /**
+     * Summarize the displayed image for AI context.
+     * @returns {Object|null} Image URL, size and zoom level
+     */
+    getContextSummary() {
+        if (!this.imageInfo || !this.imageInfo.url) return null;
+        return {
+            url: this.imageInfo.url.startsWith('data:') ? '(embedded image)' : this.imageInfo.url,
+            width: this.imageInfo.width,
+            height: this.imageInfo.height,
+            zoom: this.zoomLevel
+        };
+    }
+    
+    /**
+     * Get the image URL and zoom level for undo/redo.
+     * @returns {Object} Snapshot of the viewer
+     */
+    getSnapshot() {
+        return { url: this.imageUrl, zoom: this.zoomLevel };
+    }
+    
+    /**
+     * Restore the viewer from a snapshot, reloading the image if it changed.
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.zoomLevel = snapshot.zoom;
+        if (!snapshot.url) {
+            this.imageUrl = null;
+            this.currentImage = null;
+            this.imageInfo = {};
+            if (this.container) {
+                this.createImageViewerUI();
+            }
+        } else if (snapshot.url !== this.imageUrl || !this.currentImage) {
+            this.displayImage(snapshot.url);
+        } else {
+            this.renderImage();
+            this.updateImageMetadata();
+        }
+        return this;
+    }
+    
     /**
      * Show detailed image information.
      */
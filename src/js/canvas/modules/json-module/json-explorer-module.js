@@ -0,0 +1,865 @@
+/**
+ * js/canvas/modules/json-module/json-explorer-module.js
+ * JSON Explorer Module
+ *
+ * Shows JSON as a collapsible tree with type badges, a search box, and a
+ * query box that takes a jq filter (.items[0]) or a JSONPath ($.items[*]).
+ * Clicking a value selects it and copies its jq path; the selection can be
+ * sent to the chart or code module. Children are only built when their
+ * parent is expanded, so large responses stay quick to show.
+ */
+class JsonExplorerModule extends HtmlModule {
+    constructor() {
+        super();
+        this.data = null;
+        this.hasData = false;
+        this.query = '';            // jq filter or JSONPath as typed
+        this.view = null;           // Result of the query, shown as the root of the tree
+        this.viewIsList = false;    // True when the query gave several results, collected in an array
+        this.search = '';
+        this.expanded = new Set(['.']);
+        this.searchCollapsed = new Set();
+        this.selected = null;       // jq path of the selected value, within the view
+        this.childLimits = {};      // Children shown per path, raised by "show more"
+        this.container = null;
+
+        // Children shown before "show more", nodes opened by "expand all",
+        // and nodes looked at by a search
+        this.childLimit = 100;
+        this.expandLimit = 2000;
+        this.searchLimit = 50000;
+
+        this.setModuleTitle('JSON Explorer');
+        // Explicitly set module name for multi-tab handling
+        this.moduleName = 'json';
+
+        this.supportedCommands = ['data', 'query', 'search', 'expand', 'collapse', 'select', 'copy', 'chart', 'code'];
+    }
+
+    /**
+     * Initialize the module.
+     * Creates (or reuses) the container for this canvas tab.
+     */
+    init(element, ctx, manager) {
+        this.manager = manager;
+
+        const parentElement = element.parentNode;
+        if (!parentElement) {
+            console.error("JSON Explorer: No parent element found");
+            return this;
+        }
+
+        const canvasId = manager.activeCanvasId || 'main';
+        const containerId = `jsonContainer_${canvasId}`;
+        let container = parentElement.querySelector(`#${containerId}`);
+
+        if (container) {
+            this.container = container;
+        } else if (element.tagName.toLowerCase() === 'canvas') {
+            container = document.createElement('div');
+            container.id = containerId;
+            container.className = 'json-explorer-container';
+            container.style.display = 'none';
+            container.dataset.canvasId = canvasId;
+
+            parentElement.insertBefore(container, element.nextSibling);
+            this.container = container;
+        } else {
+            this.container = element;
+            this.container.classList.add('json-explorer-container');
+            this.container.dataset.canvasId = canvasId;
+        }
+
+        this.container.innerHTML = '';
+        console.log(`JSON Explorer initialized for canvas: ${canvasId}`);
+        return this;
+    }
+
+    /**
+     * Activate the module.
+     * Expands the canvas section, hides the base canvas, and shows the tree.
+     */
+    activate() {
+        super.activate();
+
+        if (this.manager && typeof this.manager.expandCanvasSection === 'function') {
+            this.manager.expandCanvasSection();
+        }
+
+        if (this.manager) {
+            this.manager.updateCanvasStatus('success', 'JSON Explorer Active');
+            this.manager.hideInstructions();
+
+            const canvasId = this.manager.activeCanvasId;
+            if (this.manager.tabManager) {
+                this.manager.tabManager.updateTabTitle(canvasId, this.getModuleTitle());
+            } else {
+                const canvasTitle = document.getElementById('canvasTitle');
+                if (canvasTitle) {
+                    canvasTitle.textContent = this.getModuleTitle();
+                }
+            }
+        }
+
+        const baseCanvas = document.getElementById('canvas');
+        if (baseCanvas) {
+            baseCanvas.style.display = 'none';
+        }
+
+        if (this.container) {
+            this.container.style.display = 'flex';
+        }
+
+        this.render();
+        return this;
+    }
+
+    /**
+     * Deactivate the module.
+     * Hides the tree container.
+     */
+    deactivate() {
+        super.deactivate();
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+        return this;
+    }
+
+    /**
+     * Handle module commands.
+     */
+    handleCommand(command, args = []) {
+        try {
+            switch (command) {
+                case 'data':
+                    return this.loadData(args[0]);
+                case 'query':
+                    return this.setQuery(args[0] || '');
+                case 'search':
+                    return this.setSearch(args[0] || '');
+                case 'expand':
+                    return this.expand(args[0] || 'all');
+                case 'collapse':
+                    return this.collapse(args[0] || 'all');
+                case 'select':
+                    return this.select(args[0]);
+                case 'copy':
+                    return this.copyPath(args[0]);
+                case 'chart':
+                    return this.sendToChart(args[0] || 'bar');
+                case 'code':
+                    return this.sendToCode();
+                default:
+                    console.error(`Unknown command for JsonExplorerModule: ${command}`);
+                    return false;
+            }
+        } catch (error) {
+            terminal.addOutput(`[ERROR] ${error.message}`);
+            this.setStatus(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Show new data, starting again with no query, search or selection.
+     * @param {*} data - Any JSON value
+     */
+    loadData(data) {
+        if (data === undefined) {
+            throw new Error('No JSON data to explore');
+        }
+        this.data = data;
+        this.hasData = true;
+        this.query = '';
+        this.view = data;
+        this.viewIsList = false;
+        this.search = '';
+        this.resetTree();
+
+        if (this.manager) {
+            this.manager.hideInstructions();
+        }
+        this.render();
+        console.log(`JSON Explorer: loaded ${this.describe(data)}`);
+        return true;
+    }
+
+    /**
+     * Show the result of a query instead of the whole document
+     * @param {string} query - jq filter, JSONPath starting with $, or '' for everything
+     */
+    setQuery(query) {
+        this.requireData();
+        query = query.trim();
+        const { view, many } = this.runQuery(query);
+        this.query = query;
+        this.view = view;
+        this.viewIsList = many;
+        this.resetTree();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Show only the keys and values that contain some text, and their parents
+     * @param {string} text - Text to look for, or '' to show everything
+     */
+    setSearch(text) {
+        this.requireData();
+        this.search = text.trim();
+        this.searchCollapsed = new Set();
+        this.renderTree();
+
+        // Keep the search box in step when the command came from the terminal
+        const input = this.container && this.container.querySelector('.json-explorer-search');
+        if (input && input.value.trim() !== this.search) {
+            input.value = this.search;
+        }
+        return true;
+    }
+
+    /**
+     * Expand one path (and its parents), or everything up to expandLimit nodes
+     * @param {string} path - jq path such as .items[0], or 'all'
+     */
+    expand(path) {
+        this.requireData();
+        if (path === 'all') {
+            let opened = 0;
+            this.walk(this.view, (segments, value) => {
+                if (!this.isContainer(value)) return true;
+                if (opened >= this.expandLimit) return false;
+                this.expanded.add(this.pathOf(segments));
+                opened++;
+                return true;
+            });
+            if (opened >= this.expandLimit) {
+                terminal.addOutput(`[INFO] Expanded the first ${this.expandLimit} objects and arrays`);
+            }
+        } else {
+            const segments = this.parsePath(path);
+            this.valueAt(segments);
+            segments.forEach((segment, index) => this.expanded.add(this.pathOf(segments.slice(0, index))));
+            this.expanded.add(this.pathOf(segments));
+            this.searchCollapsed.delete(this.pathOf(segments));
+        }
+        if (path === 'all') {
+            this.searchCollapsed = new Set();
+        }
+        this.renderTree();
+        return true;
+    }
+
+    /**
+     * Collapse one path, or everything below the root
+     * @param {string} path - jq path such as .items[0], or 'all'
+     */
+    collapse(path) {
+        this.requireData();
+        if (path === 'all') {
+            this.expanded = new Set(['.']);
+        } else {
+            const prefix = this.pathOf(this.parsePath(path));
+            this.expanded.delete(prefix);
+            this.searchCollapsed.add(prefix);
+        }
+        this.renderTree();
+        return true;
+    }
+
+    /**
+     * Select the value at a path, opening its parents so it can be seen
+     * @param {string} path - jq path such as .items[0].name
+     */
+    select(path) {
+        this.requireData();
+        if (!path) {
+            throw new Error('Give the path to select, e.g. .items[0]');
+        }
+        const segments = this.parsePath(path);
+        this.valueAt(segments);
+        segments.forEach((segment, index) => this.expanded.add(this.pathOf(segments.slice(0, index))));
+        this.selected = this.pathOf(segments);
+        this.renderTree();
+
+        const row = this.container && Array.from(this.container.querySelectorAll('.json-explorer-row'))
+            .find(element => element.dataset.path === this.selected);
+        if (row && typeof row.scrollIntoView === 'function') {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+        return true;
+    }
+
+    /**
+     * Copy the jq path of a value, including the query it came from, to the clipboard
+     * @param {string} [path] - jq path within the view; defaults to the selection
+     */
+    copyPath(path) {
+        this.requireData();
+        const relative = path ? this.pathOf(this.parsePath(path)) : (this.selected || '.');
+        const fullPath = this.fullPath(relative);
+        this.writeClipboard(fullPath);
+        terminal.addOutput(`[INFO] Copied path: ${fullPath}`);
+        return true;
+    }
+
+    /**
+     * Chart the selected value (or the whole view), as "| chart" would
+     * @param {string} type - bar, line or pie
+     */
+    sendToChart(type) {
+        this.requireData();
+        const path = this.selected || '.';
+        const table = CommandPipeline.convert({ type: 'json', data: this.valueAt(this.parsePath(path)) }, ['table']);
+        if (!table) {
+            throw new Error(`${path} cannot be charted; select an array or an object`);
+        }
+        CommandPipeline.getStage('chart').run(table, { args: { type }, options: { title: this.fullPath(path) } }, { canvasManager: this.manager });
+        terminal.addOutput(`[INFO] Charted ${this.fullPath(path)}`);
+        return true;
+    }
+
+    /**
+     * Show the selected value (or the whole view) as JSON in the code module
+     */
+    sendToCode() {
+        this.requireData();
+        const path = this.selected || '.';
+        const value = this.valueAt(this.parsePath(path));
+        CommandPipeline.getStage('code').run({ type: 'json', data: value }, { options: { language: 'json' } }, { canvasManager: this.manager });
+        terminal.addOutput(`[INFO] Sent ${this.fullPath(path)} to the code module`);
+        return true;
+    }
+
+    /**
+     * Summarize the explored data for AI context
+     * @returns {Object|null} Query, selection and (possibly shortened) JSON
+     */
+    getContextSummary() {
+        if (!this.hasData) return null;
+        const summary = {
+            shows: this.describe(this.view),
+            json: CanvasModule.truncateForContext(JSON.stringify(this.view, null, 1), 6000)
+        };
+        if (this.query) {
+            summary.query = this.query;
+        }
+        if (this.selected) {
+            summary.selected = this.fullPath(this.selected);
+        }
+        return summary;
+    }
+
+    /**
+     * Get the data and tree state for undo/redo.
+     * @returns {Object} Snapshot of the explorer
+     */
+    getSnapshot() {
+        return {
+            hasData: this.hasData,
+            data: this.data,
+            query: this.query,
+            search: this.search,
+            expanded: Array.from(this.expanded),
+            selected: this.selected
+        };
+    }
+
+    /**
+     * Restore the explorer from a snapshot.
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot.hasData) {
+            this.clear();
+            return this;
+        }
+        this.data = snapshot.data;
+        this.hasData = true;
+        this.query = snapshot.query;
+        try {
+            ({ view: this.view, many: this.viewIsList } = this.runQuery(this.query));
+        } catch (error) {
+            this.query = '';
+            this.view = this.data;
+            this.viewIsList = false;
+        }
+        this.search = snapshot.search;
+        this.expanded = new Set(snapshot.expanded);
+        this.searchCollapsed = new Set();
+        this.selected = snapshot.selected;
+        this.childLimits = {};
+        if (this.container) {
+            this.render();
+        }
+        return this;
+    }
+
+    /**
+     * Clear the explorer
+     */
+    clear() {
+        this.data = null;
+        this.hasData = false;
+        this.query = '';
+        this.view = null;
+        this.viewIsList = false;
+        this.search = '';
+        this.resetTree();
+        if (this.container) {
+            this.render();
+        }
+        return this;
+    }
+
+    /**
+     * Forget what was expanded and selected, e.g. when the view changes
+     */
+    resetTree() {
+        this.expanded = new Set(['.']);
+        this.searchCollapsed = new Set();
+        this.selected = null;
+        this.childLimits = {};
+    }
+
+    /**
+     * Throw if there is nothing to explore
+     */
+    requireData() {
+        if (!this.hasData) {
+            throw new Error('No JSON loaded; try "fetch <url>" or "json data <json>"');
+        }
+    }
+
+    /**
+     * The query as a jq filter; JSONPath is translated
+     * @param {string} [query] - Query as typed, defaults to the current one
+     */
+    queryFilter(query = this.query) {
+        return query.startsWith('$') ? JsonQuery.fromJsonPath(query) : query;
+    }
+
+    /**
+     * Run a query on the data
+     * @param {string} query - Query as typed, or '' for the whole document
+     * @returns {Object} { view, many } - several results come back as an array, with many set
+     * @throws {Error} If the query is invalid
+     */
+    runQuery(query) {
+        if (!query) return { view: this.data, many: false };
+        const results = JsonQuery.compile(this.queryFilter(query))(this.data);
+        return results.length === 1 ? { view: results[0], many: false } : { view: results, many: true };
+    }
+
+    /**
+     * Path of a value from the original data: the query, then the path in the view
+     * @param {string} path - jq path within the view
+     * @returns {string} e.g. ".items | .[0].name", or "[.items[]] | .[0]" for a query with several results
+     */
+    fullPath(path) {
+        if (!this.query) return path;
+        const filter = this.viewIsList ? `[${this.queryFilter()}]` : this.queryFilter();
+        return path === '.' ? filter : `${filter} | ${path}`;
+    }
+
+    /**
+     * Build a jq path from keys and indexes
+     * @param {Array<string|number>} segments - e.g. ['items', 0, 'x y']
+     * @returns {string} e.g. '.items[0]."x y"'
+     */
+    pathOf(segments) {
+        if (segments.length === 0) return '.';
+        return segments.map((segment, index) => {
+            if (typeof segment === 'number') {
+                return index === 0 ? `.[${segment}]` : `[${segment}]`;
+            }
+            return /^[A-Za-z_]\w*$/.test(segment) ? `.${segment}` : `.${JSON.stringify(segment)}`;
+        }).join('');
+    }
+
+    /**
+     * Split a path into keys and indexes
+     * @param {string} path - jq path (.items[0]."x y", .["x y"]) or simple JSONPath ($.items[0]['x y'])
+     * @returns {Array<string|number>} Segments
+     * @throws {Error} If the path cannot be read
+     */
+    parsePath(path) {
+        const text = path.trim().replace(/^\$/, '');
+        const pattern = /\.([A-Za-z_]\w*)|\.?"((?:[^"\\]|\\.)*)"|\.?\[\s*(\d+)\s*\]|\.?\[\s*"((?:[^"\\]|\\.)*)"\s*\]|\.?\[\s*'([^']*)'\s*\]/y;
+        const segments = [];
+        let pos = 0;
+        if (text === '.' || text === '') return segments;
+        while (pos < text.length) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`Cannot read the path "${path}"; paths look like .items[0].name`);
+            }
+            if (match[1] !== undefined) segments.push(match[1]);
+            else if (match[2] !== undefined) segments.push(JSON.parse(`"${match[2]}"`));
+            else if (match[3] !== undefined) segments.push(Number(match[3]));
+            else if (match[4] !== undefined) segments.push(JSON.parse(`"${match[4]}"`));
+            else segments.push(match[5]);
+            pos = pattern.lastIndex;
+        }
+        return segments;
+    }
+
+    /**
+     * Value at a path in the view
+     * @param {Array<string|number>} segments - Path from parsePath
+     * @returns {*} The value
+     * @throws {Error} If there is nothing at the path
+     */
+    valueAt(segments) {
+        return segments.reduce((value, segment, index) => {
+            const found = this.isContainer(value) && Object.prototype.hasOwnProperty.call(value, segment);
+            if (!found) {
+                throw new Error(`Nothing at ${this.pathOf(segments.slice(0, index + 1))}`);
+            }
+            return value[segment];
+        }, this.view);
+    }
+
+    /**
+     * Visit every value depth first, without recursion
+     * @param {*} root - Value to start from
+     * @param {Function} visit - (segments, value) => false to stop
+     */
+    walk(root, visit) {
+        const stack = [[[], root]];
+        while (stack.length > 0) {
+            const [segments, value] = stack.pop();
+            if (visit(segments, value) === false) return;
+            if (this.isContainer(value)) {
+                this.entries(value).reverse().forEach(([key, child]) => stack.push([segments.concat([key]), child]));
+            }
+        }
+    }
+
+    /**
+     * Find the values whose key or text contains the search
+     * @returns {Object} { matches, ancestors, count, truncated } - matches and
+     *   ancestors are Sets of paths; ancestors have a match somewhere inside
+     */
+    findMatches() {
+        const needle = this.search.toLowerCase();
+        const result = { matches: new Set(), ancestors: new Set(), count: 0, truncated: false };
+        let visited = 0;
+        this.walk(this.view, (segments, value) => {
+            if (++visited > this.searchLimit) {
+                result.truncated = true;
+                return false;
+            }
+            const key = segments.length > 0 ? String(segments[segments.length - 1]) : '';
+            const text = this.isContainer(value) ? '' : String(value);
+            if (key.toLowerCase().includes(needle) || text.toLowerCase().includes(needle)) {
+                result.matches.add(this.pathOf(segments));
+                result.count++;
+                for (let i = 0; i < segments.length; i++) {
+                    result.ancestors.add(this.pathOf(segments.slice(0, i)));
+                }
+            }
+            return true;
+        });
+        return result;
+    }
+
+    /**
+     * Render the toolbar, tree and status bar
+     */
+    render() {
+        if (!this.container) return this;
+        this.container.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'json-explorer-toolbar';
+
+        const search = this.createInput('json-explorer-search', 'Search keys and values', this.search);
+        search.addEventListener('input', () => this.handleCommand('search', [search.value]));
+        toolbar.appendChild(search);
+
+        const query = this.createInput('json-explorer-query', 'jq or JSONPath, e.g. .items[0] or $..name', this.query);
+        query.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.handleCommand('query', [query.value]);
+            }
+        });
+        toolbar.appendChild(query);
+
+        [
+            { icon: 'plus-square', title: 'Expand All', action: () => this.handleCommand('expand', ['all']) },
+            { icon: 'minus-square', title: 'Collapse All', action: () => this.handleCommand('collapse', ['all']) },
+            { icon: 'copy', title: 'Copy Path of Selection', action: () => this.handleCommand('copy', []) },
+            { icon: 'chart-bar', title: 'Send Selection to Chart', action: () => this.handleCommand('chart', ['bar']) },
+            { icon: 'code', title: 'Send Selection to Code', action: () => this.handleCommand('code', []) }
+        ].forEach(({ icon, title, action }) => {
+            const button = document.createElement('button');
+            button.className = 'ide-button json-explorer-button';
+            button.title = title;
+            button.innerHTML = `<i class="fas fa-${icon}"></i>`;
+            button.addEventListener('click', action);
+            toolbar.appendChild(button);
+        });
+        this.container.appendChild(toolbar);
+
+        const tree = document.createElement('div');
+        tree.className = 'json-explorer-tree';
+        this.container.appendChild(tree);
+
+        const status = document.createElement('div');
+        status.className = 'json-explorer-status';
+        this.container.appendChild(status);
+
+        this.renderTree();
+        return this;
+    }
+
+    /**
+     * Create a toolbar text box
+     */
+    createInput(className, placeholder, value) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = `json-explorer-input ${className}`;
+        input.placeholder = placeholder;
+        input.value = value;
+        input.spellcheck = false;
+        // The terminal takes the focus on any click that reaches the document
+        input.addEventListener('click', event => event.stopPropagation());
+        return input;
+    }
+
+    /**
+     * Render the tree for the current view, search and expanded paths
+     */
+    renderTree() {
+        const tree = this.container && this.container.querySelector('.json-explorer-tree');
+        if (!tree) return this;
+        tree.innerHTML = '';
+
+        if (!this.hasData) {
+            const empty = document.createElement('div');
+            empty.className = 'json-explorer-empty';
+            empty.textContent = 'No JSON loaded. Try: fetch https://jsonplaceholder.typicode.com/users';
+            tree.appendChild(empty);
+            this.setStatus('Ready');
+            return this;
+        }
+
+        const found = this.search ? this.findMatches() : null;
+        const rows = document.createDocumentFragment();
+        this.appendRows(rows, this.query ? 'result' : 'root', this.view, [], 0, found);
+        tree.appendChild(rows);
+
+        const parts = [this.describe(this.view)];
+        if (found) {
+            parts.push(`${found.count}${found.truncated ? '+' : ''} match${found.count === 1 ? '' : 'es'}`);
+        }
+        if (this.selected) {
+            parts.push(`selected ${this.fullPath(this.selected)}`);
+        }
+        this.setStatus(parts.join(' · '));
+        return this;
+    }
+
+    /**
+     * Add the row for a value, then (if it is expanded) the rows of its children
+     * @param {DocumentFragment} rows - Where the rows go
+     * @param {string|number} key - Key or index of the value in its parent
+     * @param {*} value - The value
+     * @param {Array<string|number>} segments - Path of the value
+     * @param {number} depth - Nesting depth
+     * @param {Object|null} found - Search results from findMatches
+     */
+    appendRows(rows, key, value, segments, depth, found) {
+        const path = this.pathOf(segments);
+        const container = this.isContainer(value);
+        const isMatch = found && found.matches.has(path);
+        const hasMatches = found && found.ancestors.has(path);
+        const expanded = container && (hasMatches ?
+            !this.searchCollapsed.has(path) :
+            this.expanded.has(path));
+
+        rows.appendChild(this.createRow(key, value, path, depth, expanded, isMatch));
+        if (!expanded) return;
+
+        // Inside a match everything shows; above one, only the way to the matches
+        let children = this.entries(value);
+        if (found && !isMatch) {
+            children = children.filter(([childKey]) => {
+                const childPath = this.pathOf(segments.concat([childKey]));
+                return found.matches.has(childPath) || found.ancestors.has(childPath);
+            });
+        }
+
+        const limit = this.childLimits[path] || this.childLimit;
+        children.slice(0, limit).forEach(([childKey, child]) => {
+            this.appendRows(rows, childKey, child, segments.concat([childKey]), depth + 1, isMatch ? null : found);
+        });
+
+        if (children.length > limit) {
+            const more = document.createElement('div');
+            more.className = 'json-explorer-row json-explorer-more';
+            more.style.paddingLeft = `${(depth + 1) * 16 + 8}px`;
+            more.textContent = `… show ${Math.min(this.childLimit, children.length - limit)} more of ${children.length - limit}`;
+            more.addEventListener('click', () => {
+                this.childLimits[path] = limit + this.childLimit;
+                this.renderTree();
+            });
+            rows.appendChild(more);
+        }
+    }
+
+    /**
+     * Create the row for one value
+     */
+    createRow(key, value, path, depth, expanded, isMatch) {
+        const type = this.typeOf(value);
+        const row = document.createElement('div');
+        row.className = 'json-explorer-row';
+        row.dataset.path = path;
+        row.style.paddingLeft = `${depth * 16 + 8}px`;
+        row.title = this.fullPath(path);
+        if (path === this.selected) row.classList.add('selected');
+        if (isMatch) row.classList.add('match');
+
+        const toggle = document.createElement('span');
+        toggle.className = 'json-explorer-toggle';
+        if (this.isContainer(value)) {
+            toggle.textContent = expanded ? '▾' : '▸';
+            toggle.addEventListener('click', event => {
+                event.stopPropagation();
+                this.handleCommand(expanded ? 'collapse' : 'expand', [path]);
+            });
+        }
+        row.appendChild(toggle);
+
+        const keyLabel = document.createElement('span');
+        keyLabel.className = typeof key === 'number' ? 'json-explorer-key json-explorer-index' : 'json-explorer-key';
+        this.appendHighlighted(keyLabel, String(key), depth > 0);
+        row.appendChild(keyLabel);
+
+        const valueLabel = document.createElement('span');
+        valueLabel.className = `json-explorer-value json-type-${type}`;
+        if (this.isContainer(value)) {
+            valueLabel.textContent = this.preview(value);
+        } else {
+            const text = type === 'string' ? JSON.stringify(value) : String(value);
+            this.appendHighlighted(valueLabel, text.length > 200 ? `${text.substring(0, 200)}…` : text, true);
+        }
+        row.appendChild(valueLabel);
+
+        const badge = document.createElement('span');
+        badge.className = `json-explorer-badge json-type-${type}`;
+        const size = Array.isArray(value) ? ` [${value.length}]` : (type === 'object' ? ` {${Object.keys(value).length}}` : '');
+        badge.textContent = `${type}${size}`;
+        row.appendChild(badge);
+
+        // Clicking a value selects it and copies its path
+        row.addEventListener('click', () => {
+            const previous = this.container.querySelector('.json-explorer-row.selected');
+            if (previous) previous.classList.remove('selected');
+            row.classList.add('selected');
+            this.selected = path;
+            const fullPath = this.fullPath(path);
+            this.writeClipboard(fullPath);
+            this.setStatus(`${this.describe(value)} · copied ${fullPath}`);
+        });
+        return row;
+    }
+
+    /**
+     * Put text into an element, marking where the search matches
+     * @param {HTMLElement} element - Element to fill
+     * @param {string} text - Text to show
+     * @param {boolean} highlight - Whether to mark matches
+     */
+    appendHighlighted(element, text, highlight) {
+        const index = this.search && highlight ? text.toLowerCase().indexOf(this.search.toLowerCase()) : -1;
+        if (index === -1) {
+            element.textContent = text;
+            return;
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = text.substring(index, index + this.search.length);
+        element.append(text.substring(0, index), mark, text.substring(index + this.search.length));
+    }
+
+    /**
+     * Show a message in the status bar
+     */
+    setStatus(message) {
+        const status = this.container && this.container.querySelector('.json-explorer-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Copy text to the clipboard
+     */
+    writeClipboard(text) {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(text)
+            .then(() => {
+                console.log(`Copied ${text} to clipboard`);
+            })
+            .catch(() => {
+                console.error('Failed to copy path');
+            });
+    }
+
+    /**
+     * Short preview of an object or array, e.g. { id, name, … }
+     */
+    preview(value) {
+        if (Array.isArray(value)) {
+            return value.length === 0 ? '[]' : '[…]';
+        }
+        const keys = Object.keys(value);
+        if (keys.length === 0) return '{}';
+        const shown = keys.slice(0, 4).join(', ');
+        return `{ ${shown}${keys.length > 4 ? ', …' : ''} }`;
+    }
+
+    /**
+     * Describe a value, e.g. "array of 10", "object with 3 keys", "string"
+     */
+    describe(value) {
+        if (Array.isArray(value)) return `array of ${value.length}`;
+        if (this.typeOf(value) === 'object') {
+            const count = Object.keys(value).length;
+            return `object with ${count} key${count === 1 ? '' : 's'}`;
+        }
+        return this.typeOf(value);
+    }
+
+    /**
+     * Keys (or indexes) and values of an object or array
+     */
+    entries(value) {
+        return Array.isArray(value) ? value.map((child, index) => [index, child]) : Object.entries(value);
+    }
+
+    /**
+     * Whether a value is an object or array
+     */
+    isContainer(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    /**
+     * JSON type name of a value
+     */
+    typeOf(value) {
+        return JsonQuery.typeOf(value);
+    }
+}
+
+// Export for module system
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+    module.exports = JsonExplorerModule;
+}
@@ -0,0 +1,69 @@
+/**
+ * js/canvas/modules/json-module/json-module-slash-command-handler.js
+ * JSON Explorer Slash Command Handler
+ *
+ * Registers slash commands specific to the JSON explorer module
+ */
+
+// Initialize when slash command system is ready
+document.addEventListener('slash-commands:ready', function() {
+    console.log("Slash commands ready, initializing JSON explorer commands...");
+    initJsonModuleSlashCommands();
+});
+
+// Fallback initialization if the event doesn't fire
+document.addEventListener('DOMContentLoaded', function() {
+    setTimeout(function() {
+        if (window.SlashCommands &&
+            typeof window.SlashCommands.registerModuleCommand === 'function') {
+            console.log("Initializing JSON explorer slash commands via fallback...");
+            initJsonModuleSlashCommands();
+        }
+    }, 1200);
+});
+
+/**
+ * Initialize slash commands for the JSON explorer module
+ */
+function initJsonModuleSlashCommands() {
+    // Prevent multiple initialization
+    if (window.jsonModuleSlashCommandsInitialized) {
+        return;
+    }
+
+    // Activation command (always available)
+    window.SlashCommands.registerModuleCommand(
+        'json',              // Module name
+        '/json',             // Slash command
+        'use json',          // Full command to execute
+        'Explore JSON as a collapsible tree', // Description
+        true                 // Show always (even when module not active)
+    );
+
+    // Tree commands (only available when the JSON explorer is active)
+    window.SlashCommands.registerModuleCommand(
+        'json', '/expandall', 'json expand all', 'Expand the whole tree', false
+    );
+
+    window.SlashCommands.registerModuleCommand(
+        'json', '/collapseall', 'json collapse all', 'Collapse the tree', false
+    );
+
+    window.SlashCommands.registerModuleCommand(
+        'json', '/copypath', 'json copy', 'Copy the jq path of the selected value', false
+    );
+
+    // Send the selection to other modules
+    window.SlashCommands.registerModuleCommand(
+        'json', '/tochart', 'json chart bar', 'Chart the selected value', false
+    );
+
+    window.SlashCommands.registerModuleCommand(
+        'json', '/tocode', 'json code', 'Show the selected value in the code module', false
+    );
+
+    // Set initialization flag
+    window.jsonModuleSlashCommandsInitialized = true;
+
+    console.log("✅ JSON explorer slash commands initialized");
+}
@@ -154,6 +154,41 @@ class MarkdownModule extends CanvasModule {
         return true;
     }
     
+    /**
+     * Summarize the rendered markdown for AI context
+     * @returns {Object|null} Line count, scroll position and (possibly shortened) markdown
+     */
+    getContextSummary() {
+        if (!this.markdown) return null;
+        return {
+            lines: this.markdown.split('\n').length,
+            scrollY: this.scrollY,
+            markdown: CanvasModule.truncateForContext(this.markdown)
+        };
+    }
+    
+    /**
+     * Get the markdown, scroll position and theme for undo/redo
+     * @returns {Object} Snapshot of the document
+     */
+    getSnapshot() {
+        return { markdown: this.markdown, scrollY: this.scrollY, colors: { ...this.colors } };
+    }
+    
+    /**
+     * Restore a document from a snapshot
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.markdown = snapshot.markdown;
+        this.scrollY = snapshot.scrollY;
+        this.colors = { ...snapshot.colors };
+        if (this.isActive) {
+            this.render();
+        }
+        return this;
+    }
+    
     /**
      * Load markdown from a URL or local file
      * @param {string} source - URL or file path
@@ -173,6 +208,11 @@ class MarkdownModule extends CanvasModule {
                 .then(text => {
                     this.renderMarkdown(text);
                     this.manager.updateCanvasStatus('success', 'Markdown loaded successfully');
+                    // Let the AI find this document later (see '/kb')
+                    if (window.knowledgeBase) {
+                        const name = source.split(/[?#]/)[0].split('/').filter(Boolean).pop();
+                        window.knowledgeBase.ingest({ title: name || source, source, type: 'markdown', text });
+                    }
                 })
                 .catch(error => {
                     console.error('Error loading markdown:', error);
@@ -131,6 +131,47 @@ class ShapeModule extends CanvasModule {
         return true;
     }
     
+    /**
+     * Summarize the drawn shapes for AI context
+     * @returns {Object|null} Shape count per type and the most recent shapes
+     */
+    getContextSummary() {
+        if (this.shapes.length === 0) return null;
+        const types = {};
+        this.shapes.forEach(shape => {
+            types[shape.type] = (types[shape.type] || 0) + 1;
+        });
+        return {
+            shapeCount: this.shapes.length,
+            types,
+            recentShapes: this.shapes.slice(-10)
+        };
+    }
+    
+    /**
+     * Get the drawn shapes for undo/redo
+     * @returns {Object} Snapshot with a copy of the shapes
+     */
+    getSnapshot() {
+        return { shapes: this.shapes.map(shape => ({ ...shape })) };
+    }
+    
+    /**
+     * Restore shapes from a snapshot, stopping any animation
+     * @param {Object} snapshot - Snapshot from getSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.shapes = snapshot.shapes.map(shape => ({ ...shape }));
+        if (this.isActive) {
+            this.render();
+        }
+        return this;
+    }
+    
     /**
      * Draw a random shape
      */
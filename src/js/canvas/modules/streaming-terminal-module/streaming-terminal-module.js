@@ -74,6 +74,21 @@ class StreamingTerminalModule extends CanvasModule {
     }
   }
   
+  /**
+   * Summarize the terminal for AI context
+   * @returns {Object|null} Connection state and the most recent output lines
+   */
+  getContextSummary() {
+    const connected = this.wsHandler?.isConnected() || false;
+    if (!connected && this.terminalOutput.length === 0) return null;
+    return {
+      connected,
+      endpoint: connected ? this.wsHandler.getEndpoint() : null,
+      recentOutput: this.terminalOutput.slice(-20)
+        .map(line => CanvasModule.truncateForContext(String(line), 300))
+    };
+  }
+  
   /**
    * Initialize the WebSocket and SlashCommand modules
    */
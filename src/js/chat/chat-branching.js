@@ -0,0 +1,278 @@
+/**
+ * js/chat/chat-branching.js
+ * Editable Conversations with Regenerate and Branching
+ *
+ * Adds "edit" to user messages and "regenerate" to AI replies. Both fork the
+ * conversation at the user message: the earlier continuation is kept as a
+ * branch and can be brought back with the "< 2/3 >" switcher, which also
+ * replays that branch's canvas actions.
+ */
+
+const ChatBranching = {
+  /**
+   * Add the edit/regenerate actions and branch switcher to a finished AI turn
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {HTMLElement} userElement - The user's message, if it is on screen
+   * @param {HTMLElement} replyElement - The AI's last text reply, if any
+   * @param {number} userIndex - History index of the user message
+   */
+  decorateTurn(chatInterface, userElement, replyElement, userIndex) {
+    if (typeof userIndex !== 'number' || userIndex < 0 || typeof chatInterface.addMessageActions !== 'function') {
+      return;
+    }
+    if (userElement) {
+      this.addUserActions(chatInterface, userElement, userIndex);
+    }
+    if (replyElement) {
+      this.addReplyActions(chatInterface, replyElement, userIndex);
+    }
+  },
+
+  /**
+   * Add "edit" and, for forked messages, the branch switcher to a user message
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {HTMLElement} element - The user message element
+   * @param {number} index - History index of the user message
+   */
+  addUserActions(chatInterface, element, index) {
+    const actions = chatInterface.addMessageActions(element, [{
+      label: 'edit',
+      icon: 'pen',
+      title: 'Edit and resend as a new branch',
+      onClick: () => this.startEdit(chatInterface, element, index)
+    }]);
+    const branch = window.openAIService.getBranchInfo(index);
+    if (branch) {
+      actions.appendChild(this.createSwitcher(chatInterface, branch));
+    }
+  },
+
+  /**
+   * Add "regenerate" to an AI reply
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {HTMLElement} element - The reply element
+   * @param {number} userIndex - History index of the user message it answers
+   */
+  addReplyActions(chatInterface, element, userIndex) {
+    chatInterface.addMessageActions(element, [{
+      label: 'regenerate',
+      icon: 'sync-alt',
+      title: 'Ask again, keeping this answer as a branch',
+      onClick: () => this.regenerate(chatInterface, userIndex)
+    }]);
+  },
+
+  /**
+   * Create the "< 2/3 >" control for a fork
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {Object} branch - Branch info from OpenAIService.getBranchInfo
+   * @returns {HTMLElement} The switcher element
+   */
+  createSwitcher(chatInterface, branch) {
+    const switcher = document.createElement('span');
+    switcher.className = 'branch-switcher';
+
+    const addButton = (icon, title, variant) => {
+      const button = document.createElement('button');
+      button.className = 'terminal-button';
+      button.title = title;
+      button.innerHTML = `<i class="fas fa-${icon}"></i>`;
+      button.disabled = variant < 0 || variant >= branch.count;
+      button.addEventListener('click', () => this.switchBranch(chatInterface, branch.index, variant));
+      switcher.appendChild(button);
+    };
+
+    addButton('chevron-left', 'Previous branch', branch.active - 1);
+    const label = document.createElement('span');
+    label.className = 'branch-position';
+    label.textContent = `${branch.active + 1}/${branch.count}`;
+    switcher.appendChild(label);
+    addButton('chevron-right', 'Next branch', branch.active + 1);
+    return switcher;
+  },
+
+  /**
+   * Replace a user message's text with an editor
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {HTMLElement} element - The user message element
+   * @param {number} index - History index of the user message
+   */
+  startEdit(chatInterface, element, index) {
+    const service = window.openAIService;
+    const entry = service.messageHistory[index];
+    const messageText = element.querySelector('.message-text');
+    if (!entry || entry.role !== 'user' || !messageText || element.querySelector('.message-edit-input')) {
+      return;
+    }
+
+    const original = messageText.innerHTML;
+    const existingActions = element.querySelectorAll('.message-actions');
+    existingActions.forEach(actions => { actions.style.display = 'none'; });
+
+    const editor = document.createElement('textarea');
+    editor.className = 'message-edit-input';
+    editor.value = service.getMessageText(entry);
+    editor.rows = Math.min(10, editor.value.split('\n').length + 1);
+    messageText.innerHTML = '';
+    messageText.appendChild(editor);
+    editor.focus();
+
+    const cancel = () => {
+      messageText.innerHTML = original;
+      editActions.remove();
+      existingActions.forEach(actions => { actions.style.display = ''; });
+    };
+    const submit = () => {
+      const text = editor.value.trim();
+      if (text) {
+        this.resend(chatInterface, index, text, service.getMessageImages(entry));
+      }
+    };
+
+    const editActions = chatInterface.addMessageActions(element, [
+      { label: 'send', icon: 'paper-plane', title: 'Send the edited message as a new branch', onClick: submit },
+      { label: 'cancel', icon: 'times', title: 'Keep the original message', onClick: cancel }
+    ]);
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        submit();
+      } else if (e.key === 'Escape') {
+        cancel();
+      }
+    });
+  },
+
+  /**
+   * Ask for a new answer to a user message, keeping the current one as a branch
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {number} index - History index of the user message
+   */
+  regenerate(chatInterface, index) {
+    const service = window.openAIService;
+    const entry = service.messageHistory[index];
+    if (!entry || entry.role !== 'user') {
+      chatInterface.addSystemMessage('⚠️ This reply can no longer be regenerated.');
+      return;
+    }
+    this.resend(chatInterface, index, service.getMessageText(entry), service.getMessageImages(entry));
+  },
+
+  /**
+   * Send a message in place of the user message at a history index, as a new branch
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {number} index - History index of the user message
+   * @param {string} text - The message to send
+   * @param {Array} images - Image URLs to send with it
+   */
+  resend(chatInterface, index, text, images) {
+    if (window.openAIService.abortController) {
+      chatInterface.addSystemMessage('⚠️ Please wait for the current request to finish, or use \'/ai stop\'.');
+      return;
+    }
+    this.renderConversation(chatInterface, { limit: index });
+    this.addUserBubble(chatInterface, text, images.length);
+    processWithOpenAI(text, chatInterface, images, index);
+  },
+
+  /**
+   * Show another branch of a fork and replay its canvas actions
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {number} index - History index of the fork
+   * @param {number} variant - Branch to show (0-based)
+   */
+  async switchBranch(chatInterface, index, variant) {
+    if (!window.openAIService.switchBranch(index, variant)) {
+      chatInterface.addSystemMessage('⚠️ Branches cannot be switched while a request is running.');
+      return;
+    }
+    this.renderConversation(chatInterface);
+    await this.replayCanvasActions(chatInterface, index);
+  },
+
+  /**
+   * Run the canvas tool calls of the conversation from a history index again,
+   * so the canvas shows what the current branch produced
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {number} fromIndex - First history index to replay
+   */
+  async replayCanvasActions(chatInterface, fromIndex) {
+    if (!window.Commands || typeof window.Commands.executeToolCall !== 'function') {
+      return;
+    }
+    const toolCalls = window.openAIService.messageHistory.slice(fromIndex)
+      .filter(message => message.role === 'assistant' && message.tool_calls)
+      .flatMap(message => message.tool_calls);
+
+    let replayed = 0;
+    await window.Commands.recordCanvasBatch('restore branch', async () => {
+      for (const toolCall of toolCalls) {
+        const result = await window.Commands.executeToolCall(toolCall);
+        if (result.success) replayed++;
+      }
+    });
+    if (replayed > 0) {
+      chatInterface.addSystemMessage(`🔧 Restored ${replayed} canvas action${replayed === 1 ? '' : 's'} from this branch.`);
+    }
+  },
+
+  /**
+   * Render the conversation history in the chat panel with edit/regenerate actions
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {Object} [options] - { limit: number of history messages to show, clear: replace what is shown }
+   */
+  renderConversation(chatInterface, options = {}) {
+    const service = window.openAIService;
+    const history = service.messageHistory;
+    const end = typeof options.limit === 'number' ? Math.min(options.limit, history.length) : history.length;
+    if (options.clear !== false) {
+      chatInterface.chatMessages.innerHTML = '';
+    }
+
+    let userIndex = null;
+    for (let index = 0; index < end; index++) {
+      const message = history[index];
+      if (message.role === 'user') {
+        userIndex = index;
+        const element = this.addUserBubble(chatInterface, service.getMessageText(message), service.countImages(message));
+        this.addUserActions(chatInterface, element, index);
+      } else if (message === service.summaryMessage) {
+        chatInterface.addSystemMessage('📝 Earlier messages were summarized to fit the context window.');
+      } else if (message.role === 'assistant' && message.content) {
+        const element = chatInterface.addReplyMessage(message.content);
+        // Regenerate goes on the last reply of each turn
+        const nextUser = history.findIndex((later, i) => i > index && later.role === 'user');
+        const turnEnd = nextUser === -1 ? history.length : nextUser;
+        const laterReply = history.slice(index + 1, turnEnd).some(later => later.role === 'assistant' && later.content);
+        if (userIndex !== null && !laterReply) {
+          this.addReplyActions(chatInterface, element, userIndex);
+        }
+      } else if (message.role === 'assistant' && message.tool_calls) {
+        chatInterface.addSystemMessage(`🔧 ${message.tool_calls.map(call => call.function.name).join(', ')}`);
+      }
+    }
+  },
+
+  /**
+   * Add a user message bubble without treating its text as a new command or image
+   * @param {Object} chatInterface - The chat interface instance
+   * @param {string} text - The message text
+   * @param {number} [imageCount] - Number of images sent with the message
+   * @returns {HTMLElement} The message element
+   */
+  addUserBubble(chatInterface, text, imageCount = 0) {
+    let element;
+    if (typeof chatInterface.createBlankUserMessage === 'function') {
+      element = chatInterface.createBlankUserMessage();
+    } else {
+      chatInterface.addUserMessage('');
+      element = chatInterface.chatMessages.lastElementChild;
+    }
+    const imageNote = imageCount > 0 ? `\n🖼️ ${imageCount} image${imageCount === 1 ? '' : 's'}` : '';
+    element.querySelector('.message-text').textContent = text + imageNote;
+    return element;
+  }
+};
+
+// Make branching globally available
+window.ChatBranching = ChatBranching;
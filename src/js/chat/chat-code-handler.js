@@ -174,7 +174,10 @@ const ChatCodeHandler = {
             fragment.appendChild(textNode);
             
             const language = match[1] || 'javascript';
-            const code = match[2].trim();
+            // The message text is HTML, so turn entities such as &lt; back into characters
+            const decoder = document.createElement('textarea');
+            decoder.innerHTML = match[2];
+            const code = decoder.value.trim();
             
             const codeBlock = this.createEnhancedCodeBlock(code, language);
             fragment.appendChild(codeBlock);
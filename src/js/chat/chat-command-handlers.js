@@ -21,9 +21,16 @@ document.addEventListener('DOMContentLoaded', function() {
             ChatInterface._originalHandleCommand = ChatInterface.handleCommand;
         }
         
-        // Clean, simple command handler - slash commands ONLY or LLM
+        // Clean, simple command handler - slash commands ONLY or LLM.
+        // Returns a promise of whether the command succeeded, so macro replay can stop on a failure
         ChatInterface.handleCommand = function(message) {
-            console.log("Handling message:", message);
+            console.log("Handling message:", window.ChatKeyVault ? window.ChatKeyVault.redact(message) : message);
+            
+            // Settles with the handler's result, which may itself be a promise
+            let done;
+            const result = new Promise(resolve => {
+                done = outcome => resolve(Promise.resolve(outcome).then(ok => ok !== false, () => false));
+            });
             
             // Show typing indicator for UI feedback
             this.showTypingIndicator();
@@ -37,24 +44,61 @@ document.addEventListener('DOMContentLoaded', function() {
                 if (message.startsWith('/')) {
                     console.log('Processing as slash command');
                     
+                    // Aliases and $variables; an alias for a terminal command runs there
+                    if (window.CommandEnvironment) {
+                        message = CommandEnvironment.expand(message);
+                        if (!message.startsWith('/')) {
+                            this.addSystemMessage(`Running in the terminal: ${message.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}`);
+                            done(window.Commands.processCommand(message));
+                            return;
+                        }
+                    }
+                    
                     // Special handling for AI slash commands
                     if (message.startsWith('/ai')) {
                         if (typeof window.handleAICommand === 'function') {
-                            window.handleAICommand(message, this);
+                            done(window.handleAICommand(message, this, !!window.CommandEnvironment));
                             return;
                         }
                     }
                     
-                    // Let the slash command system handle other slash commands
+                    // Undo/redo on the active canvas
+                    if (/^\/(undo|redo)$/i.test(message.trim()) && window.Commands) {
+                        done(window.Commands.handleHistoryCommand(message.trim().substring(1).toLowerCase(), text => this.addSystemMessage(text)));
+                        return;
+                    }
+                    
+                    // Macro recording and replay
+                    if (/^\/macro\b/i.test(message) && typeof window.handleMacroCommand === 'function') {
+                        done(window.handleMacroCommand(message, this));
+                        return;
+                    }
+                    
+                    // Variables and aliases
+                    if (window.CommandEnvironment && CommandEnvironment.isCommand(message)) {
+                        done(window.handleEnvironmentCommand(window.CommandMacros ? CommandMacros.capture('slash', message) : message, this));
+                        return;
+                    }
+                    
+                    // Knowledge base commands
+                    if (/^\/kb\b/i.test(message) && typeof window.handleKBCommand === 'function') {
+                        done(window.handleKBCommand(window.CommandMacros ? CommandMacros.capture('slash', message) : message, this));
+                        return;
+                    }
+                    
+                    // Let the slash command system run other slash commands; they run as
+                    // terminal commands, which are recorded for macros there
                     if (window.SlashCommands && typeof window.SlashCommands.executeCommand === 'function') {
-                        const success = window.SlashCommands.executeCommand(message);
-                        if (success) {
+                        const outcome = window.SlashCommands.executeCommand(message);
+                        if (outcome !== null) {
+                            done(outcome);
                             return;
                         }
                     }
                     
                     // If no slash command system found, show error
                     this.addSystemMessage(`Unknown slash command: ${message}. Type /help for available commands.`);
+                    done(false);
                 }
                 // If not a slash command, send to OpenAI
                 else if (window.openAIService && window.openAIService.validateApiKey()) {
@@ -66,13 +110,17 @@ document.addEventListener('DOMContentLoaded', function() {
                     } else {
                         this.addSystemMessage('Error: OpenAI processing method not available');
                     }
+                    done(true);
                 }
                 // Show error if OpenAI processing not available
                 else {
                     console.log('OpenAI API key not set');
                     this.addSystemMessage("⚠️ Please set your OpenAI API key with '/ai key YOUR_API_KEY' to chat with AI.");
+                    done(false);
                 }
             }, 300); // Short delay for UI feedback
+            
+            return result;
         };
         
         // Make sure the processWithOpenAI method exists on ChatInterface
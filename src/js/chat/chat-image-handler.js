@@ -17,6 +17,9 @@ const ChatImageHandler = (function() {
     // Counter for unique image block IDs
     module.imageBlockCounter = 0;
     
+    // Images the user has shared in chat that have not been sent to the AI yet
+    module.pendingImages = [];
+    
     // Initialize the image handler
     module.init = function() {
         if (!window.ChatInterface) {
@@ -30,6 +33,9 @@ const ChatImageHandler = (function() {
         // Add command suggestions
         this.addCommandSuggestions();
         
+        // Accept pasted and dropped image files
+        this.enableImageAttachments();
+        
         console.log("Chat image handler initialized");
         return true;
     };
@@ -62,6 +68,11 @@ const ChatImageHandler = (function() {
         // Store and override addUserMessage function
         const originalAddUserMessage = window.ChatInterface.addUserMessage;
         window.ChatInterface.addUserMessage = function(text) {
+            // Images the user shares (but not "show image" commands) go to the AI with the next message
+            if (!/^show image /i.test(text.trim())) {
+                ChatImageHandler.queueImages(ChatImageHandler.extractImageUrls(text));
+            }
+            
             // Skip URL text if it's just an image
             const urlOnly = isJustImageUrl(text);
             if (urlOnly) {
@@ -168,6 +179,67 @@ const ChatImageHandler = (function() {
         }, 800);
     };
     
+    // Queue images to be sent to the AI as vision input with the next message
+    module.queueImages = function(urls) {
+        urls.forEach(url => {
+            if (!this.pendingImages.includes(url)) {
+                this.pendingImages.push(url);
+            }
+        });
+    };
+    
+    // Take (and clear) the images waiting to be sent to the AI
+    module.takePendingImages = function() {
+        const images = this.pendingImages;
+        this.pendingImages = [];
+        return images;
+    };
+    
+    // Attach image files pasted into the chat input or dropped on the chat panel
+    module.enableImageAttachments = function() {
+        // Listen on the document: the chat input may be replaced by the slash command UI
+        document.addEventListener('paste', (e) => {
+            if (!e.target || e.target.id !== 'chat-input' || !e.clipboardData) return;
+            const files = Array.from(e.clipboardData.files || []).filter(file => file.type.startsWith('image/'));
+            if (files.length > 0) {
+                e.preventDefault();
+                files.forEach(file => this.attachImageFile(file));
+            }
+        });
+        
+        const chatContainer = document.querySelector('.terminal-chat') || document.getElementById('chat-messages');
+        if (!chatContainer) return;
+        chatContainer.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+                e.preventDefault();
+            }
+        });
+        chatContainer.addEventListener('drop', (e) => {
+            const files = Array.from((e.dataTransfer && e.dataTransfer.files) || []).filter(file => file.type.startsWith('image/'));
+            if (files.length > 0) {
+                e.preventDefault();
+                files.forEach(file => this.attachImageFile(file));
+            }
+        });
+    };
+    
+    // Read an image file, show it in chat and queue it for the AI
+    module.attachImageFile = function(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const dataUrl = reader.result;
+            const messageDiv = window.ChatInterface.createBlankUserMessage();
+            this.enhanceMessageWithImageOnly(messageDiv, dataUrl);
+            this.queueImages([dataUrl]);
+            window.ChatInterface.addSystemMessage(`📎 Attached ${file.name || 'image'}. It will be sent to the AI with your next message.`);
+        };
+        reader.onerror = () => {
+            console.error("Failed to read image file:", reader.error);
+            window.ChatInterface.addSystemMessage('⚠️ Could not read the image file.');
+        };
+        reader.readAsDataURL(file);
+    };
+    
     // Add only an image to a message
     module.enhanceMessageWithImageOnly = function(messageDiv, imageUrl) {
         if (!messageDiv) return;
@@ -305,7 +377,8 @@ const ChatImageHandler = (function() {
         
         const link = document.createElement('a');
         link.href = imageUrl;
-        link.textContent = imageUrl;
+        // Data URLs (pasted images and canvas captures) are too long to show
+        link.textContent = imageUrl.startsWith('data:') ? 'Attached image' : imageUrl;
         link.target = '_blank';
         
         caption.appendChild(link);
@@ -229,8 +229,8 @@ document.addEventListener('DOMContentLoaded', () => {
       const message = this.chatInput.value.trim();
       if (message === '') return;
       
-      // Add the user's message to the chat and clear the input
-      this.addUserMessage(message);
+      // Add the user's message to the chat (with any API key or passphrase masked) and clear the input
+      this.addUserMessage(window.ChatKeyVault ? window.ChatKeyVault.redact(message) : message);
       this.chatInput.value = '';
       this.chatInput.style.height = '';
 
@@ -279,10 +279,44 @@ document.addEventListener('DOMContentLoaded', () => {
       return messageDiv;
     },
 
+    /**
+     * Add a model reply to the chat. The text is escaped, so HTML in the reply
+     * is shown rather than rendered, and then formatted like any system message.
+     * @param {string} text - Reply text
+     * @returns {HTMLElement} The message element
+     */
+    addReplyMessage(text) {
+      return this.addSystemMessage(String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+    },
+
+    /**
+     * Add a row of small action buttons below a message.
+     * @param {HTMLElement} messageDiv - Message element returned by addSystemMessage
+     * @param {Array} actions - Buttons as { label, icon, title, onClick }
+     * @returns {HTMLElement} The actions container
+     */
+    addMessageActions(messageDiv, actions) {
+      const content = messageDiv.querySelector('.message-content') || messageDiv;
+      const container = document.createElement('div');
+      container.className = 'message-actions';
+      actions.forEach(action => {
+        const button = document.createElement('button');
+        button.className = 'terminal-button';
+        button.title = action.title || action.label;
+        button.innerHTML = `<i class="fas fa-${action.icon}"></i> ${action.label}`;
+        button.addEventListener('click', () => action.onClick(button));
+        container.appendChild(button);
+      });
+      content.appendChild(container);
+      return container;
+    },
+
     /**
      * Show a typing indicator in the chat.
+     * @param {Function} onStop - Optional callback; adds a stop button to the indicator
      */
-    showTypingIndicator() {
+    showTypingIndicator(onStop) {
+      this.hideTypingIndicator();
       const typingDiv = document.createElement('div');
       typingDiv.className = 'chat-message system-message';
       typingDiv.id = 'typing-indicator';
@@ -301,6 +335,11 @@ document.addEventListener('DOMContentLoaded', () => {
           </div>
         </div>
       `;
+      if (typeof onStop === 'function') {
+        this.addMessageActions(typingDiv, [
+          { label: 'stop', icon: 'stop', title: 'Stop generating', onClick: onStop }
+        ]);
+      }
       this.chatMessages.appendChild(typingDiv);
       this.scrollToBottom();
       return typingDiv;
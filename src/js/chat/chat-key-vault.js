@@ -0,0 +1,116 @@
+/**
+ * js/chat/chat-key-vault.js
+ * Passphrase Encryption for Stored API Keys
+ *
+ * Encrypts API keys with a key derived from a passphrase (PBKDF2, SHA-256)
+ * using AES-GCM, so a key kept in localStorage is useless without the
+ * passphrase. Also masks keys and passphrases in text that is logged or
+ * shown in the chat.
+ */
+
+const ChatKeyVault = {
+  iterations: 310000,
+
+  // Words after "/ai key" that are subcommands rather than secrets
+  keySubcommands: ['lock', 'unlock', 'forget', 'session', 'on', 'off', 'status'],
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   * @param {string} passphrase - The user's passphrase
+   * @param {Uint8Array} salt - Random salt stored with the encrypted key
+   * @returns {Promise<CryptoKey>} A non-extractable encryption key
+   */
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * Create a vault (derived key and its salt) from a passphrase
+   * @param {string} passphrase - The user's passphrase
+   * @param {string} [salt] - Base64 salt of an existing record; a new one is made if omitted
+   * @returns {Promise<Object>} { key, salt }
+   */
+  async createVault(passphrase, salt) {
+    const saltBytes = salt ? this.fromBase64(salt) : crypto.getRandomValues(new Uint8Array(16));
+    return { key: await this.deriveKey(passphrase, saltBytes), salt: this.toBase64(saltBytes) };
+  },
+
+  /**
+   * Encrypt a secret
+   * @param {string} secret - The text to encrypt
+   * @param {Object} vault - Vault from createVault
+   * @returns {Promise<Object>} Record with base64 salt, iv and data, safe to store
+   */
+  async encrypt(secret, vault) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vault.key, new TextEncoder().encode(secret));
+    return {
+      version: 1,
+      salt: vault.salt,
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data))
+    };
+  },
+
+  /**
+   * Decrypt a record made by encrypt
+   * @param {Object} record - The stored record
+   * @param {Object} vault - Vault created with the record's salt
+   * @returns {Promise<string>} The secret
+   * @throws {Error} If the passphrase is wrong or the record is damaged
+   */
+  async decrypt(record, vault) {
+    try {
+      const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(record.iv) }, vault.key, this.fromBase64(record.data)
+      );
+      return new TextDecoder().decode(data);
+    } catch (e) {
+      throw new Error('Wrong passphrase, or the stored key is damaged');
+    }
+  },
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} Base64 text
+   */
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  },
+
+  /**
+   * Decode base64 to bytes
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array} The bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  /**
+   * Mask API keys and passphrases in text before it is logged or displayed
+   * @param {string} text - Text that may contain a secret
+   * @returns {string} The text with secrets replaced by "••••••"
+   */
+  redact(text) {
+    if (typeof text !== 'string') return text;
+    const words = this.keySubcommands.join('|');
+    const keyCommand = new RegExp(`^(\\s*\\/?ai[ -]key(?:\\s+(?:${words}))*)\\s+(?!(?:(?:${words})\\s*)+$)\\S.*$`, 'is');
+    return text
+      .replace(keyCommand, '$1 ••••••')
+      .replace(/\b(sk-(?:ant-)?)[A-Za-z0-9_-]{8,}/g, '$1••••••');
+  }
+};
+
+// Make the key vault globally available
+window.ChatKeyVault = ChatKeyVault;
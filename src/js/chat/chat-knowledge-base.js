@@ -0,0 +1,675 @@
+/**
+ * js/chat/chat-knowledge-base.js
+ * Local Knowledge Base (document retrieval for AI prompts)
+ *
+ * Documents loaded into the canvas (markdown, code, fetched text) or dropped
+ * into the chat are split into chunks and indexed with BM25, a lexical
+ * ranking that needs no embeddings or server. Documents and their term
+ * counts are kept in IndexedDB. Before each AI request the best matching
+ * chunks are sent along as numbered excerpts, so the model can cite them
+ * as [1], [2] and so on. '/kb add|list|remove|search' manages the index.
+ */
+
+class ChatKnowledgeStore {
+  constructor(dbName = 'canvas_knowledge_base', storeName = 'documents') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  // Open (and create if needed) the database
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('source', 'source');
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run a single request against the object store
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = action(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // List all documents, oldest first
+  async list() {
+    const documents = await this.run('readonly', store => store.getAll());
+    return documents.sort((a, b) => a.addedAt - b.addedAt);
+  }
+
+  // Insert or update a document
+  put(doc) {
+    return this.run('readwrite', store => store.put(doc));
+  }
+
+  // Delete a document by id
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+
+  // Delete every document
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+class ChatKnowledgeBase {
+  constructor(store) {
+    this.store = store;
+    this.documents = [];
+    // Every chunk of every document, with its document attached for scoring
+    this.chunks = [];
+    // Number of chunks each term appears in
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+    // Send matching excerpts with AI prompts ('/kb on|off')
+    this.enabled = true;
+    // BM25 parameters: term frequency saturation and length normalization
+    this.k1 = 1.2;
+    this.b = 0.75;
+    this.chunkSize = 1200;
+    // Short trailing blocks are repeated at the start of the next chunk
+    this.chunkOverlap = 200;
+    this.maxExcerpts = 4;
+    this.maxExcerptLength = 1500;
+    this.maxDocumentLength = 500000;
+    // Files dropped into the chat that are indexed as text
+    this.textExtensions = ['md', 'markdown', 'txt', 'text', 'js', 'mjs', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs',
+      'java', 'c', 'h', 'cpp', 'cs', 'php', 'sh', 'sql', 'json', 'csv', 'tsv', 'yaml', 'yml', 'xml', 'html', 'css', 'toml', 'ini'];
+    this.codeExtensions = ['js', 'mjs', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'c', 'h', 'cpp', 'cs', 'php',
+      'sh', 'sql', 'html', 'css'];
+    this.stopWords = new Set(('a an and are as at be but by can do does for from has have how i if in into is it its ' +
+      'me my no not of on or our so that the their them then there these they this to was we were what when where ' +
+      'which who why will with you your').split(' '));
+    this.nextId = 0;
+  }
+
+  // Load the saved documents and the on/off setting
+  async init() {
+    try {
+      this.enabled = localStorage.getItem('kb_enabled') !== 'false';
+    } catch (e) {
+      console.warn('Could not load knowledge base setting from localStorage', e);
+    }
+    const documents = await this.store.list();
+    documents.forEach(doc => this.documents.push(doc));
+    this.rebuildIndex();
+    return this.documents;
+  }
+
+  // Turn prompt excerpts on or off
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    try {
+      localStorage.setItem('kb_enabled', enabled ? 'true' : 'false');
+    } catch (e) {
+      console.warn('Could not save knowledge base setting to localStorage', e);
+    }
+  }
+
+  // Split text into lowercase search terms. Code identifiers also yield their
+  // parts ("renderMarkdown" gives "rendermarkdown", "render" and "markdown").
+  tokenize(text) {
+    const terms = [];
+    const add = word => {
+      if (word.length < 2 || this.stopWords.has(word)) return;
+      // Fold simple plurals so "charts" finds "chart"
+      terms.push(word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+    };
+    (String(text).match(/[\p{L}\p{N}_]+/gu) || []).forEach(word => {
+      const parts = word.split(/_+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})/u).filter(Boolean);
+      add(word.toLowerCase());
+      if (parts.length > 1) {
+        parts.forEach(part => add(part.toLowerCase()));
+      }
+    });
+    return terms;
+  }
+
+  // Split a document into chunks of about chunkSize characters along paragraph
+  // (blank line) boundaries. Markdown chunks remember the heading they are under.
+  chunkText(text, type) {
+    const chunks = [];
+    let heading = '';
+    let blocks = [];
+    let size = 0;
+
+    const flush = () => {
+      if (blocks.length > 0) {
+        chunks.push({ heading, text: blocks.join('\n\n') });
+      }
+      blocks = [];
+      size = 0;
+    };
+    const addBlock = block => {
+      if (size > 0 && size + block.length > this.chunkSize) {
+        const last = blocks[blocks.length - 1];
+        flush();
+        if (last.length <= this.chunkOverlap) {
+          blocks.push(last);
+          size = last.length;
+        }
+      }
+      blocks.push(block);
+      size += block.length;
+    };
+
+    const paragraphs = String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    paragraphs.forEach(paragraph => {
+      if (!paragraph.trim()) return;
+      const lines = paragraph.replace(/^\n+|\s+$/g, '').split('\n');
+      const headingLine = type === 'markdown' ? lines.findIndex(line => /^#{1,6}\s+\S/.test(line)) : -1;
+      if (headingLine !== -1) {
+        // A heading starts a new chunk
+        if (headingLine > 0) {
+          this.splitBlock(lines.slice(0, headingLine).join('\n')).forEach(addBlock);
+        }
+        flush();
+        heading = lines[headingLine].replace(/^#+\s+/, '').trim();
+        lines.splice(0, headingLine + 1);
+        if (lines.length === 0) return;
+      }
+      this.splitBlock(lines.join('\n')).forEach(addBlock);
+    });
+    flush();
+    return chunks;
+  }
+
+  // Split a paragraph that is longer than a chunk by lines (and very long lines by length)
+  splitBlock(block) {
+    if (block.length <= this.chunkSize) {
+      return [block];
+    }
+    const pieces = [];
+    let current = '';
+    block.split('\n').forEach(line => {
+      while (line.length > this.chunkSize) {
+        if (current) {
+          pieces.push(current);
+          current = '';
+        }
+        pieces.push(line.substring(0, this.chunkSize));
+        line = line.substring(this.chunkSize);
+      }
+      if (current && current.length + line.length + 1 > this.chunkSize) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${line}` : line;
+    });
+    if (current) {
+      pieces.push(current);
+    }
+    return pieces;
+  }
+
+  // Count the terms of a chunk; the document title and heading count as part of it
+  countTerms(title, heading, text) {
+    const terms = {};
+    const tokens = this.tokenize(`${title}\n${heading}\n${text}`);
+    tokens.forEach(term => {
+      terms[term] = (terms[term] || 0) + 1;
+    });
+    return { terms, length: tokens.length };
+  }
+
+  // Rebuild document frequencies and the average chunk length after a change
+  rebuildIndex() {
+    this.chunks = [];
+    this.documentFrequency = new Map();
+    let totalLength = 0;
+    this.documents.forEach(doc => {
+      doc.chunks.forEach((chunk, index) => {
+        this.chunks.push({ doc, index, ...chunk });
+        totalLength += chunk.length;
+        Object.keys(chunk.terms).forEach(term => {
+          this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        });
+      });
+    });
+    this.averageLength = this.chunks.length > 0 ? totalLength / this.chunks.length : 0;
+  }
+
+  // Guess a document type from a file name or URL and a content type
+  detectType(name, contentType = '') {
+    const extension = ((name || '').split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+    const ext = extension ? extension.toLowerCase() : '';
+    if (ext === 'md' || ext === 'markdown' || contentType.includes('markdown')) return 'markdown';
+    if (ext === 'json' || contentType.includes('json')) return 'json';
+    if (this.codeExtensions.includes(ext) || contentType.includes('javascript')) return 'code';
+    return 'text';
+  }
+
+  // Add a document, replacing an earlier one from the same source.
+  // document: { title, source, type: 'markdown' | 'code' | 'json' | 'text', text }
+  async add({ title, source, type = 'text', text }) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('The document is empty');
+    }
+    if (text.length > this.maxDocumentLength) {
+      throw new Error(`The document is too large to index (${text.length} characters; the limit is ${this.maxDocumentLength})`);
+    }
+    const existing = source ? this.documents.find(doc => doc.source === source) : null;
+    const name = title || source || 'Untitled';
+    const doc = {
+      id: existing ? existing.id : 'd' + Date.now().toString(36) + (this.nextId++).toString(36),
+      title: name,
+      source: source || null,
+      type,
+      addedAt: existing ? existing.addedAt : Date.now(),
+      updatedAt: Date.now(),
+      length: text.length,
+      chunks: this.chunkText(text, type).map(chunk => ({ ...chunk, ...this.countTerms(name, chunk.heading, chunk.text) }))
+    };
+
+    if (existing) {
+      this.documents[this.documents.indexOf(existing)] = doc;
+    } else {
+      this.documents.push(doc);
+    }
+    this.rebuildIndex();
+    try {
+      await this.store.put(doc);
+    } catch (error) {
+      console.warn('Could not save knowledge base document; it is indexed for this page only', error);
+    }
+    doc.replaced = !!existing;
+    return doc;
+  }
+
+  // Index a document loaded elsewhere (canvas, fetch) without interrupting the caller
+  ingest(doc) {
+    if (!doc || typeof doc.text !== 'string' || !doc.text.trim()) return;
+    this.add(doc).catch(error => console.warn(`Could not index "${doc.title || doc.source}":`, error.message));
+  }
+
+  // Find a document by its position in the list (1-based) or its id
+  find(reference) {
+    const position = parseInt(reference, 10);
+    if (String(position) === String(reference).trim()) {
+      return this.documents[position - 1] || null;
+    }
+    return this.documents.find(doc => doc.id === reference) || null;
+  }
+
+  // Remove a document
+  async remove(id) {
+    const doc = this.documents.find(entry => entry.id === id);
+    if (!doc) return null;
+    this.documents = this.documents.filter(entry => entry !== doc);
+    this.rebuildIndex();
+    await this.store.delete(id);
+    return doc;
+  }
+
+  // Remove every document
+  async clear() {
+    const count = this.documents.length;
+    this.documents = [];
+    this.rebuildIndex();
+    await this.store.clear();
+    return count;
+  }
+
+  // Rank chunks against a query with BM25; returns [{ doc, chunk, score }], best first
+  search(query, limit = 5) {
+    const terms = [...new Set(this.tokenize(query))].filter(term => this.documentFrequency.has(term));
+    if (terms.length === 0) return [];
+    const count = this.chunks.length;
+    const idf = new Map(terms.map(term => {
+      const frequency = this.documentFrequency.get(term);
+      return [term, Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    const results = [];
+    this.chunks.forEach(chunk => {
+      let score = 0;
+      const norm = this.k1 * (1 - this.b + this.b * chunk.length / (this.averageLength || 1));
+      terms.forEach(term => {
+        const frequency = chunk.terms[term];
+        if (frequency) {
+          score += idf.get(term) * frequency * (this.k1 + 1) / (frequency + norm);
+        }
+      });
+      if (score > 0) {
+        results.push({ doc: chunk.doc, chunk, score });
+      }
+    });
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Excerpts to send with an AI prompt, as { note, sources } or null when nothing matches
+  getPromptContext(query) {
+    if (!this.enabled || this.chunks.length === 0) return null;
+    const results = this.search(query, this.maxExcerpts);
+    if (results.length === 0) return null;
+
+    const sources = results.map((result, index) => ({
+      number: index + 1,
+      documentId: result.doc.id,
+      title: result.doc.title,
+      source: result.doc.source,
+      heading: result.chunk.heading
+    }));
+    const excerpts = results.map((result, index) => {
+      const { chunk, doc } = result;
+      const label = [doc.title, chunk.heading].filter(Boolean).join(' › ');
+      const text = chunk.text.length > this.maxExcerptLength
+        ? `${chunk.text.substring(0, this.maxExcerptLength)}…`
+        : chunk.text;
+      return `[${index + 1}] ${label}${doc.source ? ` (${doc.source})` : ''}\n${text}`;
+    });
+    return {
+      note: 'Excerpts from documents the user loaded into their knowledge base. Use them if they help answer ' +
+        'the next message, and cite each excerpt you use as [1], [2] and so on. Ignore excerpts that are not relevant.' +
+        `\n\n${excerpts.join('\n\n')}`,
+      sources
+    };
+  }
+
+  // Index a text file dropped into the chat
+  addFile(file) {
+    return file.text().then(text => this.add({
+      title: file.name,
+      source: `file:${file.name}`,
+      type: this.detectType(file.name, file.type),
+      text
+    }));
+  }
+
+  // Whether a dropped file should be indexed as text
+  isTextFile(file) {
+    const extension = ((file.name || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+    return (file.type || '').startsWith('text/') ||
+      /json|javascript|xml|yaml/.test(file.type || '') ||
+      (!!extension && this.textExtensions.includes(extension.toLowerCase()));
+  }
+}
+
+/**
+ * Handle '/kb' commands from the chat
+ * @param {string} message - The full command, e.g. '/kb search install'
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleKBCommand(message, chatInterface) {
+  const kb = window.knowledgeBase;
+  if (!kb) {
+    chatInterface.addSystemMessage('⚠️ The knowledge base is not available.');
+    return;
+  }
+  const text = message.replace(/^\/kb\b/i, '').trim();
+  const subcommand = (text.split(/\s+/)[0] || '').toLowerCase();
+  const rest = text.substring(subcommand.length).trim();
+
+  try {
+    switch (subcommand) {
+      case '':
+      case 'list':
+        showKnowledgeBase(chatInterface);
+        break;
+
+      case 'add':
+        await addToKnowledgeBase(rest, chatInterface);
+        break;
+
+      case 'remove':
+      case 'rm': {
+        if (!rest) {
+          chatInterface.addSystemMessage('Usage: /kb remove NUMBER|ID|all');
+          break;
+        }
+        if (rest.toLowerCase() === 'all') {
+          const count = await kb.clear();
+          chatInterface.addSystemMessage(`🗑️ Removed ${count} document${count === 1 ? '' : 's'} from the knowledge base.`);
+          break;
+        }
+        const doc = kb.find(rest);
+        if (!doc) {
+          chatInterface.addSystemMessage(`⚠️ No document "${escapeKBText(rest)}". Use '/kb list' to see the documents.`);
+          break;
+        }
+        await kb.remove(doc.id);
+        chatInterface.addSystemMessage(`🗑️ Removed "${escapeKBText(doc.title)}" from the knowledge base.`);
+        break;
+      }
+
+      case 'search':
+        showKnowledgeSearch(rest, chatInterface);
+        break;
+
+      case 'on':
+      case 'off':
+        kb.setEnabled(subcommand === 'on');
+        chatInterface.addSystemMessage(subcommand === 'on'
+          ? '📚 Matching knowledge base excerpts will be sent with AI prompts.'
+          : '📚 Knowledge base excerpts will no longer be sent with AI prompts.');
+        break;
+
+      default:
+        chatInterface.addSystemMessage('Usage: /kb [list] | /kb add [URL|TEXT] | /kb remove NUMBER|ID|all | /kb search QUERY | /kb on|off');
+    }
+  } catch (error) {
+    console.error('Knowledge base command failed:', error);
+    chatInterface.addSystemMessage(`⚠️ ${escapeKBText(error.message)}`);
+  }
+}
+
+/**
+ * Add the active canvas content, a URL or some text to the knowledge base
+ * @param {string} argument - URL or text; the active canvas is added when empty
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function addToKnowledgeBase(argument, chatInterface) {
+  const kb = window.knowledgeBase;
+  let doc;
+  if (!argument) {
+    const manager = window.Commands && window.Commands.canvasManager;
+    const module = manager && manager.currentModule;
+    const instance = manager && (manager.canvasInstances || []).find(inst => inst.id === manager.activeCanvasId);
+    const title = instance ? instance.title : 'Canvas';
+    const source = `canvas:${manager ? manager.activeCanvasId : 'main'}`;
+    if (module && module.markdown) {
+      doc = { title, source, type: 'markdown', text: module.markdown };
+    } else if (module && module.code) {
+      doc = { title, source, type: 'code', text: module.code };
+    } else {
+      throw new Error('The active canvas has no markdown or code to add. Use \'/kb add URL\' or \'/kb add TEXT\' instead.');
+    }
+  } else if (/^https?:\/\//i.test(argument)) {
+    const response = await fetch(argument);
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${argument} (HTTP error ${response.status})`);
+    }
+    const name = argument.split(/[?#]/)[0].split('/').filter(Boolean).pop() || argument;
+    doc = {
+      title: name,
+      source: argument,
+      type: kb.detectType(argument, response.headers.get('Content-Type') || ''),
+      text: await response.text()
+    };
+  } else {
+    const firstLine = argument.split('\n')[0];
+    doc = { title: firstLine.length > 40 ? `${firstLine.substring(0, 40)}…` : firstLine, type: 'text', text: argument };
+  }
+
+  const added = await kb.add(doc);
+  reportKnowledgeAdded(added, chatInterface);
+}
+
+/**
+ * Tell the user a document was indexed
+ * @param {Object} doc - The added document
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function reportKnowledgeAdded(doc, chatInterface) {
+  const chunks = doc.chunks.length;
+  chatInterface.addSystemMessage(`📚 ${doc.replaced ? 'Re-indexed' : 'Indexed'} "${escapeKBText(doc.title)}" ` +
+    `in the knowledge base (${chunks} chunk${chunks === 1 ? '' : 's'}).`);
+}
+
+/**
+ * List the documents in the knowledge base
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showKnowledgeBase(chatInterface) {
+  const kb = window.knowledgeBase;
+  const status = kb.enabled ? 'on' : 'off';
+  if (kb.documents.length === 0) {
+    chatInterface.addSystemMessage(`📚 The knowledge base is empty (prompt excerpts: ${status}). Documents loaded with 'md load' ` +
+      'or \'fetch\', code shown on the canvas and text files dropped into the chat are added automatically; ' +
+      'use \'/kb add\' to add the active canvas.');
+    return;
+  }
+  const rows = kb.documents.map((doc, index) => `
+    <tr>
+      <td>${index + 1}</td>
+      <td>${escapeKBText(doc.title)}</td>
+      <td>${doc.type}</td>
+      <td>${doc.chunks.length}</td>
+      <td>${escapeKBText(doc.source || '')}</td>
+    </tr>`).join('');
+
+  const messageElement = chatInterface.addSystemMessage('');
+  const messageText = messageElement.querySelector('.message-text');
+  messageText.innerHTML = `
+<div class="ai-settings-display">
+  <div class="settings-title">📚 Knowledge base (prompt excerpts: ${status})</div>
+  <table class="settings-table">
+    <tr><td>#</td><td>Title</td><td>Type</td><td>Chunks</td><td>Source</td></tr>${rows}
+  </table>
+  <div class="help-footer">Use '/kb search QUERY' to test what matches, '/kb remove NUMBER' to remove a document.</div>
+</div>`;
+}
+
+/**
+ * Show the chunks that best match a query
+ * @param {string} query - Search text
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showKnowledgeSearch(query, chatInterface) {
+  if (!query) {
+    chatInterface.addSystemMessage('Usage: /kb search QUERY');
+    return;
+  }
+  const results = window.knowledgeBase.search(query, 5);
+  if (results.length === 0) {
+    chatInterface.addSystemMessage(`📚 Nothing in the knowledge base matches "${escapeKBText(query)}".`);
+    return;
+  }
+  const rows = results.map((result, index) => {
+    const label = [result.doc.title, result.chunk.heading].filter(Boolean).join(' › ');
+    const snippet = result.chunk.text.replace(/\s+/g, ' ').substring(0, 160);
+    return `
+    <tr>
+      <td>[${index + 1}]</td>
+      <td>${escapeKBText(label)}<br>${escapeKBText(snippet)}…</td>
+      <td>${result.score.toFixed(2)}</td>
+    </tr>`;
+  }).join('');
+
+  const messageElement = chatInterface.addSystemMessage('');
+  const messageText = messageElement.querySelector('.message-text');
+  messageText.innerHTML = `
+<div class="ai-settings-display">
+  <div class="settings-title">📚 Best matches for "${escapeKBText(query)}"</div>
+  <table class="settings-table">${rows}
+  </table>
+</div>`;
+}
+
+/**
+ * Show which knowledge base excerpts an AI reply used
+ * @param {Object} result - Result of OpenAIService.processMessage
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showKnowledgeSources(result, chatInterface) {
+  const sources = result.sources || [];
+  if (sources.length === 0) return;
+  // Only list the excerpts the reply cites, or all of them if it cites none
+  const cited = sources.filter(source => (result.message || '').includes(`[${source.number}]`));
+  const list = (cited.length > 0 ? cited : sources).map(source => {
+    const label = [source.title, source.heading].filter(Boolean).join(' › ');
+    return `[${source.number}] ${escapeKBText(label)}${source.source ? ` — ${escapeKBText(source.source)}` : ''}`;
+  });
+  chatInterface.addSystemMessage(`📚 ${cited.length > 0 ? 'Sources' : 'Knowledge base excerpts sent'}:\n${list.join('\n')}`);
+}
+
+/**
+ * Escape text for the chat's HTML messages
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeKBText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Create the knowledge base, index dropped text files and register '/kb'
+document.addEventListener('DOMContentLoaded', () => {
+  window.knowledgeBase = new ChatKnowledgeBase(new ChatKnowledgeStore());
+  window.knowledgeBase.init()
+    .then(documents => console.log(`Knowledge base loaded (${documents.length} documents)`))
+    .catch(error => console.warn('Knowledge base is not saved between visits:', error.message));
+
+  // Images are handled by ChatImageHandler; other text files go into the knowledge base
+  const chatContainer = document.querySelector('.terminal-chat') || document.getElementById('chat-messages');
+  if (chatContainer) {
+    chatContainer.addEventListener('drop', (e) => {
+      const files = Array.from((e.dataTransfer && e.dataTransfer.files) || [])
+        .filter(file => !file.type.startsWith('image/') && window.knowledgeBase.isTextFile(file));
+      if (files.length === 0) return;
+      e.preventDefault();
+      files.forEach(file => {
+        window.knowledgeBase.addFile(file)
+          .then(doc => window.ChatInterface && reportKnowledgeAdded(doc, window.ChatInterface))
+          .catch(error => window.ChatInterface && window.ChatInterface.addSystemMessage(`⚠️ Could not add ${escapeKBText(file.name)}: ${escapeKBText(error.message)}`));
+      });
+    });
+  }
+
+  const waitForSlashCommands = setInterval(() => {
+    if (window.SlashCommands && typeof window.SlashCommands.registerModuleCommand === 'function') {
+      clearInterval(waitForSlashCommands);
+      window.SlashCommands.registerModuleCommand('kb', '/kb', '/kb list', 'Manage the local knowledge base used in AI prompts', true);
+      if (typeof window.SlashCommands.registerArgumentCompleter === 'function') {
+        window.SlashCommands.registerArgumentCompleter('/kb', () => [
+          { value: 'add', description: 'add the active canvas, a URL or text' },
+          { value: 'list', description: 'list indexed documents' },
+          { value: 'remove', description: 'remove a document (number, id or all)' },
+          { value: 'search', description: 'show the chunks that match a query' },
+          { value: 'on', description: 'send matching excerpts with AI prompts' },
+          { value: 'off', description: 'stop sending excerpts' }
+        ]);
+      }
+    }
+  }, 200);
+  setTimeout(() => clearInterval(waitForSlashCommands), 10000);
+});
+
+// Make the knowledge base globally available
+window.ChatKnowledgeStore = ChatKnowledgeStore;
+window.ChatKnowledgeBase = ChatKnowledgeBase;
+window.handleKBCommand = handleKBCommand;
+window.showKnowledgeSources = showKnowledgeSources;
@@ -0,0 +1,566 @@
+/**
+ * js/chat/chat-llm-mock-provider.js
+ * Offline Mock LLM Provider
+ *
+ * A provider that answers in the browser instead of over the network, for
+ * demos without an API key and for repeatable tests of the chat → canvas
+ * flow. Select it with "/ai endpoint mock://" (built-in rules) or
+ * "/ai endpoint mock://path/to/fixture.json" (rules loaded from a JSON file).
+ *
+ * Responses are OpenAI-compatible (plain JSON or streamed chunks), so the
+ * normal request, streaming, tool-call, retry and usage code is exercised.
+ *
+ * Fixture format:
+ * {
+ *   "latency": 300,          // ms before a response starts
+ *   "chunkDelay": 30,        // ms between streamed chunks
+ *   "chunkSize": 8,          // characters per streamed chunk
+ *   "errorRate": 0,          // chance (0-1) that a request fails with "error"
+ *   "error": { "status": 500, "message": "..." },   // status 0 = network failure
+ *   "models": ["mock-1"],
+ *   "script": [ RESPONSE, ... ],                      // used in order first
+ *   "responses": [ { "match": "text or /regex/i", ...RESPONSE } ],
+ *   "fallback": RESPONSE,
+ *   "json": OBJECT or text   // answer to structured (JSON) requests without their own "json"
+ * }
+ * A RESPONSE is a string or { content, toolCalls: [{ name, arguments }],
+ * afterTools, json, error, latency }. "{input}" and "$1".."$9" in text are
+ * replaced with the user's message and regex groups.
+ */
+
+const MockLLM = {
+  // Rules used by "mock://" without a fixture
+  builtInFixture: {
+    latency: 300,
+    chunkDelay: 30,
+    chunkSize: 8,
+    errorRate: 0,
+    error: { status: 500, message: 'Injected mock error' },
+    models: ['mock-1', 'mock-large'],
+    responses: [
+      {
+        match: '/simulate (?:an? )?(\\d{3}) error/i',
+        error: { status: '$1', message: 'Simulated HTTP $1 error' }
+      },
+      {
+        match: '/simulate (?:a )?network error/i',
+        error: { status: 0 }
+      },
+      {
+        match: '/simulate (?:an? )?invalid json/i',
+        json: { chartType: 'bar', title: 'Broken', labels: ['North', 'South', 'East'], values: [42, 'many'], series: [] }
+      },
+      {
+        match: '/simulate (?:a )?broken json/i',
+        json: 'Sure! Here is the data: {"chartType": "bar", "labels": ["North", "South"'
+      },
+      {
+        match: '/\\b(bar|line|pie)?\\s*(?:chart|graph|plot)\\b/i',
+        content: 'Here is some sample data: create a bar chart',
+        toolCalls: [{
+          name: 'create_chart',
+          arguments: {
+            type: 'bar',
+            data: [
+              { label: 'North', value: 42 },
+              { label: 'South', value: 28 },
+              { label: 'East', value: 35 },
+              { label: 'West', value: 19 }
+            ]
+          }
+        }],
+        afterTools: 'I drew a chart of the sample regional data on the canvas.',
+        json: {
+          chartType: 'bar',
+          title: 'Sales by region',
+          labels: ['North', 'South', 'East', 'West'],
+          values: [42, 28, 35, 19],
+          series: []
+        }
+      },
+      {
+        match: '/\\b(image|picture|photo)\\b/i',
+        content: 'Sure, show a random image',
+        toolCalls: [{ name: 'show_image', arguments: {} }],
+        afterTools: 'A random image is now on the canvas.'
+      },
+      {
+        match: '/\\bcode\\b/i',
+        content: 'Here is an example:\n\n```javascript\nfunction greet(name) {\n  return `Hello, ${name}!`;\n}\n\nconsole.log(greet(\'canvas\'));\n```',
+        toolCalls: [{
+          name: 'show_code',
+          arguments: {
+            language: 'javascript',
+            code: 'function greet(name) {\n  return `Hello, ${name}!`;\n}\n\nconsole.log(greet(\'canvas\'));'
+          }
+        }],
+        afterTools: 'The example is open in the code editor.'
+      },
+      {
+        match: '/\\b(markdown|notes?|document)\\b/i',
+        content: 'show markdown # Mock notes\n\n- Offline demo\n- No API key needed',
+        toolCalls: [{
+          name: 'render_markdown',
+          arguments: { markdown: '# Mock notes\n\n- Offline demo\n- No API key needed' }
+        }],
+        afterTools: 'The notes are rendered on the canvas.'
+      },
+      {
+        match: '/\\b(draw|shapes?|pattern)\\b/i',
+        content: 'Okay, draw a pattern',
+        toolCalls: [{ name: 'draw_shapes', arguments: { style: 'pattern' } }],
+        afterTools: 'I drew a pattern on the canvas.'
+      }
+    ],
+    fallback: '🧪 Mock reply to "{input}". Ask for a chart, an image, some code, markdown notes or shapes, ' +
+      'or say "simulate a 500 error" to test error handling.',
+    json: {
+      chartType: 'line',
+      title: 'Mock data',
+      labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
+      values: [],
+      series: [
+        { name: 'This year', values: [12, 19, 15, 24, 28, 31] },
+        { name: 'Last year', values: [10, 14, 13, 17, 21, 22] }
+      ]
+    }
+  },
+
+  fixture: null,
+  fixtureUrl: null,
+  scriptIndex: 0,
+  lastEntry: null,
+  // Settings changed with "/ai mock"; they win over the fixture
+  overrides: {},
+
+  /**
+   * The active configuration: built-in defaults, then the fixture, then overrides
+   * @returns {Object} Fixture settings
+   */
+  getConfig() {
+    const { responses, fallback, json, ...defaults } = this.builtInFixture;
+    const base = this.fixture ? { ...defaults, ...this.fixture } : this.builtInFixture;
+    return { ...base, ...this.overrides };
+  },
+
+  /**
+   * Load a fixture from an object or a URL
+   * @param {Object|string} source - Fixture object, or URL of a JSON fixture file
+   * @returns {Promise<Object>} The fixture
+   * @throws {Error} If the file cannot be loaded or is not a fixture
+   */
+  async loadFixture(source) {
+    let fixture = source;
+    if (typeof source === 'string') {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Could not load mock fixture ${source} (HTTP ${response.status})`);
+      }
+      fixture = await response.json();
+    }
+    if (!fixture || typeof fixture !== 'object' || Array.isArray(fixture)) {
+      throw new Error('A mock fixture must be a JSON object');
+    }
+    ['responses', 'script', 'models'].forEach(field => {
+      if (fixture[field] !== undefined && !Array.isArray(fixture[field])) {
+        throw new Error(`Mock fixture "${field}" must be an array`);
+      }
+    });
+
+    this.fixture = fixture;
+    this.fixtureUrl = typeof source === 'string' ? source : null;
+    this.scriptIndex = 0;
+    return fixture;
+  },
+
+  /**
+   * Go back to the built-in rules and clear "/ai mock" overrides
+   */
+  reset() {
+    this.fixture = null;
+    this.fixtureUrl = null;
+    this.scriptIndex = 0;
+    this.lastEntry = null;
+    this.overrides = {};
+  },
+
+  /**
+   * Load the fixture named by a "mock://path" endpoint, if it is not loaded yet
+   * @param {string} endpoint - The mock endpoint
+   */
+  async prepare(endpoint) {
+    const path = endpoint.replace(/^mock:\/\//, '').split('#')[0];
+    if (path && path !== this.fixtureUrl) {
+      await this.loadFixture(path);
+    }
+  },
+
+  /**
+   * Answer a request as a server would
+   * @param {string} url - Request URL (the mock endpoint)
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} The response
+   */
+  async handle(url, options = {}) {
+    try {
+      await this.prepare(url);
+    } catch (error) {
+      return this.jsonResponse({ error: { message: error.message } }, 400);
+    }
+
+    const config = this.getConfig();
+    if ((options.method || 'GET') === 'GET') {
+      return this.jsonResponse({ data: (config.models || []).map(id => ({ id, object: 'model' })) });
+    }
+
+    const body = JSON.parse(options.body || '{}');
+    const reply = this.chooseReply(body, config);
+    await this.wait(reply.latency ?? config.latency, options.signal);
+
+    // Injected errors: rule errors always, otherwise at the configured rate
+    const error = reply.error || (Math.random() < (config.errorRate || 0) ? config.error : null);
+    if (error) {
+      return this.errorResponse(error);
+    }
+
+    const usage = {
+      prompt_tokens: Math.ceil(JSON.stringify(body.messages || []).length / 4),
+      completion_tokens: Math.ceil(((reply.content || '') + JSON.stringify(reply.toolCalls || [])).length / 4)
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    if (body.stream) {
+      return this.streamResponse(body, reply, usage, config, options.signal);
+    }
+    return this.jsonResponse({
+      id: `mock-${Date.now()}`,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: reply.content || null,
+          ...(reply.toolCalls ? { tool_calls: reply.toolCalls } : {})
+        },
+        finish_reason: reply.toolCalls ? 'tool_calls' : 'stop'
+      }],
+      usage
+    });
+  },
+
+  /**
+   * Pick the reply for a request: after tool results, then script, then rules, then the fallback
+   * @param {Object} body - Chat-completions request body
+   * @param {Object} config - Active configuration
+   * @returns {Object} { content, toolCalls, error, latency }
+   */
+  chooseReply(body, config) {
+    const messages = body.messages || [];
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const input = this.getText(lastUser ? lastUser.content : '');
+    const toolsOffered = Array.isArray(body.tools) && body.tools.length > 0;
+
+    // Tool results came back: answer with the follow-up text of the entry that asked for them
+    if (messages.length > 0 && messages[messages.length - 1].role === 'tool') {
+      const last = this.lastEntry;
+      const count = messages.slice(messages.findLastIndex(message => message.role === 'assistant') + 1).length;
+      const text = last && last.entry.afterTools
+        ? last.entry.afterTools
+        : `Done (${count} tool call${count === 1 ? '' : 's'} ran).`;
+      return { content: this.fill(text, input, last ? last.groups : []) };
+    }
+
+    let entry = null;
+    let groups = [];
+    if (Array.isArray(config.script) && this.scriptIndex < config.script.length) {
+      entry = config.script[this.scriptIndex++];
+    } else {
+      const rule = this.findRule(input, config.responses || []);
+      if (rule) {
+        entry = rule.entry;
+        groups = rule.groups;
+      }
+    }
+    if (entry === null) {
+      entry = config.fallback || this.builtInFixture.fallback;
+    }
+    this.lastEntry = typeof entry === 'object' ? { entry, groups } : null;
+    if (body.response_format) {
+      return this.toJSONReply(entry, input, groups, config);
+    }
+    return this.toReply(entry, input, groups, toolsOffered);
+  },
+
+  /**
+   * Answer a structured output request with the entry's "json", or the fixture's
+   * @param {string|Object} entry - Fixture response
+   * @param {string} input - The user's message
+   * @param {Array} groups - Regex groups from the rule
+   * @param {Object} config - Active configuration
+   * @returns {Object} { content, error, latency }
+   */
+  toJSONReply(entry, input, groups, config) {
+    if (typeof entry === 'object' && entry.error) {
+      return this.toReply(entry, input, groups, false);
+    }
+    const json = typeof entry === 'object' && entry.json !== undefined
+      ? entry.json
+      : (config.json ?? this.builtInFixture.json);
+    const text = typeof json === 'string' ? json : JSON.stringify(json);
+    // Escape the input so it can be placed inside JSON strings
+    return {
+      latency: typeof entry === 'object' ? entry.latency : undefined,
+      content: this.fill(text, JSON.stringify(input).slice(1, -1), groups)
+    };
+  },
+
+  /**
+   * Find the first rule whose "match" fits the input
+   * @param {string} input - The user's message
+   * @param {Array} rules - Fixture rules
+   * @returns {Object|null} { entry, groups }
+   */
+  findRule(input, rules) {
+    for (const entry of rules) {
+      const pattern = entry.match || '';
+      const regex = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+      if (regex) {
+        const match = input.match(new RegExp(regex[1], regex[2]));
+        if (match) return { entry, groups: match.slice(1) };
+      } else if (input.toLowerCase().includes(pattern.toLowerCase())) {
+        return { entry, groups: [] };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Turn a fixture entry into a reply; tool calls are only used when the request offered tools
+   * @param {string|Object} entry - Fixture response
+   * @param {string} input - The user's message
+   * @param {Array} groups - Regex groups from the rule
+   * @param {boolean} toolsOffered - Whether the request included tools
+   * @returns {Object} { content, toolCalls, error, latency }
+   */
+  toReply(entry, input, groups, toolsOffered) {
+    if (typeof entry === 'string') {
+      return { content: this.fill(entry, input, groups) };
+    }
+    const reply = { latency: entry.latency };
+    if (entry.error) {
+      reply.error = {
+        ...entry.error,
+        status: Number(this.fill(String(entry.error.status ?? 500), input, groups)),
+        message: this.fill(entry.error.message || 'Mock error', input, groups)
+      };
+      return reply;
+    }
+    if (toolsOffered && Array.isArray(entry.toolCalls) && entry.toolCalls.length > 0) {
+      reply.toolCalls = entry.toolCalls.map((call, index) => ({
+        id: `mock-call-${Date.now()}-${index}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: this.fill(typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {}), input, groups)
+        }
+      }));
+      reply.content = '';
+    } else {
+      reply.content = this.fill(entry.content || '', input, groups);
+    }
+    return reply;
+  },
+
+  /**
+   * Replace "{input}" and "$1".."$9" in fixture text
+   * @param {string} text - Fixture text
+   * @param {string} input - The user's message
+   * @param {Array} groups - Regex groups
+   * @returns {string} The filled-in text
+   */
+  fill(text, input, groups) {
+    return text
+      .replace(/\{input\}/g, input)
+      .replace(/\$(\d)/g, (match, n) => groups[n - 1] ?? '');
+  },
+
+  /**
+   * Text of OpenAI-style message content (a string or text/image parts)
+   * @param {string|Array} content - Message content
+   * @returns {string} The text
+   */
+  getText(content) {
+    return Array.isArray(content)
+      ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+      : content || '';
+  },
+
+  /**
+   * Wait, stopping early if the request is cancelled
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - The request's abort signal
+   * @returns {Promise<void>}
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('Request cancelled', 'AbortError'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request cancelled', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms || 0);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  },
+
+  /**
+   * Build a JSON response
+   * @param {Object} data - Response body
+   * @param {number} [status] - HTTP status
+   * @param {Object} [headers] - Extra headers
+   * @returns {Response} The response
+   */
+  jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    });
+  },
+
+  /**
+   * Build the response for an injected error; status 0 fails like a network error
+   * @param {Object} error - { status, message, retryAfter }
+   * @returns {Response} The error response
+   * @throws {TypeError} For status 0
+   */
+  errorResponse(error) {
+    if (!error.status) {
+      throw new TypeError('Failed to fetch (simulated network error)');
+    }
+    const headers = error.retryAfter !== undefined ? { 'Retry-After': String(error.retryAfter) } : {};
+    return this.jsonResponse({
+      error: { message: error.message || `Mock HTTP ${error.status} error`, type: 'mock_error' }
+    }, error.status, headers);
+  },
+
+  /**
+   * Build a streamed (server-sent events) response with chunks sent at the configured pace
+   * @param {Object} body - Chat-completions request body
+   * @param {Object} reply - The chosen reply
+   * @param {Object} usage - Token usage to report
+   * @param {Object} config - Active configuration
+   * @param {AbortSignal} [signal] - The request's abort signal
+   * @returns {Response} The streamed response
+   */
+  streamResponse(body, reply, usage, config, signal) {
+    const id = `mock-${Date.now()}`;
+    const chunk = (delta, extra = {}) => ({
+      id, object: 'chat.completion.chunk', model: body.model,
+      choices: [{ index: 0, delta, finish_reason: null }], ...extra
+    });
+
+    const events = [];
+    const size = Math.max(1, config.chunkSize || 8);
+    const content = reply.content || '';
+    for (let i = 0; i < content.length; i += size) {
+      events.push(chunk({ content: content.substring(i, i + size) }));
+    }
+    (reply.toolCalls || []).forEach((call, index) => {
+      events.push(chunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] }));
+      const args = call.function.arguments;
+      for (let i = 0; i < args.length; i += size * 4) {
+        events.push(chunk({ tool_calls: [{ index, function: { arguments: args.substring(i, i + size * 4) } }] }));
+      }
+    });
+    events.push(chunk({}, { choices: [{ index: 0, delta: {}, finish_reason: reply.toolCalls ? 'tool_calls' : 'stop' }] }));
+    if (body.stream_options?.include_usage) {
+      events.push({ id, object: 'chat.completion.chunk', model: body.model, choices: [], usage });
+    }
+
+    const encoder = new TextEncoder();
+    let position = 0;
+    const stream = new ReadableStream({
+      pull: async (controller) => {
+        if (position > 0) {
+          try {
+            await this.wait(config.chunkDelay, signal);
+          } catch (error) {
+            controller.error(error);
+            return;
+          }
+        }
+        if (position < events.length) {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(events[position++])}\n\n`));
+        } else {
+          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          controller.close();
+        }
+      }
+    });
+    return new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } });
+  },
+
+  /**
+   * Describe the mock's settings for "/ai mock"
+   * @returns {Object} Status summary
+   */
+  getStatus() {
+    const config = this.getConfig();
+    return {
+      fixture: this.fixtureUrl || (this.fixture ? 'custom object' : 'built-in rules'),
+      latency: config.latency,
+      chunkDelay: config.chunkDelay,
+      errorRate: config.errorRate || 0,
+      errorStatus: config.error ? config.error.status : 500,
+      rules: (config.responses || []).length,
+      script: Array.isArray(config.script) ? `${this.scriptIndex}/${config.script.length} used` : 'none'
+    };
+  }
+};
+
+// Register the mock as a provider; "/ai endpoint mock://..." switches to it
+if (window.LLMProviders) {
+  window.LLMProviders.register({
+    id: 'mock',
+    name: 'Mock (offline)',
+    defaultEndpoint: 'mock://',
+    endpointProtocol: 'mock://',
+    defaultModel: 'mock-1',
+    models: ['mock-1', 'mock-large'],
+    contextWindows: {},
+    defaultContextWindow: 32000,
+    allowCustomModels: true,
+    requiresApiKey: false,
+    keyHint: 'The mock provider does not need an API key.',
+
+    validateApiKey() {
+      return true;
+    },
+    buildRequest(settings) {
+      return buildOpenAICompatibleRequest({ ...settings, includeUsage: true });
+    },
+    buildModelsRequest(settings) {
+      return { url: settings.endpoint, options: { method: 'GET' } };
+    },
+    parseResponse: parseOpenAICompatibleResponse,
+    parseStreamLine: parseOpenAICompatibleStreamLine,
+    parseModelList: parseOpenAICompatibleModelList,
+
+    // Answer in the browser instead of sending the request
+    fetch(url, options) {
+      return MockLLM.handle(url, options);
+    }
+  });
+}
+
+// Make the mock globally available (e.g. MockLLM.loadFixture({...}) in tests)
+window.MockLLM = MockLLM;
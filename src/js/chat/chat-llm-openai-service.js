@@ -4,11 +4,14 @@
  * 
  * This file provides the basic OpenAI service for API integration.
  * It handles API keys, endpoints, and communication with OpenAI.
+ * Requests are built and parsed by the active provider from
+ * chat-llm-providers.js, so other LLM APIs can be used as well.
  */
 
 class OpenAIService {
   constructor() {
     // Configuration
+    this.providerId = 'openai';
     this.apiEndpoint = 'https://api.openai.com/v1/chat/completions';
     this.model = 'gpt-4o-mini';
     this.apiKey = '';
@@ -25,12 +28,45 @@ Available commands:
 - Shapes: "draw pattern", "draw random"
 - Canvas: "clear canvas"
 
-When responding to user requests for visualizations or code, suggest appropriate canvas commands.`;
+When responding to user requests for visualizations or code, suggest appropriate canvas commands.
+If canvas tools are available, call them directly instead of describing the commands.`;
+    // Used by threads without a persona
+    this.defaultSystemPrompt = this.systemPrompt;
     this.messageHistory = [];
+    this.summaryMessage = null;
+    // Alternative continuations keyed by the history index of the user message where they diverge:
+    // { variants: [{ messages, forks }], active }. The active variant is the one in messageHistory.
+    this.forks = {};
+    this.availableModels = [];
+    this.imageTokenEstimate = 1000; // Rough context cost of one image input
 
-    // Load saved API key and endpoint (if available)
+    // Generation parameters sent with every request (null means the server default)
+    this.defaultGenerationParams = { temperature: 0.7, max_tokens: 1000, top_p: null, seed: null, stop: null };
+    this.generationParams = { ...this.defaultGenerationParams };
+    this.streamResponses = true;
+    this.useTools = true;
+    // 'off', 'module' (active module) or 'on' (all canvas tabs); off until the user opts in,
+    // since canvas content is sent to the remote API
+    this.canvasContextMode = 'off';
+    this.maxToolRounds = 5;
+    this.maxRetries = 3;
+    this.retryBaseDelay = 1000;
+    this.abortController = null;
+    // Where API keys are kept: 'local' (localStorage), 'encrypted' (localStorage, passphrase) or 'session' (memory only)
+    this.keyStorage = 'local';
+    // Derived key and salt while encrypted keys are unlocked
+    this.vault = null;
+
+    // Load saved provider, API key, endpoint, model, streaming and tool preferences (if available)
+    this.loadSavedProvider();
+    this.loadSavedKeyStorage();
     this.loadSavedApiKey();
     this.loadSavedEndpoint();
+    this.loadSavedModel();
+    this.loadSavedStreamSetting();
+    this.loadSavedToolsSetting();
+    this.loadSavedContextSetting();
+    this.loadSavedGenerationParams();
 
     // Initialize conversation history with the system prompt
     this.addSystemMessageToHistory();
@@ -41,28 +77,88 @@ When responding to user requests for visualizations or code, suggest appropriate
     window.openAIServiceInitialized = true;
   }
 
-  // Validate the API key format (basic check)
-  validateApiKey() {
-    return (
-      this.apiKey &&
-      typeof this.apiKey === 'string' &&
-      this.apiKey.startsWith('sk-') &&
-      this.apiKey.length > 30
-    );
+  // The active provider definition (falls back to OpenAI)
+  get provider() {
+    return window.LLMProviders?.get(this.providerId) || window.LLMProviders?.get('openai');
   }
 
-  // Set API key and save it to localStorage
-  setApiKey(key) {
-    this.apiKey = key;
+  // localStorage key for a per-provider setting; OpenAI keeps its original key names
+  storageKey(setting) {
+    switch (setting) {
+      case 'apiKey': return `canvas_${this.providerId}_api_key`;
+      case 'encryptedApiKey': return `canvas_${this.providerId}_api_key_encrypted`;
+      case 'endpoint': return `${this.providerId}_api_endpoint`;
+      default: return `${this.providerId}_${setting}`;
+    }
+  }
+
+  // Switch to another provider and load its saved settings
+  setProvider(providerId) {
+    const provider = window.LLMProviders?.get(providerId);
+    if (!provider) {
+      return false;
+    }
+    this.providerId = provider.id;
     try {
-      localStorage.setItem('canvas_openai_api_key', key);
-      console.log(
-        '[DEBUG] API key saved to localStorage as "canvas_openai_api_key":',
-        key.substring(0, 6) + '...'
-      );
+      localStorage.setItem('llm_provider', provider.id);
     } catch (e) {
-      console.warn('[DEBUG] Could not save API key to localStorage', e);
+      console.warn('Could not save provider to localStorage', e);
     }
+
+    // Each provider keeps its own key, endpoint and model
+    this.apiKey = '';
+    this.apiEndpoint = provider.defaultEndpoint;
+    this.model = provider.defaultModel;
+    // An unlocked passphrase also unlocks this provider's encrypted key
+    this.loadSavedApiKey();
+    this.loadSavedEndpoint();
+    this.loadSavedModel();
+    this.availableModels = [];
+
+    const isValid = this.validateApiKey();
+    if (window.ChatInterface) {
+      window.ChatInterface.apiKeySet = isValid;
+    }
+    if (typeof updateStatusBarWithAIInfo === 'function' && isValid) {
+      updateStatusBarWithAIInfo(this.model);
+    }
+
+    // Dispatch an event that the slash command system can listen for
+    document.dispatchEvent(new CustomEvent('openai:provider-changed', {
+      detail: { provider: provider.id, valid: isValid }
+    }));
+
+    return true;
+  }
+
+  // Load the saved provider from localStorage
+  loadSavedProvider() {
+    try {
+      const savedProvider = localStorage.getItem('llm_provider');
+      const provider = savedProvider && window.LLMProviders?.get(savedProvider);
+      if (provider) {
+        this.providerId = provider.id;
+        this.apiEndpoint = provider.defaultEndpoint;
+        this.model = provider.defaultModel;
+      }
+    } catch (e) {
+      console.warn('Could not load provider from localStorage', e);
+    }
+  }
+
+  // Validate the API key format for the active provider (basic check)
+  validateApiKey() {
+    const provider = this.provider;
+    if (!provider) {
+      return !!this.apiKey && this.apiKey.startsWith('sk-') && this.apiKey.length > 30;
+    }
+    return provider.validateApiKey(this.apiKey);
+  }
+
+  // Set API key and store it according to the key storage mode
+  setApiKey(key) {
+    this.apiKey = key;
+    this.storeApiKey(key).catch(e => console.warn('[DEBUG] Could not store API key', e));
     const isValid = this.validateApiKey();
     // Update ChatInterface flag if available
     if (isValid && window.ChatInterface) {
@@ -81,48 +177,221 @@ When responding to user requests for visualizations or code, suggest appropriate
     return isValid;
   }
 
-  // Load the API key from localStorage
+  // Save a key in localStorage (plain or encrypted) unless keys are kept for this session only
+  async storeApiKey(key) {
+    if (this.keyStorage === 'session') {
+      this.removeStoredApiKey();
+      return 'session';
+    }
+    if (this.keyStorage === 'encrypted') {
+      // Without an unlocked passphrase the key stays in memory until '/ai key lock PASSPHRASE'
+      if (!this.vault) return 'session';
+      const record = await window.ChatKeyVault.encrypt(key, this.vault);
+      localStorage.setItem(this.storageKey('encryptedApiKey'), JSON.stringify(record));
+      localStorage.removeItem(this.storageKey('apiKey'));
+      console.log('[DEBUG] Encrypted API key saved to localStorage');
+      return 'encrypted';
+    }
+    localStorage.setItem(this.storageKey('apiKey'), key);
+    console.log(`[DEBUG] API key saved to localStorage as "${this.storageKey('apiKey')}"`);
+    return 'local';
+  }
+
+  // Remove the active provider's key (plain and encrypted) from localStorage
+  removeStoredApiKey() {
+    try {
+      localStorage.removeItem(this.storageKey('apiKey'));
+      localStorage.removeItem(this.storageKey('encryptedApiKey'));
+    } catch (e) {
+      console.warn('Could not remove API key from localStorage', e);
+    }
+  }
+
+  // The active provider's encrypted key record, if one is stored
+  getEncryptedApiKey() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey('encryptedApiKey')) || 'null');
+    } catch (e) {
+      console.warn('Could not read encrypted API key from localStorage', e);
+      return null;
+    }
+  }
+
+  // Load the API key from localStorage; encrypted keys need '/ai key unlock' (or an unlocked vault)
   loadSavedApiKey() {
     try {
-      const savedKey = localStorage.getItem('canvas_openai_api_key');
+      const savedKey = this.keyStorage === 'local' ? localStorage.getItem(this.storageKey('apiKey')) : null;
       if (savedKey) {
         this.apiKey = savedKey;
-        console.log(
-          '[DEBUG] Loaded API key from localStorage:',
-          savedKey.substring(0, 6) + '...'
-        );
+        console.log('[DEBUG] Loaded API key from localStorage');
         // Delay update to allow ChatInterface to initialize
         if (this.validateApiKey()) {
-          setTimeout(() => {
-            if (window.ChatInterface) {
-              window.ChatInterface.apiKeySet = true;
-              console.log('[DEBUG] Updated ChatInterface.apiKeySet to true after loading API key');
-            }
-            
-            // Dispatch an event that the slash command system can listen for
-            document.dispatchEvent(new CustomEvent('openai:api-key-loaded', { 
-              detail: { valid: true }
-            }));
-          }, 500);
+          setTimeout(() => this.announceApiKeyLoaded(), 500);
+        }
+      } else if (this.keyStorage === 'encrypted' && this.getEncryptedApiKey()) {
+        console.log('[DEBUG] Encrypted API key found; use "/ai key unlock" to use it');
+        if (this.vault) {
+          this.decryptSavedApiKey(this.vault).catch(() => {});
         }
       } else {
-        console.log('[DEBUG] No API key found in localStorage under "canvas_openai_api_key".');
+        console.log(`[DEBUG] No API key found in localStorage under "${this.storageKey('apiKey')}".`);
       }
     } catch (e) {
       console.warn('[DEBUG] Could not load API key from localStorage', e);
     }
   }
 
+  // Tell the chat interface and slash command system that a usable key was loaded
+  announceApiKeyLoaded() {
+    if (window.ChatInterface) {
+      window.ChatInterface.apiKeySet = true;
+      console.log('[DEBUG] Updated ChatInterface.apiKeySet to true after loading API key');
+    }
+    if (typeof updateStatusBarWithAIInfo === 'function') {
+      updateStatusBarWithAIInfo(this.model);
+    }
+
+    // Dispatch an event that the slash command system can listen for
+    document.dispatchEvent(new CustomEvent('openai:api-key-loaded', { 
+      detail: { valid: true }
+    }));
+  }
+
+  // Load the key storage mode from localStorage
+  loadSavedKeyStorage() {
+    try {
+      const saved = localStorage.getItem('llm_key_storage');
+      if (['local', 'encrypted', 'session'].includes(saved)) {
+        this.keyStorage = saved;
+      }
+    } catch (e) {
+      console.warn('Could not load key storage mode from localStorage', e);
+    }
+  }
+
+  // Set and save the key storage mode
+  setKeyStorage(mode) {
+    this.keyStorage = mode;
+    try {
+      localStorage.setItem('llm_key_storage', mode);
+    } catch (e) {
+      console.warn('Could not save key storage mode to localStorage', e);
+    }
+  }
+
+  // Decrypt the active provider's stored key with a vault and start using it
+  async decryptSavedApiKey(vault) {
+    const record = this.getEncryptedApiKey();
+    if (!record) {
+      throw new Error(`No encrypted ${this.provider?.name || 'OpenAI'} API key is stored`);
+    }
+    this.apiKey = await window.ChatKeyVault.decrypt(record, vault);
+    if (this.validateApiKey()) {
+      this.announceApiKeyLoaded();
+    }
+    return this.apiKey;
+  }
+
+  // Encrypt the key with a passphrase and remove it from memory, or re-lock an unlocked key
+  async lockApiKey(passphrase) {
+    if (!passphrase) {
+      if (this.keyStorage !== 'encrypted' || !this.getEncryptedApiKey()) {
+        return { success: false, message: 'Provide a passphrase to encrypt your key, e.g. "/ai key lock PASSPHRASE".' };
+      }
+    } else {
+      const key = this.apiKey || localStorage.getItem(this.storageKey('apiKey'));
+      if (!key) {
+        return { success: false, message: `Set your ${this.provider?.name || 'OpenAI'} API key first using "/ai key YOUR_KEY".` };
+      }
+      this.vault = await window.ChatKeyVault.createVault(passphrase);
+      this.setKeyStorage('encrypted');
+      await this.storeApiKey(key);
+    }
+
+    this.apiKey = '';
+    this.vault = null;
+    this.announceApiKeyLocked();
+    return { success: true, message: 'API key encrypted and locked. Use "/ai key unlock PASSPHRASE" to use it again.' };
+  }
+
+  // Decrypt the stored key with a passphrase; the passphrase is remembered (as a derived key) until locked
+  async unlockApiKey(passphrase) {
+    const record = this.getEncryptedApiKey();
+    if (!record) {
+      return { success: false, message: `No encrypted ${this.provider?.name || 'OpenAI'} API key is stored.` };
+    }
+    try {
+      const vault = await window.ChatKeyVault.createVault(passphrase, record.salt);
+      await this.decryptSavedApiKey(vault);
+      this.vault = vault;
+      return { success: true, message: 'API key unlocked for this session.' };
+    } catch (e) {
+      return { success: false, message: e.message };
+    }
+  }
+
+  // Remove the active provider's key from memory and storage
+  forgetApiKey() {
+    this.apiKey = '';
+    this.removeStoredApiKey();
+    this.announceApiKeyLocked();
+  }
+
+  // Keep keys in memory only (on) or go back to plain localStorage (off)
+  setSessionOnlyKeys(enabled) {
+    if (enabled) {
+      this.setKeyStorage('session');
+      this.vault = null;
+      this.removeStoredApiKey();
+    } else {
+      this.setKeyStorage('local');
+      if (this.apiKey) {
+        this.storeApiKey(this.apiKey).catch(e => console.warn('[DEBUG] Could not store API key', e));
+      }
+    }
+  }
+
+  // Tell the chat interface that no key is available any more
+  announceApiKeyLocked() {
+    if (window.ChatInterface) {
+      window.ChatInterface.apiKeySet = false;
+    }
+    document.dispatchEvent(new CustomEvent('openai:api-key-updated', {
+      detail: { valid: false }
+    }));
+  }
+
+  // Where the active provider's key is kept, for '/ai key' and the settings panel
+  getKeyStatus() {
+    const encryptedStored = !!this.getEncryptedApiKey();
+    return {
+      storage: this.keyStorage,
+      set: !!this.apiKey,
+      encryptedStored,
+      unlocked: !!this.vault,
+      locked: encryptedStored && !this.apiKey
+    };
+  }
+
   // Set API endpoint and save it to localStorage
   setApiEndpoint(endpoint) {
     try {
-      const url = new URL(endpoint);
-      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
-        return false;
+      // Endpoints like "mock://" belong to a provider, so switch to it first
+      const owner = window.LLMProviders?.forEndpoint(endpoint);
+      if (owner) {
+        if (owner.id !== this.providerId) {
+          this.setProvider(owner.id);
+        }
+      } else {
+        const url = new URL(endpoint);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return false;
+        }
       }
       this.apiEndpoint = endpoint;
+      this.availableModels = [];
       try {
-        localStorage.setItem('openai_api_endpoint', endpoint);
+        localStorage.setItem(this.storageKey('endpoint'), endpoint);
       } catch (e) {
         console.warn('Could not save API endpoint to localStorage', e);
       }
@@ -142,7 +411,7 @@ When responding to user requests for visualizations or code, suggest appropriate
   // Load saved API endpoint from localStorage
   loadSavedEndpoint() {
     try {
-      const savedEndpoint = localStorage.getItem('openai_api_endpoint');
+      const savedEndpoint = localStorage.getItem(this.storageKey('endpoint'));
       if (savedEndpoint) {
         this.apiEndpoint = savedEndpoint;
         return true;
@@ -155,9 +424,10 @@ When responding to user requests for visualizations or code, suggest appropriate
 
   // Reset API endpoint to default and remove from localStorage
   resetApiEndpoint() {
-    this.apiEndpoint = 'https://api.openai.com/v1/chat/completions';
+    this.apiEndpoint = this.provider ? this.provider.defaultEndpoint : 'https://api.openai.com/v1/chat/completions';
+    this.availableModels = [];
     try {
-      localStorage.removeItem('openai_api_endpoint');
+      localStorage.removeItem(this.storageKey('endpoint'));
     } catch (e) {
       console.warn('Could not remove API endpoint from localStorage', e);
     }
@@ -168,12 +438,112 @@ When responding to user requests for visualizations or code, suggest appropriate
     return true;
   }
 
+  // Enable or disable token-by-token streaming and save the choice to localStorage
+  setStreamResponses(enabled) {
+    this.streamResponses = !!enabled;
+    try {
+      localStorage.setItem('openai_stream_responses', this.streamResponses ? 'true' : 'false');
+    } catch (e) {
+      console.warn('Could not save streaming setting to localStorage', e);
+    }
+    return this.streamResponses;
+  }
+
+  // Load saved streaming preference from localStorage (defaults to enabled)
+  loadSavedStreamSetting() {
+    try {
+      const savedSetting = localStorage.getItem('openai_stream_responses');
+      if (savedSetting !== null) {
+        this.streamResponses = savedSetting === 'true';
+      }
+    } catch (e) {
+      console.warn('Could not load streaming setting from localStorage', e);
+    }
+  }
+
+  // Enable or disable native tool calling and save the choice to localStorage
+  setUseTools(enabled) {
+    this.useTools = !!enabled;
+    try {
+      localStorage.setItem('openai_use_tools', this.useTools ? 'true' : 'false');
+    } catch (e) {
+      console.warn('Could not save tool calling setting to localStorage', e);
+    }
+    return this.useTools;
+  }
+
+  // Load saved tool calling preference from localStorage (defaults to enabled)
+  loadSavedToolsSetting() {
+    try {
+      const savedSetting = localStorage.getItem('openai_use_tools');
+      if (savedSetting !== null) {
+        this.useTools = savedSetting === 'true';
+      }
+    } catch (e) {
+      console.warn('Could not load tool calling setting from localStorage', e);
+    }
+  }
+
+  // Choose which canvas content is attached to prompts: 'off', 'module' or 'on' (all tabs)
+  setCanvasContextMode(mode) {
+    if (!['off', 'module', 'on'].includes(mode)) {
+      return false;
+    }
+    this.canvasContextMode = mode;
+    try {
+      localStorage.setItem('openai_canvas_context', mode);
+    } catch (e) {
+      console.warn('Could not save canvas context setting to localStorage', e);
+    }
+    return true;
+  }
+
+  // Load saved canvas context preference from localStorage (defaults to off)
+  loadSavedContextSetting() {
+    try {
+      const savedSetting = localStorage.getItem('openai_canvas_context');
+      if (['off', 'module', 'on'].includes(savedSetting)) {
+        this.canvasContextMode = savedSetting;
+      }
+    } catch (e) {
+      console.warn('Could not load canvas context setting from localStorage', e);
+    }
+  }
+
+  // Messages to send, with a note describing the canvas inserted before the latest user message.
+  // The note is not kept in history, so it is always current and never summarized.
+  withCanvasContext(context, userEntry) {
+    if (!context) {
+      return this.messageHistory;
+    }
+    const note = {
+      role: 'system',
+      content: 'Current canvas content (JSON). When the user refers to "this code", "this chart" and so on, ' +
+        `they mean this content:\n${context}`
+    };
+    const index = this.messageHistory.lastIndexOf(userEntry);
+    const position = index === -1 ? this.messageHistory.length : index;
+    return [...this.messageHistory.slice(0, position), note, ...this.messageHistory.slice(position)];
+  }
+
+  // Messages with knowledge base excerpts inserted before the latest user message.
+  // Like the canvas note, the excerpts are only sent with this request.
+  withKnowledge(messages, knowledge, userEntry) {
+    if (!knowledge) {
+      return messages;
+    }
+    const index = messages.lastIndexOf(userEntry);
+    const position = index === -1 ? messages.length : index;
+    return [...messages.slice(0, position), { role: 'system', content: knowledge.note }, ...messages.slice(position)];
+  }
+
   // Add the system prompt as the first message in history
   addSystemMessageToHistory() {
     this.messageHistory = [{
       role: 'system',
       content: this.systemPrompt
     }];
+    this.summaryMessage = null;
   }
 
   // Update the system prompt and reset conversation history
@@ -182,72 +552,748 @@ When responding to user requests for visualizations or code, suggest appropriate
     this.addSystemMessageToHistory();
   }
 
+  // Change the system prompt but keep the conversation (used for personas)
+  setSystemPrompt(prompt) {
+    this.systemPrompt = prompt;
+    if (this.messageHistory.length > 0 && this.messageHistory[0].role === 'system') {
+      this.messageHistory[0] = { role: 'system', content: prompt };
+    } else {
+      this.messageHistory.unshift({ role: 'system', content: prompt });
+    }
+  }
+
+  // Replace the conversation with saved messages (used when switching sessions)
+  restoreConversation(messages, systemPrompt, forks = {}) {
+    this.systemPrompt = systemPrompt || this.systemPrompt;
+    this.forks = forks || {};
+    const history = (messages || []).filter(message => message.role !== 'system' || message.content !== this.systemPrompt);
+    this.messageHistory = [{ role: 'system', content: this.systemPrompt }, ...history];
+    this.summaryMessage = this.messageHistory.find(message =>
+      message.role === 'system' && message.content.startsWith('Summary of the earlier conversation:')) || null;
+  }
+
   // Reset conversation history to just the system message
   resetConversation() {
     this.addSystemMessageToHistory();
+    this.forks = {};
     
     // Dispatch an event that the slash command system can listen for
     document.dispatchEvent(new CustomEvent('openai:conversation-reset', {}));
   }
 
-  // Add a user message to history; limit history to 20 messages
-  addUserMessage(message) {
-    this.messageHistory.push({ role: 'user', content: message });
-    if (this.messageHistory.length > 20) {
-      const systemIdx = this.messageHistory.findIndex(msg => msg.role === 'system');
-      if (systemIdx === 0) {
-        this.messageHistory.splice(1, 1);
-      } else {
-        this.messageHistory.splice(0, 1);
+  // Add a user message to history (compactHistory keeps it within the token budget)
+  addUserMessage(message, images = []) {
+    // Images are sent as image_url parts next to the text (data URLs or links)
+    const content = images.length > 0
+      ? [{ type: 'text', text: message }, ...images.map(url => ({ type: 'image_url', image_url: { url } }))]
+      : message;
+    this.messageHistory.push({ role: 'user', content });
+  }
+
+  // Text of a message whose content may be a string or a list of text/image parts
+  getMessageText(message) {
+    if (!Array.isArray(message.content)) {
+      return message.content || '';
+    }
+    return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+
+  // Number of images attached to a message
+  countImages(message) {
+    return Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'image_url').length
+      : 0;
+  }
+
+  // Rough token estimate for a list of messages (about 4 characters per token)
+  estimateTokens(messages) {
+    return messages.reduce((total, message) => {
+      let text = this.getMessageText(message);
+      if (message.tool_calls) {
+        text += JSON.stringify(message.tool_calls);
       }
+      // Each message carries a few tokens of role/formatting overhead
+      return total + Math.ceil(text.length / 4) + 4 + this.countImages(message) * this.imageTokenEstimate;
+    }, 0);
+  }
+
+  // Context window of the current model, as declared by the provider
+  getContextWindow() {
+    const provider = this.provider;
+    return provider?.contextWindows?.[this.model] || provider?.defaultContextWindow || 8192;
+  }
+
+  // Tokens available for history after leaving room for the reply and any extra request data
+  getHistoryTokenBudget(reservedTokens = 0) {
+    const replyTokens = this.generationParams.max_tokens || this.defaultGenerationParams.max_tokens;
+    return Math.max(this.getContextWindow() - replyTokens - reservedTokens, 1024);
+  }
+
+  // Summarize older turns into a system note when history exceeds the token budget
+  async compactHistory(reservedTokens = 0) {
+    const budget = this.getHistoryTokenBudget(reservedTokens);
+    if (this.estimateTokens(this.messageHistory) <= budget) {
+      return false;
+    }
+
+    // Keep the system prompt plus as many recent messages as fit in half the budget
+    const head = this.messageHistory[0]?.role === 'system' && this.messageHistory[0] !== this.summaryMessage ? 1 : 0;
+    let cut = this.messageHistory.length - 1;
+    let kept = this.estimateTokens([this.messageHistory[cut]]);
+    while (cut - 1 >= head) {
+      const size = this.estimateTokens([this.messageHistory[cut - 1]]);
+      if (this.messageHistory[cut - 1] === this.summaryMessage || kept + size > budget / 2) break;
+      kept += size;
+      cut--;
     }
+    // Tool results must stay with the assistant message that requested them
+    while (cut < this.messageHistory.length - 1 && this.messageHistory[cut].role === 'tool') {
+      cut++;
+    }
+
+    const older = this.messageHistory.slice(head, cut);
+    if (older.length === 0 || (older.length === 1 && older[0] === this.summaryMessage)) {
+      return false;
+    }
+
+    const summary = await this.summarizeMessages(older, budget);
+    const summaryMessage = {
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${summary}`
+    };
+    this.messageHistory.splice(head, cut - head, summaryMessage);
+    this.summaryMessage = summaryMessage;
+    this.forks = this.shiftForks(this.forks, head, cut);
+    console.log(`Summarized ${older.length} older messages to stay within ${budget} tokens`);
+
+    // Dispatch an event that the slash command system can listen for
+    document.dispatchEvent(new CustomEvent('openai:history-summarized', {
+      detail: { messages: older.length, budget }
+    }));
+
+    return true;
+  }
+
+  // Move fork positions after messages [start, end) were replaced by one summary message.
+  // Forks inside the summarized part are dropped.
+  shiftForks(forks, start, end) {
+    const shifted = {};
+    Object.keys(forks).map(Number).filter(key => key >= end).forEach(key => {
+      const fork = forks[key];
+      fork.variants.forEach(variant => {
+        variant.forks = this.shiftForks(variant.forks || {}, start, end);
+      });
+      shifted[key - (end - start - 1)] = fork;
+    });
+    return shifted;
+  }
+
+  // Remove and return the forks that lie after a history index
+  takeForksAfter(index) {
+    const nested = {};
+    Object.keys(this.forks).map(Number).filter(key => key > index).forEach(key => {
+      nested[key] = this.forks[key];
+      delete this.forks[key];
+    });
+    return nested;
+  }
+
+  // Keep the conversation from a user message onwards as a branch, then cut history back to it.
+  // Returns the index of the branch that was active.
+  forkAt(index) {
+    const fork = this.forks[index] || { variants: [], active: 0 };
+    const previous = fork.active;
+    fork.variants[fork.active] = { messages: this.messageHistory.slice(index), forks: this.takeForksAfter(index) };
+    fork.active = fork.variants.length;
+    fork.variants.push({ messages: [], forks: {} });
+    this.forks[index] = fork;
+    this.messageHistory = this.messageHistory.slice(0, index);
+    return previous;
+  }
+
+  // Show another branch of a fork in place of the current one
+  switchBranch(index, variant) {
+    const fork = this.forks[index];
+    if (!fork || !fork.variants[variant] || this.abortController) {
+      return false;
+    }
+    fork.variants[fork.active] = { messages: this.messageHistory.slice(index), forks: this.takeForksAfter(index) };
+    this.loadBranch(index, variant);
+    document.dispatchEvent(new CustomEvent('openai:conversation-updated', {
+      detail: { messageCount: this.messageHistory.length }
+    }));
+    return true;
+  }
+
+  // Put a stored branch into messageHistory
+  loadBranch(index, variant) {
+    const fork = this.forks[index];
+    const target = fork.variants[variant];
+    this.messageHistory = [...this.messageHistory.slice(0, index), ...target.messages];
+    Object.assign(this.forks, target.forks);
+    fork.active = variant;
+  }
+
+  // Drop the active (empty) branch of a fork and go back to another one
+  dropBranch(index, fallback) {
+    const fork = this.forks[index];
+    fork.variants.splice(fork.active, 1);
+    this.takeForksAfter(index);
+    this.loadBranch(index, Math.min(fallback, fork.variants.length - 1));
+    if (fork.variants.length < 2) {
+      delete this.forks[index];
+    }
+  }
+
+  // Branch position of a fork as { index, active, count }, or null if the message has no alternatives
+  getBranchInfo(index) {
+    const fork = this.forks[index];
+    return fork && fork.variants.length > 1
+      ? { index, active: fork.active, count: fork.variants.length }
+      : null;
+  }
+
+  // Send a new version of the user message at a history index as a new branch.
+  // The old continuation stays available through switchBranch.
+  async branchFrom(index, message, options = {}) {
+    const entry = this.messageHistory[index];
+    if (!entry || entry.role !== 'user') {
+      return { success: false, message: 'Only your own messages can be edited or regenerated.' };
+    }
+    if (this.abortController) {
+      return { success: false, message: 'A request is already in progress. Use "/ai stop" to cancel it.' };
+    }
+
+    const previous = this.forkAt(index);
+    const result = await this.processMessage(message, options);
+    // A failed request leaves the new branch empty, so go back to the previous one
+    const forkIndex = this.messageHistory.length;
+    if (!result.success && this.forks[forkIndex]) {
+      this.dropBranch(forkIndex, previous);
+      document.dispatchEvent(new CustomEvent('openai:conversation-updated', {
+        detail: { messageCount: this.messageHistory.length }
+      }));
+    }
+    return result;
+  }
+
+  // Image URLs attached to a message
+  getMessageImages(message) {
+    return Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'image_url').map(part => part.image_url.url)
+      : [];
+  }
+
+  // Ask the model for a compact summary of messages (falls back to a trimmed transcript)
+  async summarizeMessages(messages, budget) {
+    const transcript = messages.map(message => {
+      const images = this.countImages(message) > 0 ? ` [${this.countImages(message)} image(s)]` : '';
+      const text = (this.getMessageText(message) + images) ||
+        (message.tool_calls ? `[called ${message.tool_calls.map(t => t.function.name).join(', ')}]` : '');
+      return `${message.role}: ${text}`;
+    }).join('\n\n');
+    // Only send as much of the transcript as comfortably fits in the context
+    const excerpt = transcript.slice(-budget * 2);
+
+    try {
+      const completion = await this.requestCompletion(null, null, [
+        {
+          role: 'system',
+          content: 'Summarize the conversation below in a few short bullet points. ' +
+            'Keep facts, decisions, names, URLs and any data or code the user may refer to later.'
+        },
+        { role: 'user', content: excerpt }
+      ]);
+      if (!completion.error && completion.content) {
+        return completion.content.trim();
+      }
+      console.warn('Could not summarize conversation history:', completion.error);
+    } catch (e) {
+      console.warn('Could not summarize conversation history', e);
+    }
+    return excerpt.slice(-2000);
+  }
+
+  // Add an assistant message to history, including any tool calls it made
+  addAssistantMessage(message, toolCalls) {
+    const entry = { role: 'assistant', content: message };
+    if (toolCalls && toolCalls.length > 0) {
+      entry.tool_calls = toolCalls;
+    }
+    this.messageHistory.push(entry);
   }
 
-  // Add an assistant message to history
-  addAssistantMessage(message) {
-    this.messageHistory.push({ role: 'assistant', content: message });
+  // Add the result of a tool call to history so the model can see it
+  addToolResult(toolCallId, result) {
+    this.messageHistory.push({
+      role: 'tool',
+      tool_call_id: toolCallId,
+      content: typeof result === 'string' ? result : JSON.stringify(result)
+    });
   }
 
-  // Process the user message with OpenAI and return the assistant's response
-  async processMessage(userMessage) {
+  // Process the user message with OpenAI and return the assistant's response.
+  // Pass options.onToken(token, fullText) to receive the reply as it streams in.
+  // Pass options.images (image URLs or data URLs) to send pictures along with the message.
+  // Pass options.getContext(mode) to describe the canvas; it is called before every request
+  // unless the canvas context mode is 'off'.
+  // Pass options.getKnowledge(text) to send matching knowledge base excerpts ({ note, sources });
+  // it is called once per message and the sources are returned with the result.
+  // Pass options.tools and options.onToolCall(toolCall) to let the model call tools;
+  // each tool result is sent back to the model until it produces a final answer.
+  // fullText restarts for every request made after a round of tool calls.
+  async processMessage(userMessage, options = {}) {
     if (!this.validateApiKey()) {
-      return { success: false, message: 'Please set your OpenAI API key first using the "/ai key" command.' };
+      return { success: false, message: `Please set your ${this.provider?.name || 'OpenAI'} API key first using the "/ai key" command.` };
     }
-    this.addUserMessage(userMessage);
+    if (this.abortController) {
+      return { success: false, message: 'A request is already in progress. Use "/ai stop" to cancel it.' };
+    }
+    this.abortController = new AbortController();
+    this.addUserMessage(userMessage, options.images || []);
+    const userEntry = this.messageHistory[this.messageHistory.length - 1];
+    const stream = this.streamResponses && typeof options.onToken === 'function';
+    const tools = this.useTools && typeof options.onToolCall === 'function' ? options.tools : null;
+    const executedToolCalls = [];
+    let transcript = '';
+    let totalTokens = 0;
+    let promptTokens = 0;
+    let completionTokens = 0;
     try {
-      const requestBody = {
-        model: this.model,
-        messages: this.messageHistory,
-        max_tokens: 1000,
-        temperature: 0.7
+      const knowledge = typeof options.getKnowledge === 'function' ? options.getKnowledge(this.getMessageText(userEntry)) : null;
+      const reservedTokens = (tools ? this.estimateTokens([{ content: JSON.stringify(tools) }]) : 0) +
+        (knowledge ? this.estimateTokens([{ content: knowledge.note }]) : 0);
+      for (let round = 0; round <= this.maxToolRounds; round++) {
+        // Describe the canvas again each round, since tool calls may have changed it
+        const context = this.canvasContextMode !== 'off' && typeof options.getContext === 'function'
+          ? options.getContext(this.canvasContextMode)
+          : null;
+        const contextTokens = context ? this.estimateTokens([{ content: context }]) : 0;
+        await this.compactHistory(reservedTokens + contextTokens);
+
+        // Stop offering tools on the last round so the model has to answer
+        const offerTools = tools && tools.length > 0 && round < this.maxToolRounds;
+        const completion = await this.requestCompletion(
+          offerTools ? tools : null,
+          stream ? options.onToken : null,
+          this.withKnowledge(this.withCanvasContext(context, userEntry), knowledge, userEntry),
+          options.onRetry
+        );
+        if (completion.error) {
+          this.discardUnansweredMessage(userEntry, executedToolCalls);
+          return { success: false, message: completion.error, toolCalls: executedToolCalls };
+        }
+        totalTokens += completion.totalTokens;
+        promptTokens += completion.promptTokens;
+        completionTokens += completion.completionTokens;
+        if (completion.content) {
+          transcript = transcript ? `${transcript}\n\n${completion.content}` : completion.content;
+        }
+
+        if (!offerTools || completion.toolCalls.length === 0) {
+          this.addAssistantMessage(completion.content || (transcript ? '' : 'Sorry, I couldn\'t generate a response.'));
+          break;
+        }
+
+        // Run each requested tool and report the result back to the model
+        this.addAssistantMessage(completion.content || null, completion.toolCalls);
+        for (const toolCall of completion.toolCalls) {
+          const result = await options.onToolCall(toolCall);
+          executedToolCalls.push({ toolCall, result });
+          this.addToolResult(toolCall.id, {
+            success: !!result?.success,
+            message: result?.message || result?.error || ''
+          });
+        }
+      }
+      const assistantMessage = transcript || (executedToolCalls.length > 0 ? '' : 'Sorry, I couldn\'t generate a response.');
+      return {
+        success: true,
+        message: assistantMessage,
+        totalTokens,
+        promptTokens,
+        completionTokens,
+        toolCalls: executedToolCalls,
+        sources: knowledge ? knowledge.sources : [],
+        userIndex: this.messageHistory.indexOf(userEntry)
       };
-      const response = await fetch(this.apiEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-      });
-      const responseData = await response.json();
-      if (!response.ok) {
-        console.error('OpenAI API error:', responseData);
-        return { success: false, message: `OpenAI API error: ${responseData.error?.message || 'Unknown error'}` };
-      }
-      const assistantMessage = responseData.choices[0]?.message?.content || 'Sorry, I couldn\'t generate a response.';
-      this.addAssistantMessage(assistantMessage);
-      return { success: true, message: assistantMessage, totalTokens: responseData.usage?.total_tokens || 0 };
     } catch (error) {
+      this.discardUnansweredMessage(userEntry, executedToolCalls);
+      if (error.name === 'AbortError') {
+        console.log('AI request cancelled');
+        return { success: false, cancelled: true, message: 'Request cancelled.', toolCalls: executedToolCalls };
+      }
       console.error('Error calling OpenAI API:', error);
+      return { success: false, message: `Error: ${error.message || 'Failed to connect to OpenAI'}`, toolCalls: executedToolCalls };
+    } finally {
+      this.abortController = null;
+      // Dispatch an event so the session store can save the conversation
+      document.dispatchEvent(new CustomEvent('openai:conversation-updated', {
+        detail: { messageCount: this.messageHistory.length }
+      }));
+    }
+  }
+
+  // Ask for an answer as JSON matching a schema instead of prose. Uses the provider's
+  // JSON mode where there is one; the schema is also given in the instructions.
+  // options: { name, schema, instructions, validate(data) returning a list of problems, onRetry }
+  async requestStructured(prompt, options = {}) {
+    if (!this.validateApiKey()) {
+      return { success: false, message: `Please set your ${this.provider?.name || 'OpenAI'} API key first using the "/ai key" command.` };
+    }
+    if (this.abortController) {
+      return { success: false, message: 'A request is already in progress. Use "/ai stop" to cancel it.' };
+    }
+    this.abortController = new AbortController();
+    this.addUserMessage(prompt);
+    const userEntry = this.messageHistory[this.messageHistory.length - 1];
+    // Like the canvas context, the instructions are only sent with this request
+    const note = {
+      role: 'system',
+      content: `${options.instructions ? `${options.instructions}\n\n` : ''}` +
+        `Reply with only a JSON object that matches this JSON Schema, with no other text:\n${JSON.stringify(options.schema)}`
+    };
+    try {
+      await this.compactHistory(this.estimateTokens([note]));
+      const index = this.messageHistory.lastIndexOf(userEntry);
+      const completion = await this.requestCompletion(
+        null,
+        null,
+        [...this.messageHistory.slice(0, index), note, ...this.messageHistory.slice(index)],
+        options.onRetry,
+        { name: options.name || 'structured_output', schema: options.schema }
+      );
+      if (completion.error) {
+        this.discardUnansweredMessage(userEntry, []);
+        return { success: false, message: completion.error };
+      }
+
+      let data;
+      try {
+        data = ChatStructuredOutput.parse(completion.content);
+      } catch (error) {
+        this.discardUnansweredMessage(userEntry, []);
+        return { success: false, message: error.message, raw: completion.content };
+      }
+      const problems = typeof options.validate === 'function' ? options.validate(data) : [];
+      if (problems.length > 0) {
+        this.discardUnansweredMessage(userEntry, []);
+        return { success: false, message: 'The JSON did not match the expected schema', errors: problems, raw: completion.content };
+      }
+
+      this.addAssistantMessage(completion.content);
+      return {
+        success: true,
+        data,
+        raw: completion.content,
+        totalTokens: completion.totalTokens,
+        promptTokens: completion.promptTokens,
+        completionTokens: completion.completionTokens,
+        userIndex: this.messageHistory.indexOf(userEntry)
+      };
+    } catch (error) {
+      this.discardUnansweredMessage(userEntry, []);
+      if (error.name === 'AbortError') {
+        console.log('AI request cancelled');
+        return { success: false, cancelled: true, message: 'Request cancelled.' };
+      }
+      console.error('Error requesting structured output:', error);
       return { success: false, message: `Error: ${error.message || 'Failed to connect to OpenAI'}` };
+    } finally {
+      this.abortController = null;
+      document.dispatchEvent(new CustomEvent('openai:conversation-updated', {
+        detail: { messageCount: this.messageHistory.length }
+      }));
     }
   }
 
-  // Change the model if it is one of the allowed options
+  // Remove a user message that never got an answer, so retrying does not send it twice
+  discardUnansweredMessage(userEntry, executedToolCalls) {
+    const last = this.messageHistory[this.messageHistory.length - 1];
+    if (executedToolCalls.length === 0 && last === userEntry) {
+      this.messageHistory.pop();
+    }
+  }
+
+  // Send the conversation plus a new prompt to several models at once, without adding
+  // anything to history, so the answers can be compared ('/ai compare').
+  // options: { getContext(mode), getKnowledge(text), tools, onRetry } as for processMessage.
+  // Each result is { model, content, toolCalls, promptTokens, completionTokens, latency } or { model, error }.
+  async compareModels(prompt, models, options = {}) {
+    if (!this.validateApiKey()) {
+      return { success: false, message: `Please set your ${this.provider?.name || 'OpenAI'} API key first using the "/ai key" command.` };
+    }
+    if (this.abortController) {
+      return { success: false, message: 'A request is already in progress. Use "/ai stop" to cancel it.' };
+    }
+    const unknown = models.filter(model => !this.canUseModel(model));
+    if (unknown.length > 0) {
+      return { success: false, message: `Unknown model${unknown.length === 1 ? '' : 's'} for ${this.provider?.name}: ${unknown.join(', ')}` };
+    }
+    this.abortController = new AbortController();
+    const userEntry = { role: 'user', content: prompt };
+    const tools = this.useTools && options.tools && options.tools.length > 0 ? options.tools : null;
+    try {
+      const context = this.canvasContextMode !== 'off' && typeof options.getContext === 'function'
+        ? options.getContext(this.canvasContextMode)
+        : null;
+      const knowledge = typeof options.getKnowledge === 'function' ? options.getKnowledge(prompt) : null;
+      const notes = [context, knowledge && knowledge.note, JSON.stringify(tools || [])].filter(Boolean);
+      await this.compactHistory(this.estimateTokens([userEntry, ...notes.map(content => ({ content }))]));
+      const messages = [...this.withKnowledge(this.withCanvasContext(context, null), knowledge, null), userEntry];
+
+      const results = await Promise.all(models.map(async model => {
+        const started = Date.now();
+        try {
+          const completion = await this.requestCompletion(tools, null, messages, options.onRetry, null, model);
+          const latency = Date.now() - started;
+          return completion.error ? { model, error: completion.error, latency } : { model, latency, ...completion };
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          return { model, error: error.message || 'Request failed', latency: Date.now() - started };
+        }
+      }));
+      return { success: true, results, sources: knowledge ? knowledge.sources : [] };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, message: 'Request cancelled.' };
+      }
+      console.error('Error comparing models:', error);
+      return { success: false, message: `Error: ${error.message || 'Failed to connect'}` };
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  // Add a prompt and one of the compared answers to history, with the results of the
+  // answer's tool calls if they were run. Returns the history index of the prompt.
+  adoptAnswer(prompt, answer, toolResults = []) {
+    this.addUserMessage(prompt);
+    const userIndex = this.messageHistory.length - 1;
+    const toolCalls = answer.toolCalls || [];
+    this.addAssistantMessage(answer.content || (toolCalls.length > 0 ? null : ''), toolCalls);
+    toolResults.forEach(({ toolCall, result }) => {
+      this.addToolResult(toolCall.id, { success: !!result?.success, message: result?.message || result?.error || '' });
+    });
+    document.dispatchEvent(new CustomEvent('openai:conversation-updated', {
+      detail: { messageCount: this.messageHistory.length }
+    }));
+    return userIndex;
+  }
+
+  // Cancel the request that is currently in flight, if any
+  cancelRequest() {
+    if (!this.abortController) {
+      return false;
+    }
+    this.abortController.abort();
+    return true;
+  }
+
+  // How long to wait before a retry, honoring the Retry-After header when present
+  getRetryDelay(response, attempt) {
+    const retryAfter = response && response.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (delay >= 0) {
+        return Math.min(delay, 60000);
+      }
+    }
+    // Exponential backoff with a little jitter
+    return this.retryBaseDelay * Math.pow(2, attempt) + Math.random() * 250;
+  }
+
+  // Wait before retrying; stops early if the request is cancelled
+  waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new DOMException('Request cancelled', 'AbortError'));
+        }, { once: true });
+      }
+    });
+  }
+
+  // Send a request through the provider's own transport (e.g. the offline mock) or the network
+  providerFetch(url, options) {
+    const provider = this.provider;
+    return provider && typeof provider.fetch === 'function' ? provider.fetch(url, options) : fetch(url, options);
+  }
+
+  // fetch with automatic retries for rate limits (429), server errors (5xx) and network failures
+  async fetchWithRetry(url, options, onRetry) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await this.providerFetch(url, options);
+        const retryable = response.status === 429 || response.status >= 500;
+        if (response.ok || !retryable || attempt >= this.maxRetries) {
+          return response;
+        }
+      } catch (error) {
+        if (error.name === 'AbortError' || attempt >= this.maxRetries) {
+          throw error;
+        }
+      }
+
+      const delay = this.getRetryDelay(response, attempt);
+      const reason = response ? `HTTP ${response.status}` : 'Network error';
+      console.warn(`${reason}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${this.maxRetries})`);
+      if (typeof onRetry === 'function') {
+        onRetry(attempt + 1, delay, reason);
+      }
+      await this.waitForRetry(delay, options.signal);
+    }
+  }
+
+  // Send messages (the current history by default) to the API and return
+  // { content, toolCalls, totalTokens } or { error }
+  async requestCompletion(tools, onToken, messages = this.messageHistory, onRetry = null, responseFormat = null, model = this.model) {
+    const provider = this.provider;
+    const limitMessage = this.checkUsageLimit();
+    if (limitMessage) {
+      return { error: limitMessage };
+    }
+    const request = provider.buildRequest({
+      endpoint: this.apiEndpoint,
+      apiKey: this.apiKey,
+      model,
+      messages,
+      tools,
+      stream: !!onToken,
+      maxTokens: this.generationParams.max_tokens,
+      temperature: this.generationParams.temperature,
+      topP: this.generationParams.top_p,
+      seed: this.generationParams.seed,
+      stop: this.generationParams.stop,
+      responseFormat
+    });
+    if (this.abortController) {
+      request.options.signal = this.abortController.signal;
+    }
+    const response = await this.fetchWithRetry(request.url, request.options, onRetry);
+    if (!response.ok) {
+      const responseData = await response.json().catch(() => ({}));
+      console.error(`${provider.name} API error:`, responseData);
+      const errorMessage = typeof responseData.error === 'string'
+        ? responseData.error
+        : responseData.error?.message;
+      return { error: `${provider.name} API error: ${errorMessage || 'Unknown error'}` };
+    }
+
+    // Some servers ignore "stream" and answer with plain JSON
+    const contentType = response.headers.get('Content-Type') || '';
+    if (onToken && response.body && !contentType.includes('application/json')) {
+      const streamed = await this.readStream(response, onToken);
+      return this.recordUsage({
+        content: streamed.content,
+        toolCalls: streamed.toolCalls.filter(Boolean),
+        totalTokens: streamed.totalTokens,
+        promptTokens: streamed.promptTokens,
+        completionTokens: streamed.completionTokens
+      }, messages, model);
+    }
+    return this.recordUsage(provider.parseResponse(await response.json()), messages, model);
+  }
+
+  // Report a completion's token usage (estimated if the server sent none) and return the completion
+  recordUsage(completion, messages, model = this.model) {
+    let promptTokens = completion.promptTokens || 0;
+    let completionTokens = completion.completionTokens || 0;
+    const estimated = !promptTokens && !completionTokens;
+    if (estimated) {
+      promptTokens = this.estimateTokens(messages);
+      completionTokens = Math.ceil(((completion.content || '') + JSON.stringify(completion.toolCalls || [])).length / 4);
+    }
+    completion.promptTokens = promptTokens;
+    completion.completionTokens = completionTokens;
+    completion.totalTokens = completion.totalTokens || promptTokens + completionTokens;
+
+    // Dispatch an event that the usage tracker can listen for
+    document.dispatchEvent(new CustomEvent('openai:usage', {
+      detail: { provider: this.providerId, model, promptTokens, completionTokens, estimated }
+    }));
+    return completion;
+  }
+
+  // Ask the usage tracker whether the hard spending limit blocks new requests
+  checkUsageLimit() {
+    const status = window.chatUsage ? window.chatUsage.checkLimits() : null;
+    return status && status.blocked ? status.message : null;
+  }
+
+  // Read a streamed response line by line using the active provider's parser
+  async readStream(response, onToken) {
+    const provider = this.provider;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const result = { content: '', toolCalls: [], totalTokens: 0, promptTokens: 0, completionTokens: 0, done: false };
+    let buffer = '';
+
+    while (!result.done) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are newline separated; keep any partial line for the next read
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => provider.parseStreamLine(line, result, onToken));
+    }
+
+    if (!result.done) {
+      buffer += decoder.decode();
+      provider.parseStreamLine(buffer, result, onToken);
+    } else {
+      reader.cancel().catch(() => {});
+    }
+    return result;
+  }
+
+  // Fetch the models offered by the current endpoint (e.g. "/v1/models")
+  async fetchModels() {
+    const provider = this.provider;
+    if (!provider || typeof provider.buildModelsRequest !== 'function') {
+      return [];
+    }
+    const request = provider.buildModelsRequest({ endpoint: this.apiEndpoint, apiKey: this.apiKey });
+    const response = await this.providerFetch(request.url, request.options);
+    if (!response.ok) {
+      throw new Error(`Could not list models (HTTP ${response.status})`);
+    }
+    this.availableModels = provider.parseModelList(await response.json());
+
+    // Dispatch an event that the slash command system can listen for
+    document.dispatchEvent(new CustomEvent('openai:models-updated', {
+      detail: { models: this.availableModels }
+    }));
+
+    return this.availableModels;
+  }
+
+  // Models to offer for "/ai model": those the server reported, plus the provider's defaults
+  getModelSuggestions() {
+    const defaults = this.provider ? this.provider.models : ['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'];
+    return [...new Set([...this.availableModels, ...defaults])];
+  }
+
+  // Whether the server or provider offers a model
+  canUseModel(model) {
+    return !!model && (this.getModelSuggestions().includes(model) || !!this.provider?.allowCustomModels);
+  }
+
+  // Change the model if the server or provider offers it, and save it to localStorage
   setModel(model) {
-    const validModels = ['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'];
-    if (validModels.includes(model)) {
+    if (this.canUseModel(model)) {
       this.model = model;
+      try {
+        localStorage.setItem(this.storageKey('model'), model);
+      } catch (e) {
+        console.warn('Could not save model to localStorage', e);
+      }
       if (typeof updateStatusBarWithAIInfo === 'function' && this.validateApiKey()) {
         updateStatusBarWithAIInfo(model);
       }
@@ -262,13 +1308,97 @@ When responding to user requests for visualizations or code, suggest appropriate
     return false;
   }
 
+  // Set a generation parameter (temperature, max_tokens, top_p, seed or stop).
+  // Pass 'default' to go back to the default value. Returns { success, message }.
+  setGenerationParam(name, value) {
+    name = (name || '').toLowerCase().replace('-', '_');
+    if (!(name in this.defaultGenerationParams)) {
+      return { success: false, message: `Unknown parameter "${name}". Use one of: ${Object.keys(this.defaultGenerationParams).join(', ')}` };
+    }
+
+    let parsed;
+    if (value === undefined || value === '' || ['default', 'none', 'off'].includes(String(value).toLowerCase())) {
+      parsed = this.defaultGenerationParams[name];
+    } else if (name === 'stop') {
+      // A JSON array sets several stop sequences; anything else is a single sequence
+      try {
+        parsed = value.trim().startsWith('[') ? JSON.parse(value) : [value];
+      } catch (e) {
+        return { success: false, message: 'Stop sequences must be text or a JSON array of strings' };
+      }
+      if (!Array.isArray(parsed) || !parsed.every(item => typeof item === 'string')) {
+        return { success: false, message: 'Stop sequences must be text or a JSON array of strings' };
+      }
+    } else {
+      parsed = Number(value);
+      const limits = {
+        temperature: [0, 2],
+        top_p: [0, 1],
+        max_tokens: [1, 1000000],
+        seed: [-Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+      }[name];
+      const needsInteger = name === 'max_tokens' || name === 'seed';
+      if (isNaN(parsed) || parsed < limits[0] || parsed > limits[1] || (needsInteger && !Number.isInteger(parsed))) {
+        return {
+          success: false,
+          message: `${name} must be ${needsInteger ? 'a whole number' : 'a number'} between ${limits[0]} and ${limits[1]}`
+        };
+      }
+    }
+
+    this.generationParams[name] = parsed;
+    try {
+      localStorage.setItem('openai_generation_params', JSON.stringify(this.generationParams));
+    } catch (e) {
+      console.warn('Could not save generation parameters to localStorage', e);
+    }
+    return { success: true, value: parsed };
+  }
+
+  // Load saved generation parameters from localStorage
+  loadSavedGenerationParams() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('openai_generation_params') || 'null');
+      if (saved && typeof saved === 'object') {
+        Object.keys(this.defaultGenerationParams).forEach(name => {
+          if (name in saved) this.generationParams[name] = saved[name];
+        });
+      }
+    } catch (e) {
+      console.warn('Could not load generation parameters from localStorage', e);
+    }
+  }
+
+  // Load saved model for the active provider from localStorage
+  loadSavedModel() {
+    try {
+      const savedModel = localStorage.getItem(this.storageKey('model'));
+      if (savedModel) {
+        this.model = savedModel;
+      }
+    } catch (e) {
+      console.warn('Could not load model from localStorage', e);
+    }
+  }
+
   // Return current settings for display
   getSettings() {
     return {
+      provider: this.providerId,
+      providerName: this.provider?.name || 'OpenAI',
       model: this.model,
       apiKeySet: !!this.apiKey,
+      keyStatus: this.getKeyStatus(),
       apiEndpoint: this.apiEndpoint,
       messageCount: this.messageHistory.length,
+      contextTokens: this.estimateTokens(this.messageHistory),
+      contextBudget: this.getHistoryTokenBudget(),
+      contextWindow: this.getContextWindow(),
+      historySummarized: !!this.summaryMessage,
+      generationParams: { ...this.generationParams },
+      streamResponses: this.streamResponses,
+      useTools: this.useTools,
+      canvasContext: this.canvasContextMode,
       systemPromptPreview: this.systemPrompt.substring(0, 50) + '...'
     };
   }
@@ -298,17 +1428,22 @@ window.debugOpenAIService = () => {
     console.error("OpenAI service not initialized yet");
     return;
   }
-  console.log("API Key:", window.openAIService.apiKey ? window.openAIService.apiKey.substring(0, 6) + "..." : "Not set");
+  const keyStatus = window.openAIService.getKeyStatus();
+  console.log("API Key:", keyStatus.set ? "Set" : (keyStatus.locked ? "Locked" : "Not set"));
   console.log("API Key Valid:", window.openAIService.validateApiKey());
+  console.log("API Key Storage:", keyStatus.storage);
   try {
-    const storedKey = localStorage.getItem('canvas_openai_api_key');
-    console.log("LocalStorage API Key:", storedKey ? storedKey.substring(0, 6) + "..." : "Not found");
+    const storedKey = localStorage.getItem(window.openAIService.storageKey('apiKey'));
+    console.log("LocalStorage API Key:", storedKey ? "Found" : (keyStatus.encryptedStored ? "Encrypted" : "Not found"));
   } catch (e) {
     console.error("Cannot access localStorage:", e);
   }
   console.log("ChatInterface.apiKeySet:", window.ChatInterface ? window.ChatInterface.apiKeySet : "Not initialized");
+  console.log("Provider:", window.openAIService.providerId);
   console.log("Current Model:", window.openAIService.model);
   console.log("API Endpoint:", window.openAIService.apiEndpoint);
+  console.log("Streaming:", window.openAIService.streamResponses);
+  console.log("Tool Calling:", window.openAIService.useTools);
   console.log("Message History Length:", window.openAIService.messageHistory.length);
   console.log("=== End Debug ===");
 };
\ No newline at end of file
@@ -11,6 +11,9 @@ document.addEventListener('DOMContentLoaded', () => {
       initStatusBar();
     }
   }, 200);
+
+  // Keep the usage counter live
+  document.addEventListener('chat:usage-updated', () => updateStatusBarUsage());
 });
 
 // Initialize the status bar with current AI info
@@ -89,6 +92,47 @@ const updateStatusBarWithAIInfo = (model) => {
     });
     aiStatusItem.hasClickHandler = true;
   }
+
+  updateStatusBarUsage();
+};
+
+// Format a token count compactly (e.g. 12.3k)
+const formatTokenCount = (tokens) => {
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+  return String(tokens);
+};
+
+// Show today's token usage and estimated cost next to the AI model in the status bar
+const updateStatusBarUsage = () => {
+  const aiStatusItem = document.getElementById('ai-status-item');
+  if (!aiStatusItem || !window.chatUsage) return;
+
+  let usageItem = document.getElementById('ai-usage-item');
+  if (!usageItem) {
+    usageItem = document.createElement('div');
+    usageItem.className = 'status-item';
+    usageItem.id = 'ai-usage-item';
+    usageItem.title = 'AI usage today (click for details)';
+    aiStatusItem.parentNode.insertBefore(usageItem, aiStatusItem.nextSibling);
+    usageItem.addEventListener('click', () => {
+      if (window.ChatInterface) {
+        window.ChatInterface.processCommand('/ai usage');
+      }
+    });
+  }
+
+  const usage = window.chatUsage;
+  const today = usage.summarize(usage.filter({ day: usage.today() }));
+  // A trailing + marks requests whose price is unknown
+  usageItem.innerHTML = `
+    <i class="fas fa-coins"></i>
+    <span>${formatTokenCount(today.promptTokens + today.completionTokens)} tok · $${today.cost.toFixed(2)}${today.unpriced > 0 ? '+' : ''}</span>
+  `;
+
+  // Highlight the counter once this month's spending passes the soft limit
+  const softLimit = usage.limits.soft;
+  usageItem.classList.toggle('usage-over-limit', !!softLimit && usage.getMonthCost() >= softLimit);
 };
 
 // Show popup with AI status and settings
@@ -110,7 +154,7 @@ const showAIStatusPopup = () => {
           </tr>
           <tr>
             <td>Model:</td>
-            <td>${settings.model}</td>
+            <td>${String(settings.model).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</td>
           </tr>
           <tr>
             <td>Status:</td>
@@ -0,0 +1,618 @@
+/**
+ * js/chat/chat-llm-providers.js
+ * LLM Provider Definitions
+ *
+ * Each provider knows how to build a chat request for its API, parse the
+ * response (plain or streamed) and validate an API key. OpenAIService uses
+ * the active provider for every request, so the rest of the chat code only
+ * ever sees OpenAI-style messages and tool calls.
+ */
+
+// Build the headers shared by OpenAI-compatible servers
+function openAICompatibleHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+// OpenAI reasoning models (o1, o3...) take max_completion_tokens and reject temperature and top_p
+function isOpenAIReasoningModel(model) {
+  return /^o\d/.test(model || '');
+}
+
+// Build a chat-completions request body; settings.reasoning uses the reasoning model parameters
+function buildOpenAICompatibleRequest(settings) {
+  const body = {
+    model: settings.model,
+    messages: settings.messages
+  };
+  if (settings.reasoning) {
+    body.max_completion_tokens = settings.maxTokens;
+  } else {
+    body.max_tokens = settings.maxTokens;
+    body.temperature = settings.temperature;
+  }
+  if (!settings.reasoning && settings.topP !== null && settings.topP !== undefined) {
+    body.top_p = settings.topP;
+  }
+  if (settings.seed !== null && settings.seed !== undefined) {
+    body.seed = settings.seed;
+  }
+  if (settings.stop && settings.stop.length > 0) {
+    body.stop = settings.stop;
+  }
+  if (settings.tools) {
+    body.tools = settings.tools;
+  }
+  // Structured output: the reply must be JSON matching the schema
+  if (settings.responseFormat) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: {
+        name: settings.responseFormat.name,
+        schema: settings.responseFormat.schema,
+        strict: true
+      }
+    };
+  }
+  if (settings.stream) {
+    body.stream = true;
+    // Ask for a final usage chunk so streamed requests can be accounted for
+    if (settings.includeUsage) {
+      body.stream_options = { include_usage: true };
+    }
+  }
+  return {
+    url: settings.endpoint,
+    options: {
+      method: 'POST',
+      headers: openAICompatibleHeaders(settings.apiKey),
+      body: JSON.stringify(body)
+    }
+  };
+}
+
+// Build a request for the server's model list ("/v1/models" next to the chat endpoint)
+function buildOpenAICompatibleModelsRequest(settings) {
+  const url = /\/chat\/completions\/?$/.test(settings.endpoint)
+    ? settings.endpoint.replace(/\/chat\/completions\/?$/, '/models')
+    : new URL('/v1/models', settings.endpoint).toString();
+  return {
+    url,
+    options: { method: 'GET', headers: openAICompatibleHeaders(settings.apiKey) }
+  };
+}
+
+// Parse a "/v1/models" response into a list of model ids
+function parseOpenAICompatibleModelList(data) {
+  return (data.data || []).map(model => model.id).filter(Boolean);
+}
+
+// Parse a chat-completions response body
+function parseOpenAICompatibleResponse(data) {
+  const message = data.choices?.[0]?.message || {};
+  return {
+    content: message.content || '',
+    toolCalls: message.tool_calls || [],
+    totalTokens: data.usage?.total_tokens || 0,
+    promptTokens: data.usage?.prompt_tokens || 0,
+    completionTokens: data.usage?.completion_tokens || 0
+  };
+}
+
+// Parse a single "data: {...}" line from a chat-completions stream into the result
+function parseOpenAICompatibleStreamLine(line, result, onToken) {
+  const trimmed = line.trim();
+  if (result.done || !trimmed.startsWith('data:')) return;
+
+  const data = trimmed.substring(5).trim();
+  if (data === '[DONE]') {
+    result.done = true;
+    return;
+  }
+
+  let chunk;
+  try {
+    chunk = JSON.parse(data);
+  } catch (e) {
+    console.warn('Skipping malformed stream chunk:', data);
+    return;
+  }
+  if (chunk.error) {
+    throw new Error(chunk.error.message || 'Stream error');
+  }
+  if (chunk.usage?.total_tokens) {
+    result.totalTokens = chunk.usage.total_tokens;
+    result.promptTokens = chunk.usage.prompt_tokens || 0;
+    result.completionTokens = chunk.usage.completion_tokens || 0;
+  }
+
+  const delta = chunk.choices?.[0]?.delta || {};
+  if (delta.content) {
+    result.content += delta.content;
+    onToken(delta.content, result.content);
+  }
+
+  // Tool calls arrive in pieces keyed by index; the arguments are streamed as text
+  (delta.tool_calls || []).forEach(part => {
+    const index = part.index || 0;
+    const toolCall = result.toolCalls[index] ||
+      (result.toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+    if (part.id) toolCall.id = part.id;
+    if (part.function?.name) toolCall.function.name += part.function.name;
+    if (part.function?.arguments) toolCall.function.arguments += part.function.arguments;
+  });
+}
+
+// Parse tool call arguments that may be either a JSON string or an object
+function parseToolArguments(args) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+// Split OpenAI-style content (a string or text/image_url parts) into text and image URLs
+function splitImageContent(content) {
+  if (!Array.isArray(content)) {
+    return { text: content || '', images: [] };
+  }
+  return {
+    text: content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+    images: content.filter(part => part.type === 'image_url').map(part => part.image_url.url)
+  };
+}
+
+// Convert OpenAI-style user content into Anthropic text and image blocks.
+// Anthropic rejects empty text blocks, so there is none for image-only content.
+function toAnthropicContent(content) {
+  const { text, images } = splitImageContent(content);
+  const blocks = images.map(url => {
+    const match = url.match(/^data:([^;]+);base64,(.*)$/);
+    return match
+      ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+      : { type: 'image', source: { type: 'url', url } };
+  });
+  if (text.trim()) {
+    blocks.push({ type: 'text', text });
+  }
+  return blocks;
+}
+
+// Convert OpenAI-style history into Anthropic Messages format
+function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  // Anthropic expects alternating roles, so consecutive blocks are merged
+  const push = (role, blocks) => {
+    const last = converted[converted.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  };
+
+  messages.forEach(message => {
+    if (message.role === 'system') {
+      system.push(message.content);
+    } else if (message.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+    } else if (message.role === 'assistant') {
+      const blocks = message.content && message.content.trim() ? [{ type: 'text', text: message.content }] : [];
+      (message.tool_calls || []).forEach(toolCall => {
+        blocks.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: parseToolArguments(toolCall.function.arguments)
+        });
+      });
+      if (blocks.length > 0) push('assistant', blocks);
+    } else {
+      const blocks = toAnthropicContent(message.content);
+      if (blocks.length > 0) push('user', blocks);
+    }
+  });
+
+  return { system: system.join('\n\n'), messages: converted };
+}
+
+// Convert OpenAI-style history into Ollama chat format
+function toOllamaMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'user' && Array.isArray(message.content)) {
+      // Ollama only accepts base64 images; remote URLs are passed on as text
+      const { text, images } = splitImageContent(message.content);
+      const encoded = images.filter(url => url.startsWith('data:')).map(url => url.split(',')[1]);
+      const linked = images.filter(url => !url.startsWith('data:'));
+      return {
+        role: 'user',
+        content: linked.length > 0 ? `${text}\n\nImages: ${linked.join(' ')}` : text,
+        images: encoded
+      };
+    }
+    if (message.role !== 'assistant' || !message.tool_calls) {
+      return { role: message.role, content: message.content || '' };
+    }
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.tool_calls.map(toolCall => ({
+        function: {
+          name: toolCall.function.name,
+          arguments: parseToolArguments(toolCall.function.arguments)
+        }
+      }))
+    };
+  });
+}
+
+// Convert Ollama tool calls into OpenAI-style tool calls
+function fromOllamaToolCalls(toolCalls, offset = 0) {
+  return (toolCalls || []).map((toolCall, index) => ({
+    id: `ollama-call-${Date.now()}-${offset + index}`,
+    type: 'function',
+    function: {
+      name: toolCall.function?.name || '',
+      arguments: JSON.stringify(toolCall.function?.arguments || {})
+    }
+  }));
+}
+
+const LLMProviders = {
+  providers: {
+    openai: {
+      id: 'openai',
+      name: 'OpenAI',
+      defaultEndpoint: 'https://api.openai.com/v1/chat/completions',
+      defaultModel: 'gpt-4o-mini',
+      models: ['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'],
+      contextWindows: { 'gpt-4o': 128000, 'gpt-4o-mini': 128000, 'gpt-3.5-turbo': 16385 },
+      defaultContextWindow: 8192,
+      allowCustomModels: false,
+      requiresApiKey: true,
+      keyHint: 'Please ensure it starts with "sk-".',
+
+      validateApiKey(key) {
+        return !!key && typeof key === 'string' && key.startsWith('sk-') && key.length > 30;
+      },
+      buildRequest(settings) {
+        return buildOpenAICompatibleRequest({ ...settings, includeUsage: true, reasoning: isOpenAIReasoningModel(settings.model) });
+      },
+      parseResponse: parseOpenAICompatibleResponse,
+      parseStreamLine: parseOpenAICompatibleStreamLine,
+      buildModelsRequest: buildOpenAICompatibleModelsRequest,
+
+      // OpenAI also lists embedding, audio and image models; only keep chat models
+      parseModelList(data) {
+        return parseOpenAICompatibleModelList(data)
+          .filter(id => /^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|tts|image)/.test(id))
+          .sort();
+      }
+    },
+
+    anthropic: {
+      id: 'anthropic',
+      name: 'Anthropic',
+      defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+      defaultModel: 'claude-3-5-sonnet-latest',
+      models: ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest', 'claude-3-opus-latest'],
+      contextWindows: {},
+      defaultContextWindow: 200000,
+      allowCustomModels: true,
+      requiresApiKey: true,
+      keyHint: 'Please ensure it starts with "sk-ant-".',
+
+      validateApiKey(key) {
+        return !!key && typeof key === 'string' && key.startsWith('sk-ant-') && key.length > 30;
+      },
+
+      buildRequest(settings) {
+        const { system, messages } = toAnthropicMessages(settings.messages);
+        const body = {
+          model: settings.model,
+          messages,
+          max_tokens: settings.maxTokens
+        };
+        // Anthropic takes 0-1, while '/ai set temperature' allows up to 2 for OpenAI
+        if (settings.temperature !== null && settings.temperature !== undefined) {
+          body.temperature = Math.min(Math.max(settings.temperature, 0), 1);
+        }
+        if (system) {
+          body.system = system;
+        }
+        if (settings.topP !== null && settings.topP !== undefined) {
+          body.top_p = settings.topP;
+        }
+        if (settings.stop && settings.stop.length > 0) {
+          body.stop_sequences = settings.stop;
+        }
+        if (settings.tools) {
+          body.tools = settings.tools.map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters
+          }));
+        }
+        // There is no JSON mode; structured requests rely on the schema in the instructions
+        if (settings.stream) {
+          body.stream = true;
+        }
+        return {
+          url: settings.endpoint,
+          options: {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'x-api-key': settings.apiKey,
+              'anthropic-version': '2023-06-01',
+              'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: JSON.stringify(body)
+          }
+        };
+      },
+
+      buildModelsRequest(settings) {
+        return {
+          url: settings.endpoint.replace(/\/messages\/?$/, '/models'),
+          options: {
+            method: 'GET',
+            headers: {
+              'x-api-key': settings.apiKey,
+              'anthropic-version': '2023-06-01',
+              'anthropic-dangerous-direct-browser-access': 'true'
+            }
+          }
+        };
+      },
+
+      parseModelList: parseOpenAICompatibleModelList,
+
+      parseResponse(data) {
+        const result = { content: '', toolCalls: [], totalTokens: 0, promptTokens: 0, completionTokens: 0 };
+        (data.content || []).forEach(block => {
+          if (block.type === 'text') {
+            result.content += block.text;
+          } else if (block.type === 'tool_use') {
+            result.toolCalls.push({
+              id: block.id,
+              type: 'function',
+              function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+            });
+          }
+        });
+        result.promptTokens = data.usage?.input_tokens || 0;
+        result.completionTokens = data.usage?.output_tokens || 0;
+        result.totalTokens = result.promptTokens + result.completionTokens;
+        return result;
+      },
+
+      // Anthropic streams typed events; only the "data:" lines carry content
+      parseStreamLine(line, result, onToken) {
+        const trimmed = line.trim();
+        if (result.done || !trimmed.startsWith('data:')) return;
+
+        let event;
+        try {
+          event = JSON.parse(trimmed.substring(5).trim());
+        } catch (e) {
+          console.warn('Skipping malformed stream event:', trimmed);
+          return;
+        }
+
+        switch (event.type) {
+          case 'message_start':
+            result.promptTokens = event.message?.usage?.input_tokens || 0;
+            result.totalTokens += result.promptTokens;
+            break;
+
+          case 'content_block_start':
+            if (event.content_block?.type === 'tool_use') {
+              result.toolCalls[event.index] = {
+                id: event.content_block.id,
+                type: 'function',
+                function: { name: event.content_block.name, arguments: '' }
+              };
+            }
+            break;
+
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+              result.content += event.delta.text;
+              onToken(event.delta.text, result.content);
+            } else if (event.delta?.type === 'input_json_delta' && result.toolCalls[event.index]) {
+              result.toolCalls[event.index].function.arguments += event.delta.partial_json;
+            }
+            break;
+
+          case 'message_delta':
+            result.completionTokens = event.usage?.output_tokens || 0;
+            result.totalTokens += result.completionTokens;
+            break;
+
+          case 'message_stop':
+            result.done = true;
+            break;
+
+          case 'error':
+            throw new Error(event.error?.message || 'Stream error');
+        }
+      }
+    },
+
+    ollama: {
+      id: 'ollama',
+      name: 'Ollama',
+      defaultEndpoint: 'http://localhost:11434/api/chat',
+      defaultModel: 'llama3.1',
+      models: ['llama3.1', 'llama3.2', 'mistral', 'qwen2.5'],
+      // Ollama uses a small context unless num_ctx is raised on the server
+      contextWindows: {},
+      defaultContextWindow: 4096,
+      allowCustomModels: true,
+      requiresApiKey: false,
+      keyHint: 'Ollama does not need an API key.',
+
+      validateApiKey() {
+        return true;
+      },
+
+      buildRequest(settings) {
+        const body = {
+          model: settings.model,
+          messages: toOllamaMessages(settings.messages),
+          // Ollama streams by default, so always say which one we want
+          stream: !!settings.stream,
+          options: {
+            temperature: settings.temperature,
+            num_predict: settings.maxTokens
+          }
+        };
+        if (settings.topP !== null && settings.topP !== undefined) {
+          body.options.top_p = settings.topP;
+        }
+        if (settings.seed !== null && settings.seed !== undefined) {
+          body.options.seed = settings.seed;
+        }
+        if (settings.stop && settings.stop.length > 0) {
+          body.options.stop = settings.stop;
+        }
+        if (settings.tools) {
+          body.tools = settings.tools;
+        }
+        // Ollama constrains the reply to a JSON Schema given as "format"
+        if (settings.responseFormat) {
+          body.format = settings.responseFormat.schema;
+        }
+        return {
+          url: settings.endpoint,
+          options: {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+          }
+        };
+      },
+
+      // Installed models are listed at /api/tags
+      buildModelsRequest(settings) {
+        return {
+          url: settings.endpoint.replace(/\/api\/chat\/?$/, '/api/tags'),
+          options: { method: 'GET' }
+        };
+      },
+
+      parseModelList(data) {
+        return (data.models || []).map(model => model.name).filter(Boolean);
+      },
+
+      parseResponse(data) {
+        return {
+          content: data.message?.content || '',
+          toolCalls: fromOllamaToolCalls(data.message?.tool_calls),
+          totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+          promptTokens: data.prompt_eval_count || 0,
+          completionTokens: data.eval_count || 0
+        };
+      },
+
+      // Ollama streams newline-delimited JSON objects
+      parseStreamLine(line, result, onToken) {
+        const trimmed = line.trim();
+        if (result.done || !trimmed) return;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(trimmed);
+        } catch (e) {
+          console.warn('Skipping malformed stream chunk:', trimmed);
+          return;
+        }
+        if (chunk.error) {
+          throw new Error(chunk.error);
+        }
+
+        const token = chunk.message?.content;
+        if (token) {
+          result.content += token;
+          onToken(token, result.content);
+        }
+        result.toolCalls.push(...fromOllamaToolCalls(chunk.message?.tool_calls, result.toolCalls.length));
+
+        if (chunk.done) {
+          result.promptTokens = chunk.prompt_eval_count || 0;
+          result.completionTokens = chunk.eval_count || 0;
+          result.totalTokens = result.promptTokens + result.completionTokens;
+          result.done = true;
+        }
+      }
+    },
+
+    local: {
+      id: 'local',
+      name: 'Local (llama.cpp / vLLM)',
+      defaultEndpoint: 'http://localhost:8080/v1/chat/completions',
+      defaultModel: 'default',
+      models: [],
+      contextWindows: {},
+      defaultContextWindow: 4096,
+      allowCustomModels: true,
+      requiresApiKey: false,
+      keyHint: 'An API key is optional for local servers.',
+
+      // Local OpenAI-compatible servers accept any key, or none at all
+      validateApiKey() {
+        return true;
+      },
+      buildRequest: buildOpenAICompatibleRequest,
+      parseResponse: parseOpenAICompatibleResponse,
+      parseStreamLine: parseOpenAICompatibleStreamLine,
+      buildModelsRequest: buildOpenAICompatibleModelsRequest,
+      parseModelList: parseOpenAICompatibleModelList
+    }
+  },
+
+  /**
+   * Get a provider by id
+   * @param {string} id - Provider id
+   * @returns {Object|null} Provider definition
+   */
+  get(id) {
+    return this.providers[(id || '').toLowerCase()] || null;
+  },
+
+  /**
+   * List all available providers
+   * @returns {Array} Provider definitions
+   */
+  list() {
+    return Object.values(this.providers);
+  },
+
+  /**
+   * Find the provider that owns an endpoint scheme (e.g. "mock://")
+   * @param {string} endpoint - Endpoint URL
+   * @returns {Object|null} Provider definition
+   */
+  forEndpoint(endpoint) {
+    return this.list().find(provider => provider.endpointProtocol && (endpoint || '').startsWith(provider.endpointProtocol)) || null;
+  },
+
+  /**
+   * Register an additional provider
+   * @param {Object} provider - Provider definition with the same shape as the built-in ones
+   */
+  register(provider) {
+    this.providers[provider.id] = provider;
+  }
+};
+
+// Make providers globally available
+window.LLMProviders = LLMProviders;
@@ -0,0 +1,491 @@
+/**
+ * js/chat/chat-session-store.js
+ * Persistent Chat Sessions
+ *
+ * Stores each AI conversation (messages, system prompt, model and the
+ * canvas tabs it produced) in IndexedDB so separate threads can be kept
+ * per project and reopened later. The active session is saved whenever
+ * the OpenAI service reports that the conversation changed.
+ *
+ * Within a session, canvas tabs can own their own thread and persona
+ * ("/ai thread tab"), so work in one tab does not end up in another tab's
+ * context. Tabs without a thread of their own use the session's global
+ * thread, which is stored in the session's top-level fields.
+ */
+
+class ChatSessionStore {
+  constructor(dbName = 'canvas_chat_sessions', storeName = 'sessions') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  // Open (and create if needed) the database
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run a single request against the object store
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = action(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // List all sessions, most recently updated first
+  async list() {
+    const sessions = await this.run('readonly', store => store.getAll());
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // Get a session by id
+  get(id) {
+    return this.run('readonly', store => store.get(id));
+  }
+
+  // Insert or update a session
+  put(session) {
+    return this.run('readwrite', store => store.put(session));
+  }
+
+  // Delete a session by id
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+}
+
+class ChatSessionManager {
+  constructor(store, service) {
+    this.store = store;
+    this.service = service;
+    this.activeSession = null;
+    this.defaultTitle = 'New conversation';
+    // 'global' or the id of the canvas tab whose thread is in the service
+    this.activeThreadId = 'global';
+    // Tab that was activated while a request was running; followed once it finishes
+    this.pendingCanvas = null;
+  }
+
+  // Restore the last active session, or start a new one
+  async init() {
+    let session = null;
+    try {
+      const savedId = localStorage.getItem('chat_active_session');
+      session = savedId ? await this.store.get(savedId) : null;
+    } catch (e) {
+      console.warn('Could not restore chat session', e);
+    }
+
+    if (session) {
+      this.applySession(session);
+      console.log(`Restored chat session "${session.title}"`);
+    } else {
+      this.setActiveSession(this.createSession());
+    }
+
+    // Save whenever the conversation changes
+    document.addEventListener('openai:conversation-updated', () => {
+      this.saveActive();
+      if (this.pendingCanvas && !this.service.abortController) {
+        const { id, title } = this.pendingCanvas;
+        this.pendingCanvas = null;
+        this.followCanvas(id, title);
+      }
+    });
+    document.addEventListener('openai:conversation-reset', () => this.saveActive());
+    return this.activeSession;
+  }
+
+  // Create a new (unsaved) session from the service's current settings
+  createSession() {
+    const now = Date.now();
+    return {
+      id: 's' + now.toString(36),
+      title: this.defaultTitle,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      systemPrompt: this.service.systemPrompt,
+      provider: this.service.providerId,
+      model: this.service.model,
+      canvasTabs: [],
+      // Conversations owned by canvas tabs, keyed by canvas id
+      threads: {}
+    };
+  }
+
+  // Make a session active and remember it for the next page load
+  setActiveSession(session, threadId = 'global') {
+    this.activeSession = session;
+    this.activeThreadId = threadId;
+    try {
+      localStorage.setItem('chat_active_session', session.id);
+    } catch (e) {
+      console.warn('Could not save active chat session to localStorage', e);
+    }
+    document.dispatchEvent(new CustomEvent('chat:session-changed', {
+      detail: { id: session.id, title: session.title }
+    }));
+  }
+
+  // Load a session's conversation and settings into the service
+  applySession(session) {
+    if (session.provider && session.provider !== this.service.providerId) {
+      this.service.setProvider(session.provider);
+    }
+    if (session.model && session.model !== this.service.model) {
+      this.service.setModel(session.model);
+    }
+    session.threads = session.threads || {};
+    const threadId = this.findThreadForCanvas(session, this.getActiveCanvas());
+    this.loadThread(session, threadId);
+    this.setActiveSession(session, threadId);
+  }
+
+  // Save the active session; new sessions are only stored once they have a user message
+  async saveActive() {
+    const session = this.activeSession;
+    if (!session) return false;
+
+    this.storeActiveThread();
+    session.provider = this.service.providerId;
+    session.model = this.service.model;
+    session.updatedAt = Date.now();
+
+    const threads = [session, ...Object.values(session.threads || {})];
+    const firstUserMessage = threads.flatMap(thread => thread.messages).find(message => message.role === 'user');
+    if (!firstUserMessage && !session.stored) return false;
+    if (firstUserMessage && session.title === this.defaultTitle) {
+      session.title = this.service.getMessageText(firstUserMessage).substring(0, 40).trim() || 'Image conversation';
+    }
+
+    try {
+      session.stored = true;
+      await this.store.put(session);
+      return true;
+    } catch (e) {
+      console.error('Could not save chat session', e);
+      return false;
+    }
+  }
+
+  // Save the current session and start a new one
+  async newSession() {
+    await this.saveActive();
+    // Start from the global thread's prompt, not that of the tab thread being shown
+    const previous = this.activeSession;
+    this.service.restoreConversation([], previous ? previous.systemPrompt : this.service.systemPrompt);
+    const session = this.createSession();
+    session.persona = previous ? previous.persona || null : null;
+    this.setActiveSession(session);
+    return session;
+  }
+
+  // Find a session by id, id prefix or position in the list (1-based)
+  async findSession(ref) {
+    const sessions = await this.store.list();
+    if (/^\d+$/.test(ref) && sessions[parseInt(ref) - 1]) {
+      return sessions[parseInt(ref) - 1];
+    }
+    return sessions.find(session => session.id === ref) ||
+      sessions.find(session => session.id.startsWith(ref)) ||
+      null;
+  }
+
+  // Save the current session and switch to another one
+  async openSession(ref) {
+    const session = await this.findSession(ref);
+    if (!session) return null;
+    await this.saveActive();
+    this.applySession(session);
+    return session;
+  }
+
+  // Rename the active session
+  async renameSession(title) {
+    this.activeSession.title = title;
+    await this.saveActive();
+    document.dispatchEvent(new CustomEvent('chat:session-changed', {
+      detail: { id: this.activeSession.id, title }
+    }));
+    return this.activeSession;
+  }
+
+  // Delete a session; deleting the active one starts a new session
+  async deleteSession(ref) {
+    const session = await this.findSession(ref);
+    if (!session) return null;
+    await this.store.delete(session.id);
+    if (this.activeSession && session.id === this.activeSession.id) {
+      this.service.restoreConversation([], this.service.systemPrompt);
+      this.setActiveSession(this.createSession());
+    }
+    return session;
+  }
+
+  // Remember the active canvas tab as one produced by this conversation
+  async recordCanvasTab() {
+    const manager = window.Commands && window.Commands.canvasManager;
+    if (!manager || !this.activeSession) return false;
+
+    const instance = (manager.canvasInstances || []).find(inst => inst.id === manager.activeCanvasId);
+    let moduleName = null;
+    if (manager.modules && manager.currentModule) {
+      manager.modules.forEach((module, name) => {
+        if (module === manager.currentModule) moduleName = name;
+      });
+    }
+
+    const tab = {
+      id: manager.activeCanvasId || 'main',
+      title: instance ? instance.title : 'Canvas',
+      module: moduleName
+    };
+    const existing = this.activeSession.canvasTabs.find(t => t.id === tab.id);
+    if (existing) {
+      existing.title = tab.title;
+      existing.module = tab.module || existing.module;
+    } else {
+      this.activeSession.canvasTabs.push(tab);
+    }
+    return this.saveActive();
+  }
+
+  // The canvas tab that is currently shown, as { id, title }
+  getActiveCanvas() {
+    const manager = window.Commands && window.Commands.canvasManager;
+    if (!manager || !manager.activeCanvasId) return null;
+    const instance = (manager.canvasInstances || []).find(inst => inst.id === manager.activeCanvasId);
+    return { id: manager.activeCanvasId, title: instance ? instance.title : 'Canvas' };
+  }
+
+  // The thread a canvas tab uses: its own, one left by a closed tab with the same title
+  // (tab ids change when the page reloads), or the global thread
+  findThreadForCanvas(session, canvas) {
+    const threads = session.threads || {};
+    if (!canvas) return 'global';
+    if (threads[canvas.id]) return canvas.id;
+
+    const manager = window.Commands && window.Commands.canvasManager;
+    const openIds = ((manager && manager.canvasInstances) || []).map(inst => inst.id);
+    const orphanId = Object.keys(threads).find(id => !openIds.includes(id) && threads[id].title === canvas.title);
+    if (orphanId) {
+      threads[canvas.id] = threads[orphanId];
+      delete threads[orphanId];
+      return canvas.id;
+    }
+    return 'global';
+  }
+
+  // Get a thread of the active session ('global' is the session itself)
+  getThread(threadId) {
+    const session = this.activeSession;
+    if (!session) return null;
+    return threadId === 'global' ? session : (session.threads || {})[threadId] || null;
+  }
+
+  // Copy the service's conversation into the active thread
+  storeActiveThread() {
+    const thread = this.getThread(this.activeThreadId) || this.activeSession;
+    thread.messages = this.service.messageHistory.slice();
+    thread.forks = this.service.forks;
+    thread.systemPrompt = this.service.systemPrompt;
+  }
+
+  // Load a thread's conversation into the service
+  loadThread(session, threadId) {
+    const thread = threadId === 'global' ? session : session.threads[threadId];
+    this.service.restoreConversation(
+      thread.messages || [],
+      thread.systemPrompt || this.service.defaultSystemPrompt,
+      thread.forks || {}
+    );
+  }
+
+  // Make another thread of the active session the one the chat panel shows
+  switchThread(threadId) {
+    const session = this.activeSession;
+    if (!session || !this.getThread(threadId)) return false;
+    if (this.service.abortController) return false;
+    if (threadId !== this.activeThreadId) {
+      this.storeActiveThread();
+      this.loadThread(session, threadId);
+      this.activeThreadId = threadId;
+      this.saveActive();
+    }
+    document.dispatchEvent(new CustomEvent('chat:thread-changed', { detail: this.describeThread(threadId) }));
+    return true;
+  }
+
+  // Give a canvas tab its own thread, optionally with a persona, and switch to it
+  createCanvasThread(canvas, persona = null) {
+    const session = this.activeSession;
+    if (!session || !canvas) return null;
+    session.threads = session.threads || {};
+    if (!session.threads[canvas.id]) {
+      session.threads[canvas.id] = {
+        title: canvas.title,
+        persona: null,
+        systemPrompt: this.service.defaultSystemPrompt,
+        messages: [],
+        forks: {}
+      };
+    }
+    if (!this.switchThread(canvas.id)) return null;
+    if (persona) {
+      this.setPersona(persona);
+    }
+    return session.threads[canvas.id];
+  }
+
+  // Delete a tab's own thread; the tab goes back to the global thread
+  removeCanvasThread(canvasId) {
+    const session = this.activeSession;
+    if (!session || !session.threads || !session.threads[canvasId]) return false;
+    if (this.activeThreadId === canvasId && !this.switchThread('global')) return false;
+    delete session.threads[canvasId];
+    this.saveActive();
+    return true;
+  }
+
+  // Switch to the thread of the canvas tab that was just activated
+  followCanvas(canvasId, title) {
+    if (!this.activeSession) return;
+    if (this.service.abortController) {
+      this.pendingCanvas = { id: canvasId, title };
+      return;
+    }
+    const threadId = this.findThreadForCanvas(this.activeSession, { id: canvasId, title });
+    if (threadId !== this.activeThreadId) {
+      this.switchThread(threadId);
+    }
+  }
+
+  // Keep a tab thread's title in step with its tab
+  renameCanvasThread(canvasId, title) {
+    const thread = this.activeSession && (this.activeSession.threads || {})[canvasId];
+    if (!thread) return;
+    thread.title = title;
+    this.saveActive();
+  }
+
+  // Use a PromptManager persona (or 'default') as the active thread's system prompt
+  setPersona(name) {
+    const thread = this.getThread(this.activeThreadId);
+    if (!thread) return null;
+    const isDefault = !name || name === 'default';
+    const prompt = isDefault || !window.promptManager
+      ? this.service.defaultSystemPrompt
+      : window.promptManager.getPrompt(name);
+    thread.persona = isDefault ? null : name;
+    this.service.setSystemPrompt(prompt);
+    this.saveActive();
+    document.dispatchEvent(new CustomEvent('chat:thread-changed', { detail: this.describeThread(this.activeThreadId) }));
+    return thread.persona;
+  }
+
+  // Summary of a thread for messages and lists
+  describeThread(threadId) {
+    const thread = this.getThread(threadId);
+    if (!thread) return null;
+    const manager = window.Commands && window.Commands.canvasManager;
+    const openIds = ((manager && manager.canvasInstances) || []).map(inst => inst.id);
+    return {
+      id: threadId,
+      title: threadId === 'global' ? 'Global' : thread.title,
+      persona: thread.persona || null,
+      messageCount: (thread.messages || []).filter(message => message.role === 'user').length,
+      active: threadId === this.activeThreadId,
+      open: threadId === 'global' || openIds.includes(threadId)
+    };
+  }
+
+  // All threads of the active session, global first
+  listThreads() {
+    if (!this.activeSession) return [];
+    return ['global', ...Object.keys(this.activeSession.threads || {})].map(id => this.describeThread(id));
+  }
+
+  // Render the active session's messages in the chat panel, replacing what is shown unless clear is false
+  renderActiveSession(chatInterface, clear = true) {
+    if (!chatInterface || !chatInterface.chatMessages || !this.activeSession) return;
+    // Render with edit/regenerate actions and branch switchers when branching is available
+    if (window.ChatBranching) {
+      window.ChatBranching.renderConversation(chatInterface, { clear });
+      return;
+    }
+    if (clear) {
+      chatInterface.chatMessages.innerHTML = '';
+    }
+    this.service.messageHistory.forEach(message => {
+      if (message.role === 'user') {
+        chatInterface.addUserMessage(this.service.getMessageText(message));
+      } else if (message.role === 'assistant' && message.content) {
+        chatInterface.addReplyMessage(message.content);
+      }
+    });
+  }
+}
+
+// Initialize the session manager once the OpenAI service exists
+document.addEventListener('DOMContentLoaded', () => {
+  const waitForService = setInterval(() => {
+    if (window.openAIService) {
+      clearInterval(waitForService);
+      window.chatSessions = new ChatSessionManager(new ChatSessionStore(), window.openAIService);
+      // Each canvas tab can have its own thread; follow the tab that is shown
+      document.addEventListener('canvas:activated', e => window.chatSessions.followCanvas(e.detail.id, e.detail.title));
+      document.addEventListener('canvas:renamed', e => window.chatSessions.renameCanvasThread(e.detail.id, e.detail.title));
+      document.addEventListener('chat:thread-changed', e => {
+        const chat = window.ChatInterface;
+        if (!chat || !chat.chatMessages || !e.detail) return;
+        window.chatSessions.renderActiveSession(chat);
+        chat.addSystemMessage(`🧵 ${e.detail.title} thread` + (e.detail.persona ? ` (persona: ${e.detail.persona})` : ''));
+      });
+      window.chatSessions.init()
+        .then(session => {
+          // Show restored messages once the chat panel is ready
+          if (session.messages.length > 0) {
+            const waitForChat = setInterval(() => {
+              if (window.ChatInterface && window.ChatInterface.chatMessages) {
+                clearInterval(waitForChat);
+                window.ChatInterface.addSystemMessage(`Restored conversation "${session.title}". Use '/ai sessions' to see all conversations.`);
+                window.chatSessions.renderActiveSession(window.ChatInterface, false);
+              }
+            }, 200);
+            setTimeout(() => clearInterval(waitForChat), 5000);
+          }
+        })
+        .catch(error => console.error('Error initializing chat sessions:', error));
+    }
+  }, 100);
+});
+
+// Make session classes globally available
+window.ChatSessionStore = ChatSessionStore;
+window.ChatSessionManager = ChatSessionManager;
@@ -0,0 +1,176 @@
+/**
+ * js/chat/chat-structured-output.js
+ * Structured JSON Output for Canvas Data
+ *
+ * Schemas, prompts and validation for requests where the model must answer
+ * with JSON instead of prose (see OpenAIService.requestStructured). Chart
+ * data is checked here before it reaches ChartModule, so a bad answer is
+ * reported in the chat instead of being drawn as a half-broken chart.
+ */
+
+const ChatStructuredOutput = {
+  chartTypes: ['bar', 'line', 'pie'],
+
+  // Keep charts readable on the canvas
+  maxChartPoints: 20,
+
+  /**
+   * JSON Schema for chart data. Strict schema mode needs every property to be
+   * required, so unused fields are sent as empty arrays.
+   * @param {string} [type] - Chart type the answer must use
+   * @returns {Object} JSON Schema
+   */
+  getChartSchema(type) {
+    const numbers = { type: 'array', items: { type: 'number' } };
+    return {
+      type: 'object',
+      properties: {
+        chartType: { type: 'string', enum: type ? [type] : this.chartTypes },
+        title: { type: 'string' },
+        labels: { type: 'array', items: { type: 'string' } },
+        values: numbers,
+        series: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              values: numbers
+            },
+            required: ['name', 'values'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['chartType', 'title', 'labels', 'values', 'series'],
+      additionalProperties: false
+    };
+  },
+
+  /**
+   * Instructions sent with a chart request
+   * @param {string} [type] - Chart type the answer must use
+   * @returns {string} Prompt text
+   */
+  getChartInstructions(type) {
+    return 'Produce data for a chart on the canvas. ' +
+      (type ? `The chart type is "${type}". ` : 'Choose the chart type (bar, line or pie) that fits the data best. ') +
+      'Put the category or x-axis names in "labels". For a single set of numbers, put them in "values" ' +
+      'and leave "series" empty; to compare several sets, put each in "series" with a name and leave "values" empty. ' +
+      `Every list of numbers must have one number per label. Use at most ${this.maxChartPoints} labels. ` +
+      'Pie charts have a single set of numbers. Give the chart a short title.';
+  },
+
+  /**
+   * Parse a model's JSON answer, tolerating a markdown code fence around it
+   * @param {string} text - The model's reply
+   * @returns {Object} The parsed value
+   * @throws {Error} If the reply is empty or not valid JSON
+   */
+  parse(text) {
+    let json = (text || '').trim();
+    if (!json) {
+      throw new Error('The model returned an empty answer instead of JSON');
+    }
+    const fenced = json.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    if (fenced) {
+      json = fenced[1];
+    } else if (!/^[{[]/.test(json)) {
+      // Models without a JSON mode sometimes add a sentence before the object
+      const start = json.indexOf('{');
+      const end = json.lastIndexOf('}');
+      if (start !== -1 && end > start) {
+        json = json.substring(start, end + 1);
+      }
+    }
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      throw new Error(`The model did not return valid JSON (${e.message})`);
+    }
+  },
+
+  /**
+   * Check chart data against the chart schema
+   * @param {*} data - Parsed JSON from the model
+   * @param {string} [type] - Chart type that was asked for
+   * @returns {Array<string>} Problems found; empty when the data is valid
+   */
+  validateChart(data, type) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Expected a JSON object with chartType, title, labels and values or series'];
+    }
+    const errors = [];
+    const isNumberList = list => Array.isArray(list) && list.every(value => typeof value === 'number' && isFinite(value));
+
+    if (!type && !this.chartTypes.includes(data.chartType)) {
+      errors.push(`"chartType" must be one of ${this.chartTypes.join(', ')} (got ${JSON.stringify(data.chartType)})`);
+    }
+    if (data.title !== undefined && data.title !== null && typeof data.title !== 'string') {
+      errors.push('"title" must be a string');
+    }
+
+    const labels = data.labels;
+    if (!Array.isArray(labels) || labels.length === 0) {
+      errors.push('"labels" must be a non-empty array');
+      return errors;
+    }
+    if (!labels.every(label => typeof label === 'string' || typeof label === 'number')) {
+      errors.push('"labels" must only contain strings');
+    }
+    if (labels.length > this.maxChartPoints) {
+      errors.push(`"labels" has ${labels.length} entries; the limit is ${this.maxChartPoints}`);
+    }
+
+    const series = Array.isArray(data.series) ? data.series : [];
+    const hasValues = Array.isArray(data.values) && data.values.length > 0;
+    if (data.series !== undefined && !Array.isArray(data.series)) {
+      errors.push('"series" must be an array');
+    }
+    if (!hasValues && series.length === 0) {
+      errors.push('Either "values" or "series" must contain numbers');
+    }
+    if (hasValues) {
+      if (!isNumberList(data.values)) {
+        errors.push('"values" must only contain numbers');
+      } else if (data.values.length !== labels.length) {
+        errors.push(`"values" has ${data.values.length} numbers but there are ${labels.length} labels`);
+      }
+    }
+    series.forEach((entry, index) => {
+      const name = entry && typeof entry.name === 'string' && entry.name ? `"${entry.name}"` : `#${index + 1}`;
+      if (!entry || typeof entry !== 'object' || !isNumberList(entry.values)) {
+        errors.push(`Series ${name} must have a "values" array of numbers`);
+      } else if (entry.values.length !== labels.length) {
+        errors.push(`Series ${name} has ${entry.values.length} numbers but there are ${labels.length} labels`);
+      }
+    });
+    if ((type || data.chartType) === 'pie' && !hasValues && series.length > 1) {
+      errors.push('Pie charts take a single set of values, not several series');
+    }
+    return errors;
+  },
+
+  /**
+   * Turn validated chart data into the spec ChartModule.setData accepts
+   * @param {Object} data - Data that passed validateChart
+   * @param {string} [type] - Chart type that was asked for; wins over the model's choice
+   * @returns {Object} { chartType, title, labels, values, series }
+   */
+  toChartSpec(data, type) {
+    const series = (data.series || []).map((entry, index) => ({
+      name: entry.name || `Series ${index + 1}`,
+      values: entry.values.slice()
+    }));
+    return {
+      chartType: type || data.chartType,
+      title: (data.title || '').trim(),
+      labels: data.labels.map(String),
+      values: data.values && data.values.length > 0 ? data.values.slice() : series[0].values.slice(),
+      series: series.length > 1 ? series : []
+    };
+  }
+};
+
+// Make structured output helpers globally available
+window.ChatStructuredOutput = ChatStructuredOutput;
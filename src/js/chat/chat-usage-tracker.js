@@ -0,0 +1,227 @@
+/**
+ * js/chat/chat-usage-tracker.js
+ * Token Usage and Cost Accounting
+ *
+ * Records the prompt and completion tokens of every AI request, grouped by
+ * day, model and chat session, and estimates their cost from a configurable
+ * price table. Optional monthly spending limits warn (soft) or block (hard)
+ * further requests.
+ */
+
+class ChatUsageTracker {
+  constructor() {
+    this.usageKey = 'chat_usage';
+    this.pricesKey = 'chat_usage_prices';
+    this.limitsKey = 'chat_usage_limits';
+
+    // USD per million tokens. Other models show as "price unknown" and do not count
+    // towards the limits, except on local providers, which cost nothing.
+    this.defaultPrices = {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4.1': { input: 2, output: 8 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+      'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+      'claude-3-opus-latest': { input: 15, output: 75 }
+    };
+
+    // Providers that run models locally (or not at all)
+    this.freeProviders = ['ollama', 'local', 'mock'];
+
+    this.records = this.load(this.usageKey, {});
+    this.prices = this.load(this.pricesKey, {});
+    this.limits = this.load(this.limitsKey, { soft: null, hard: null });
+    this.softLimitWarned = null;
+  }
+
+  // Read a JSON value from localStorage
+  load(key, fallback) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key) || 'null');
+      return saved && typeof saved === 'object' ? saved : fallback;
+    } catch (e) {
+      console.warn(`Could not load ${key} from localStorage`, e);
+      return fallback;
+    }
+  }
+
+  // Write a JSON value to localStorage
+  save(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn(`Could not save ${key} to localStorage`, e);
+    }
+  }
+
+  // Local date as YYYY-MM-DD
+  today() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  // Add one request's tokens to the day/model/session totals
+  record(usage) {
+    const entry = {
+      day: this.today(),
+      provider: usage.provider || 'openai',
+      model: usage.model || 'unknown',
+      sessionId: usage.sessionId || null
+    };
+    const key = [entry.day, entry.provider, entry.model, entry.sessionId || ''].join('|');
+    const record = this.records[key] || { ...entry, requests: 0, promptTokens: 0, completionTokens: 0, estimated: 0 };
+
+    record.requests++;
+    record.promptTokens += usage.promptTokens || 0;
+    record.completionTokens += usage.completionTokens || 0;
+    if (usage.estimated) record.estimated++;
+    this.records[key] = record;
+    this.save(this.usageKey, this.records);
+
+    document.dispatchEvent(new CustomEvent('chat:usage-updated', {
+      detail: { record, today: this.summarize(this.filter({ day: entry.day })) }
+    }));
+    this.checkSoftLimit();
+    return record;
+  }
+
+  // Price for a model id, or for a dated snapshot of a listed model (gpt-4o-2024-08-06,
+  // claude-3-5-sonnet-20241022 for claude-3-5-sonnet-latest). Variants such as gpt-4.1-nano
+  // are priced differently from their parent, so anything else has no price (null).
+  getPrice(model) {
+    const prices = this.listPrices();
+    if (prices[model]) return prices[model];
+    const snapshot = String(model || '').match(/^(.+?)-(\d{4}-\d{2}-\d{2}|\d{8})$/);
+    if (!snapshot) return null;
+    return prices[snapshot[1]] || prices[`${snapshot[1]}-latest`] || null;
+  }
+
+  // Whether the cost of a record is known: the model has a price or runs locally
+  isPriced(record) {
+    return this.freeProviders.includes(record.provider) || !!this.getPrice(record.model);
+  }
+
+  // Set the USD price per million input/output tokens for a model
+  setPrice(model, input, output) {
+    if (isNaN(input) || isNaN(output) || input < 0 || output < 0) {
+      return false;
+    }
+    this.prices[model] = { input, output };
+    this.save(this.pricesKey, this.prices);
+    return true;
+  }
+
+  // All price entries, with user overrides taking precedence
+  listPrices() {
+    return { ...this.defaultPrices, ...this.prices };
+  }
+
+  // Estimated cost of a usage record in USD; 0 when the price is unknown (see isPriced)
+  costOf(record) {
+    const price = this.freeProviders.includes(record.provider) ? null : this.getPrice(record.model);
+    if (!price) return 0;
+    return (record.promptTokens * price.input + record.completionTokens * price.output) / 1000000;
+  }
+
+  // Records matching all the given fields; { month: 'YYYY-MM' } matches by day prefix
+  filter(criteria = {}) {
+    return Object.values(this.records).filter(record =>
+      Object.entries(criteria).every(([field, value]) =>
+        field === 'month' ? record.day.startsWith(value) : record[field] === value));
+  }
+
+  // Add up a list of records
+  summarize(records) {
+    return records.reduce((total, record) => {
+      total.requests += record.requests;
+      total.promptTokens += record.promptTokens;
+      total.completionTokens += record.completionTokens;
+      total.cost += this.costOf(record);
+      total.estimated += record.estimated || 0;
+      if (!this.isPriced(record)) total.unpriced += record.requests;
+      return total;
+    }, { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimated: 0, unpriced: 0 });
+  }
+
+  // Totals grouped by a record field ('model', 'sessionId' or 'day'), largest cost first
+  groupBy(field, criteria = {}) {
+    const groups = {};
+    this.filter(criteria).forEach(record => {
+      const key = record[field] || '';
+      (groups[key] = groups[key] || []).push(record);
+    });
+    return Object.entries(groups)
+      .map(([key, records]) => ({ key, ...this.summarize(records) }))
+      .sort((a, b) => b.cost - a.cost || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens));
+  }
+
+  // Estimated cost of the current calendar month, which the limits apply to
+  getMonthCost() {
+    return this.summarize(this.filter({ month: this.today().substring(0, 7) })).cost;
+  }
+
+  // Set the soft or hard monthly limit in USD; null turns it off
+  setLimit(level, amount) {
+    if (!['soft', 'hard'].includes(level) || (amount !== null && (isNaN(amount) || amount <= 0))) {
+      return false;
+    }
+    this.limits[level] = amount;
+    this.save(this.limitsKey, this.limits);
+    this.softLimitWarned = null;
+    return true;
+  }
+
+  // Check the limits; returns { blocked, message } when a request should not be sent
+  checkLimits() {
+    const cost = this.getMonthCost();
+    if (this.limits.hard && cost >= this.limits.hard) {
+      return {
+        blocked: true,
+        message: `Monthly spending limit reached ($${cost.toFixed(2)} of $${this.limits.hard.toFixed(2)}). ` +
+          'Raise it with "/ai usage limit hard AMOUNT" or turn it off with "/ai usage limit hard off".'
+      };
+    }
+    return { blocked: false, message: null };
+  }
+
+  // Warn once per month when the soft limit is passed
+  checkSoftLimit() {
+    const month = this.today().substring(0, 7);
+    const cost = this.getMonthCost();
+    if (!this.limits.soft || cost < this.limits.soft || this.softLimitWarned === month) return;
+
+    this.softLimitWarned = month;
+    document.dispatchEvent(new CustomEvent('chat:usage-limit', {
+      detail: { level: 'soft', cost, limit: this.limits.soft }
+    }));
+    if (window.ChatInterface && window.ChatInterface.chatMessages) {
+      window.ChatInterface.addSystemMessage(`⚠️ AI spending this month is ~$${cost.toFixed(2)}, past your soft limit of $${this.limits.soft.toFixed(2)}. Use '/ai usage' for details.`);
+    }
+  }
+
+  // Forget all recorded usage (prices and limits are kept)
+  reset() {
+    this.records = {};
+    this.save(this.usageKey, this.records);
+    document.dispatchEvent(new CustomEvent('chat:usage-updated', {
+      detail: { record: null, today: this.summarize([]) }
+    }));
+  }
+}
+
+// Record every completed AI request
+document.addEventListener('DOMContentLoaded', () => {
+  window.chatUsage = new ChatUsageTracker();
+  document.addEventListener('openai:usage', (e) => {
+    window.chatUsage.record({
+      ...e.detail,
+      sessionId: window.chatSessions?.activeSession?.id || null
+    });
+  });
+});
+
+// Make the usage tracker globally available
+window.ChatUsageTracker = ChatUsageTracker;
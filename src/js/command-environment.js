@@ -0,0 +1,383 @@
+/**
+ * js/command-environment.js
+ * Variables and Aliases for Commands
+ *
+ *   set URL=https://api.example.com/items    define a variable
+ *   fetch $URL | chart bar                   ...and use it as $URL or ${URL}
+ *   alias items='fetch $URL | jq .items'     define a command alias
+ *   items | chart bar --value count          ...and use it as a command
+ *   env / alias                              list variables / aliases
+ *   unset URL / unalias items                remove them
+ *
+ * Both are saved in localStorage and expanded before a command is run, in the
+ * terminal and in chat slash commands ("/items" runs the alias too). Text in
+ * single quotes and heredoc bodies is not expanded, nor are the key and
+ * passphrase commands ("/ai key ..."), and \$NAME keeps the literal text $NAME.
+ */
+
+const CommandEnvironment = {
+    variablesKey: 'command_variables',
+    aliasesKey: 'command_aliases',
+
+    // Aliases may expand to other aliases, up to this depth
+    maxAliasDepth: 10,
+
+    // Commands handled here
+    commands: ['set', 'unset', 'env', 'alias', 'unalias'],
+
+    // Commands whose text is never expanded: keys and passphrases are used exactly as typed
+    literalCommands: [/^\s*\/?ai\s+key\b/i],
+
+    /**
+     * Read saved values
+     * @param {string} key - localStorage key
+     * @returns {Object} Values by name
+     */
+    load(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || {};
+        } catch (e) {
+            console.error(`Error reading ${key}:`, e);
+            return {};
+        }
+    },
+
+    /**
+     * Save values
+     * @param {string} key - localStorage key
+     * @param {Object} values - Values by name
+     */
+    save(key, values) {
+        localStorage.setItem(key, JSON.stringify(values));
+    },
+
+    /**
+     * Get all variables
+     * @returns {Object} Values by name
+     */
+    getVariables() {
+        return this.load(this.variablesKey);
+    },
+
+    /**
+     * Get all aliases
+     * @returns {Object} Commands by alias name
+     */
+    getAliases() {
+        return this.load(this.aliasesKey);
+    },
+
+    /**
+     * Expand aliases and variables in a command
+     * @param {string} text - Command as typed
+     * @returns {string} Command to run
+     */
+    expand(text) {
+        return this.expandVariables(this.expandAlias(text));
+    },
+
+    /**
+     * Replace a leading alias name ("name" or "/name") with its command
+     * @param {string} text - Command as typed
+     * @returns {string} Command with the alias expanded
+     */
+    expandAlias(text) {
+        const aliases = this.getAliases();
+        const seen = new Set();
+        let match;
+        while ((match = text.match(/^\s*\/?([\w-]+)(?=\s|$)/)) &&
+               Object.prototype.hasOwnProperty.call(aliases, match[1]) &&
+               !seen.has(match[1]) && seen.size < this.maxAliasDepth) {
+            // An alias is never expanded inside itself, so "alias ls='ls -la'" works
+            seen.add(match[1]);
+            text = aliases[match[1]] + text.substring(match[0].length);
+        }
+        return text;
+    },
+
+    /**
+     * Replace $NAME and ${NAME} with variable values. Unknown names are left
+     * alone, so "$" in code (PHP, shell, jQuery) is not disturbed, and single
+     * quotes, heredoc bodies and literalCommands are left as typed.
+     * @param {string} text - Command
+     * @returns {string} Command with variables expanded
+     */
+    expandVariables(text) {
+        if (this.literalCommands.some(pattern => pattern.test(text))) {
+            return text;
+        }
+        const variables = this.getVariables();
+        let result = '';
+        let pos = 0;
+        while (pos < text.length) {
+            const char = text[pos];
+            if (char === "'") {
+                const close = text.indexOf("'", pos + 1);
+                if (close !== -1) {
+                    result += text.substring(pos, close + 1);
+                    pos = close + 1;
+                    continue;
+                }
+            } else if (char === '<' && text[pos + 1] === '<') {
+                // A heredoc body is pasted text such as code; keep it, up to its terminator, as it is
+                let heredoc;
+                try {
+                    heredoc = CommandParser.readHeredoc(text, pos);
+                } catch (error) {
+                    // Not closed: the parser reports it, so leave the rest alone
+                    heredoc = error.incomplete ? { end: text.length } : null;
+                }
+                if (heredoc) {
+                    result += text.substring(pos, heredoc.end);
+                    pos = heredoc.end;
+                    continue;
+                }
+            } else if (char === '$' || (char === '\\' && text[pos + 1] === '$')) {
+                const escaped = char === '\\';
+                const match = text.substring(pos + (escaped ? 1 : 0)).match(/^\$(?:\{([A-Za-z_]\w*)\}|([A-Za-z_]\w*))/);
+                const name = match && (match[1] || match[2]);
+                if (name && Object.prototype.hasOwnProperty.call(variables, name)) {
+                    // \$NAME stays as the literal text $NAME
+                    result += escaped ? match[0] : variables[name];
+                    pos += match[0].length + (escaped ? 1 : 0);
+                    continue;
+                }
+            }
+            result += char;
+            pos++;
+        }
+        return result;
+    },
+
+    /**
+     * Check whether a command is one of set, unset, env, alias and unalias
+     * @param {string} text - Command, with or without a leading "/"
+     * @returns {boolean} True if handleCommand should run it
+     */
+    isCommand(text) {
+        const word = CommandParser.nextWord(text.replace(/^\s*\//, '')).word.toLowerCase();
+        return this.commands.includes(word);
+    },
+
+    /**
+     * Run set, unset, env, alias or unalias
+     * @param {string} text - Command, with or without a leading "/"
+     * @param {Function} print - Shows output to the user
+     * @returns {boolean} Whether the command succeeded
+     */
+    handleCommand(text, print) {
+        const body = text.replace(/^\s*\//, '');
+        const { word, offset } = CommandParser.nextWord(body);
+        let words;
+        try {
+            words = CommandParser.tokenize(body, offset);
+        } catch (error) {
+            if (!(error instanceof CommandUsageError)) throw error;
+            print(`[ERROR] ${error.message}`);
+            return false;
+        }
+
+        switch (word.toLowerCase()) {
+            case 'set':
+                return words.length === 0 ? this.listVariables(print) : this.setVariables(words, print);
+            case 'env':
+                return this.listVariables(print);
+            case 'unset':
+                return this.remove(this.variablesKey, 'variable', words, print);
+            case 'alias':
+                return this.handleAlias(words, print);
+            case 'unalias':
+                return this.remove(this.aliasesKey, 'alias', words, print);
+        }
+        return false;
+    },
+
+    /**
+     * Define variables from "NAME=value" words, or from "NAME value..."
+     * @param {Array<string>} words - Words after "set"
+     * @param {Function} print - Output
+     * @returns {boolean} Whether every variable was set
+     */
+    setVariables(words, print) {
+        if (words[0].includes('=') && !words.every(word => word.includes('='))) {
+            print('[ERROR] Quote values that contain spaces: set NAME="some value"');
+            return false;
+        }
+        const assignments = words.every(word => word.includes('=')) ?
+            words.map(word => [word.substring(0, word.indexOf('=')), word.substring(word.indexOf('=') + 1)]) :
+            [[words[0], words.slice(1).join(' ')]];
+
+        const invalid = assignments.find(([name]) => !/^[A-Za-z_]\w*$/.test(name));
+        if (invalid) {
+            print(`[ERROR] Invalid variable name: "${invalid[0]}" (use letters, numbers and _)`);
+            print('Usage: set NAME=value');
+            return false;
+        }
+
+        const variables = this.getVariables();
+        assignments.forEach(([name, value]) => {
+            variables[name] = value;
+        });
+        this.save(this.variablesKey, variables);
+        print(assignments.map(([name, value]) => `${name}=${this.mask(value)}`).join('\n'));
+        return true;
+    },
+
+    /**
+     * List variables
+     * @param {Function} print - Output
+     * @returns {boolean} Always true
+     */
+    listVariables(print) {
+        const entries = Object.entries(this.getVariables()).sort(([a], [b]) => a.localeCompare(b));
+        print(entries.length === 0 ?
+            'No variables set. Define one with "set NAME=value" and use it as $NAME.' :
+            entries.map(([name, value]) => `${name}=${this.mask(value)}`).join('\n'));
+        return true;
+    },
+
+    /**
+     * Define, show or list aliases
+     * @param {Array<string>} words - Words after "alias"
+     * @param {Function} print - Output
+     * @returns {boolean} Whether the command succeeded
+     */
+    handleAlias(words, print) {
+        const aliases = this.getAliases();
+        const describe = name => `alias ${name}='${aliases[name].replace(/'/g, "'\\''")}'`;
+
+        if (words.length === 0) {
+            const names = Object.keys(aliases).sort();
+            print(names.length === 0 ?
+                'No aliases defined. Define one with alias name=\'command ...\'.' :
+                names.map(describe).join('\n'));
+            return true;
+        }
+
+        const definition = words.join(' ');
+        const equals = definition.indexOf('=');
+        if (equals === -1) {
+            if (!aliases[definition]) {
+                print(`[ERROR] No alias named "${definition}"`);
+                return false;
+            }
+            print(describe(definition));
+            return true;
+        }
+
+        const name = definition.substring(0, equals).trim();
+        const command = definition.substring(equals + 1).trim();
+        if (!/^\w[\w-]*$/.test(name)) {
+            print(`[ERROR] Invalid alias name: "${name}" (use letters, numbers, - and _)`);
+            print("Usage: alias name='command ...'");
+            return false;
+        }
+        if (!command) {
+            print(`[ERROR] The command for alias "${name}" is empty`);
+            return false;
+        }
+
+        aliases[name] = command;
+        this.save(this.aliasesKey, aliases);
+        this.registerSlashCommand(name, command);
+        print(describe(name));
+        return true;
+    },
+
+    /**
+     * Remove variables or aliases
+     * @param {string} key - Storage key
+     * @param {string} label - 'variable' or 'alias'
+     * @param {Array<string>} names - Names to remove
+     * @param {Function} print - Output
+     * @returns {boolean} Whether they all existed
+     */
+    remove(key, label, names, print) {
+        if (names.length === 0) {
+            print(`[ERROR] Name the ${label} to remove`);
+            return false;
+        }
+        const values = this.load(key);
+        const missing = names.filter(name => !Object.prototype.hasOwnProperty.call(values, name));
+        names.forEach(name => {
+            delete values[name];
+            if (key === this.aliasesKey) this.unregisterSlashCommand(name);
+        });
+        this.save(key, values);
+        if (missing.length > 0) {
+            print(`[ERROR] No ${label} named ${missing.map(name => `"${name}"`).join(', ')}`);
+            return false;
+        }
+        print(`Removed ${label} ${names.join(', ')}`);
+        return true;
+    },
+
+    /**
+     * Mask API keys in values that are shown
+     * @param {string} value - Variable value
+     * @returns {string} Value safe to display
+     */
+    mask(value) {
+        return window.ChatKeyVault ? ChatKeyVault.redact(value) : value;
+    },
+
+    /**
+     * Offer an alias in the slash command menu
+     * @param {string} name - Alias name
+     * @param {string} command - Its command
+     */
+    registerSlashCommand(name, command) {
+        if (window.SlashCommands && typeof SlashCommands.registerGlobal === 'function') {
+            SlashCommands.registerGlobal(`/${name}`, `/${name}`, `alias: ${this.mask(command)}`);
+        }
+    },
+
+    /**
+     * Remove an alias from the slash command menu
+     * @param {string} name - Alias name
+     */
+    unregisterSlashCommand(name) {
+        if (window.SlashCommands && typeof SlashCommands.unregisterGlobal === 'function') {
+            SlashCommands.unregisterGlobal(`/${name}`);
+        }
+    }
+};
+
+/**
+ * Handle /set, /unset, /env, /alias and /unalias in the chat
+ * @param {string} message - Slash command
+ * @param {Object} chatInterface - Chat interface
+ * @returns {boolean} Whether the command succeeded
+ */
+function handleEnvironmentCommand(message, chatInterface) {
+    return CommandEnvironment.handleCommand(message, text =>
+        chatInterface.addSystemMessage(text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')));
+}
+
+// Make variables and aliases globally available
+window.CommandEnvironment = CommandEnvironment;
+window.handleEnvironmentCommand = handleEnvironmentCommand;
+
+// Register the commands and saved aliases in the slash command menu
+document.addEventListener('DOMContentLoaded', () => {
+    const waitForSlashCommands = setInterval(() => {
+        if (window.SlashCommands && typeof window.SlashCommands.registerGlobal === 'function') {
+            clearInterval(waitForSlashCommands);
+            window.SlashCommands.registerGlobal('/set', '/set', 'Set a variable: /set NAME=value, then use $NAME');
+            window.SlashCommands.registerGlobal('/env', '/env', 'List variables');
+            window.SlashCommands.registerGlobal('/alias', '/alias', "List aliases, or define one: /alias name='command'");
+            window.SlashCommands.registerGlobal('/unset', '/unset', 'Remove a variable');
+            window.SlashCommands.registerGlobal('/unalias', '/unalias', 'Remove an alias');
+            Object.entries(CommandEnvironment.getAliases()).forEach(([name, command]) =>
+                CommandEnvironment.registerSlashCommand(name, command));
+            if (typeof window.SlashCommands.registerArgumentCompleter === 'function') {
+                window.SlashCommands.registerArgumentCompleter('/unset', () =>
+                    Object.keys(CommandEnvironment.getVariables()).map(value => ({ value, description: 'variable' })));
+                window.SlashCommands.registerArgumentCompleter('/unalias', () =>
+                    Object.entries(CommandEnvironment.getAliases()).map(([value, command]) =>
+                        ({ value, description: CommandEnvironment.mask(command) })));
+            }
+        }
+    }, 200);
+    setTimeout(() => clearInterval(waitForSlashCommands), 10000);
+});
@@ -0,0 +1,403 @@
+/**
+ * js/command-macros.js
+ * Macro Recording and Replay
+ *
+ * Records the terminal commands (everything passed to
+ * CommandProcessor.processCommand) and chat slash commands typed between
+ * "macro record <name>" and "macro stop", saves them in localStorage and
+ * replays them with "macro run <name>".
+ *
+ * Values given after the name when recording become parameters: while
+ * recording "macro record demo https://api.example.com/x", that URL is saved
+ * as $1, and "macro run demo https://other.example.com/y" replays the steps
+ * with the new URL. $1, $2... can also be typed directly in recorded commands.
+ */
+
+const CommandMacros = {
+    storageKey: 'command_macros',
+
+    // Pause between replayed steps so each one can draw before the next
+    defaultDelay: 300,
+
+    // Macro being recorded: { name, samples, steps, print }
+    recording: null,
+
+    // Macro being replayed: { name, cancelled }
+    running: null,
+
+    // Usage of each subcommand
+    specs: {
+        record: {
+            description: 'Start recording; values after the name become $1, $2...',
+            args: [{ name: 'name', required: true }, { name: 'values', variadic: true }]
+        },
+        stop: { description: 'Stop recording and save the macro, or stop a running macro' },
+        run: {
+            description: 'Replay a macro, stopping at the first command that fails',
+            args: [{ name: 'name', required: true }, { name: 'values', variadic: true }],
+            options: { delay: { type: 'integer', min: 0, max: 60000, placeholder: 'ms', description: 'Pause between steps' } }
+        },
+        list: { description: 'List saved macros' },
+        show: { description: 'Show the steps of a macro', args: [{ name: 'name', required: true }] },
+        delete: { description: 'Delete a macro', args: [{ name: 'name', required: true }] }
+    },
+
+    /**
+     * Read saved macros
+     * @returns {Object} Macros by name: { steps: [{ type, text }], params, created }
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            console.error('Error reading macros:', e);
+            return {};
+        }
+    },
+
+    /**
+     * Save macros
+     * @param {Object} macros - Macros by name
+     */
+    save(macros) {
+        localStorage.setItem(this.storageKey, JSON.stringify(macros));
+    },
+
+    /**
+     * Handle "macro <subcommand> ..." from the terminal or "/macro ..." from the chat
+     * @param {string} text - Command line, with or without the leading "macro" or "/macro"
+     * @param {Function} print - Shows a line of output to the user
+     * @returns {boolean} Whether the command succeeded
+     */
+    handleCommand(text, print) {
+        const body = text.replace(/^\s*\/?macro\b/i, '');
+        const { word, offset } = CommandParser.nextWord(body);
+        const subcommand = word.toLowerCase() || 'list';
+        const spec = this.specs[subcommand];
+        if (!spec) {
+            print(`Unknown macro command: ${word}\n${this.getHelp()}`);
+            return false;
+        }
+
+        let parsed;
+        try {
+            parsed = CommandParser.parse(body, spec, { offset, name: `macro ${subcommand}` });
+        } catch (error) {
+            if (!(error instanceof CommandUsageError)) throw error;
+            print(`${error.message}\nUsage: ${error.usage}`);
+            return false;
+        }
+        const { args, options } = parsed;
+        const values = args.values || [];
+
+        switch (subcommand) {
+            case 'record':
+                return this.startRecording(args.name, values, print);
+            case 'stop':
+                return this.stop(print);
+            case 'run':
+                this.run(args.name, values, { delay: options.delay, print });
+                return true;
+            case 'list':
+                return this.list(print);
+            case 'show':
+                return this.show(args.name, print);
+            case 'delete':
+                return this.remove(args.name, print);
+        }
+        return false;
+    },
+
+    /**
+     * Start recording a macro
+     * @param {string} name - Macro name
+     * @param {Array<string>} samples - Values that stand for $1, $2... while recording
+     * @param {Function} print - Output for recording messages
+     * @returns {boolean} Whether recording started
+     */
+    startRecording(name, samples, print) {
+        if (!/^[\w-]+$/.test(name)) {
+            print('Macro names may only contain letters, numbers, "-" and "_"');
+            return false;
+        }
+        if (this.recording) {
+            print(`Already recording "${this.recording.name}"; use "macro stop" first`);
+            return false;
+        }
+        if (this.running) {
+            print(`Macro "${this.running.name}" is running; wait for it or use "macro stop"`);
+            return false;
+        }
+
+        this.recording = { name, samples, steps: [], print };
+        const params = samples.map((value, index) => `$${index + 1} = ${value}`).join(', ');
+        print(`⏺ Recording macro "${name}"${params ? ` (${params})` : ''}. Run your commands, then "macro stop".`);
+        return true;
+    },
+
+    /**
+     * Record a command if a macro is being recorded
+     * @param {string} type - 'command' for terminal commands, 'slash' for chat slash commands
+     * @param {string} text - The command as typed
+     * @returns {string} The command to run, with $1, $2... replaced by the recording values
+     */
+    capture(type, text) {
+        const recording = this.recording;
+        if (!recording || this.running || /^\s*\/?macro\b/i.test(text)) {
+            return text;
+        }
+
+        // Never store API keys or passphrases
+        if (window.ChatKeyVault && ChatKeyVault.redact(text) !== text) {
+            recording.print('This command contains a secret, so it was not recorded');
+            return text;
+        }
+
+        // Turn the recording values back into $1, $2... (longest first, so one value inside another is not split)
+        let template = text;
+        recording.samples
+            .map((value, index) => ({ value, param: `$${index + 1}` }))
+            .filter(({ value }) => value)
+            .sort((a, b) => b.value.length - a.value.length)
+            .forEach(({ value, param }) => {
+                template = template.split(value).join(param);
+            });
+
+        // Chat commands replay through the chat, which only treats "/..." as a command
+        if (type === 'slash' && !template.trim().startsWith('/')) {
+            template = `/${template.trim()}`;
+        }
+        recording.steps.push({ type, text: template });
+        return this.expand(template, recording.samples);
+    },
+
+    /**
+     * Replace $1, $2... with values
+     * @param {string} text - Command with parameters
+     * @param {Array<string>} values - Parameter values
+     * @returns {string} The command
+     */
+    expand(text, values) {
+        return text.replace(/\$(\d+)/g, (match, number) => {
+            const value = values[number - 1];
+            return value === undefined ? match : value;
+        });
+    },
+
+    /**
+     * Highest parameter a macro uses
+     * @param {Array<Object>} steps - Macro steps
+     * @returns {number} e.g. 2 if it uses $1 and $2
+     */
+    countParams(steps) {
+        return steps.reduce((count, step) => {
+            const numbers = (step.text.match(/\$(\d+)/g) || []).map(param => Number(param.substring(1)));
+            return Math.max(count, ...numbers);
+        }, 0);
+    },
+
+    /**
+     * Stop recording and save, or stop a running macro
+     * @param {Function} print - Output for messages
+     * @returns {boolean} Whether anything was stopped
+     */
+    stop(print) {
+        if (this.running) {
+            this.running.cancelled = true;
+            print(`⏹ Stopping macro "${this.running.name}"`);
+            return true;
+        }
+        if (!this.recording) {
+            print('Nothing is being recorded');
+            return false;
+        }
+
+        const { name, steps } = this.recording;
+        this.recording = null;
+        if (steps.length === 0) {
+            print(`Nothing was recorded, so "${name}" was not saved`);
+            return false;
+        }
+
+        const macros = this.load();
+        macros[name] = { steps, params: this.countParams(steps), created: new Date().toISOString() };
+        this.save(macros);
+        print(`💾 Saved macro "${name}" (${steps.length} step${steps.length === 1 ? '' : 's'}). Replay it with "macro run ${name}"${macros[name].params ? ` and ${macros[name].params} value(s)` : ''}.`);
+        return true;
+    },
+
+    /**
+     * Replay a macro
+     * @param {string} name - Macro name
+     * @param {Array<string>} values - Values for $1, $2...
+     * @param {Object} [options] - { delay: ms between steps, print: output for messages }
+     * @returns {Promise<boolean>} Whether every step succeeded
+     */
+    async run(name, values, { delay = this.defaultDelay, print = console.log } = {}) {
+        const macro = this.load()[name];
+        if (!macro) {
+            print(`No macro named "${name}". Use "macro list" to see saved macros.`);
+            return false;
+        }
+        if (this.recording) {
+            print(`Stop recording "${this.recording.name}" before running a macro`);
+            return false;
+        }
+        if (this.running) {
+            print(`Macro "${this.running.name}" is already running`);
+            return false;
+        }
+        if (values.length < macro.params) {
+            print(`Macro "${name}" needs ${macro.params} value(s) for $1..$${macro.params}, got ${values.length}`);
+            return false;
+        }
+
+        const run = { name, cancelled: false };
+        this.running = run;
+        print(`▶ Running macro "${name}" (${macro.steps.length} steps)`);
+        try {
+            for (const [index, step] of macro.steps.entries()) {
+                if (run.cancelled) {
+                    print(`⏹ Macro "${name}" stopped before step ${index + 1}`);
+                    return false;
+                }
+                const text = this.expand(step.text, values);
+                let ok;
+                try {
+                    ok = await this.runStep(step.type, text);
+                } catch (error) {
+                    console.error('Macro step failed:', error);
+                    ok = false;
+                }
+                if (ok === false) {
+                    print(`✗ Macro "${name}" stopped: step ${index + 1} failed (${text})`);
+                    return false;
+                }
+                if (delay > 0 && index < macro.steps.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+            print(`✓ Macro "${name}" finished`);
+            return true;
+        } finally {
+            this.running = null;
+        }
+    },
+
+    /**
+     * Run one step the way the user ran it
+     * @param {string} type - 'command' or 'slash'
+     * @param {string} text - The command
+     * @returns {boolean|Promise<boolean>} False, or a promise resolving to false, if the step failed
+     */
+    runStep(type, text) {
+        if (type === 'slash') {
+            if (!window.ChatInterface || typeof ChatInterface.handleCommand !== 'function') {
+                throw new Error('The chat is not available');
+            }
+            ChatInterface.addUserMessage(text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+            return Promise.resolve(ChatInterface.handleCommand(text)).then(ok => ok !== false);
+        }
+        terminal.addOutput(`$ ${text}`);
+        return Promise.resolve(Commands.processCommand(text)).then(ok => ok !== false);
+    },
+
+    /**
+     * List saved macros
+     * @param {Function} print - Output
+     * @returns {boolean} Always true
+     */
+    list(print) {
+        const entries = Object.entries(this.load());
+        if (entries.length === 0) {
+            print('No macros saved yet. Start one with "macro record <name>".');
+            return true;
+        }
+        const lines = entries.map(([name, macro]) =>
+            `${name.padEnd(16)} ${String(macro.steps.length).padStart(3)} steps` +
+            `${macro.params ? `, ${macro.params} value(s)` : ''}  ${macro.created ? macro.created.substring(0, 10) : ''}`);
+        if (this.recording) {
+            lines.push(`(recording "${this.recording.name}": ${this.recording.steps.length} steps so far)`);
+        }
+        print(`Saved macros:\n${lines.join('\n')}`);
+        return true;
+    },
+
+    /**
+     * Show the steps of a macro
+     * @param {string} name - Macro name
+     * @param {Function} print - Output
+     * @returns {boolean} Whether the macro exists
+     */
+    show(name, print) {
+        const macro = this.load()[name];
+        if (!macro) {
+            print(`No macro named "${name}"`);
+            return false;
+        }
+        const steps = macro.steps.map((step, index) => `${String(index + 1).padStart(3)}. ${step.type === 'slash' ? '[chat] ' : ''}${step.text}`);
+        print(`Macro "${name}":\n${steps.join('\n')}`);
+        return true;
+    },
+
+    /**
+     * Delete a macro
+     * @param {string} name - Macro name
+     * @param {Function} print - Output
+     * @returns {boolean} Whether the macro existed
+     */
+    remove(name, print) {
+        const macros = this.load();
+        if (!macros[name]) {
+            print(`No macro named "${name}"`);
+            return false;
+        }
+        delete macros[name];
+        this.save(macros);
+        print(`🗑 Deleted macro "${name}"`);
+        return true;
+    },
+
+    /**
+     * Help text listing the subcommands
+     * @returns {string} Help
+     */
+    getHelp() {
+        return Object.entries(this.specs)
+            .map(([name, spec]) => CommandParser.describe(`macro ${name}`, spec))
+            .join('\n');
+    }
+};
+
+/**
+ * Handle '/macro' commands typed in the chat
+ * @param {string} message - The command
+ * @param {Object} chatInterface - Chat interface for output
+ * @returns {boolean} Whether the command succeeded
+ */
+function handleMacroCommand(message, chatInterface) {
+    return CommandMacros.handleCommand(message, text =>
+        chatInterface.addSystemMessage(text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')));
+}
+
+// Make macros globally available
+window.CommandMacros = CommandMacros;
+window.handleMacroCommand = handleMacroCommand;
+
+// Register '/macro' in the slash command menu
+document.addEventListener('DOMContentLoaded', () => {
+    const waitForSlashCommands = setInterval(() => {
+        if (window.SlashCommands && typeof window.SlashCommands.registerModuleCommand === 'function') {
+            clearInterval(waitForSlashCommands);
+            window.SlashCommands.registerModuleCommand('macro', '/macro', '/macro list', 'Record and replay command sequences', true);
+            if (typeof window.SlashCommands.registerArgumentCompleter === 'function') {
+                window.SlashCommands.registerArgumentCompleter('/macro', () =>
+                    Object.entries(CommandMacros.specs).map(([value, spec]) => ({ value, description: spec.description })));
+                const completeNames = () => Object.keys(CommandMacros.load()).map(value => ({ value, description: 'saved macro' }));
+                ['/macro run', '/macro show', '/macro delete'].forEach(command =>
+                    window.SlashCommands.registerArgumentCompleter(command, completeNames));
+            }
+        }
+    }, 200);
+    setTimeout(() => clearInterval(waitForSlashCommands), 10000);
+});
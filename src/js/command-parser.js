@@ -0,0 +1,458 @@
+/**
+ * js/command-parser.js
+ * Command Line Parser for the Terminal
+ *
+ * Splits a command line into words the way a shell would and checks them
+ * against a command spec:
+ *   'single quotes'      - taken literally
+ *   "double quotes"      - \n, \t, \", \\, \$ and \` are escapes
+ *   back\ slash          - escapes the next character; at the end of a line it continues the line
+ *   --name=value         - named option (also --name value, -n value, --flag and --no-flag)
+ *   --                   - everything after it is an argument, even if it starts with a dash
+ *   <<EOF ... EOF        - heredoc: the lines up to a line containing only EOF
+ *                          (<<-EOF also strips the indentation of each line)
+ *
+ * A spec describes one command:
+ *   {
+ *     description: 'Render markdown text',
+ *     args: [{ name: 'text', required: true, raw: true }],
+ *     options: { language: { alias: 'l', type: 'string' } }
+ *   }
+ * Argument and option types are string, number, integer, boolean, url and json;
+ * `choices`, `min`, `max` and `default` narrow them further. A `raw` argument
+ * takes the rest of the line exactly as typed (or the contents of a single
+ * quoted string or heredoc), so payloads such as code keep their quotes; options
+ * must come before it (or a -- in front of it keeps option-like words as text). A
+ * `variadic` argument collects all remaining arguments into an array, and a
+ * `repeat` option collects every value it is given (-H a -H b).
+ */
+
+/**
+ * Error for a command line that does not match its spec
+ */
+class CommandUsageError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {string} [usage] - Usage line of the command
+     * @param {boolean} [incomplete] - True if more input (a closing quote or heredoc terminator) would fix it
+     */
+    constructor(message, usage = '', incomplete = false) {
+        super(message);
+        this.name = 'CommandUsageError';
+        this.usage = usage;
+        this.incomplete = incomplete;
+    }
+}
+
+const CommandParser = {
+    // Escapes understood inside double quotes
+    escapes: { n: '\n', t: '\t', '"': '"', '\\': '\\', $: '$', '`': '`' },
+
+    /**
+     * Read the next word of a command line
+     * @param {string} text - Command line
+     * @param {number} [pos] - Where to start reading
+     * @returns {Object|null} { value, quoted, literal, heredoc, start, end }, or null at the end of the line.
+     *   `literal` is true when the whole word is a single quoted string or heredoc.
+     * @throws {CommandUsageError} If a quote or heredoc is not closed
+     */
+    readToken(text, pos = 0) {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+        if (pos >= text.length) return null;
+
+        const start = pos;
+        const heredoc = this.readHeredoc(text, pos);
+        if (heredoc) return heredoc;
+
+        let value = '';
+        let quotes = 0;
+        let unquoted = false;
+        while (pos < text.length && !/\s/.test(text[pos])) {
+            const char = text[pos];
+            if (char === "'") {
+                const close = text.indexOf("'", pos + 1);
+                if (close === -1) {
+                    throw new CommandUsageError('Unclosed single quote', '', true);
+                }
+                value += text.substring(pos + 1, close);
+                quotes++;
+                pos = close + 1;
+            } else if (char === '"') {
+                pos++;
+                while (pos < text.length && text[pos] !== '"') {
+                    if (text[pos] === '\\' && pos + 1 < text.length && this.escapes[text[pos + 1]] !== undefined) {
+                        value += this.escapes[text[pos + 1]];
+                        pos += 2;
+                    } else {
+                        value += text[pos++];
+                    }
+                }
+                if (pos >= text.length) {
+                    throw new CommandUsageError('Unclosed double quote', '', true);
+                }
+                quotes++;
+                pos++;
+            } else if (char === '\\' && pos + 1 < text.length) {
+                // A backslash before a line break joins the lines
+                if (text[pos + 1] !== '\n') {
+                    value += text[pos + 1];
+                    unquoted = true;
+                }
+                pos += 2;
+            } else {
+                value += char;
+                unquoted = true;
+                pos++;
+            }
+        }
+
+        // Nothing but a line continuation
+        if (!value && !quotes) return this.readToken(text, pos);
+
+        return { value, quoted: quotes > 0, literal: quotes === 1 && !unquoted, heredoc: null, start, end: pos };
+    },
+
+    /**
+     * Read a heredoc starting at pos
+     * @param {string} text - Command line
+     * @param {number} pos - Position of "<<"
+     * @returns {Object|null} Token for the heredoc, or null if there is none at pos
+     * @throws {CommandUsageError} If the heredoc is badly placed or not closed
+     */
+    readHeredoc(text, pos) {
+        const marker = text.substring(pos).match(/^<<(-?)(['"]?)([A-Za-z_][\w-]*)\2(?=\s|$)/);
+        if (!marker) return null;
+
+        const [, strip, , word] = marker;
+        const markerEnd = pos + marker[0].length;
+        let lineEnd = text.indexOf('\n', markerEnd);
+        if (lineEnd === -1) lineEnd = text.length;
+        if (text.substring(markerEnd, lineEnd).trim()) {
+            throw new CommandUsageError(`<<${word} must be the last thing on its line`);
+        }
+
+        const lines = text.substring(lineEnd + 1).split('\n');
+        const close = lineEnd < text.length ? lines.findIndex(line => line.trim() === word) : -1;
+        if (close === -1) {
+            throw new CommandUsageError(`Heredoc is not closed; end it with a line containing only ${word}`, '', true);
+        }
+
+        const body = lines.slice(0, close).map(line => (strip ? line.replace(/^\s+/, '') : line));
+        const end = lineEnd + 1 + lines.slice(0, close + 1).join('\n').length;
+        return { value: body.join('\n'), quoted: true, literal: true, heredoc: word, start: pos, end };
+    },
+
+    /**
+     * Split a command line into words
+     * @param {string} text - Command line
+     * @param {number} [offset] - Where to start
+     * @returns {Array<string>} The words
+     * @throws {CommandUsageError} If a quote or heredoc is not closed
+     */
+    tokenize(text, offset = 0) {
+        const words = [];
+        let token;
+        while ((token = this.readToken(text, offset))) {
+            words.push(token.value);
+            offset = token.end;
+        }
+        return words;
+    },
+
+    /**
+     * Read a plain word such as a command or subcommand name. Quotes are not
+     * interpreted, so this never throws.
+     * @param {string} text - Command line
+     * @param {number} [offset] - Where to start
+     * @returns {Object} { word, offset } where offset is just after the word
+     */
+    nextWord(text, offset = 0) {
+        const match = text.substring(offset).match(/^\s*(\S*)/);
+        return { word: match[1], offset: offset + match[0].length };
+    },
+
+    /**
+     * Find the terminator of a heredoc that is still waiting for its body, so
+     * the terminal can keep reading lines
+     * @param {string} text - Lines typed so far
+     * @returns {string|null} The terminator word, or null if nothing is open
+     */
+    pendingHeredoc(text) {
+        let open = null;
+        for (const line of text.split('\n')) {
+            if (open) {
+                if (line.trim() === open) open = null;
+                continue;
+            }
+            const marker = line.match(/(?:^|\s)<<-?(['"]?)([A-Za-z_][\w-]*)\1\s*$/);
+            if (marker) open = marker[2];
+        }
+        return open;
+    },
+
+    /**
+     * Parse the arguments of a command against its spec
+     * @param {string} text - Command line
+     * @param {Object} [spec] - Command spec (see the top of this file)
+     * @param {Object} [context] - { offset: where the arguments start, name: command name for the usage line }
+     * @returns {Object} { args, options, values } where values lists the arguments
+     *   in declaration order followed by the options, ready for Module.handleCommand
+     * @throws {CommandUsageError} If the arguments do not match the spec
+     */
+    parse(text, spec = {}, { offset = 0, name = '' } = {}) {
+        const argSpecs = spec.args || [];
+        const optionSpecs = spec.options || {};
+        const usage = this.formatUsage(name, spec);
+        const fail = message => {
+            throw new CommandUsageError(message, usage);
+        };
+        const read = at => {
+            try {
+                return this.readToken(text, at);
+            } catch (error) {
+                throw new CommandUsageError(error.message, usage, error.incomplete);
+            }
+        };
+        const args = {};
+        const options = {};
+        let index = 0;
+        let pos = offset;
+        let optionsEnded = false;
+
+        while (true) {
+            const argSpec = argSpecs[index];
+            let token;
+            try {
+                token = read(pos);
+            } catch (error) {
+                // A raw argument does not care about unbalanced quotes
+                if (!(argSpec && argSpec.raw)) throw error;
+                let start = pos;
+                while (/\s/.test(text[start])) start++;
+                token = { value: null, quoted: true, literal: false, start };
+            }
+            if (!token) break;
+
+            const option = !optionsEnded && !token.quoted ? this.matchOption(token.value, optionSpecs) : null;
+            if (!optionsEnded && !token.quoted && token.value === '--') {
+                optionsEnded = true;
+                pos = token.end;
+                continue;
+            }
+
+            if (option) {
+                const { key, inline, negated } = option;
+                const optionSpec = optionSpecs[key];
+                let value = inline;
+                pos = token.end;
+                if (optionSpec.type === 'boolean') {
+                    value = negated ? false : (value === undefined ? true : value);
+                } else if (negated) {
+                    fail(`--no-${key} is only allowed for on/off options`);
+                } else if (value === undefined) {
+                    const next = read(pos);
+                    if (!next) fail(`Option --${key} needs a value`);
+                    value = next.value;
+                    pos = next.end;
+                }
+                value = this.coerce(value, optionSpec, `--${key}`, fail);
+                // A `repeat` option may be given several times and collects its values
+                options[key] = optionSpec.repeat ? (options[key] || []).concat([value]) : value;
+                continue;
+            }
+
+            if (!optionsEnded && !token.quoted && /^--?[A-Za-z]/.test(token.value) && !(argSpec && argSpec.raw)) {
+                fail(`Unknown option ${token.value.split('=')[0]}`);
+            }
+            if (!argSpec) {
+                fail(`Unexpected argument "${token.value}"`);
+            }
+
+            if (argSpec.raw) {
+                // The rest of the line, unless it is exactly one quoted string or heredoc
+                const whole = token.literal && !text.substring(token.end).trim();
+                // Options typed after the payload would silently become part of it
+                const late = whole || optionsEnded ? null : this.findOption(text, token.start, optionSpecs);
+                if (late) {
+                    fail(`Options must come before <${argSpec.name}>: move ${late} in front of it, or put -- before <${argSpec.name}> to keep it as text`);
+                }
+                args[argSpec.name] = this.coerce(whole ? token.value : text.substring(token.start), argSpec, `<${argSpec.name}>`, fail);
+                index++;
+                break;
+            }
+
+            const value = this.coerce(token.value, argSpec, `<${argSpec.name}>`, fail);
+            if (argSpec.variadic) {
+                // Takes every remaining argument
+                args[argSpec.name] = (args[argSpec.name] || []).concat([value]);
+            } else {
+                args[argSpec.name] = value;
+                index++;
+            }
+            pos = token.end;
+        }
+
+        argSpecs.forEach(argSpec => {
+            if (args[argSpec.name] !== undefined) return;
+            if (argSpec.required) fail(`Missing <${argSpec.name}>`);
+            if (argSpec.default !== undefined) args[argSpec.name] = argSpec.default;
+        });
+        Object.entries(optionSpecs).forEach(([key, optionSpec]) => {
+            if (options[key] !== undefined) return;
+            if (optionSpec.required) fail(`Missing option --${key}`);
+            if (optionSpec.default !== undefined) options[key] = optionSpec.default;
+        });
+
+        const values = argSpecs.map(argSpec => args[argSpec.name])
+            .concat(Object.keys(optionSpecs).map(key => options[key]));
+        while (values.length > 0 && values[values.length - 1] === undefined) values.pop();
+
+        return { args, options, values };
+    },
+
+    /**
+     * Find the first unquoted word that is a declared option
+     * @param {string} text - Command line
+     * @param {number} pos - Where to start looking
+     * @param {Object} optionSpecs - Declared options
+     * @returns {string|null} The option as typed (without any =value), or null if there is none
+     */
+    findOption(text, pos, optionSpecs) {
+        let token;
+        try {
+            while ((token = this.readToken(text, pos))) {
+                if (!token.quoted && this.matchOption(token.value, optionSpecs)) {
+                    return token.value.split('=')[0];
+                }
+                pos = token.end;
+            }
+        } catch (error) {
+            // Unbalanced quotes in a raw payload: it is not an option list
+        }
+        return null;
+    },
+
+    /**
+     * Match a word against the declared options
+     * @param {string} word - Word from the command line
+     * @param {Object} optionSpecs - Declared options
+     * @returns {Object|null} { key, inline, negated }, or null if the word is not a declared option
+     */
+    matchOption(word, optionSpecs) {
+        const long = word.match(/^--(no-)?([A-Za-z][\w-]*)(?:=([\s\S]*))?$/);
+        if (long) {
+            const [, no, name, inline] = long;
+            const find = key => Object.keys(optionSpecs).find(option => option.toLowerCase() === key.toLowerCase());
+            // "--no-cache" may be an option of its own rather than "--cache" turned off
+            const full = no ? find(`no-${name}`) : null;
+            if (full) return { key: full, inline, negated: false };
+            const key = find(name);
+            return key ? { key, inline, negated: !!no } : null;
+        }
+        const short = word.match(/^-([A-Za-z])$/);
+        if (short) {
+            const key = Object.keys(optionSpecs).find(option => optionSpecs[option].alias === short[1]);
+            return key ? { key, inline: undefined, negated: false } : null;
+        }
+        return null;
+    },
+
+    /**
+     * Convert a word to the type its spec declares
+     * @param {*} value - The word
+     * @param {Object} spec - Argument or option spec
+     * @param {string} label - How to name the value in errors
+     * @param {Function} fail - Throws a usage error with the given message
+     * @returns {*} The converted value
+     */
+    coerce(value, spec, label, fail) {
+        if (spec.choices) {
+            const choice = spec.choices.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+            if (choice === undefined) {
+                fail(`${label} must be one of ${spec.choices.join(', ')} (got "${value}")`);
+            }
+            return choice;
+        }
+
+        switch (spec.type) {
+            case 'number':
+            case 'integer': {
+                const number = Number(value);
+                if (String(value).trim() === '' || !isFinite(number)) {
+                    fail(`${label} must be a number (got "${value}")`);
+                }
+                if (spec.type === 'integer' && !Number.isInteger(number)) {
+                    fail(`${label} must be a whole number (got "${value}")`);
+                }
+                if (spec.min !== undefined && number < spec.min) fail(`${label} must be at least ${spec.min}`);
+                if (spec.max !== undefined && number > spec.max) fail(`${label} must be at most ${spec.max}`);
+                return number;
+            }
+
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (/^(true|yes|on|1)$/i.test(value)) return true;
+                if (/^(false|no|off|0)$/i.test(value)) return false;
+                return fail(`${label} must be on or off (got "${value}")`);
+
+            case 'url':
+                try {
+                    if (/\s/.test(value.trim())) throw new Error('contains spaces');
+                    new URL(value.trim(), typeof location !== 'undefined' ? location.href : 'http://localhost/');
+                } catch (e) {
+                    fail(`${label} must be a URL (got "${value}")`);
+                }
+                return value.trim();
+
+            case 'json':
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    return fail(`${label} must be valid JSON (${e.message})`);
+                }
+
+            default:
+                return value;
+        }
+    },
+
+    /**
+     * Build the usage line of a command
+     * @param {string} name - Command as typed, e.g. "markdown scroll"
+     * @param {Object} [spec] - Command spec
+     * @returns {string} e.g. "markdown scroll <up|down|top|bottom> [amount]"
+     */
+    formatUsage(name, spec = {}) {
+        const args = (spec.args || []).map(argSpec => {
+            const label = argSpec.choices ? argSpec.choices.join('|') : argSpec.name + (argSpec.raw || argSpec.variadic ? '...' : '');
+            return argSpec.required ? `<${label}>` : `[${label}]`;
+        });
+        const options = Object.entries(spec.options || {}).map(([key, optionSpec]) => {
+            const value = optionSpec.type === 'boolean' ? '' :
+                `=<${optionSpec.choices ? optionSpec.choices.join('|') : optionSpec.placeholder || optionSpec.type || 'value'}>`;
+            const repeat = optionSpec.repeat ? '...' : '';
+            return optionSpec.required ? `--${key}${value}${repeat}` : `[--${key}${value}${repeat}]`;
+        });
+        return [name, ...options, ...args].filter(Boolean).join(' ');
+    },
+
+    /**
+     * Describe a command for help listings
+     * @param {string} name - Command as typed
+     * @param {Object} spec - Command spec
+     * @returns {string} Usage line, description and one line per option
+     */
+    describe(name, spec) {
+        const lines = [this.formatUsage(name, spec)];
+        if (spec.description) lines.push(`    ${spec.description}`);
+        Object.entries(spec.options || {}).forEach(([key, optionSpec]) => {
+            const alias = optionSpec.alias ? `-${optionSpec.alias}, ` : '';
+            lines.push(`    ${alias}--${key}${optionSpec.description ? ` - ${optionSpec.description}` : ''}`);
+        });
+        return lines.join('\n');
+    }
+};
+
+// Make the parser globally available
+window.CommandParser = CommandParser;
+window.CommandUsageError = CommandUsageError;
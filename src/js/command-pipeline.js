@@ -0,0 +1,451 @@
+/**
+ * js/command-pipeline.js
+ * Command Pipelines Between Modules
+ *
+ * Runs commands such as
+ *   fetch https://api.example.com/repos | jq .items | chart bar --label name --value stars
+ * Each stage takes a payload from the stage before it and hands one to the
+ * next. Payloads are typed:
+ *   json  - any parsed JSON value
+ *   text  - a string
+ *   table - { columns: [names], rows: [[cells]] }
+ *   image - an image URL
+ * A stage declares the types it accepts; a payload of another type is
+ * converted when that makes sense (json rows to a table, text to json...).
+ * Stages that show their input on a canvas module must come last; when a
+ * pipeline ends without one, the result is printed in the terminal.
+ */
+
+const CommandPipeline = {
+    // Rows of a table printed in the terminal
+    maxPrintedRows: 50,
+
+    // Other names for stages
+    aliases: { get: 'fetch', md: 'markdown' },
+
+    /**
+     * Stages by name. A stage is
+     *   { description, spec, accepts, module, run(input, parsed, processor) }
+     * where spec is a CommandParser spec, accepts lists the payload types it
+     * takes (none for stages that start a pipeline) and module names the
+     * canvas module it shows its input on (such stages end a pipeline).
+     * run returns the next payload, or a Promise of it.
+     */
+    stages: {
+        fetch: {
+            description: 'Fetch a URL (produces json, table, text or image); takes the options of fetch',
+            spec: { args: [{ name: 'url', type: 'url', required: true }], options: { ...HttpRequest.options, ...DataFormats.options } },
+            run(input, { args, options }, processor) {
+                terminal.updateStatus('loading', `Fetching ${args.url}...`);
+                return processor.fetchPayload(args.url, options).then(payload => {
+                    terminal.addOutput(HttpRequest.describe(payload.response));
+                    return payload;
+                });
+            }
+        },
+
+        echo: {
+            description: 'Start a pipeline with text, e.g. echo \'[1, 2, 3]\'',
+            spec: { args: [{ name: 'text', raw: true, required: true }] },
+            run(input, { args }) {
+                return { type: 'text', data: args.text };
+            }
+        },
+
+        jq: {
+            description: 'Pick or reshape JSON with a jq expression (the subset listed under json query in "help")',
+            spec: { args: [{ name: 'filter', raw: true, required: true }] },
+            accepts: ['json'],
+            run(input, { args }) {
+                return { type: 'json', data: JsonQuery.run(args.filter, input.data) };
+            }
+        },
+
+        table: {
+            description: 'Turn JSON rows or CSV text into a table',
+            spec: {
+                options: {
+                    columns: { alias: 'c', placeholder: 'a,b', description: 'Columns to keep, in order' },
+                    limit: { alias: 'n', type: 'integer', min: 1, description: 'Number of rows to keep' }
+                }
+            },
+            accepts: ['table'],
+            run(input, { options }) {
+                let { columns, rows } = input.data;
+                if (options.columns) {
+                    const wanted = options.columns.split(',').map(name => name.trim()).filter(Boolean);
+                    const indexes = wanted.map(name => CommandPipeline.findColumn(input.data, name));
+                    columns = wanted;
+                    rows = rows.map(row => indexes.map(index => row[index]));
+                }
+                if (options.limit) {
+                    rows = rows.slice(0, options.limit);
+                }
+                return { type: 'table', data: { columns, rows } };
+            }
+        },
+
+        chart: {
+            description: 'Chart a table: one label column and one or more value columns',
+            module: 'chart',
+            spec: {
+                args: [{ name: 'type', choices: ['bar', 'line', 'pie'], default: 'bar' }],
+                options: {
+                    label: { alias: 'l', placeholder: 'column', description: 'Column with the labels (default: the first text column)' },
+                    value: { alias: 'v', placeholder: 'column,...', description: 'Columns with the numbers; several make a multi-series chart' },
+                    title: { alias: 't', placeholder: 'text', description: 'Chart title' }
+                }
+            },
+            accepts: ['table'],
+            run(input, { args, options }, processor) {
+                const table = input.data;
+                const numeric = index => table.rows.length > 0 &&
+                    table.rows.every(row => row[index] !== null && row[index] !== '' && isFinite(Number(row[index])));
+
+                const labelIndex = options.label ?
+                    CommandPipeline.findColumn(table, options.label) :
+                    table.columns.findIndex((name, index) => !numeric(index));
+                const valueIndexes = options.value ?
+                    options.value.split(',').map(name => CommandPipeline.findColumn(table, name.trim())) :
+                    [table.columns.findIndex((name, index) => index !== labelIndex && numeric(index))];
+                if (valueIndexes[0] === -1) {
+                    throw new Error(`No column of numbers to chart; pick one with --value (columns: ${table.columns.join(', ')})`);
+                }
+                if (table.rows.length === 0) {
+                    throw new Error('There are no rows to chart');
+                }
+
+                const series = valueIndexes.map(index => ({
+                    name: table.columns[index],
+                    values: table.rows.map(row => Number(row[index]) || 0)
+                }));
+                processor.canvasManager.activateModule('chart');
+                processor.canvasManager.executeCommand('data', {
+                    chartType: args.type,
+                    title: options.title || '',
+                    labels: table.rows.map((row, index) => (labelIndex === -1 ? `Item ${index + 1}` : String(row[labelIndex]))),
+                    values: series[0].values,
+                    series: series.length > 1 ? series : []
+                });
+                return null;
+            }
+        },
+
+        code: {
+            description: 'Show the input as code',
+            module: 'code',
+            spec: { options: { language: { alias: 'l', placeholder: 'name', description: 'Language of the code' } } },
+            accepts: ['text', 'json', 'table'],
+            run(input, { options }, processor) {
+                const text = CommandPipeline.convert(input, ['text']).data;
+                const language = options.language || (input.type === 'json' && typeof input.data !== 'string' ? 'json' : undefined);
+                processor.canvasManager.activateModule('code');
+                processor.canvasManager.executeCommand('display', text, language);
+                return null;
+            }
+        },
+
+        json: {
+            description: 'Explore the input as a collapsible JSON tree',
+            module: 'json',
+            spec: {},
+            accepts: ['json'],
+            run(input, parsed, processor) {
+                processor.canvasManager.activateModule('json');
+                processor.canvasManager.executeCommand('data', input.data);
+                return null;
+            }
+        },
+
+        markdown: {
+            description: 'Render the input as markdown (tables become markdown tables)',
+            module: 'markdown',
+            spec: {},
+            accepts: ['table', 'text'],
+            run(input, parsed, processor) {
+                const text = input.type === 'table' ? CommandPipeline.toMarkdownTable(input.data) : input.data;
+                processor.canvasManager.activateModule('markdown');
+                processor.canvasManager.executeCommand('render', text);
+                return null;
+            }
+        },
+
+        image: {
+            description: 'Show an image URL',
+            module: 'image',
+            spec: {},
+            accepts: ['image', 'text'],
+            run(input, parsed, processor) {
+                const url = String(input.data).trim();
+                if (!url || /\s/.test(url)) {
+                    throw new Error('image needs a single image URL as input');
+                }
+                processor.canvasManager.activateModule('image');
+                processor.canvasManager.executeCommand('display', url);
+                return null;
+            }
+        }
+    },
+
+    /**
+     * Add a stage, e.g. from a module that wants to take part in pipelines
+     * @param {string} name - Stage name
+     * @param {Object} stage - Stage definition (see stages)
+     */
+    register(name, stage) {
+        this.stages[name] = stage;
+    },
+
+    /**
+     * Find a stage by name or alias
+     * @param {string} name - Name as typed
+     * @returns {Object|null} The stage
+     */
+    getStage(name) {
+        const key = (name || '').toLowerCase();
+        return this.stages[this.aliases[key] || key] || null;
+    },
+
+    /**
+     * Split a command line at its pipes. Only lines that start with a stage
+     * that produces data are split, and only at a " | " followed by a stage
+     * name, so markdown tables and code containing "|" are left alone.
+     * @param {string} text - Command line
+     * @returns {Array<string>} The stages, or just the line if it is not a pipeline
+     */
+    split(text) {
+        const head = this.getStage(CommandParser.nextWord(text).word);
+        if (!head || head.accepts) return [text];
+
+        const parts = [];
+        let start = 0;
+        let pos = 0;
+        try {
+            let token;
+            while ((token = CommandParser.readToken(text, pos))) {
+                pos = token.end;
+                if (text.substring(token.start, token.end) !== '|') continue;
+                if (!this.getStage(CommandParser.nextWord(text, pos).word)) continue;
+                parts.push(text.substring(start, token.start).trim());
+                start = token.end;
+            }
+        } catch (error) {
+            // An unclosed quote is reported when its stage is parsed
+        }
+        parts.push(text.substring(start).trim());
+        return parts;
+    },
+
+    /**
+     * Run a pipeline. Every stage is checked before anything is fetched.
+     * @param {Array<string>} parts - Stages from split
+     * @param {CommandProcessor} processor - Command processor (for canvas and fetch access)
+     * @returns {boolean|Promise<boolean>} False if a stage is invalid; otherwise a promise
+     *   resolving to whether every stage succeeded
+     */
+    run(parts, processor) {
+        const plan = [];
+        for (const [index, text] of parts.entries()) {
+            const { word, offset } = CommandParser.nextWord(text);
+            const stage = this.getStage(word);
+            let problem = null;
+            if (!stage) {
+                problem = `Unknown pipeline stage: ${word}`;
+            } else if (index === 0 && stage.accepts) {
+                problem = `${word} needs input, e.g. fetch <url> | ${word} ...`;
+            } else if (index > 0 && !stage.accepts) {
+                problem = `${word} can only start a pipeline`;
+            } else if (stage.module && index < parts.length - 1) {
+                problem = `${word} shows its input on the canvas, so it must be the last stage`;
+            }
+            if (problem) {
+                terminal.addOutput(`[ERROR] ${problem}`);
+                return false;
+            }
+
+            const parsed = processor.parseArguments(text, offset, word, stage.spec);
+            if (!parsed) return false;
+            plan.push({ name: word, stage, parsed });
+        }
+
+        terminal.updateStatus('loading', 'Running pipeline...');
+        return this.execute(plan, processor)
+            .then(payload => {
+                if (payload) this.print(payload);
+                terminal.updateStatus('success', 'Pipeline finished');
+                return true;
+            })
+            .catch(error => {
+                console.error('Pipeline error:', error);
+                terminal.addOutput(`[ERROR] ${error.message}`);
+                terminal.updateStatus('error', `Error: ${error.message}`);
+                return false;
+            });
+    },
+
+    /**
+     * Pass the payload through each stage in turn
+     * @param {Array<Object>} plan - Parsed stages
+     * @param {CommandProcessor} processor - Command processor
+     * @returns {Promise<Object|null>} The last payload, or null if a stage showed it on the canvas
+     */
+    async execute(plan, processor) {
+        let payload = null;
+        for (const { name, stage, parsed } of plan) {
+            let input = null;
+            if (stage.accepts) {
+                input = this.convert(payload, stage.accepts);
+                if (!input) {
+                    throw new Error(`${name} takes ${stage.accepts.join(' or ')} input, not ${payload.type}`);
+                }
+            }
+            payload = await stage.run(input, parsed, processor);
+        }
+        return payload;
+    },
+
+    /**
+     * Convert a payload to one of the accepted types
+     * @param {Object} payload - { type, data }
+     * @param {Array<string>} accepts - Types in order of preference
+     * @returns {Object|null} The payload as an accepted type, or null if it cannot be converted
+     */
+    convert(payload, accepts) {
+        if (accepts.includes(payload.type)) return payload;
+
+        for (const type of accepts) {
+            const data = this.converters[`${payload.type}>${type}`] ?
+                this.converters[`${payload.type}>${type}`].call(this, payload.data) :
+                undefined;
+            if (data !== undefined) return { type, data };
+        }
+        return null;
+    },
+
+    // Conversions between payload types; undefined means "not possible"
+    converters: {
+        'text>json'(text) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return undefined;
+            }
+        },
+        'text>table'(text) {
+            const data = this.converters['text>json'](text);
+            if (data !== undefined) return this.toTable(data);
+            // CSV or TSV text
+            return DataFormats.sniffDelimiter(text) ? DataFormats.parseDelimited(text) : undefined;
+        },
+        'text>image'(text) {
+            return /^\S+$/.test(text.trim()) ? text.trim() : undefined;
+        },
+        'json>text'(data) {
+            return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+        },
+        'json>table'(data) {
+            return typeof data === 'string' ? undefined : this.toTable(data);
+        },
+        'table>json'(table) {
+            return table.rows.map(row => Object.fromEntries(table.columns.map((name, index) => [name, row[index]])));
+        },
+        'table>text'(table) {
+            return [table.columns, ...table.rows].map(row => row.map(cell => this.formatCell(cell)).join('\t')).join('\n');
+        },
+        'image>text'(url) {
+            return url;
+        }
+    },
+
+    /**
+     * Turn JSON into a table. Arrays of objects become one row per object,
+     * with nested objects flattened into "parent.child" columns.
+     * @param {*} data - JSON value
+     * @returns {Object} { columns, rows }
+     */
+    toTable(data) {
+        const flatten = (value, prefix, into) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, inner]) => flatten(inner, prefix ? `${prefix}.${key}` : key, into));
+            } else {
+                into[prefix || 'value'] = value;
+            }
+            return into;
+        };
+
+        let records;
+        if (Array.isArray(data)) {
+            records = data.map(item => flatten(item, '', {}));
+        } else if (data && typeof data === 'object') {
+            // A plain object of values is a list of key/value rows
+            records = Object.entries(data).map(([key, value]) => ({ key, ...flatten(value, '', {}) }));
+        } else {
+            records = [{ value: data }];
+        }
+
+        const columns = [];
+        records.forEach(record => Object.keys(record).forEach(name => {
+            if (!columns.includes(name)) columns.push(name);
+        }));
+        return { columns, rows: records.map(record => columns.map(name => (record[name] === undefined ? null : record[name]))) };
+    },
+
+    /**
+     * Find a column by name, ignoring case
+     * @param {Object} table - Table payload data
+     * @param {string} name - Column name
+     * @returns {number} Column index
+     * @throws {Error} If there is no such column
+     */
+    findColumn(table, name) {
+        const index = table.columns.findIndex(column => column.toLowerCase() === name.toLowerCase());
+        if (index === -1) {
+            throw new Error(`No column "${name}" (columns: ${table.columns.join(', ')})`);
+        }
+        return index;
+    },
+
+    /**
+     * Text for one table cell
+     */
+    formatCell(cell) {
+        if (cell === null || cell === undefined) return '';
+        return typeof cell === 'object' ? JSON.stringify(cell) : String(cell);
+    },
+
+    /**
+     * Write a table as markdown
+     * @param {Object} table - Table payload data
+     * @returns {string} Markdown table
+     */
+    toMarkdownTable(table) {
+        const line = cells => `| ${cells.map(cell => this.formatCell(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+        return [line(table.columns), line(table.columns.map(() => '---')), ...table.rows.map(line)].join('\n');
+    },
+
+    /**
+     * Print the result of a pipeline that did not end on the canvas
+     * @param {Object} payload - Final payload
+     */
+    print(payload) {
+        if (payload.type === 'table') {
+            const { columns, rows } = payload.data;
+            const shown = rows.slice(0, this.maxPrintedRows).map(row => row.map(cell => this.formatCell(cell).replace(/\s+/g, ' ')));
+            const widths = columns.map((name, index) =>
+                Math.min(40, Math.max(name.length, ...shown.map(row => row[index].length))));
+            const line = cells => cells.map((cell, index) => cell.substring(0, widths[index]).padEnd(widths[index])).join('  ').trimEnd();
+            const lines = [line(columns), line(widths.map(width => '-'.repeat(width))), ...shown.map(line)];
+            if (rows.length > shown.length) {
+                lines.push(`... ${rows.length - shown.length} more rows`);
+            }
+            terminal.addOutput(lines.join('\n'));
+        } else if (payload.type === 'json') {
+            terminal.addOutput(JSON.stringify(payload.data, null, 2));
+        } else {
+            terminal.addOutput(String(payload.data));
+        }
+    }
+};
+
+// Make the pipeline runner globally available
+window.CommandPipeline = CommandPipeline;
@@ -5,14 +5,122 @@
 class CommandProcessor {
     constructor(canvasManager) {
         this.canvasManager = canvasManager;
+        // Arguments of each module command, checked by CommandParser before the
+        // command reaches Module.handleCommand (see js/command-parser.js)
+        this.moduleSpecs = {
+            'image': {
+                display: { description: 'Display an image', args: [{ name: 'url', type: 'url', required: true }] },
+                random: { description: 'Show a random image' },
+                zoom: { description: 'Zoom the image', args: [{ name: 'zoom', choices: ['+', '-', 'reset'], required: true }] },
+                info: { description: 'Show details of the image' },
+                theme: { description: 'Set the theme', args: [{ name: 'theme', choices: ['dark', 'light', 'toggle'], required: true }] }
+            },
+            'chart': {
+                bar: { description: 'Create a bar chart', args: [{ name: 'data', type: 'json', raw: true }] },
+                line: { description: 'Create a line chart', args: [{ name: 'data', type: 'json', raw: true }] },
+                pie: { description: 'Create a pie chart', args: [{ name: 'data', type: 'json', raw: true }] },
+                data: { description: 'Chart JSON data', args: [{ name: 'data', type: 'json', raw: true, required: true }] },
+                random: { description: 'Generate random chart data' }
+            },
+            'code': {
+                display: {
+                    description: 'Display code with syntax highlighting',
+                    args: [{ name: 'code', raw: true, required: true }],
+                    options: { language: { alias: 'l', placeholder: 'name', description: 'Language of the code' } }
+                },
+                language: { description: 'Set code language (javascript, python, html)', args: [{ name: 'language', required: true }] },
+                fontsize: { description: 'Set the font size in pixels', args: [{ name: 'size', type: 'integer', min: 6, max: 72, required: true }] },
+                theme: { description: 'Set theme', args: [{ name: 'theme', choices: ['dark', 'light'], required: true }] },
+                run: { description: 'Run the code' },
+                toggleLineNumbers: { description: 'Show or hide line numbers' },
+                toggleEditor: { description: 'Collapse or expand the editor' },
+                toggleResults: { description: 'Collapse or expand the results' }
+            },
+            'shape': {
+                draw: {
+                    description: 'Draw a specific shape',
+                    args: [
+                        { name: 'type', choices: ['rect', 'circle', 'triangle'], required: true },
+                        { name: 'x', type: 'number', required: true },
+                        { name: 'y', type: 'number', required: true },
+                        { name: 'width', type: 'number', min: 0, required: true },
+                        { name: 'height', type: 'number', min: 0, required: true }
+                    ]
+                },
+                random: { description: 'Draw a random shape' },
+                pattern: { description: 'Create a pattern', args: [{ name: 'pattern', choices: ['grid', 'radial', 'random'] }] },
+                animate: { description: 'Animate shapes' },
+                stop: { description: 'Stop animation' }
+            },
+            'markdown': {
+                render: { description: 'Render markdown text', args: [{ name: 'text', raw: true, required: true }] },
+                load: { description: "Load markdown from source (URL or 'sample')", args: [{ name: 'source', required: true }] },
+                scroll: {
+                    description: 'Scroll markdown content',
+                    args: [
+                        { name: 'direction', choices: ['up', 'down', 'top', 'bottom'], required: true },
+                        { name: 'amount', type: 'integer', min: 1 }
+                    ]
+                },
+                theme: { description: 'Set theme', args: [{ name: 'theme', choices: ['dark', 'light', 'dracula', 'github'], required: true }] }
+            },
+            'json': {
+                data: { description: 'Explore JSON data as a tree', args: [{ name: 'data', type: 'json', raw: true, required: true }] },
+                query: { description: 'Show the result of a jq filter (the subset listed in "help") or a JSONPath ($...); none shows everything', args: [{ name: 'filter', raw: true }] },
+                search: { description: 'Show only keys and values containing the text; none shows everything', args: [{ name: 'text', raw: true }] },
+                expand: { description: "Expand a path such as .items[0], or 'all'", args: [{ name: 'path', raw: true, default: 'all' }] },
+                collapse: { description: "Collapse a path such as .items[0], or 'all'", args: [{ name: 'path', raw: true, default: 'all' }] },
+                select: { description: 'Select the value at a path', args: [{ name: 'path', raw: true, required: true }] },
+                copy: { description: 'Copy the jq path of the selection (or of a path) to the clipboard', args: [{ name: 'path', raw: true }] },
+                chart: { description: 'Chart the selection (or everything shown)', args: [{ name: 'type', choices: ['bar', 'line', 'pie'], default: 'bar' }] },
+                code: { description: 'Show the selection (or everything shown) in the code module' }
+            },
+            'terminal': {
+                connect: { description: 'Connect to a terminal server', args: [{ name: 'endpoint', type: 'url', required: true }] },
+                send: { description: 'Send data to the terminal', args: [{ name: 'data', raw: true, required: true }] },
+                disconnect: { description: 'Disconnect from the terminal' },
+                clear: { description: 'Clear the terminal' },
+                resize: {
+                    description: 'Resize the terminal',
+                    args: [
+                        { name: 'cols', type: 'integer', min: 1, required: true },
+                        { name: 'rows', type: 'integer', min: 1, required: true }
+                    ]
+                }
+            }
+        };
+        
         this.moduleCommands = {
-            'image': ['display', 'load', 'random'],
-            'chart': ['bar', 'line', 'pie', 'data', 'random'],
-            'code': ['display', 'language', 'fontsize', 'theme'],
-            'shape': ['draw', 'random', 'pattern', 'animate', 'stop'],
-            'markdown': ['render', 'load', 'scroll', 'theme'],
-            'terminal': ['connect', 'disconnect', 'send', 'clear', 'resize'],
-            'ai': ['key', 'model', 'endpoint', 'reset-endpoint', 'clear', 'settings', 'help']
+            ...Object.fromEntries(Object.entries(this.moduleSpecs).map(([name, specs]) => [name, Object.keys(specs)])),
+            'ai': ['key', 'model', 'set', 'endpoint', 'reset-endpoint', 'provider', 'stream', 'tools', 'context', 'stop', 'look', 'chart', 'compare', 'clear', 'settings', 'usage', 'mock', 'thread', 'persona', 'sessions', 'new', 'open', 'rename', 'delete', 'help']
+        };
+        
+        // Typing 'md' or 'term' is the same as 'markdown' or 'terminal'
+        this.moduleAliases = { 'md': 'markdown', 'term': 'terminal' };
+        
+        // Rows of a fetched CSV or TSV file shown on the canvas
+        this.tableRowLimit = 500;
+        
+        // Arguments of the top-level commands
+        this.commandSpecs = {
+            use: { description: 'Switch to a module', args: [{ name: 'module', required: true }] },
+            fetch: {
+                description: 'Fetch data from an API, with curl-like options (see js/http-request.js)',
+                args: [{ name: 'url', type: 'url', required: true }],
+                options: { ...HttpRequest.options, ...DataFormats.options }
+            },
+            'fetch image': { description: 'Display an image, or a random one', args: [{ name: 'url', type: 'url' }] },
+            'fetch markdown': { description: 'Load markdown from a URL', args: [{ name: 'url', type: 'url', required: true }] },
+            'fetch terminal': { description: 'Connect to a terminal server', args: [{ name: 'url', type: 'url', required: true }] },
+            clear: { description: 'Clear terminal output, or the canvas', args: [{ name: 'target', choices: ['canvas'] }] },
+            image: { description: 'Display an image, or a random one', args: [{ name: 'url', type: 'url' }] },
+            chart: {
+                description: 'Draw a chart, with random data unless data is given',
+                args: [{ name: 'type', choices: ['bar', 'line', 'pie', 'random'] }, { name: 'data', type: 'json', raw: true }]
+            },
+            commands: { description: 'List commands for a module', args: [{ name: 'module', required: true }] },
+            undo: { description: 'Undo the last change to the active canvas' },
+            redo: { description: 'Redo the last undone change' }
         };
         
         // Command patterns for AI response parsing
@@ -67,167 +175,84 @@ class CommandProcessor {
     /**
      * Process a command
      * @param {string} commandText - Command text to process
+     * @returns {boolean|Promise<boolean>} Whether the command succeeded; fetches and pipelines
+     *   return a promise that settles once they finish
      */
     processCommand(commandText) {
         if (!commandText) return false;
         
-        const parts = commandText.split(' ');
-        const command = parts[0].toLowerCase();
-        const args = parts.slice(1);
+        // Record the command if a macro is being recorded (see js/command-macros.js)
+        commandText = CommandMacros.capture('command', commandText);
         
-        console.log(`Processing command: ${command}, args:`, args);
+        // "fetch <url> | jq .items | chart bar" runs as a pipeline
+        const stages = CommandPipeline.split(commandText);
+        if (stages.length > 1) {
+            return CommandPipeline.run(stages, this);
+        }
+        
+        const { word, offset } = CommandParser.nextWord(commandText);
+        const command = word.toLowerCase();
+        
+        console.log(`Processing command: ${command}`);
         
         // Handle explicit module selection commands (user must use these to change active module)
         if (command === 'use' || command === 'module') {
-            if (args.length > 0) {
-                return this.activateModule(args[0]);
-            }
-            terminal.addOutput('[ERROR] Module name required');
-            return false;
+            const parsed = this.parseArguments(commandText, offset, command, this.commandSpecs.use);
+            return parsed ? this.activateModule(parsed.args.module) : false;
         }
         
         // Specialized commands:
         switch (command) {
             case 'fetch':
             case 'get':
-                return this.handleFetchCommand(args);
+                return this.handleFetchCommand(commandText, offset);
                 
             case 'clear':
-            case 'cls':
-                if (args[0] === 'canvas') {
+            case 'cls': {
+                const parsed = this.parseArguments(commandText, offset, command, this.commandSpecs.clear);
+                if (!parsed) return false;
+                if (parsed.args.target === 'canvas') {
                     this.canvasManager.clearCanvas();
-                    return true;
                 } else {
                     terminal.clearOutput();
-                    return true;
                 }
+                return true;
+            }
                 
             case 'draw':
             case 'generate':
                 // Instead of auto-activating the shape module, just execute the command.
                 return this.canvasManager.executeCommand('random');
                 
-            case 'image':
+            case 'image': {
                 // Directly execute image commands without auto-switching tabs.
-                if (args.length > 0) {
-                    return this.canvasManager.executeCommand('display', args[0]);
-                } else {
-                    return this.canvasManager.executeCommand('random');
+                const parsed = this.parseArguments(commandText, offset, command, this.commandSpecs.image);
+                if (!parsed) return false;
+                if (parsed.args.url) {
+                    return this.canvasManager.executeCommand('display', parsed.args.url);
                 }
+                return this.canvasManager.executeCommand('random');
+            }
                 
-            case 'chart':
-                if (args.length > 0) {
-                    if (['bar', 'line', 'pie'].includes(args[0])) {
-                        return this.canvasManager.executeCommand(args[0]);
-                    } else {
-                        return this.canvasManager.executeCommand('random');
-                    }
-                } else {
+            case 'chart': {
+                const parsed = this.parseArguments(commandText, offset, command, this.commandSpecs.chart);
+                if (!parsed) return false;
+                const { type, data } = parsed.args;
+                if (!type || type === 'random') {
                     return this.canvasManager.executeCommand('random');
                 }
+                return data === undefined ?
+                    this.canvasManager.executeCommand(type) :
+                    this.canvasManager.executeCommand(type, data);
+            }
                 
             case 'code':
-                if (args.length > 0 && args[0] === 'display') {
-                    const codeContent = commandText.substring(commandText.indexOf('display') + 8);
-                    return this.canvasManager.executeCommand('display', codeContent);
-                }
-                return true;
-                
             case 'markdown':
             case 'md':
-                if (args.length > 0) {
-                    if (args[0] === 'render') {
-                        const mdContent = commandText.substring(commandText.indexOf('render') + 7);
-                        return this.canvasManager.executeCommand('render', mdContent);
-                    } else if (args[0] === 'load') {
-                        if (args.length > 1) {
-                            return this.canvasManager.executeCommand('load', args[1]);
-                        } else {
-                            terminal.addOutput('[ERROR] Source required for markdown load');
-                            return false;
-                        }
-                    } else if (args[0] === 'scroll') {
-                        if (args.length > 1) {
-                            const direction = args[1];
-                            const amount = args.length > 2 ? args[2] : null;
-                            return this.canvasManager.executeCommand('scroll', direction, amount);
-                        } else {
-                            terminal.addOutput('[ERROR] Direction required for markdown scroll');
-                            return false;
-                        }
-                    } else if (args[0] === 'theme') {
-                        if (args.length > 1) {
-                            return this.canvasManager.executeCommand('theme', args[1]);
-                        } else {
-                            terminal.addOutput('[ERROR] Theme name required for markdown theme');
-                            return false;
-                        }
-                    }
-                }
-                terminal.addOutput(`
-Markdown Module Commands:
------------------------
-render [text]     - Render markdown text
-load [source]     - Load markdown from source (URL or 'sample')
-scroll [up/down]  - Scroll markdown content
-theme [name]      - Set theme (dark, light, dracula, github)
-
-Example: markdown load sample
-`);
-                return true;
-                
+            case 'json':
             case 'terminal':
             case 'term':
-                if (args.length > 0) {
-                    if (args[0] === 'connect') {
-                        if (args.length > 1) {
-                            const endpoint = args.slice(1).join(' ');
-                            return this.canvasManager.executeCommand('connect', endpoint);
-                        } else {
-                            terminal.addOutput('[ERROR] Endpoint required for terminal connect');
-                            return false;
-                        }
-                    } else if (args[0] === 'send') {
-                        if (args.length > 1) {
-                            const data = args.slice(1).join(' ');
-                            return this.canvasManager.executeCommand('send', data);
-                        } else {
-                            terminal.addOutput('[ERROR] Command required for terminal send');
-                            return false;
-                        }
-                    } else if (args[0] === 'disconnect') {
-                        return this.canvasManager.executeCommand('disconnect');
-                    } else if (args[0] === 'clear') {
-                        return this.canvasManager.executeCommand('clear');
-                    } else if (args[0] === 'resize') {
-                        if (args.length > 2) {
-                            const cols = parseInt(args[1]);
-                            const rows = parseInt(args[2]);
-                            if (!isNaN(cols) && !isNaN(rows)) {
-                                return this.canvasManager.executeCommand('resize', cols, rows);
-                            } else {
-                                terminal.addOutput('[ERROR] Invalid dimensions for terminal resize');
-                                return false;
-                            }
-                        } else {
-                            terminal.addOutput('[ERROR] Dimensions required for terminal resize (cols rows)');
-                            return false;
-                        }
-                    }
-                }
-                terminal.addOutput(`
-Terminal Module Commands:
------------------------
-connect [endpoint] - Connect to a terminal server
-send [data]        - Send data to the terminal
-disconnect        - Disconnect from the terminal
-clear             - Clear the terminal
-resize [cols] [rows] - Resize the terminal
-
-Example: terminal connect wss://echo.websocket.org
-Example: terminal send ls -la
-`);
-                return true;
+                return this.runModuleCommand(this.moduleAliases[command] || command, commandText, offset);
                 
             case 'help':
                 terminal.showHelp();
@@ -236,13 +261,10 @@ Example: terminal send ls -la
             case 'modules':
                 return this.listModules();
                 
-            case 'commands':
-                if (args.length > 0) {
-                    return this.listModuleCommands(args[0]);
-                } else {
-                    terminal.addOutput('[ERROR] Module name required for commands list');
-                    return false;
-                }
+            case 'commands': {
+                const parsed = this.parseArguments(commandText, offset, command, this.commandSpecs.commands);
+                return parsed ? this.listModuleCommands(parsed.args.module) : false;
+            }
                 
             case 'exit':
             case 'quit':
@@ -254,14 +276,77 @@ Example: terminal send ls -la
                 terminal.showAvailableAPIs();
                 return true;
                 
+            case 'macro':
+                return CommandMacros.handleCommand(commandText, text => terminal.addOutput(text));
+                
+            case 'set':
+            case 'unset':
+            case 'env':
+            case 'alias':
+            case 'unalias':
+                return CommandEnvironment.handleCommand(commandText, text => terminal.addOutput(text));
+                
+            case 'undo':
+            case 'redo':
+                return this.handleHistoryCommand(command, text => terminal.addOutput(text));
+                
             case '':
                 return true;
                 
             default:
-                return this.handleModuleCommand(command, args);
+                // Pipeline stages such as echo and jq on their own
+                if (CommandPipeline.getStage(command)) {
+                    return CommandPipeline.run([commandText], this);
+                }
+                return this.handleModuleCommand(command, commandText, offset);
         }
     }
     
+    /**
+     * Parse command arguments, reporting usage errors in the terminal
+     * @param {string} commandText - Full command line
+     * @param {number} offset - Where the arguments start
+     * @param {string} name - Command as typed, for the usage line
+     * @param {Object} spec - Command spec (see js/command-parser.js)
+     * @returns {Object|null} Parsed { args, options, values }, or null if the arguments are wrong
+     */
+    parseArguments(commandText, offset, name, spec) {
+        try {
+            return CommandParser.parse(commandText, spec, { offset, name });
+        } catch (error) {
+            if (!(error instanceof CommandUsageError)) throw error;
+            terminal.addOutput(`[ERROR] ${error.message}`);
+            if (error.usage) {
+                terminal.addOutput(`Usage: ${error.usage}`);
+            }
+            return null;
+        }
+    }
+    
+    /**
+     * Run "<module> <command> [args]", e.g. "markdown scroll down 200"
+     * @param {string} moduleName - Module the command belongs to
+     * @param {string} commandText - Full command line
+     * @param {number} offset - Where the module command starts
+     */
+    runModuleCommand(moduleName, commandText, offset) {
+        const { word, offset: argsOffset } = CommandParser.nextWord(commandText, offset);
+        const specs = this.moduleSpecs[moduleName];
+        if (!word) {
+            return this.listModuleCommands(moduleName);
+        }
+        
+        const command = Object.keys(specs).find(name => name.toLowerCase() === word.toLowerCase());
+        if (!command) {
+            terminal.addOutput(`[ERROR] Unknown ${moduleName} command: ${word}`);
+            terminal.addOutput(`[INFO] Type "commands ${moduleName}" for available commands`);
+            return false;
+        }
+        
+        const parsed = this.parseArguments(commandText, argsOffset, `${moduleName} ${command}`, specs[command]);
+        return parsed ? this.canvasManager.executeCommand(command, ...parsed.values) : false;
+    }
+    
     /**
      * Activate a specific module.
      * This method is now reserved for explicit module switching (via "use" or "module" commands).
@@ -281,14 +366,35 @@ Example: terminal send ls -la
     /**
      * Handle a module-specific command.
      * @param {string} command - Command to handle.
-     * @param {Array} args - Command arguments.
+     * @param {string} commandText - Full command line.
+     * @param {number} offset - Where the arguments start.
      */
-    handleModuleCommand(command, args) {
-        for (const [moduleName, commands] of Object.entries(this.moduleCommands)) {
-            if (commands.includes(command)) {
-                // Instead of auto-activating the module, just execute its command.
-                return this.canvasManager.executeCommand(command, ...args);
+    handleModuleCommand(command, commandText, offset) {
+        // Commands are shared between modules (display, theme, random...), so
+        // the active module's spec wins
+        const activeModule = this.canvasManager.currentModule;
+        const activeName = activeModule ? this.getModuleName(activeModule) : null;
+        const owners = Object.keys(this.moduleCommands)
+            .filter(moduleName => this.moduleCommands[moduleName].some(name => name.toLowerCase() === command));
+        
+        if (owners.length > 0) {
+            const moduleName = owners.includes(activeName) ? activeName : owners[0];
+            const specs = this.moduleSpecs[moduleName];
+            if (!specs) {
+                // Commands without a spec get their words as they are
+                try {
+                    return this.canvasManager.executeCommand(command, ...CommandParser.tokenize(commandText, offset));
+                } catch (error) {
+                    if (!(error instanceof CommandUsageError)) throw error;
+                    terminal.addOutput(`[ERROR] ${error.message}`);
+                    return false;
+                }
             }
+            
+            const name = Object.keys(specs).find(key => key.toLowerCase() === command);
+            const parsed = this.parseArguments(commandText, offset, name, specs[name]);
+            // Instead of auto-activating the module, just execute its command.
+            return parsed ? this.canvasManager.executeCommand(name, ...parsed.values) : false;
         }
         
         terminal.addOutput(`[ERROR] Unknown command: ${command}`);
@@ -298,110 +404,137 @@ Example: terminal send ls -la
     
     /**
      * Handle fetch command.
-     * @param {Array} args - Command arguments.
+     * @param {string} commandText - Full command line.
+     * @param {number} offset - Where the arguments start.
      */
-    handleFetchCommand(args) {
-        if (args.length === 0) {
-            terminal.addOutput('[ERROR] Usage: fetch [url] or fetch image');
-            return false;
-        }
+    handleFetchCommand(commandText, offset) {
+        const { word, offset: argsOffset } = CommandParser.nextWord(commandText, offset);
+        const target = word.toLowerCase();
         
-        if (args[0] === 'image') {
-            if (args.length > 1) {
-                return this.canvasManager.executeCommand('display', args[1]);
-            } else {
-                return this.canvasManager.executeCommand('random');
-            }
-        } else if (args[0] === 'markdown') {
-            if (args.length > 1) {
-                return this.canvasManager.executeCommand('load', args[1]);
-            } else {
-                terminal.addOutput('[ERROR] URL required for fetch markdown');
-                return false;
-            }
-        } else if (args[0] === 'terminal') {
-            if (args.length > 1) {
-                return this.canvasManager.executeCommand('connect', args[1]);
-            } else {
-                terminal.addOutput('[ERROR] URL required for fetch terminal');
-                return false;
+        if (['image', 'markdown', 'terminal'].includes(target)) {
+            const parsed = this.parseArguments(commandText, argsOffset, `fetch ${target}`, this.commandSpecs[`fetch ${target}`]);
+            if (!parsed) return false;
+            const url = parsed.args.url;
+            
+            if (target === 'image') {
+                return url ?
+                    this.canvasManager.executeCommand('display', url) :
+                    this.canvasManager.executeCommand('random');
             }
-        } else {
-            const url = args.join(' ');
-            return this.fetchAPI(url);
+            return this.canvasManager.executeCommand(target === 'markdown' ? 'load' : 'connect', url);
         }
+        
+        const parsed = this.parseArguments(commandText, offset, 'fetch', this.commandSpecs.fetch);
+        return parsed ? this.fetchAPI(parsed.args.url, parsed.options) : false;
     }
     
     /**
      * Fetch data from an API.
      * @param {string} url - URL to fetch from.
+     * @param {Object} [options] - Request options from HttpRequest.options (method, headers, body...),
+     *   and format to override the detected format
+     * @returns {boolean|Promise<boolean>} False for a bad request, otherwise a promise
+     *   resolving to whether the response was fetched and shown
      */
-    fetchAPI(url) {
+    fetchAPI(url, options = {}) {
         if (!url) {
             terminal.addOutput('[ERROR] No URL provided for fetch');
             return false;
         }
         
+        let request;
+        try {
+            request = HttpRequest.build(url, options);
+        } catch (error) {
+            terminal.addOutput(`[ERROR] ${error.message}`);
+            return false;
+        }
+        
         const fetchButton = document.getElementById('fetchButton');
         if (fetchButton) {
             fetchButton.classList.add('loading');
         }
         
-        terminal.updateStatus('loading', `Fetching ${url}...`);
+        terminal.updateStatus('loading', `Fetching ${request.url}...`);
         
-        fetch(url)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error ${response.status}`);
+        return this.fetchPayload(url, { ...options, allowErrors: true })
+            .then(payload => {
+                // Response inspector: status, timing, size and headers
+                terminal.addOutput(HttpRequest.describe(payload.response));
+                
+                const text = payload.text;
+                const contentType = payload.contentType;
+                const responseContainer = document.getElementById('responseContainer');
+                
+                if (!payload.response.ok) {
+                    if (responseContainer) {
+                        responseContainer.textContent = text || '';
+                    }
+                    if (text) {
+                        terminal.addOutput(CanvasModule.truncateForContext(text, 1000));
+                    }
+                    terminal.updateStatus('error', `HTTP error ${payload.response.status}`);
+                    return false;
                 }
                 
-                const contentType = response.headers.get('Content-Type') || '';
-                if (contentType.includes('image/')) {
-                    this.canvasManager.executeCommand('display', url);
+                if (payload.type === 'image') {
+                    this.canvasManager.executeCommand('display', payload.data);
                     terminal.updateStatus('success', 'Image loaded successfully');
-                    if (fetchButton) {
-                        fetchButton.classList.remove('loading');
-                    }
-                    return null;
+                    return true;
                 }
                 
-                return response.text().then(text => ({ text, contentType }));
-            })
-            .then(result => {
-                if (!result) return;
-                const { text, contentType } = result;
-                const responseContainer = document.getElementById('responseContainer');
+                if (!text) {
+                    terminal.updateStatus('success', 'Empty response');
+                    return true;
+                }
+                
+                if (payload.formatError) {
+                    terminal.addOutput(`[WARNING] ${payload.formatError}; pick another format with --format`);
+                }
+                
+                // How to repeat this fetch in a pipeline
+                const source = `fetch ${url}${options.format ? ` --format ${options.format}` : ''}`;
                 
                 try {
-                    if (text.trim().startsWith('{') || text.trim().startsWith('[')) {
-                        const jsonData = JSON.parse(text);
+                    if (payload.type === 'table') {
+                        // CSV and TSV: show the table; a pipeline can chart it
+                        const { columns, rows } = payload.data;
                         if (responseContainer) {
-                            responseContainer.textContent = JSON.stringify(jsonData, null, 2);
+                            responseContainer.textContent = text;
                         }
-                        this.canvasManager.executeCommand('data', jsonData);
-                        terminal.updateStatus('success', 'JSON data loaded successfully');
+                        this.canvasManager.activateModule('markdown');
+                        this.canvasManager.executeCommand('render', CommandPipeline.toMarkdownTable({
+                            columns,
+                            rows: rows.slice(0, this.tableRowLimit)
+                        }));
+                        if (rows.length > this.tableRowLimit) {
+                            terminal.addOutput(`[INFO] Showing the first ${this.tableRowLimit} of ${rows.length} rows`);
+                        }
+                        terminal.addOutput(`[INFO] Columns: ${columns.join(', ')}\n[INFO] Chart it with: ${source} | chart bar`);
+                        terminal.updateStatus('success', `${payload.format.toUpperCase()} loaded: ${rows.length} row${rows.length === 1 ? '' : 's'}`);
+                    } else if (payload.type === 'json') {
+                        // JSON, and the structure YAML and XML convert to, opens in the explorer
+                        if (responseContainer) {
+                            responseContainer.textContent = JSON.stringify(payload.data, null, 2);
+                        }
+                        this.canvasManager.activateModule('json');
+                        this.canvasManager.executeCommand('data', payload.data);
+                        terminal.addOutput('[INFO] Click a value to copy its jq path; filter with "json query <jq or $.JSONPath>", chart the selection with "json chart"');
+                        terminal.updateStatus('success', payload.format === 'json' ?
+                            'JSON data loaded successfully' :
+                            `${payload.format.toUpperCase()} converted to JSON`);
                     } else {
                         if (responseContainer) {
                             responseContainer.textContent = text;
                         }
                         
-                        if (contentType.includes('markdown') || 
-                            contentType.includes('text/md') || 
-                            url.endsWith('.md') ||
-                            text.includes('# ') || 
-                            text.match(/\*\*.*\*\*/) || 
-                            text.match(/\[.*\]\(.*\)/)) {
+                        if (payload.format === 'markdown') {
                             this.canvasManager.executeCommand('render', text);
                             terminal.updateStatus('success', 'Markdown rendered successfully');
                         }
-                        else if (contentType.includes('javascript') || 
-                                 contentType.includes('json') || 
-                                 text.includes('function') || 
-                                 text.includes('class')) {
+                        else if (payload.format === 'javascript') {
                             this.canvasManager.executeCommand('display', text, 'javascript');
-                        } else if (contentType.includes('html') || 
-                                   text.includes('<html') || 
-                                   text.includes('<body')) {
+                        } else if (payload.format === 'html') {
                             this.canvasManager.executeCommand('display', text, 'html');
                         } else if (text.match(/\.(jpeg|jpg|gif|png)$/i)) {
                             this.canvasManager.executeCommand('display', text);
@@ -409,17 +542,20 @@ Example: terminal send ls -la
                         
                         terminal.updateStatus('success', 'Data received successfully');
                     }
+                    return true;
                 } catch (e) {
                     console.error('Error parsing response:', e);
                     if (responseContainer) {
                         responseContainer.textContent = text;
                     }
                     terminal.updateStatus('error', `Error parsing response: ${e.message}`);
+                    return false;
                 }
             })
             .catch(error => {
                 console.error('Fetch error:', error);
                 terminal.updateStatus('error', `Error: ${error.message}`);
+                return false;
             })
             .finally(() => {
                 if (fetchButton) {
@@ -431,8 +567,65 @@ Example: terminal send ls -la
                     memoryUsage.textContent = Math.floor(Math.random() * 1000 + 2000);
                 }
             });
-            
-        return true;
+    }
+    
+    /**
+     * Fetch a URL as a pipeline payload (see js/command-pipeline.js)
+     * @param {string} url - URL to fetch from.
+     * @param {Object} [options] - Request options from HttpRequest.options, and format
+     *   (see js/data-formats.js); with allowErrors, HTTP error responses resolve instead of rejecting
+     * @returns {Promise<Object>} { type: 'json'|'table'|'text'|'image', data, text, format, contentType,
+     *   source, response }, where response is the status, timing, size and headers from HttpRequest.send.
+     *   CSV and TSV give a table, YAML and XML json. If the detected format does not parse,
+     *   the payload is text and formatError says why.
+     */
+    fetchPayload(url, options = {}) {
+        let request;
+        try {
+            request = HttpRequest.build(url, options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        
+        return HttpRequest.send(request)
+            .then(({ response, text, blob, contentType }) => {
+                if (!response.ok && !options.allowErrors) {
+                    throw new Error(`HTTP error ${response.status}`);
+                }
+                
+                if (blob) {
+                    // A plain GET can show the image by its URL; otherwise show what was downloaded
+                    const plain = request.method === 'GET' && Object.keys(request.headers).length === 0;
+                    const data = plain ? request.url : URL.createObjectURL(blob);
+                    return { type: 'image', data, contentType, source: request.url, response };
+                }
+                
+                // Index the response so the AI can refer to it later (see '/kb')
+                if (window.knowledgeBase && response.ok && text) {
+                    const name = request.url.split(/[?#]/)[0].split('/').filter(Boolean).pop();
+                    window.knowledgeBase.ingest({
+                        title: name || request.url,
+                        source: request.url,
+                        type: window.knowledgeBase.detectType(request.url, contentType),
+                        text
+                    });
+                }
+                
+                const format = options.format || DataFormats.detect(text, contentType, request.url);
+                const payload = { type: 'text', data: text, text, format, contentType, source: request.url, response };
+                if (!response.ok || !text.trim()) {
+                    return payload;
+                }
+                try {
+                    return Object.assign(payload, DataFormats.parse(text, format));
+                } catch (error) {
+                    if (options.format) {
+                        throw new Error(`The response is not valid ${format}: ${error.message}`);
+                    }
+                    // Detected from the headers but not readable; keep it as text
+                    return Object.assign(payload, { format: 'text', formatError: `Could not read the response as ${format}: ${error.message}` });
+                }
+            });
     }
     
     /**
@@ -447,6 +640,7 @@ chart    - Create data visualizations
 code     - Display formatted code
 shape    - Draw shapes and patterns
 markdown - Render and format markdown content
+json     - Explore JSON as a tree, with search and jq/JSONPath queries
 terminal - Connect to and interact with remote terminals
 
 Use 'module [name]' to activate a module.
@@ -460,16 +654,23 @@ Use 'commands [module]' to see module-specific commands.
      * @param {string} moduleName - Name of the module.
      */
     listModuleCommands(moduleName) {
+        moduleName = this.moduleAliases[moduleName] || moduleName;
         const commands = this.moduleCommands[moduleName];
         if (!commands) {
             terminal.addOutput(`[ERROR] Module not found: ${moduleName}`);
             return false;
         }
         
+        // Modules with specs list their arguments and options too
+        const specs = this.moduleSpecs[moduleName];
+        const lines = specs ?
+            Object.entries(specs).map(([name, spec]) => CommandParser.describe(name, spec)) :
+            commands;
+        
         terminal.addOutput(`
 Commands for ${moduleName} module:
 --------------------------------
-${commands.join('\n')}
+${lines.join('\n')}
 
 Use 'module ${moduleName}' to activate this module first.
 `);
@@ -523,20 +724,63 @@ Use 'module ${moduleName}' to activate this module first.
             return [];
         }
         
-        // Execute all commands with a delay between them
-        const results = [];
-        const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-        
-        for (const command of commands) {
-            // Small delay between commands for better UX
-            await delay(300);
+        // Execute all commands with a delay between them, undoable as one step
+        return this.recordCanvasBatch('AI commands', async () => {
+            const results = [];
+            const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
             
-            // Execute the command
-            const result = await this.executeAICommand(command);
-            results.push(result);
+            for (const command of commands) {
+                // Small delay between commands for better UX
+                await delay(300);
+                
+                // Execute the command
+                const result = await this.executeAICommand(command);
+                results.push(result);
+            }
+            
+            return results;
+        });
+    }
+    
+    /**
+     * Run a batch of canvas changes (e.g. everything one AI response does) as one undo step
+     * @param {string} label - Description shown when the step is undone
+     * @param {Function} run - Makes the changes; may return a promise
+     * @returns {Promise<*>} Whatever run returns
+     */
+    async recordCanvasBatch(label, run) {
+        const history = typeof this.canvasManager.getHistory === 'function' ? this.canvasManager.getHistory() : null;
+        if (history) history.beginBatch(label);
+        try {
+            return await run();
+        } finally {
+            if (history) history.endBatch();
         }
-        
-        return results;
+    }
+    
+    /**
+     * Undo or redo a step on the active canvas
+     * @param {string} action - 'undo' or 'redo'
+     * @param {Function} print - Shows the result to the user
+     * @returns {boolean} Whether a step was undone or redone
+     */
+    handleHistoryCommand(action, print) {
+        const history = typeof this.canvasManager.getHistory === 'function' ? this.canvasManager.getHistory() : null;
+        if (!history) {
+            print('[ERROR] This canvas has no undo history');
+            return false;
+        }
+        if (history.isBusy()) {
+            print('[INFO] The canvas is still changing; try again when the AI has finished');
+            return false;
+        }
+        const label = action === 'redo' ? history.redo() : history.undo();
+        if (!label) {
+            print(`[INFO] Nothing to ${action}`);
+            return false;
+        }
+        print(`[INFO] ${action === 'redo' ? 'Redone' : 'Undone'}: ${label}`);
+        return true;
     }
     
     /**
@@ -626,12 +870,36 @@ Use 'module ${moduleName}' to activate this module first.
         switch (command.action) {
             case 'createChart':
                 const chartType = command.params[0].toLowerCase();
-                this.canvasManager.executeCommand(chartType);
+                const chartData = command.params[1];
+                
+                // Tool calls can pass structured data along with the chart type
+                if (chartData) {
+                    this.canvasManager.executeCommand(chartType, chartData);
+                } else {
+                    this.canvasManager.executeCommand(chartType);
+                }
+                
+                return {
+                    success: true,
+                    command,
+                    message: Array.isArray(chartData)
+                        ? `Created ${chartType} chart with ${chartData.length} data points`
+                        : `Created ${chartType} chart`
+                };
+                
+            case 'createChartSpec':
+                // A validated spec from structured output: { chartType, title, labels, values, series }
+                const spec = command.params[0];
+                if (!this.canvasManager.executeCommand(spec.chartType, spec)) {
+                    throw new Error('The chart module rejected the data');
+                }
                 
                 return {
                     success: true,
                     command,
-                    message: `Created ${chartType} chart`
+                    message: `Created ${spec.chartType} chart${spec.title ? ` "${spec.title}"` : ''} with ` +
+                        `${spec.labels.length} data points` +
+                        (spec.series && spec.series.length > 1 ? ` in ${spec.series.length} series` : '')
                 };
                 
             default:
@@ -651,12 +919,20 @@ Use 'module ${moduleName}' to activate this module first.
             case 'showCodeBlock':
             case 'showCode':
                 const code = command.params[0].trim();
-                this.canvasManager.executeCommand('display', code);
+                const language = command.params[1];
+                
+                if (language) {
+                    this.canvasManager.executeCommand('display', code, language.toLowerCase());
+                } else {
+                    this.canvasManager.executeCommand('display', code);
+                }
                 
                 return {
                     success: true,
                     command,
-                    message: 'Displayed code with syntax highlighting'
+                    message: language
+                        ? `Displayed ${language} code with syntax highlighting`
+                        : 'Displayed code with syntax highlighting'
                 };
                 
             default:
@@ -683,6 +959,16 @@ Use 'module ${moduleName}' to activate this module first.
                     message: 'Rendered markdown content'
                 };
                 
+            case 'loadMarkdown':
+                const markdownUrl = command.params[0];
+                this.canvasManager.executeCommand('load', markdownUrl);
+                
+                return {
+                    success: true,
+                    command,
+                    message: `Loaded markdown from ${markdownUrl}`
+                };
+                
             default:
                 throw new Error(`Unknown markdown action: ${command.action}`);
         }
@@ -778,6 +1064,231 @@ Use 'module ${moduleName}' to activate this module first.
         }
     }
     
+    // AI TOOL CALLING FUNCTIONALITY
+    // ============================================================================
+    
+    /**
+     * Get OpenAI tool definitions for every canvas action the AI may perform
+     * @returns {Array} Array of tool definitions in OpenAI "tools" format
+     */
+    getAIToolDefinitions() {
+        const tool = (name, description, properties = {}, required = []) => ({
+            type: 'function',
+            function: {
+                name,
+                description,
+                parameters: { type: 'object', properties, required }
+            }
+        });
+        
+        return [
+            tool('show_image', 'Display an image on the canvas. Omit the url to show a random image.', {
+                url: { type: 'string', description: 'URL of the image to display' }
+            }),
+            tool('create_chart', 'Draw a chart on the canvas with the given data.', {
+                type: { type: 'string', enum: ['bar', 'line', 'pie'], description: 'Chart type' },
+                data: {
+                    type: 'array',
+                    description: 'Data points to plot',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            label: { type: 'string' },
+                            value: { type: 'number' }
+                        },
+                        required: ['label', 'value']
+                    }
+                }
+            }, ['type']),
+            tool('show_code', 'Display source code with syntax highlighting in the code editor.', {
+                code: { type: 'string', description: 'The source code' },
+                language: { type: 'string', description: 'Language of the code, e.g. javascript, python, sql' }
+            }, ['code']),
+            tool('render_markdown', 'Render markdown on the canvas, either from text or from a URL.', {
+                markdown: { type: 'string', description: 'Markdown text to render' },
+                url: { type: 'string', description: 'URL of a markdown document to load instead' }
+            }),
+            tool('draw_shapes', 'Draw shapes on the canvas.', {
+                style: { type: 'string', enum: ['pattern', 'random'], description: 'Draw a pattern or random shapes' }
+            }),
+            tool('connect_terminal', 'Connect the terminal module to a WebSocket terminal server.', {
+                url: { type: 'string', description: 'WebSocket URL, e.g. ws://localhost:8080' }
+            }, ['url']),
+            tool('send_to_terminal', 'Send input to the connected terminal.', {
+                data: { type: 'string', description: 'Text or command to send' }
+            }, ['data']),
+            tool('disconnect_terminal', 'Disconnect the terminal module.'),
+            tool('clear_canvas', 'Clear the active canvas.')
+        ];
+    }
+    
+    /**
+     * Convert a tool call from the AI into a command object
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed tool arguments
+     * @returns {Object} Command object for executeAICommand
+     */
+    toolCallToCommand(name, args) {
+        const command = (category, action, params = []) => ({
+            category,
+            action,
+            params,
+            originalText: `${name}(${JSON.stringify(args)})`
+        });
+        
+        switch (name) {
+            case 'show_image':
+                return args.url
+                    ? command('image', 'showImageUrl', [args.url])
+                    : command('image', 'showRandomImage');
+                
+            case 'create_chart':
+                return command('chart', 'createChart', [args.type || 'bar', args.data]);
+                
+            case 'show_code':
+                return command('code', 'showCode', [args.code || '', args.language]);
+                
+            case 'render_markdown':
+                return args.url && !args.markdown
+                    ? command('markdown', 'loadMarkdown', [args.url])
+                    : command('markdown', 'renderMarkdown', [args.markdown || '']);
+                
+            case 'draw_shapes':
+                return command('shape', 'drawPattern', [args.style || 'pattern']);
+                
+            case 'connect_terminal':
+                return command('terminal', 'connectTerminal', [args.url]);
+                
+            case 'send_to_terminal':
+                return command('terminal', 'sendToTerminal', [args.data || '']);
+                
+            case 'disconnect_terminal':
+                return command('terminal', 'disconnectTerminal');
+                
+            case 'clear_canvas':
+                return command('canvas', 'clearCanvas');
+                
+            default:
+                throw new Error(`Unknown tool: ${name}`);
+        }
+    }
+    
+    /**
+     * Execute a tool call returned by the AI
+     * @param {Object} toolCall - Tool call ({ id, function: { name, arguments } })
+     * @returns {Promise<Object>} Execution result
+     */
+    async executeToolCall(toolCall) {
+        const name = toolCall.function?.name;
+        
+        try {
+            const argsText = toolCall.function?.arguments || '{}';
+            const args = typeof argsText === 'string' ? JSON.parse(argsText || '{}') : argsText;
+            return await this.executeAICommand(this.toolCallToCommand(name, args));
+        } catch (error) {
+            console.error('Error executing AI tool call:', error);
+            return {
+                success: false,
+                command: { category: 'tool', action: name },
+                error: error.message || 'Unknown error'
+            };
+        }
+    }
+    
+    /**
+     * Find the registered name of a module instance
+     * @param {Object} module - Module instance
+     * @param {Map} [modules] - Modules to search, defaults to the canvas manager's
+     * @returns {string|null} Module name
+     */
+    getModuleName(module, modules) {
+        if (module.moduleName) return module.moduleName;
+        let moduleName = null;
+        (modules || this.canvasManager.modules || new Map()).forEach((mod, name) => {
+            if (mod === module) moduleName = name;
+        });
+        return moduleName;
+    }
+    
+    /**
+     * Describe what is on the canvas so the AI can act on the real content
+     * @param {string} scope - 'module' for the active module only, 'all' for every canvas tab
+     * @returns {string|null} JSON summary, or null if nothing is shown
+     */
+    getCanvasContext(scope = 'module') {
+        const manager = this.canvasManager;
+        if (!manager) return null;
+        
+        const describe = (module, modules, extra) => {
+            if (!module || typeof module.getContextSummary !== 'function') return null;
+            try {
+                const summary = module.getContextSummary();
+                return summary ? { module: this.getModuleName(module, modules), ...extra, ...summary } : null;
+            } catch (error) {
+                console.warn('Could not summarize module for AI context:', error);
+                return null;
+            }
+        };
+        
+        const instances = manager.canvasInstances || [];
+        const activeInstance = instances.find(instance => instance.id === manager.activeCanvasId);
+        let entries;
+        if (scope === 'all' && instances.length > 0) {
+            // Active tab first, then the others
+            entries = [activeInstance, ...instances.filter(instance => instance !== activeInstance)]
+                .filter(Boolean)
+                .map(instance => describe(instance.currentModule, instance.modules, {
+                    tab: instance.title,
+                    active: instance === activeInstance
+                }));
+        } else {
+            entries = [describe(manager.currentModule, activeInstance && activeInstance.modules, {
+                tab: activeInstance ? activeInstance.title : undefined,
+                active: true
+            })];
+        }
+        
+        entries = entries.filter(Boolean);
+        return entries.length > 0 ? JSON.stringify(entries) : null;
+    }
+    
+    /**
+     * Capture the active canvas as an image the AI can look at
+     * @returns {Object} { url, source, moduleName } - url is a PNG data URL of the canvas,
+     *   or the URL of the picture shown by the image module
+     */
+    captureActiveCanvas() {
+        const manager = this.canvasManager;
+        const module = manager && manager.currentModule;
+        if (!module) {
+            throw new Error('No canvas module is active');
+        }
+        
+        const moduleName = this.getModuleName(module);
+        
+        // The image viewer shows an <img>, so send the picture itself
+        if (module.imageInfo && module.imageInfo.url) {
+            return { url: module.imageInfo.url, source: 'image', moduleName: moduleName || 'image' };
+        }
+        
+        // Other HTML modules leave the canvas blank
+        if (typeof HtmlModule !== 'undefined' && module instanceof HtmlModule) {
+            throw new Error(`The ${moduleName || 'active'} module has no picture to send. Show an image, chart or drawing first.`);
+        }
+        
+        const canvas = manager.canvas || module.canvas;
+        if (!canvas || typeof canvas.toDataURL !== 'function') {
+            throw new Error('The active canvas cannot be captured');
+        }
+        
+        try {
+            return { url: canvas.toDataURL('image/png'), source: 'canvas', moduleName: moduleName || 'canvas' };
+        } catch (error) {
+            // Drawing images from other sites taints the canvas
+            throw new Error('The canvas contains content from another site and cannot be captured');
+        }
+    }
+    
     /**
      * Extract code blocks from an AI response
      * @param {string} response - AI response text
@@ -0,0 +1,868 @@
+/**
+ * js/data-formats.js
+ * Data Formats for Fetched Content
+ *
+ * Detects what a response contains and reads the structured formats:
+ *   CSV / TSV   -> a table ({ columns, rows }); the delimiter (comma, tab,
+ *                  semicolon or pipe) is sniffed and a header row detected
+ *   YAML / XML  -> plain JSON values, ready for jq
+ *
+ * Detection uses the Content-Type first, then the URL's extension, then the
+ * text itself. Commands override it with --format, e.g.
+ *   fetch --format csv https://example.com/export
+ */
+
+const DataFormats = {
+    // Options shared by the fetch command and the fetch pipeline stage
+    options: {
+        format: {
+            alias: 'f',
+            choices: ['json', 'csv', 'tsv', 'yaml', 'xml', 'markdown', 'html', 'javascript', 'text'],
+            description: 'Read the response as this format instead of detecting it'
+        }
+    },
+
+    // Content types, checked in order; text/plain is left to the extension and the text
+    contentTypes: [
+        [/[/+]json\b/, 'json'],
+        [/text\/csv|application\/csv/, 'csv'],
+        [/tab-separated-values/, 'tsv'],
+        [/yaml/, 'yaml'],
+        [/html/, 'html'],
+        [/[/+]xml\b/, 'xml'],
+        [/markdown|text\/md/, 'markdown'],
+        [/javascript|ecmascript/, 'javascript']
+    ],
+
+    extensions: {
+        json: 'json', csv: 'csv', tsv: 'tsv', tab: 'tsv', yaml: 'yaml', yml: 'yaml',
+        xml: 'xml', rss: 'xml', atom: 'xml', md: 'markdown', markdown: 'markdown',
+        html: 'html', htm: 'html', js: 'javascript', mjs: 'javascript'
+    },
+
+    // Delimiters tried when sniffing CSV
+    delimiters: [',', '\t', ';', '|'],
+
+    /**
+     * Work out the format of a response
+     * @param {string} text - Response body
+     * @param {string} [contentType] - Content-Type header
+     * @param {string} [url] - URL it came from
+     * @returns {string} One of the `format` option's choices
+     */
+    detect(text, contentType = '', url = '') {
+        const known = this.contentTypes.find(([pattern]) => pattern.test(contentType.toLowerCase()));
+        if (known) {
+            return known[1];
+        }
+        const extension = (url.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1];
+        if (extension && this.extensions[extension.toLowerCase()]) {
+            return this.extensions[extension.toLowerCase()];
+        }
+        return this.sniff(text);
+    },
+
+    /**
+     * Guess the format from the text alone
+     * @param {string} text - Response body
+     * @returns {string} Format name
+     */
+    sniff(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            try {
+                JSON.parse(trimmed);
+                return 'json';
+            } catch (e) {
+                // Not JSON after all
+            }
+        }
+        if (trimmed.includes('<html') || trimmed.includes('<body')) {
+            return 'html';
+        }
+        if (trimmed.startsWith('<?xml') || /^<([\w:.-]+)[^>]*>[\s\S]*<\/\1>$/.test(trimmed)) {
+            return 'xml';
+        }
+        // Only commas and tabs: semicolons and pipes are too common in code and markdown
+        const delimiter = this.sniffDelimiter(trimmed, [',', '\t']);
+        if (delimiter) {
+            return delimiter === '\t' ? 'tsv' : 'csv';
+        }
+        if (this.looksLikeYAML(trimmed)) {
+            return 'yaml';
+        }
+        if (trimmed.includes('# ') || /\*\*.*\*\*/.test(trimmed) || /\[.*\]\(.*\)/.test(trimmed)) {
+            return 'markdown';
+        }
+        if (trimmed.includes('function') || trimmed.includes('class')) {
+            return 'javascript';
+        }
+        return 'text';
+    },
+
+    /**
+     * Read text in a format
+     * @param {string} text - Response body
+     * @param {string} format - Format name
+     * @returns {Object} Pipeline payload { type: 'json'|'table'|'text', data }
+     * @throws {Error} If the text is not valid in that format
+     */
+    parse(text, format) {
+        switch (format) {
+            case 'json':
+                return { type: 'json', data: JSON.parse(text) };
+            case 'csv':
+            case 'tsv':
+                return { type: 'table', data: this.parseDelimited(text, format === 'tsv' ? '\t' : null) };
+            case 'yaml':
+                return { type: 'json', data: this.parseYAML(text) };
+            case 'xml':
+                return { type: 'json', data: this.parseXML(text) };
+            default:
+                return { type: 'text', data: text };
+        }
+    },
+
+    /**
+     * Read CSV or TSV into a table. Without a header row the columns are
+     * named column1, column2...
+     * @param {string} text - Delimited text
+     * @param {string} [delimiter] - Delimiter; sniffed when not given
+     * @returns {Object} { columns, rows }, with numbers as numbers and empty cells as null
+     */
+    parseDelimited(text, delimiter = null) {
+        delimiter = delimiter || this.sniffDelimiter(text) || ',';
+        const rows = this.splitDelimited(text, delimiter);
+        const names = this.hasHeader(rows) ? rows.shift() : [];
+        const width = rows.reduce((widest, row) => Math.max(widest, row.length), names.length);
+        const columns = Array.from({ length: width }, (_, index) => (names[index] || '').trim() || `column${index + 1}`);
+        return {
+            columns,
+            rows: rows.map(row => columns.map((name, index) => this.typedValue(row[index] === undefined ? '' : row[index])))
+        };
+    },
+
+    /**
+     * Split delimited text into rows of cells. Cells may be "quoted", with ""
+     * for a quote and with delimiters and line breaks inside.
+     * @param {string} text - Delimited text
+     * @param {string} delimiter - Delimiter
+     * @returns {Array<Array<string>>} Rows, without blank lines
+     */
+    splitDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let pos = 0; pos < text.length; pos++) {
+            const char = text[pos];
+            if (quoted) {
+                if (char !== '"') {
+                    cell += char;
+                } else if (text[pos + 1] === '"') {
+                    cell += '"';
+                    pos++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[pos + 1] === '\n') pos++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+    },
+
+    /**
+     * Find the delimiter that splits every line into the same number of cells.
+     * Prose with a comma on each line should stay text, so it takes at least
+     * two lines of two or more cells, with quotes only around whole cells.
+     * @param {string} text - Delimited text
+     * @param {Array<string>} [candidates] - Delimiters to try
+     * @returns {string|null} The delimiter giving the most cells, or null if none is consistent
+     */
+    sniffDelimiter(text, candidates = this.delimiters) {
+        // Look at the first records; a quoted cell may run over several lines
+        const records = [];
+        let pending = null;
+        for (const line of text.split(/\r?\n/)) {
+            pending = pending === null ? line : `${pending}\n${line}`;
+            if ((pending.match(/"/g) || []).length % 2 === 0) {
+                if (pending.trim() !== '') records.push(pending);
+                pending = null;
+                if (records.length === 20) break;
+            }
+        }
+        if (pending !== null || records.length < 2) return null;
+
+        let best = null;
+        let bestCount = 0;
+        candidates.forEach(delimiter => {
+            // Empty the quoted cells; any quote left over is not around a whole cell
+            const escaped = delimiter.replace(/[|\\]/g, '\\$&');
+            const quotedCell = new RegExp(`(^|${escaped})[ \\t]*"(?:[^"]|"")*"[ \\t]*(?=${escaped}|$)`, 'g');
+            const lines = records.map(record => record.replace(quotedCell, '$1'));
+            if (lines.some(line => line.includes('"'))) return;
+
+            const counts = lines.map(line => line.split(delimiter).length - 1);
+            if (counts[0] > bestCount && counts.every(count => count === counts[0])) {
+                best = delimiter;
+                bestCount = counts[0];
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Decide whether the first row names the columns. Each column votes: a
+     * header cell that does not look like the values below it (text above
+     * numbers, or a different length above fixed-length codes) is a header.
+     * @param {Array<Array<string>>} rows - Rows from splitDelimited
+     * @returns {boolean} True if the first row is a header
+     */
+    hasHeader(rows) {
+        if (rows.length === 0) return false;
+        const [first, ...data] = rows;
+        const isNumber = value => typeof this.typedValue(value) === 'number';
+        if (first.some(cell => isNumber(cell))) return false;
+
+        let votes = 0;
+        first.forEach((cell, index) => {
+            const values = data.slice(0, 50).map(row => row[index]).filter(value => value !== undefined && value.trim() !== '');
+            if (values.length === 0) return;
+            if (values.every(isNumber)) {
+                votes++;
+            } else if (values.every(value => value.length === values[0].length)) {
+                votes += cell.length === values[0].length ? -1 : 1;
+            }
+        });
+        if (votes !== 0) return votes > 0;
+
+        // Only free text: a row of distinct names is most likely a header
+        return first.every(cell => cell.trim() !== '') && new Set(first.map(cell => cell.trim())).size === first.length;
+    },
+
+    /**
+     * Turn a cell or element text into a value
+     * @param {string} text - Text as read
+     * @returns {number|string|null} A number for numeric text (but not codes like
+     *   "007" or integers too large to keep exactly), null for empty text
+     */
+    typedValue(text) {
+        const value = text.trim();
+        if (value === '') return null;
+        if (!/^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(value)) return value;
+        const number = Number(value);
+        return /[.eE]/.test(value) || Number.isSafeInteger(number) ? number : value;
+    },
+
+    /**
+     * Set a property, even one named like "__proto__"
+     * @param {Object} object - Object to change
+     * @param {string} key - Property name
+     * @param {*} value - Value
+     * @returns {Object} The object
+     */
+    setProperty(object, key, value) {
+        Object.defineProperty(object, String(key), { value, enumerable: true, writable: true, configurable: true });
+        return object;
+    },
+
+    /**
+     * Check whether text reads as YAML: unindented lines are keys, list items
+     * or document markers, and there is at least one "key: value"
+     * @param {string} text - Text to check
+     * @returns {boolean} True if it looks like YAML
+     */
+    looksLikeYAML(text) {
+        const lines = text.split(/\r?\n/).filter(line => this.stripYamlComment(line).trim() !== '');
+        if (lines.length < 2) return false;
+        return lines.filter(line => !/^\s/.test(line)).every(line =>
+            /^(---|\.\.\.|-)(\s|$)/.test(line) || this.splitYamlKey(this.stripYamlComment(line))) &&
+            lines.some(line => this.splitYamlKey(this.stripYamlComment(line).trim().replace(/^-\s+/, '')));
+    },
+
+    /**
+     * Read YAML: block and flow collections, plain, quoted and block (| and >)
+     * scalars, anchors, aliases and "<<" merge keys. Tags are ignored.
+     * @param {string} text - YAML text
+     * @returns {*} The value; several documents (separated by ---) give an array
+     * @throws {Error} With the line number, if the YAML is not valid
+     */
+    parseYAML(text) {
+        const documents = [];
+        let document = { start: 0, lines: [] };
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, number) => {
+            if (/^(---|\.\.\.)(\s|$)/.test(line)) {
+                documents.push(document);
+                document = { start: number + 1, lines: [] };
+                // "--- value" starts a document on the marker line
+                const rest = this.stripYamlComment(line.substring(3)).trim();
+                if (line.startsWith('---') && rest) {
+                    document = { start: number, lines: [rest] };
+                }
+            } else if (!(line.startsWith('%') && document.lines.length === 0)) {
+                // %YAML and %TAG directives are skipped
+                document.lines.push(line);
+            }
+        });
+        documents.push(document);
+
+        const values = documents
+            .filter(({ lines }) => lines.some(line => this.stripYamlComment(line).trim() !== ''))
+            .map(({ start, lines }) => {
+                const state = { lines, start, index: 0, anchors: {} };
+                const value = this.readYamlNode(state, 0);
+                this.skipYamlBlank(state);
+                if (state.index < lines.length) {
+                    throw this.yamlError(state, 'Unexpected indentation');
+                }
+                return value;
+            });
+        if (values.length === 0) return null;
+        return values.length === 1 ? values[0] : values;
+    },
+
+    /**
+     * Read the block node starting at the current line
+     * @param {Object} state - { lines, start, index, anchors }
+     * @param {number} minIndent - The node must be indented at least this much
+     * @returns {*} Value, or null if there is no node
+     */
+    readYamlNode(state, minIndent) {
+        this.skipYamlBlank(state);
+        if (state.index >= state.lines.length) return null;
+        const line = state.lines[state.index];
+        const indent = this.yamlIndent(line);
+        if (indent < minIndent) return null;
+
+        const content = this.stripYamlComment(line).trim();
+        if (/^-(\s|$)/.test(content)) {
+            return this.readYamlSequence(state, indent);
+        }
+        if (this.splitYamlKey(content)) {
+            return this.readYamlMapping(state, indent);
+        }
+        state.index++;
+        return this.readYamlValue(state, content, indent - 1);
+    },
+
+    /**
+     * Read "key: value" lines at one indentation
+     * @param {Object} state - Reader state
+     * @param {number} indent - Indentation of the keys
+     * @returns {Object} Mapping
+     */
+    readYamlMapping(state, indent) {
+        const mapping = {};
+        for (;;) {
+            this.skipYamlBlank(state);
+            if (state.index >= state.lines.length) break;
+            const line = state.lines[state.index];
+            const lineIndent = this.yamlIndent(line);
+            if (lineIndent < indent) break;
+
+            const pair = lineIndent === indent && this.splitYamlKey(this.stripYamlComment(line).trim());
+            if (!pair) {
+                throw this.yamlError(state, lineIndent > indent ? 'Unexpected indentation' : 'Expected "key: value"');
+            }
+            state.index++;
+            const [key, rest] = pair;
+            const value = this.readYamlValue(state, rest, indent, true);
+            if (key === '<<' && value && typeof value === 'object') {
+                // Merge keys copy in the keys that are not set explicitly
+                [].concat(value).forEach(source => Object.keys(source).forEach(name => {
+                    if (!Object.prototype.hasOwnProperty.call(mapping, name)) this.setProperty(mapping, name, source[name]);
+                }));
+            } else {
+                this.setProperty(mapping, key, value);
+            }
+        }
+        return mapping;
+    },
+
+    /**
+     * Read "- item" lines at one indentation
+     * @param {Object} state - Reader state
+     * @param {number} indent - Indentation of the dashes
+     * @returns {Array} Sequence
+     */
+    readYamlSequence(state, indent) {
+        const sequence = [];
+        for (;;) {
+            this.skipYamlBlank(state);
+            if (state.index >= state.lines.length) break;
+            const line = state.lines[state.index];
+            const lineIndent = this.yamlIndent(line);
+            const content = this.stripYamlComment(line).trim();
+            if (lineIndent < indent || (lineIndent === indent && !/^-(\s|$)/.test(content))) break;
+            if (lineIndent > indent) {
+                throw this.yamlError(state, 'Unexpected indentation');
+            }
+
+            const rest = content.substring(1).trim();
+            if (/^-(\s|$)/.test(rest) || this.splitYamlKey(rest)) {
+                // "- key: value" and "- - item" start a block on the dash's line:
+                // blank out the dash and read it as if it were on its own line
+                const itemIndent = indent + 1 + line.substring(indent + 1).match(/^ */)[0].length;
+                state.lines[state.index] = ' '.repeat(itemIndent) + line.substring(itemIndent);
+                sequence.push(this.readYamlNode(state, itemIndent));
+            } else {
+                state.index++;
+                sequence.push(this.readYamlValue(state, rest, indent));
+            }
+        }
+        return sequence;
+    },
+
+    /**
+     * Read the value after "key:" or "-"
+     * @param {Object} state - Reader state, at the line after the key
+     * @param {string} rest - Text after the key or dash
+     * @param {number} indent - Indentation of the key or dash
+     * @param {boolean} [inMapping] - Whether a sequence may follow at the key's indentation
+     * @returns {*} Value
+     */
+    readYamlValue(state, rest, indent, inMapping = false) {
+        let anchor = null;
+        const anchorMatch = rest.match(/^&(\S+)\s*/);
+        if (anchorMatch) {
+            anchor = anchorMatch[1];
+            rest = rest.substring(anchorMatch[0].length);
+        }
+        rest = rest.replace(/^!\S*\s*/, '');
+
+        let value;
+        if (rest === '') {
+            this.skipYamlBlank(state);
+            const next = state.lines[state.index];
+            const nextIndent = next === undefined ? -1 : this.yamlIndent(next);
+            if (nextIndent > indent) {
+                value = this.readYamlNode(state, nextIndent);
+            } else if (inMapping && nextIndent === indent && /^-(\s|$)/.test(next.trim())) {
+                value = this.readYamlSequence(state, indent);
+            } else {
+                value = null;
+            }
+        } else if (rest.startsWith('*')) {
+            const name = rest.substring(1);
+            if (!Object.prototype.hasOwnProperty.call(state.anchors, name)) {
+                throw this.yamlError(state, `Unknown alias *${name}`, state.index - 1);
+            }
+            value = state.anchors[name];
+        } else if (/^[|>]/.test(rest)) {
+            value = this.readYamlBlockScalar(state, rest, indent);
+        } else if (/^[[{"']/.test(rest)) {
+            // Flow collections and quoted strings may continue on the following lines
+            const startIndex = state.index - 1;
+            let text = rest;
+            const complete = () => (/^["']/.test(text) ? this.yamlQuoteClosed(text) : this.yamlFlowClosed(text));
+            while (!complete() && state.index < state.lines.length) {
+                text += ' ' + (/^["']/.test(text) ? state.lines[state.index] : this.stripYamlComment(state.lines[state.index])).trim();
+                state.index++;
+            }
+            const line = state.start + startIndex + 1;
+            value = /^["']/.test(text) ? this.readYamlQuoted(text, line).value : this.parseYamlFlow(text, line);
+        } else {
+            // Plain scalars continue on more indented lines
+            let text = rest;
+            while (state.index < state.lines.length) {
+                const next = state.lines[state.index];
+                const content = this.stripYamlComment(next).trim();
+                if (content === '' || this.yamlIndent(next) <= indent) break;
+                if (this.splitYamlKey(content)) {
+                    throw this.yamlError(state, 'Unexpected indentation');
+                }
+                text += ' ' + content;
+                state.index++;
+            }
+            value = this.yamlScalar(text);
+        }
+
+        if (anchor) {
+            state.anchors[anchor] = value;
+        }
+        return value;
+    },
+
+    /**
+     * Read a literal (|) or folded (>) block scalar
+     * @param {Object} state - Reader state, at the first line of the block
+     * @param {string} header - The indicator, e.g. "|", ">-", "|+", "|2"
+     * @param {number} indent - Indentation of the key
+     * @returns {string} Text
+     */
+    readYamlBlockScalar(state, header, indent) {
+        const match = header.match(/^([|>])([-+]?)(\d?)([-+]?)$/);
+        if (!match) {
+            throw this.yamlError(state, `Invalid block scalar "${header}"`, state.index - 1);
+        }
+        const chomping = match[2] || match[4];
+        let blockIndent = match[3] ? Math.max(indent, 0) + Number(match[3]) : null;
+
+        const lines = [];
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.trim() === '') {
+                lines.push('');
+                state.index++;
+                continue;
+            }
+            const lineIndent = this.yamlIndent(line);
+            if (blockIndent === null) blockIndent = lineIndent;
+            if (lineIndent < blockIndent || lineIndent <= indent) break;
+            lines.push(line.substring(blockIndent));
+            state.index++;
+        }
+
+        let trailing = 0;
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+            trailing++;
+        }
+        const text = match[1] === '|' ? lines.join('\n') : this.foldYamlLines(lines);
+        if (text === '' || chomping === '-') return text;
+        return text + '\n' + (chomping === '+' ? '\n'.repeat(trailing) : '');
+    },
+
+    /**
+     * Fold the lines of a > block: lines join with spaces, blank lines become
+     * line breaks and more indented lines are kept as they are
+     * @param {Array<string>} lines - Block lines, without the block indentation
+     * @returns {string} Folded text
+     */
+    foldYamlLines(lines) {
+        return lines.reduce((text, line, index) => {
+            if (index === 0) return line;
+            const previous = lines[index - 1];
+            if (line === '') return text + '\n';
+            if (previous === '') return text + line;
+            return text + (/^\s/.test(line) || /^\s/.test(previous) ? '\n' : ' ') + line;
+        }, '');
+    },
+
+    /**
+     * Read a flow collection such as [a, b] or {name: x, tags: [a, b]}
+     * @param {string} text - Flow text
+     * @param {number} line - Line number for errors
+     * @returns {*} Value
+     */
+    parseYamlFlow(text, line) {
+        let pos = 0;
+        const fail = message => {
+            throw new Error(`YAML line ${line}: ${message}`);
+        };
+        const space = () => {
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+        };
+        const next = (close) => {
+            space();
+            if (text[pos] === ',') {
+                pos++;
+            } else if (text[pos] !== close) {
+                fail(pos >= text.length ? `Missing ${close}` : `Expected , or ${close} at "${text.substring(pos, pos + 20)}"`);
+            }
+            space();
+        };
+        const value = (isKey) => {
+            space();
+            if (text[pos] === '[') {
+                const items = [];
+                pos++;
+                space();
+                while (text[pos] !== ']') {
+                    items.push(value(false));
+                    next(']');
+                }
+                pos++;
+                return items;
+            }
+            if (text[pos] === '{') {
+                const mapping = {};
+                pos++;
+                space();
+                while (text[pos] !== '}') {
+                    const key = value(true);
+                    space();
+                    let item = null;
+                    if (text[pos] === ':') {
+                        pos++;
+                        item = value(false);
+                    }
+                    this.setProperty(mapping, key, item);
+                    next('}');
+                }
+                pos++;
+                return mapping;
+            }
+            if (text[pos] === '"' || text[pos] === "'") {
+                const quoted = this.readYamlQuoted(text.substring(pos), line);
+                pos += quoted.length;
+                return quoted.value;
+            }
+            // Plain scalars end at , [ ] { } - and keys at ": "
+            const start = pos;
+            while (pos < text.length && !/[,[\]{}]/.test(text[pos]) &&
+                   !(isKey && text[pos] === ':' && /^(\s|[,\]}]|$)/.test(text.substring(pos + 1, pos + 2)))) {
+                pos++;
+            }
+            return this.yamlScalar(text.substring(start, pos).trim());
+        };
+
+        const result = value(false);
+        space();
+        if (pos < text.length) {
+            fail(`Unexpected "${text.substring(pos, pos + 20)}"`);
+        }
+        return result;
+    },
+
+    /**
+     * Read a quoted scalar from the start of the text
+     * @param {string} text - Text starting with ' or "
+     * @param {number} [line] - Line number for errors
+     * @returns {Object} { value, length }, length being the characters read
+     */
+    readYamlQuoted(text, line = 0) {
+        const quote = text[0];
+        let raw = '';
+        for (let pos = 1; pos < text.length; pos++) {
+            const char = text[pos];
+            if (quote === "'" && char === "'") {
+                if (text[pos + 1] === "'") {
+                    raw += "'";
+                    pos++;
+                    continue;
+                }
+                return { value: raw, length: pos + 1 };
+            }
+            if (quote === '"' && char === '\\') {
+                raw += char + (text[pos + 1] || '');
+                pos++;
+                continue;
+            }
+            if (quote === '"' && char === '"') {
+                return { value: this.unescapeYaml(raw), length: pos + 1 };
+            }
+            raw += char;
+        }
+        throw new Error(`YAML line ${line}: Missing closing ${quote}`);
+    },
+
+    /**
+     * Decode the escapes of a double-quoted scalar
+     * @param {string} raw - Text between the quotes
+     * @returns {string} Decoded text
+     */
+    unescapeYaml(raw) {
+        const json = raw
+            .replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1')
+            .replace(/\\0/g, '\\u0000')
+            .replace(/\\e/g, '\\u001b')
+            .replace(/\\ /g, ' ')
+            .replace(/\t/g, '\\t');
+        try {
+            return JSON.parse(`"${json}"`);
+        } catch (e) {
+            return raw;
+        }
+    },
+
+    /**
+     * Turn a plain scalar into null, a boolean, a number or a string
+     * @param {string} text - Scalar text
+     * @returns {*} Value
+     */
+    yamlScalar(text) {
+        if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?[0-9]+$/.test(text) || /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return Number(text);
+        if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.substring(2), 16);
+        if (/^0o[0-7]+$/.test(text)) return parseInt(text.substring(2), 8);
+        if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+        if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+        return text;
+    },
+
+    /**
+     * Split "key: rest" (the key plain or quoted)
+     * @param {string} content - Line without indentation and comment
+     * @returns {Array|null} [key, rest], or null if the line is not a key
+     */
+    splitYamlKey(content) {
+        if (content.startsWith('"') || content.startsWith("'")) {
+            try {
+                const { value, length } = this.readYamlQuoted(content);
+                const colon = content.substring(length).match(/^\s*:(\s+|$)/);
+                return colon ? [value, content.substring(length + colon[0].length)] : null;
+            } catch (e) {
+                return null;
+            }
+        }
+        const match = content.match(/^([^\s#[\]{}"'&*!|>%@`][^#]*?)\s*:(\s+|$)/);
+        if (!match || /^-(\s|$)/.test(content)) return null;
+        return [match[1], content.substring(match[0].length)];
+    },
+
+    /**
+     * Remove a trailing # comment, leaving # inside quotes alone
+     * @param {string} line - YAML line
+     * @returns {string} Line without the comment or trailing spaces
+     */
+    stripYamlComment(line) {
+        let quote = null;
+        for (let pos = 0; pos < line.length; pos++) {
+            const char = line[pos];
+            if (quote) {
+                if (char === quote && !(quote === '"' && line[pos - 1] === '\\')) quote = null;
+            } else if ((char === '"' || char === "'") && (pos === 0 || /[\s[{,]/.test(line[pos - 1]))) {
+                quote = char;
+            } else if (char === '#' && (pos === 0 || /\s/.test(line[pos - 1]))) {
+                return line.substring(0, pos).replace(/\s+$/, '');
+            }
+        }
+        return line.replace(/\s+$/, '');
+    },
+
+    /**
+     * Check whether a quoted scalar is closed
+     * @param {string} text - Text starting with a quote
+     * @returns {boolean} True if the closing quote is there
+     */
+    yamlQuoteClosed(text) {
+        try {
+            this.readYamlQuoted(text);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Check whether every [ and { of a flow collection is closed
+     * @param {string} text - Flow text
+     * @returns {boolean} True if the brackets balance
+     */
+    yamlFlowClosed(text) {
+        let depth = 0;
+        let quote = null;
+        for (let pos = 0; pos < text.length; pos++) {
+            const char = text[pos];
+            if (quote) {
+                if (char === '\\' && quote === '"') pos++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            }
+        }
+        return depth <= 0;
+    },
+
+    /**
+     * Move past blank and comment lines
+     * @param {Object} state - Reader state
+     */
+    skipYamlBlank(state) {
+        while (state.index < state.lines.length && this.stripYamlComment(state.lines[state.index]).trim() === '') {
+            state.index++;
+        }
+    },
+
+    /**
+     * Count the leading spaces of a line
+     * @param {string} line - YAML line
+     * @returns {number} Indentation
+     */
+    yamlIndent(line) {
+        return line.match(/^ */)[0].length;
+    },
+
+    /**
+     * Make an error that names the YAML line
+     * @param {Object} state - Reader state
+     * @param {string} message - What is wrong
+     * @param {number} [index] - Index of the line; the current one by default
+     * @returns {Error} Error to throw
+     */
+    yamlError(state, message, index = state.index) {
+        return new Error(`YAML line ${state.start + index + 1}: ${message}`);
+    },
+
+    /**
+     * Read XML into JSON: the root element becomes { name: value }, attributes
+     * "@name" properties, repeated child elements arrays and text next to child
+     * elements "#text". An element with only text is its (typed) text.
+     * @param {string} text - XML text
+     * @returns {Object} JSON value
+     * @throws {Error} If the XML is not well-formed
+     */
+    parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const error = doc.getElementsByTagName('parsererror')[0];
+        if (error) {
+            throw new Error(`Invalid XML: ${error.textContent.trim().split('\n')[0]}`);
+        }
+        return this.setProperty({}, doc.documentElement.nodeName, this.xmlValue(doc.documentElement));
+    },
+
+    /**
+     * Convert an XML element
+     * @param {Element} element - Element
+     * @returns {*} JSON value
+     */
+    xmlValue(element) {
+        const value = {};
+        Array.from(element.attributes).forEach(attribute => {
+            this.setProperty(value, `@${attribute.name}`, this.typedValue(attribute.value));
+        });
+
+        const text = [];
+        Array.from(element.childNodes).forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                const child = this.xmlValue(node);
+                const existing = Object.prototype.hasOwnProperty.call(value, node.nodeName) ? value[node.nodeName] : undefined;
+                if (existing === undefined) {
+                    this.setProperty(value, node.nodeName, child);
+                } else if (Array.isArray(existing)) {
+                    existing.push(child);
+                } else {
+                    this.setProperty(value, node.nodeName, [existing, child]);
+                }
+            } else if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+                text.push(node.nodeValue);
+            }
+        });
+
+        const content = text.join('').trim();
+        if (Object.keys(value).length === 0) {
+            return this.typedValue(content);
+        }
+        if (content !== '') {
+            this.setProperty(value, '#text', this.typedValue(content));
+        }
+        return value;
+    }
+};
+
+// Make the data formats globally available
+window.DataFormats = DataFormats;
@@ -0,0 +1,174 @@
+/**
+ * js/http-request.js
+ * HTTP Requests for the fetch Command
+ *
+ * Gives fetch (and the fetch pipeline stage) curl-like options:
+ *   fetch -X POST -H 'X-Trace: 1' --json '{"name": "test"}' https://api.example.com/items
+ *   fetch -d name=test -d tag=new https://api.example.com/form     (form body, POST)
+ *   fetch --auth user:secret --query page=2 https://api.example.com/items
+ *   fetch --auth "Bearer $TOKEN" https://api.example.com/me
+ *
+ * Every response is summarized by describe() - status, timing, size and
+ * headers - before the body goes to a canvas module.
+ */
+
+const HttpRequest = {
+    // Options shared by the fetch command and the fetch pipeline stage
+    options: {
+        request: { alias: 'X', choices: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'], description: 'HTTP method (default GET, or POST when there is a body)' },
+        header: { alias: 'H', repeat: true, placeholder: 'name: value', description: 'Add a request header; repeat for more' },
+        data: { alias: 'd', repeat: true, placeholder: 'body', description: 'Request body, sent as a form unless -H sets Content-Type; repeats are joined with &' },
+        json: { type: 'json', placeholder: 'json', description: 'JSON request body; also sets Content-Type and Accept' },
+        auth: { alias: 'u', placeholder: 'user:password', description: 'Basic auth, or a bearer token as "Bearer TOKEN"' },
+        query: { alias: 'q', repeat: true, placeholder: 'name=value', description: 'Add a query parameter; repeat for more' }
+    },
+
+    // Headers whose values are not printed
+    secretHeaders: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'],
+
+    /**
+     * Build a request from parsed fetch options
+     * @param {string} url - URL to fetch
+     * @param {Object} [options] - Parsed options (request, header, data, json, auth, query)
+     * @returns {Object} { url, method, headers, body }
+     * @throws {Error} If a header or query parameter is malformed
+     */
+    build(url, options = {}) {
+        const headers = {};
+        (options.header || []).forEach(header => {
+            const [name, value] = this.parseHeader(header);
+            headers[name] = value;
+        });
+        const hasHeader = name => Object.keys(headers).some(key => key.toLowerCase() === name);
+
+        let body;
+        if (options.json !== undefined) {
+            body = JSON.stringify(options.json);
+            if (!hasHeader('content-type')) headers['Content-Type'] = 'application/json';
+            if (!hasHeader('accept')) headers['Accept'] = 'application/json';
+        } else if (options.data && options.data.length > 0) {
+            body = options.data.join('&');
+            if (!hasHeader('content-type')) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        }
+
+        if (options.auth && !hasHeader('authorization')) {
+            headers['Authorization'] = this.authorization(options.auth);
+        }
+
+        if (options.query && options.query.length > 0) {
+            const target = new URL(url, location.href);
+            options.query.forEach(param => {
+                const equals = param.indexOf('=');
+                if (equals < 1) {
+                    throw new Error(`Query parameters look like name=value, not "${param}"`);
+                }
+                target.searchParams.append(param.substring(0, equals), param.substring(equals + 1));
+            });
+            url = target.href;
+        }
+
+        const method = options.request || (body !== undefined ? 'POST' : 'GET');
+        if (body !== undefined && (method === 'GET' || method === 'HEAD')) {
+            throw new Error(`A ${method} request can't have a body; use -X POST (or PUT, PATCH)`);
+        }
+        return { url, method, headers, body };
+    },
+
+    /**
+     * Split a "Name: value" header
+     * @param {string} header - Header as typed
+     * @returns {Array<string>} [name, value]
+     * @throws {Error} If there is no name
+     */
+    parseHeader(header) {
+        const colon = header.indexOf(':');
+        const name = colon === -1 ? '' : header.substring(0, colon).trim();
+        if (!/^[!#$%&'*+.^`|~\w-]+$/.test(name)) {
+            throw new Error(`Headers look like "Name: value", not "${header}"`);
+        }
+        return [name, header.substring(colon + 1).trim()];
+    },
+
+    /**
+     * Build an Authorization header value
+     * @param {string} auth - "user:password", or "Bearer TOKEN"
+     * @returns {string} Header value
+     */
+    authorization(auth) {
+        const bearer = auth.match(/^bearer\s+(\S+)$/i);
+        if (bearer) {
+            return `Bearer ${bearer[1]}`;
+        }
+        // btoa only takes Latin-1, so encode the credentials as UTF-8 first
+        const bytes = new TextEncoder().encode(auth);
+        return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+    },
+
+    /**
+     * Send a request and read the response
+     * @param {Object} request - Request from build()
+     * @returns {Promise<Object>} { response, text, blob, contentType }; images are read as a blob
+     *   and everything else as text. `response` has status, statusText, ok, url, method,
+     *   headers ([name, value] pairs), time (ms) and size (bytes).
+     */
+    send(request) {
+        const started = performance.now();
+        return fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body
+        }).then(response => {
+            const contentType = response.headers.get('Content-Type') || '';
+            const isImage = contentType.includes('image/');
+            const read = request.method === 'HEAD' ? Promise.resolve('') :
+                (isImage ? response.blob() : response.text());
+
+            return read.then(content => {
+                const size = typeof content === 'string' ? new TextEncoder().encode(content).length : content.size;
+                return {
+                    response: {
+                        status: response.status,
+                        statusText: response.statusText,
+                        ok: response.ok,
+                        url: request.url,
+                        method: request.method,
+                        headers: Array.from(response.headers.entries()),
+                        time: Math.round(performance.now() - started),
+                        size
+                    },
+                    text: isImage ? undefined : content,
+                    blob: isImage ? content : undefined,
+                    contentType
+                };
+            });
+        });
+    },
+
+    /**
+     * Describe a response for the terminal
+     * @param {Object} response - `response` from send()
+     * @returns {string} Status line, then one line per header
+     */
+    describe(response) {
+        const status = `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+        const lines = [`${status} - ${response.method} ${response.url} - ${response.time} ms - ${this.formatSize(response.size)}`];
+        response.headers.forEach(([name, value]) => {
+            lines.push(`  ${name}: ${this.secretHeaders.includes(name.toLowerCase()) ? '(hidden)' : value}`);
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. "512 B", "1.4 KB"
+     */
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+};
+
+// Make the HTTP client globally available
+window.HttpRequest = HttpRequest;
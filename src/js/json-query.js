@@ -0,0 +1,616 @@
+/**
+ * js/json-query.js
+ * A Small jq for Command Pipelines
+ *
+ * Supports the parts of jq that are useful for shaping fetched data:
+ *   .  .name  ."odd key"  .[0]  .[-1]  .[2:5]  .[]  .name?  ..
+ *   a | b   a, b   [ ... ]   { name, total: .count, size: .items | length }
+ *   ==  !=  <  <=  >  >=  and  or  not
+ *   length keys values first last reverse sort unique flatten add min max
+ *   type tostring tonumber to_entries map(f) select(f) sort_by(f) has(key)
+ *   limit(n; f)
+ *
+ * Other jq syntax (//, arithmetic, if ... end, $variables, reduce, def, try)
+ * fails with a "not supported by this jq subset" error.
+ *
+ * JSONPath ($.store.book[0].title) is translated to jq by fromJsonPath().
+ */
+
+const JsonQuery = {
+    // jq syntax outside the subset, reported as such rather than as a parse error
+    unsupported: {
+        '//': 'the alternative operator //',
+        '+': 'arithmetic (+)',
+        '-': 'arithmetic (-)',
+        '*': 'arithmetic (*)',
+        '/': 'arithmetic (/)',
+        '%': 'arithmetic (%)',
+        if: 'if ... then ... else ... end',
+        then: 'if ... then ... else ... end',
+        elif: 'if ... then ... else ... end',
+        else: 'if ... then ... else ... end',
+        end: 'if ... then ... else ... end',
+        $: 'a $variable',
+        as: 'a $variable',
+        reduce: 'reduce',
+        foreach: 'foreach',
+        def: 'def',
+        try: 'try ... catch',
+        catch: 'try ... catch',
+        label: 'label'
+    },
+
+    /**
+     * Run a query
+     * @param {string} expression - jq expression, e.g. ".items | map(.name)"
+     * @param {*} data - Input JSON
+     * @returns {*} The single result, or an array when the query produces several
+     * @throws {Error} If the expression is invalid or cannot be applied to the data
+     */
+    run(expression, data) {
+        const results = this.compile(expression)(data);
+        return results.length === 1 ? results[0] : results;
+    },
+
+    /**
+     * Translate a JSONPath into a jq expression
+     *   $.store.book[0].title   $['odd key']   $.items[*].name   $.items[-1:]
+     *   $..author   $..*   $.items[0,2]   $.items[?(@.price < 10 && @.tag == 'new')]
+     * @param {string} path - JSONPath, starting with $
+     * @returns {string} jq expression, e.g. '."store" | ."book" | .[0] | ."title"'
+     * @throws {Error} If the path cannot be read
+     */
+    fromJsonPath(path) {
+        const text = path.trim();
+        if (text[0] !== '$') {
+            throw new Error('JSONPath: a path starts with $');
+        }
+
+        const parts = [];
+        let pos = 1;
+        while (pos < text.length) {
+            const recursive = text.startsWith('..', pos);
+            if (recursive) {
+                pos += 2;
+            } else if (text[pos] === '.') {
+                pos++;
+            } else if (text[pos] !== '[') {
+                throw new Error(`JSONPath: cannot read "${text.substring(pos)}"`);
+            }
+
+            let selector;
+            if (text[pos] === '[') {
+                const end = this.closingBracket(text, pos);
+                selector = this.jsonPathSelector(text.substring(pos + 1, end).trim());
+                pos = end + 1;
+            } else {
+                const name = (/^(?:\*|[^.[\s]+)/.exec(text.substring(pos)) || [''])[0];
+                if (!name) throw new Error(`JSONPath: expected a name after "${text.substring(0, pos)}"`);
+                selector = name === '*' ? { filter: '.[]' } : { filter: `.${JSON.stringify(name)}`, names: [name] };
+                pos += name.length;
+            }
+
+            if (!recursive) {
+                parts.push(selector.filter);
+            } else if (selector.names) {
+                // Only the objects that have the key, as JSONPath does
+                const picks = selector.names.map(name => `(select(has(${JSON.stringify(name)})) | .${JSON.stringify(name)})`);
+                parts.push('..', 'select(type == "object")', picks.length === 1 ? picks[0] : `(${picks.join(', ')})`);
+            } else {
+                parts.push('..', 'select(type == "object" or type == "array")', `(${selector.filter})?`);
+            }
+        }
+        return parts.length > 0 ? parts.join(' | ') : '.';
+    },
+
+    /**
+     * Translate the inside of a JSONPath [ ]: *, 0, -1, 1:3, 'name', "name", 0,2 or ?(filter)
+     * @param {string} inside - Text between the brackets
+     * @returns {Object} { filter, names } - names is set when only keys are picked
+     */
+    jsonPathSelector(inside) {
+        if (inside[0] === '?') {
+            const expression = inside.substring(1).trim().replace(/^\(([\s\S]*)\)$/, '$1');
+            return { filter: `.[] | select(${this.jsonPathFilter(expression)})` };
+        }
+
+        const items = inside.match(/\s*(?:'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^,]+)/g) || [];
+        const selectors = items.map(item => item.trim()).filter(Boolean).map(item => {
+            if (item === '*') return { filter: '.[]' };
+            if (/^-?\d+$/.test(item)) return { filter: `.[${item}]` };
+            if (/^-?\d*:-?\d*$/.test(item)) return { filter: `.[${item}]` };
+            if (/^'[\s\S]*'$|^"[\s\S]*"$/.test(item)) {
+                const name = this.jsonPathString(item);
+                return { filter: `.${JSON.stringify(name)}`, names: [name] };
+            }
+            throw new Error(`JSONPath: cannot read [${inside}]`);
+        });
+        if (selectors.length === 0) {
+            throw new Error('JSONPath: empty [ ]');
+        }
+        if (selectors.length === 1) {
+            return selectors[0];
+        }
+        return {
+            filter: `(${selectors.map(selector => selector.filter).join(', ')})`,
+            names: selectors.every(selector => selector.names) ? selectors.map(selector => selector.names[0]) : undefined
+        };
+    },
+
+    /**
+     * Translate a JSONPath filter (@.price < 10 && @.tag == 'new') into a jq condition
+     * @param {string} expression - Filter without ?( )
+     * @returns {string} jq condition, e.g. '.price < 10 and .tag == "new"'
+     */
+    jsonPathFilter(expression) {
+        return expression.replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|\s*(?:&&|\|\|)\s*|@\.?/g, token => {
+            if (token.trim() === '&&') return ' and ';
+            if (token.trim() === '||') return ' or ';
+            if (token[0] === '@') return '.';
+            return JSON.stringify(this.jsonPathString(token));
+        });
+    },
+
+    /**
+     * Read a quoted JSONPath name; single quotes work like double quotes
+     */
+    jsonPathString(quoted) {
+        const inner = quoted.slice(1, -1);
+        if (quoted[0] === '"') return JSON.parse(quoted);
+        return JSON.parse(`"${inner.replace(/\\'/g, "'").replace(/"/g, '\\"')}"`);
+    },
+
+    /**
+     * Position of the ] that closes the [ at a position, skipping quoted text
+     */
+    closingBracket(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            const char = text[i];
+            if (char === "'" || char === '"') {
+                i++;
+                while (i < text.length && text[i] !== char) {
+                    i += text[i] === '\\' ? 2 : 1;
+                }
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']' && --depth === 0) {
+                return i;
+            }
+        }
+        throw new Error('JSONPath: missing ]');
+    },
+
+    /**
+     * Compile a query into a function from one input to a list of outputs
+     * @param {string} expression - jq expression
+     * @returns {Function} input => Array of results
+     * @throws {Error} If the expression is invalid
+     */
+    compile(expression) {
+        const tokens = this.tokenize(expression || '.');
+        let pos = 0;
+        const peek = offset => tokens[pos + (offset || 0)] || { type: 'end', value: '' };
+        const accept = value => {
+            if (peek().value === value && peek().type !== 'string') {
+                pos++;
+                return true;
+            }
+            return false;
+        };
+        const expect = value => {
+            if (!accept(value)) {
+                throw new Error(`jq: expected "${value}" but found ${peek().value ? `"${peek().value}"` : 'the end'}`);
+            }
+        };
+        // Syntax from the rest of jq, at the current token
+        const checkSupported = () => {
+            const token = peek();
+            if (token.type !== 'string' && Object.prototype.hasOwnProperty.call(this.unsupported, token.value)) {
+                throw new Error(`jq: ${this.unsupported[token.value]} is not supported by this jq subset`);
+            }
+        };
+
+        // Object values are pipes of single values, as commas separate the entries
+        const parsePipe = (parseStage = parseComma) => {
+            let left = parseStage();
+            while (accept('|')) {
+                const first = left;
+                const right = parseStage();
+                left = input => first(input).flatMap(right);
+            }
+            return left;
+        };
+
+        const parseComma = () => {
+            let left = parseOr();
+            while (accept(',')) {
+                const first = left;
+                const right = parseOr();
+                left = input => first(input).concat(right(input));
+            }
+            return left;
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (accept('or')) {
+                const first = left;
+                const right = parseAnd();
+                left = input => this.combine(first(input), right(input), (a, b) => this.truthy(a) || this.truthy(b));
+            }
+            return left;
+        };
+
+        const parseAnd = () => {
+            let left = parseComparison();
+            while (accept('and')) {
+                const first = left;
+                const right = parseComparison();
+                left = input => this.combine(first(input), right(input), (a, b) => this.truthy(a) && this.truthy(b));
+            }
+            return left;
+        };
+
+        const parseComparison = () => {
+            const left = parsePostfix();
+            const op = ['==', '!=', '<', '<=', '>', '>='].find(candidate => peek().type === 'op' && peek().value === candidate);
+            if (!op) return left;
+            pos++;
+            const right = parsePostfix();
+            return input => this.combine(left(input), right(input), (a, b) => this.compare(a, b, op));
+        };
+
+        const parsePostfix = () => {
+            let term = parseTerm();
+            while (true) {
+                if (peek().value === '.' && (peek(1).type === 'ident' || peek(1).type === 'string') && peek(1).adjacent) {
+                    pos++;
+                    term = this.chain(term, this.field(tokens[pos++].value));
+                } else if (peek().value === '[' && peek().adjacent) {
+                    term = this.chain(term, parseIndex());
+                } else if (accept('?')) {
+                    const inner = term;
+                    term = input => {
+                        try {
+                            return inner(input);
+                        } catch (e) {
+                            return [];
+                        }
+                    };
+                } else {
+                    // A term followed by an operator or keyword of full jq
+                    checkSupported();
+                    return term;
+                }
+            }
+        };
+
+        // The part after "[": [], [n], ["key"], [from:to]
+        const parseIndex = () => {
+            expect('[');
+            if (accept(']')) return input => this.iterate(input);
+            const readNumber = () => {
+                const negative = accept('-');
+                if (peek().type !== 'number') return null;
+                return (negative ? -1 : 1) * tokens[pos++].value;
+            };
+            if (peek().type === 'string') {
+                const key = tokens[pos++].value;
+                expect(']');
+                return this.field(key);
+            }
+            const from = accept(':') ? undefined : readNumber();
+            if (from === null) throw new Error('jq: expected an index inside [ ]');
+            if (from === undefined || accept(':')) {
+                const to = peek().value === ']' ? undefined : readNumber();
+                expect(']');
+                return input => [this.slice(input, from, to)];
+            }
+            expect(']');
+            return input => [this.index(input, from)];
+        };
+
+        const parseTerm = () => {
+            const token = peek();
+            if (token.value !== '-') checkSupported();
+            if (token.type === 'number' || token.type === 'string') {
+                pos++;
+                return () => [token.value];
+            }
+            if (accept('.')) {
+                if ((peek().type === 'ident' || peek().type === 'string') && peek().adjacent) {
+                    return this.field(tokens[pos++].value);
+                }
+                if (peek().value === '.' && peek().adjacent) {
+                    pos++;
+                    return input => this.recurse(input);
+                }
+                return input => [input];
+            }
+            if (accept('(')) {
+                const inner = parsePipe();
+                expect(')');
+                return inner;
+            }
+            if (accept('[')) {
+                if (accept(']')) return () => [[]];
+                const inner = parsePipe();
+                expect(']');
+                return input => [inner(input)];
+            }
+            if (accept('{')) return parseObject();
+            if (accept('-')) {
+                const inner = parsePostfix();
+                return input => inner(input).map(value => -value);
+            }
+            if (token.type === 'ident') {
+                pos++;
+                const args = [];
+                if (accept('(')) {
+                    do {
+                        args.push(parsePipe());
+                    } while (accept(';'));
+                    expect(')');
+                }
+                return this.builtin(token.value, args);
+            }
+            throw new Error(token.value ? `jq: unexpected "${token.value}"` : 'jq: unexpected end of expression');
+        };
+
+        // The part after "{": { name, "key": value, total: .count }
+        const parseObject = () => {
+            const entries = [];
+            if (!accept('}')) {
+                do {
+                    const key = peek();
+                    if (key.type !== 'ident' && key.type !== 'string') {
+                        throw new Error('jq: expected a key in { }');
+                    }
+                    pos++;
+                    entries.push([key.value, accept(':') ? parsePipe(parseOr) : this.field(key.value)]);
+                } while (accept(','));
+                expect('}');
+            }
+            return input => entries.reduce((objects, [key, value]) => objects.flatMap(object =>
+                value(input).map(result => Object.assign({}, object, { [key]: result }))
+            ), [{}]);
+        };
+
+        const query = parsePipe();
+        if (peek().type !== 'end') {
+            throw new Error(`jq: unexpected "${peek().value}"`);
+        }
+        return query;
+    },
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - jq expression
+     * @returns {Array<Object>} Tokens { type, value, adjacent } where adjacent
+     *   means there was no space before the token
+     */
+    tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:("(?:[^"\\]|\\.)*")|(\d+(?:\.\d+)?)|([A-Za-z_][\w]*)|(==|!=|<=|>=|<|>|\/\/|[+*\/%])|([.[\]{}():,;|?$-]))/y;
+        let match;
+        let pos = 0;
+        while (pos < expression.length) {
+            pattern.lastIndex = pos;
+            match = pattern.exec(expression);
+            if (!match) {
+                if (!expression.substring(pos).trim()) break;
+                throw new Error(`jq: cannot read "${expression.substring(pos).trim()}"`);
+            }
+            const adjacent = !/^\s/.test(match[0]);
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'string', value: JSON.parse(match[1]), adjacent });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'number', value: Number(match[2]), adjacent });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'ident', value: match[3], adjacent });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'op', value: match[4], adjacent });
+            } else {
+                tokens.push({ type: 'punct', value: match[5], adjacent });
+            }
+            pos = pattern.lastIndex;
+        }
+        return tokens;
+    },
+
+    /**
+     * Built-in functions
+     * @param {string} name - Function name
+     * @param {Array<Function>} args - Compiled arguments
+     * @returns {Function} input => Array of results
+     */
+    builtin(name, args) {
+        const arity = count => {
+            if (args.length !== count) {
+                throw new Error(`jq: ${name} takes ${count} argument${count === 1 ? '' : 's'}`);
+            }
+        };
+        const list = (input, fn) => {
+            if (!Array.isArray(input)) throw new Error(`jq: ${name} needs an array, not ${this.typeOf(input)}`);
+            return fn(input);
+        };
+        const byKey = fn => (a, b) => {
+            const x = fn(a)[0];
+            const y = fn(b)[0];
+            return this.compare(x, y, '<') ? -1 : (this.compare(x, y, '>') ? 1 : 0);
+        };
+
+        switch (name) {
+            case 'true': return () => [true];
+            case 'false': return () => [false];
+            case 'null': return () => [null];
+            case 'empty': return () => [];
+            case 'not': return input => [!this.truthy(input)];
+            case 'length':
+                return input => [input === null ? 0 : (typeof input === 'object' ? Object.keys(input).length :
+                    (typeof input === 'number' ? Math.abs(input) : String(input).length))];
+            case 'keys':
+                return input => [Array.isArray(input) ? input.map((v, i) => i) : Object.keys(this.object(input, name)).sort()];
+            case 'values': return input => [Object.values(this.object(input, name))];
+            case 'to_entries': return input => [Object.entries(this.object(input, name)).map(([key, value]) => ({ key, value }))];
+            case 'first': return args.length ? input => args[0](input).slice(0, 1) : input => [list(input, a => a[0] ?? null)];
+            case 'last': return input => [list(input, a => a.length ? a[a.length - 1] : null)];
+            case 'reverse': return input => [list(input, a => a.slice().reverse())];
+            case 'sort': return input => [list(input, a => a.slice().sort(byKey(value => [value])))];
+            case 'unique':
+                return input => [list(input, a => a.filter((value, i) =>
+                    a.findIndex(other => JSON.stringify(other) === JSON.stringify(value)) === i).sort(byKey(value => [value])))];
+            case 'flatten': return input => [list(input, a => a.flat(Infinity))];
+            case 'add':
+                return input => [list(input, a => a.length ? a.reduce((sum, value) =>
+                    (Array.isArray(sum) ? sum.concat(value) : (typeof sum === 'object' && sum ? Object.assign({}, sum, value) : sum + value))) : null)];
+            case 'min': return input => [list(input, a => a.length ? a.slice().sort(byKey(value => [value]))[0] : null)];
+            case 'max': return input => [list(input, a => a.length ? a.slice().sort(byKey(value => [value]))[a.length - 1] : null)];
+            case 'type': return input => [this.typeOf(input)];
+            case 'tostring': return input => [typeof input === 'string' ? input : JSON.stringify(input)];
+            case 'tonumber':
+                return input => {
+                    const number = Number(input);
+                    if (input === null || input === '' || isNaN(number)) throw new Error(`jq: cannot turn ${JSON.stringify(input)} into a number`);
+                    return [number];
+                };
+            case 'map':
+                arity(1);
+                return input => [this.iterate(input).flatMap(args[0])];
+            case 'select':
+                arity(1);
+                return input => (args[0](input).some(value => this.truthy(value)) ? [input] : []);
+            case 'sort_by':
+                arity(1);
+                return input => [list(input, a => a.slice().sort(byKey(args[0])))];
+            case 'has':
+                arity(1);
+                return input => args[0](input).map(key => (Array.isArray(input) ? key >= 0 && key < input.length :
+                    Object.prototype.hasOwnProperty.call(this.object(input, name), key)));
+            case 'limit':
+                arity(2);
+                return input => args[1](input).slice(0, args[0](input)[0]);
+            default:
+                throw new Error(`jq: the function ${name} is not supported by this jq subset`);
+        }
+    },
+
+    /**
+     * Apply one filter to every result of another
+     */
+    chain(first, second) {
+        return input => first(input).flatMap(second);
+    },
+
+    /**
+     * Filter for .key
+     * @param {string} key - Field name
+     * @returns {Function} input => [value]
+     */
+    field(key) {
+        return input => {
+            if (input === null || input === undefined) return [null];
+            if (typeof input !== 'object' || Array.isArray(input)) {
+                throw new Error(`jq: cannot read "${key}" of ${this.typeOf(input)}`);
+            }
+            return [input[key] === undefined ? null : input[key]];
+        };
+    },
+
+    /**
+     * Value at an array position; negative positions count from the end
+     */
+    index(input, position) {
+        if (input === null) return null;
+        if (!Array.isArray(input)) throw new Error(`jq: cannot index ${this.typeOf(input)} with a number`);
+        const value = input[position < 0 ? input.length + position : position];
+        return value === undefined ? null : value;
+    },
+
+    /**
+     * Part of an array or string
+     */
+    slice(input, from, to) {
+        if (input === null) return null;
+        if (!Array.isArray(input) && typeof input !== 'string') throw new Error(`jq: cannot slice ${this.typeOf(input)}`);
+        return input.slice(from === undefined ? 0 : from, to);
+    },
+
+    /**
+     * Results of .[]
+     */
+    iterate(input) {
+        if (Array.isArray(input)) return input;
+        if (input && typeof input === 'object') return Object.values(input);
+        throw new Error(`jq: cannot iterate over ${this.typeOf(input)}`);
+    },
+
+    /**
+     * Results of ..: the value, then everything inside it, depth first
+     */
+    recurse(input) {
+        const results = [input];
+        if (input && typeof input === 'object') {
+            Object.values(input).forEach(value => results.push(...this.recurse(value)));
+        }
+        return results;
+    },
+
+    /**
+     * Check that a value is an object
+     */
+    object(input, name) {
+        if (!input || typeof input !== 'object') throw new Error(`jq: ${name} needs an object, not ${this.typeOf(input)}`);
+        return input;
+    },
+
+    /**
+     * Pair every result of one side with every result of the other
+     */
+    combine(lefts, rights, fn) {
+        return lefts.flatMap(left => rights.map(right => fn(left, right)));
+    },
+
+    /**
+     * Compare two values in jq order (null < false < true < numbers < strings < arrays < objects)
+     */
+    compare(a, b, op) {
+        const rank = value => ['null', 'boolean', 'number', 'string', 'array', 'object'].indexOf(this.typeOf(value));
+        let order = rank(a) - rank(b);
+        if (order === 0 && typeof a !== 'object') {
+            order = a < b ? -1 : (a > b ? 1 : 0);
+        } else if (order === 0) {
+            const x = JSON.stringify(a);
+            const y = JSON.stringify(b);
+            order = x < y ? -1 : (x > y ? 1 : 0);
+        }
+        switch (op) {
+            case '==': return order === 0;
+            case '!=': return order !== 0;
+            case '<': return order < 0;
+            case '<=': return order <= 0;
+            case '>': return order > 0;
+            default: return order >= 0;
+        }
+    },
+
+    /**
+     * jq truthiness: everything except false and null
+     */
+    truthy(value) {
+        return value !== false && value !== null && value !== undefined;
+    },
+
+    /**
+     * jq type name of a value
+     */
+    typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+};
+
+// Make the query engine globally available
+window.JsonQuery = JsonQuery;
@@ -41,6 +41,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const codeModule = new CodeModule();
             const shapeModule = new ShapeModule();
             const markdownModule = new MarkdownModule();
+            const jsonModule = new JsonExplorerModule();
             
             // Set default titles for modules
             imageModule.setModuleTitle('Image Viewer');
@@ -48,6 +49,7 @@ document.addEventListener('DOMContentLoaded', () => {
             codeModule.setModuleTitle('Code Display'); // This is redundant if CodeModule already sets its title in constructor
             shapeModule.setModuleTitle('Shape Editor');
             markdownModule.setModuleTitle('Markdown Viewer');
+            jsonModule.setModuleTitle('JSON Explorer');
             
             // Register modules with canvas manager
             canvasManager
@@ -55,7 +57,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 .registerModule('chart', chartModule)
                 .registerModule('code', codeModule)
                 .registerModule('shape', shapeModule)
-                .registerModule('markdown', markdownModule);
+                .registerModule('markdown', markdownModule)
+                .registerModule('json', jsonModule);
             
             console.log("Standard modules registered successfully");
             
@@ -93,12 +93,30 @@ function registerAISlashCommands() {
         
         // Register AI configuration commands
         const aiCommands = [
-            { cmd: '/ai-key', fullCmd: 'ai key', desc: 'Set your OpenAI API key' },
-            { cmd: '/ai-model', fullCmd: 'ai model', desc: 'Set AI model (gpt-4o, gpt-4o-mini, gpt-3.5-turbo)' },
+            { cmd: '/ai-key', fullCmd: 'ai key', desc: 'Set your API key, or lock/unlock/forget it' },
+            { cmd: '/ai-model', fullCmd: 'ai model', desc: 'Set AI model (Tab lists the models your endpoint offers)' },
+            { cmd: '/ai-set', fullCmd: 'ai set', desc: 'Set temperature, max_tokens, top_p, seed or stop' },
             { cmd: '/ai-endpoint', fullCmd: 'ai endpoint', desc: 'Set custom API endpoint URL' },
             { cmd: '/ai-reset-endpoint', fullCmd: 'ai reset-endpoint', desc: 'Reset API endpoint to default' },
+            { cmd: '/ai-provider', fullCmd: 'ai provider', desc: 'Switch LLM provider (openai, anthropic, ollama, local)' },
+            { cmd: '/ai-stream', fullCmd: 'ai stream', desc: 'Turn streaming responses on or off' },
+            { cmd: '/ai-tools', fullCmd: 'ai tools', desc: 'Turn native tool calling on or off' },
+            { cmd: '/ai-context', fullCmd: 'ai context', desc: 'Attach canvas content to prompts (on, off, module)' },
+            { cmd: '/ai-stop', fullCmd: 'ai stop', desc: 'Stop the current AI request' },
+            { cmd: '/ai-look', fullCmd: 'ai look', desc: 'Ask the AI about the picture on the active canvas' },
+            { cmd: '/ai-chart', fullCmd: 'ai chart', desc: 'Ask the AI for chart data as JSON and draw it' },
+            { cmd: '/ai-compare', fullCmd: 'ai compare', desc: 'Send a prompt to two models and compare the answers side by side' },
             { cmd: '/ai-clear', fullCmd: 'ai clear', desc: 'Clear conversation history' },
+            { cmd: '/ai-thread', fullCmd: 'ai thread', desc: 'Give the canvas tab its own conversation, or use the global one' },
+            { cmd: '/ai-persona', fullCmd: 'ai persona', desc: 'Set the persona (system prompt) of the current thread' },
+            { cmd: '/ai-sessions', fullCmd: 'ai sessions', desc: 'List saved conversations' },
+            { cmd: '/ai-new', fullCmd: 'ai new', desc: 'Start a new conversation' },
+            { cmd: '/ai-open', fullCmd: 'ai open', desc: 'Open a saved conversation' },
+            { cmd: '/ai-rename', fullCmd: 'ai rename', desc: 'Rename the current conversation' },
+            { cmd: '/ai-delete', fullCmd: 'ai delete', desc: 'Delete a saved conversation' },
             { cmd: '/ai-settings', fullCmd: 'ai settings', desc: 'Show current AI settings' },
+            { cmd: '/ai-usage', fullCmd: 'ai usage', desc: 'Show token usage and estimated cost' },
+            { cmd: '/ai-mock', fullCmd: 'ai mock', desc: 'Offline mock provider settings (latency, errors, fixtures)' },
             { cmd: '/ai-help', fullCmd: 'ai help', desc: 'Show AI help message' }
         ];
         
@@ -111,6 +129,42 @@ function registerAISlashCommands() {
         
         console.log("OpenAI slash commands registered:", aiCommands.length);
         
+        // Complete model names and generation parameters in the slash command dropdown
+        if (typeof window.SlashCommands.registerArgumentCompleter === 'function') {
+            const completeModels = () => {
+                const service = window.openAIService;
+                requestModelList();
+                return service.getModelSuggestions().map(model => ({
+                    value: model,
+                    description: model === service.model ? 'current model' : ''
+                }));
+            };
+            window.SlashCommands.registerArgumentCompleter('/ai model', completeModels);
+            window.SlashCommands.registerArgumentCompleter('/ai compare', completeModels);
+            window.SlashCommands.registerArgumentCompleter('/ai key', () => [
+                { value: 'lock', description: 'encrypt the key with a passphrase' },
+                { value: 'unlock', description: 'decrypt the stored key' },
+                { value: 'forget', description: 'remove the key from this browser' },
+                { value: 'session', description: 'keep keys in memory only (on/off)' }
+            ]);
+            window.SlashCommands.registerArgumentCompleter('/ai thread', () => [
+                { value: 'tab', description: 'give the active canvas tab its own thread' },
+                { value: 'global', description: 'switch to the global thread' },
+                { value: 'drop', description: "delete the tab's own thread" }
+            ]);
+            window.SlashCommands.registerArgumentCompleter('/ai persona', () => getPersonaNames().map(name => ({
+                value: name,
+                description: name === 'default' ? 'the built-in system prompt' : ''
+            })));
+            window.SlashCommands.registerArgumentCompleter('/ai set', () => {
+                const params = window.openAIService.generationParams;
+                return Object.keys(params).map(name => ({
+                    value: name,
+                    description: `current: ${formatGenerationParam(params[name])}`
+                }));
+            });
+        }
+        
         // Force update available commands cache if method exists
         if (typeof window.SlashCommands.getAvailableCommands === 'function') {
             const available = window.SlashCommands.getAvailableCommands();
@@ -137,7 +191,7 @@ function extendOpenAIIntegration() {
         console.log("Creating handleCommand function on ChatInterface");
         
         window.ChatInterface.handleCommand = function(command) {
-            console.log("Processing command:", command);
+            console.log("Processing command:", ChatKeyVault.redact(command));
             
             // Special handling for AI commands
             if (command.startsWith('/ai') || command === 'ai help') {
@@ -160,7 +214,7 @@ function extendOpenAIIntegration() {
                 window.Commands.processCommand(command);
             } else if (!window.openAIService.validateApiKey()) {
                 console.log("No API key set, showing help message");
-                this.addSystemMessage("⚠️ Please set your OpenAI API key with '/ai key YOUR_API_KEY' to chat with AI.");
+                this.addSystemMessage(`⚠️ Please set your ${window.openAIService.provider?.name || 'OpenAI'} API key with '/ai key YOUR_API_KEY' to chat with AI.`);
             } else {
                 console.log("Processing with OpenAI API");
                 processWithOpenAI(command, this);
@@ -202,27 +256,179 @@ function extendOpenAIIntegration() {
  * Process messages with OpenAI
  * @param {string} message - The message to process
  * @param {Object} chatInterface - The chat interface instance
+ * @param {Array} [images] - Image URLs to send with the message; defaults to images shared in chat
+ * @param {number} [branchIndex] - History index of a user message to replace as a new branch (edit/regenerate)
  */
-async function processWithOpenAI(message, chatInterface) {
+async function processWithOpenAI(message, chatInterface, images = null, branchIndex = null) {
     console.log("Processing message with OpenAI:", message);
-    chatInterface.showTypingIndicator();
+    if (!images) {
+        images = takeChatImages();
+    }
+    // The user's bubble for this prompt, if it was just added, gets the edit action
+    const lastMessage = chatInterface.chatMessages && chatInterface.chatMessages.lastElementChild;
+    const userElement = lastMessage && lastMessage.classList.contains('user-message') ? lastMessage : null;
+    const stopRequest = () => window.openAIService.cancelRequest();
+    chatInterface.showTypingIndicator(stopRequest);
+    
+    // Created when the first streamed token arrives
+    let responseElement = null;
+    let responseText = null;
+    let streamed = false;
+    // The last text reply, which gets the regenerate action
+    let replyElement = null;
+    
+    // Replace the current streamed message, with its cursor and stop button, by the
+    // finished text formatted like any other reply
+    const finishStreamedMessage = () => {
+        if (responseElement) {
+            const rendered = chatInterface.addReplyMessage(responseText.textContent);
+            responseElement.replaceWith(rendered);
+            if (replyElement === responseElement) {
+                replyElement = rendered;
+            }
+        }
+        responseElement = null;
+        responseText = null;
+    };
+    
+    const options = {
+        images,
+        onToken: (token, fullText) => {
+            if (!responseElement) {
+                chatInterface.hideTypingIndicator();
+                responseElement = chatInterface.addSystemMessage('');
+                replyElement = responseElement;
+                responseText = responseElement.querySelector('.message-text');
+                responseText.classList.add('streaming');
+                if (typeof chatInterface.addMessageActions === 'function') {
+                    chatInterface.addMessageActions(responseElement, [
+                        { label: 'stop', icon: 'stop', title: 'Stop generating', onClick: stopRequest }
+                    ]);
+                }
+                streamed = true;
+            }
+            responseText.textContent = fullText;
+            chatInterface.scrollToBottom();
+        },
+        
+        // Show rate-limit and server error retries on the typing indicator
+        onRetry: (attempt, delay, reason) => {
+            const label = document.querySelector('#typing-indicator .terminal-processing');
+            if (label) {
+                label.textContent = `${reason}, retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${window.openAIService.maxRetries})`;
+            }
+        }
+    };
+    
+    // Tell the model what is on the canvas (see '/ai context')
+    if (window.Commands && typeof window.Commands.getCanvasContext === 'function') {
+        options.getContext = mode => window.Commands.getCanvasContext(mode === 'on' ? 'all' : 'module');
+    }
+    
+    // Send matching excerpts from the local knowledge base (see '/kb')
+    if (window.knowledgeBase) {
+        options.getKnowledge = text => window.knowledgeBase.getPromptContext(text);
+    }
+    
+    // Let the model drive the canvas through native tool calls when available
+    if (window.Commands && window.Commands.getAIToolDefinitions) {
+        options.tools = window.Commands.getAIToolDefinitions();
+        options.onToolCall = async (toolCall) => {
+            finishStreamedMessage();
+            const result = await window.Commands.executeToolCall(toolCall);
+            if (result.success && window.chatSessions) {
+                window.chatSessions.recordCanvasTab();
+            }
+            chatInterface.addSystemMessage(result.success
+                ? `🔧 ${result.message}`
+                : `⚠️ ${toolCall.function?.name || 'Tool'} failed: ${result.error}`);
+            chatInterface.showTypingIndicator(stopRequest);
+            return result;
+        };
+    }
     
     try {
-        const result = await window.openAIService.processMessage(message);
+        // Whatever the response does to the canvas is undone as one step
+        const request = () => branchIndex !== null
+            ? window.openAIService.branchFrom(branchIndex, message, options)
+            : window.openAIService.processMessage(message, options);
+        const result = typeof window.Commands?.recordCanvasBatch === 'function'
+            ? await window.Commands.recordCanvasBatch('AI response', request)
+            : await request();
         console.log("OpenAI result:", result);
         chatInterface.hideTypingIndicator();
+        finishStreamedMessage();
         
         if (result.success) {
-            const responseElement = chatInterface.addSystemMessage(result.message);
-            checkAndExecuteCommands(result.message, chatInterface);
+            // Only add a message if nothing was streamed
+            if (!streamed && result.message) {
+                replyElement = chatInterface.addReplyMessage(result.message);
+            }
+            if (window.ChatBranching) {
+                window.ChatBranching.decorateTurn(chatInterface, userElement, replyElement, result.userIndex);
+            }
+            if (typeof window.showKnowledgeSources === 'function') {
+                window.showKnowledgeSources(result, chatInterface);
+            }
+            // Tool calls already ran; otherwise look for commands in the full response
+            if (!result.toolCalls || result.toolCalls.length === 0) {
+                checkAndExecuteCommands(result.message, chatInterface);
+            }
         } else {
-            chatInterface.addSystemMessage(`⚠️ ${result.message}`);
+            // A failed branch was dropped, so show the conversation as it was again
+            if (branchIndex !== null && window.ChatBranching) {
+                window.ChatBranching.renderConversation(chatInterface);
+            }
+            const failedElement = chatInterface.addSystemMessage(result.cancelled
+                ? '⏹️ Request cancelled.'
+                : `⚠️ ${result.message}`);
+            addRetryAction(failedElement, message, chatInterface, images, branchIndex);
         }
     } catch (error) {
         console.error("Error calling OpenAI API:", error);
         chatInterface.hideTypingIndicator();
-        chatInterface.addSystemMessage(`⚠️ Error: ${error.message || 'Failed to connect to OpenAI'}`);
+        finishStreamedMessage();
+        const failedElement = chatInterface.addSystemMessage(`⚠️ Error: ${error.message || 'Failed to connect to OpenAI'}`);
+        addRetryAction(failedElement, message, chatInterface, images, branchIndex);
+    }
+}
+
+/**
+ * Add a "retry" button to a failed AI message that resends the same prompt
+ * @param {HTMLElement} messageElement - The failed message element
+ * @param {string} message - The prompt to resend
+ * @param {Object} chatInterface - The chat interface instance
+ * @param {Array} [images] - Images that were sent with the prompt
+ * @param {number} [branchIndex] - History index the prompt was meant to replace, for edits and regenerates
+ */
+function addRetryAction(messageElement, message, chatInterface, images = [], branchIndex = null) {
+    if (!messageElement || typeof chatInterface.addMessageActions !== 'function') {
+        return;
+    }
+    const actions = chatInterface.addMessageActions(messageElement, [{
+        label: 'retry',
+        icon: 'redo',
+        title: 'Send the same prompt again',
+        onClick: () => {
+            actions.remove();
+            if (branchIndex !== null && window.ChatBranching) {
+                window.ChatBranching.resend(chatInterface, branchIndex, message, images);
+            } else {
+                processWithOpenAI(message, chatInterface, images);
+            }
+        }
+    }]);
+}
+
+/**
+ * Take the images shared in chat (links, pasted or dropped files) that the AI has not seen yet
+ * @returns {Array} Image URLs
+ */
+function takeChatImages() {
+    if (window.ChatImageHandler && typeof window.ChatImageHandler.takePendingImages === 'function') {
+        return window.ChatImageHandler.takePendingImages();
     }
+    return [];
 }
 
 /**
@@ -243,7 +449,9 @@ function checkAndExecuteCommands(responseText, chatInterface) {
         // Execute commands if any found
         if (commands && commands.length > 0) {
             console.log("Found commands in AI response:", commands);
-            window.Commands.executeAICommands(responseText);
+            window.Commands.executeAICommands(responseText).then(() => {
+                if (window.chatSessions) window.chatSessions.recordCanvasTab();
+            });
         }
     } catch (error) {
         console.error("Error executing commands from AI response:", error);
@@ -254,9 +462,20 @@ function checkAndExecuteCommands(responseText, chatInterface) {
  * Handle AI specific commands
  * @param {string} command - The command to handle
  * @param {Object} chatInterface - The chat interface instance
+ * @param {boolean} [expanded] - True if the chat already expanded $variables; expanding
+ *   again would undo \$NAME escapes and expand variables inside variable values
  */
-function handleAICommand(command, chatInterface) {
-    console.log("Handling AI command:", command);
+function handleAICommand(command, chatInterface, expanded = false) {
+    // Expand $variables (see js/command-environment.js)
+    if (!expanded && window.CommandEnvironment) {
+        command = CommandEnvironment.expandVariables(command);
+    }
+    
+    // Record the command if a macro is being recorded (see js/command-macros.js)
+    if (window.CommandMacros) {
+        command = CommandMacros.capture('slash', command);
+    }
+    console.log("Handling AI command:", ChatKeyVault.redact(command));
     
     // Strip leading slash if present
     if (command.startsWith('/')) {
@@ -273,10 +492,9 @@ function handleAICommand(command, chatInterface) {
     switch (subCommand) {
         case 'key':
             if (parts.length > 2) {
-                const apiKey = parts.slice(2).join(' ');
-                handleApiKey(apiKey, chatInterface);
+                handleKeyCommand(parts[2], parts.slice(3).join(' '), parts.slice(2).join(' '), chatInterface);
             } else {
-                chatInterface.addSystemMessage("⚠️ Please provide an API key after the command, e.g., '/ai key YOUR_API_KEY'");
+                showKeyStatus(chatInterface);
             }
             break;
             
@@ -298,10 +516,46 @@ function handleAICommand(command, chatInterface) {
                 const model = parts[2];
                 handleSetModel(model, chatInterface);
             } else {
-                chatInterface.addSystemMessage("⚠️ Please specify a model (e.g., 'gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo')");
+                handleListModels(chatInterface);
             }
             break;
             
+        case 'set':
+            handleSetParameter(parts[2], parts.slice(3).join(' '), chatInterface);
+            break;
+            
+        case 'provider':
+            handleSetProvider(parts[2], chatInterface);
+            break;
+            
+        case 'stream':
+            handleStreamSetting(parts[2], chatInterface);
+            break;
+            
+        case 'tools':
+            handleToolsSetting(parts[2], chatInterface);
+            break;
+            
+        case 'context':
+            handleContextSetting(parts[2], chatInterface);
+            break;
+            
+        case 'stop':
+            handleStopRequest(chatInterface);
+            break;
+            
+        case 'look':
+            handleLookCommand(parts.slice(2).join(' '), chatInterface);
+            break;
+            
+        case 'chart':
+            handleChartRequest(parts.slice(2).filter(Boolean), chatInterface);
+            break;
+            
+        case 'compare':
+            handleCompareCommand(parts.slice(2).filter(Boolean), chatInterface);
+            break;
+            
         case 'clear':
             handleClearConversation(chatInterface);
             break;
@@ -310,6 +564,54 @@ function handleAICommand(command, chatInterface) {
             showAISettings(chatInterface);
             break;
             
+        case 'usage':
+            handleUsageCommand(parts.slice(2), chatInterface);
+            break;
+            
+        case 'mock':
+            handleMockCommand(parts.slice(2), chatInterface);
+            break;
+            
+        case 'thread':
+            handleThreadCommand(parts.slice(2).filter(Boolean), chatInterface);
+            break;
+            
+        case 'persona':
+            handlePersonaCommand(parts[2], chatInterface);
+            break;
+            
+        case 'sessions':
+            handleListSessions(chatInterface);
+            break;
+            
+        case 'new':
+            handleNewSession(chatInterface);
+            break;
+            
+        case 'open':
+            if (parts.length > 2) {
+                handleOpenSession(parts[2], chatInterface);
+            } else {
+                chatInterface.addSystemMessage("⚠️ Please specify a session (e.g., '/ai open 2'). Use '/ai sessions' to list them.");
+            }
+            break;
+            
+        case 'rename':
+            if (parts.length > 2) {
+                handleRenameSession(parts.slice(2).join(' '), chatInterface);
+            } else {
+                chatInterface.addSystemMessage("⚠️ Please specify a new title (e.g., '/ai rename Sales dashboard')");
+            }
+            break;
+            
+        case 'delete':
+            if (parts.length > 2) {
+                handleDeleteSession(parts[2], chatInterface);
+            } else {
+                chatInterface.addSystemMessage("⚠️ Please specify a session to delete (e.g., '/ai delete 2')");
+            }
+            break;
+            
         case 'help':
         default:
             showAIHelp(chatInterface);
@@ -323,18 +625,100 @@ function handleAICommand(command, chatInterface) {
  * @param {Object} chatInterface - The chat interface instance
  */
 function handleApiKey(apiKey, chatInterface) {
-    console.log('[DEBUG] handleApiKey called with:', apiKey.substring(0, 6) + '...');
+    console.log('[DEBUG] handleApiKey called');
     const result = window.openAIService.setApiKey(apiKey);
     if (result) {
         chatInterface.apiKeySet = true;
         window.ChatInterface.apiKeySet = true;
-        chatInterface.addSystemMessage('✅ API key set successfully! Your key is stored in your browser.');
+        chatInterface.addSystemMessage(`✅ API key set successfully! ${describeKeyStorage(window.openAIService.getKeyStatus())}`);
         if (typeof updateStatusBarWithAIInfo === 'function') {
             updateStatusBarWithAIInfo(window.openAIService.model);
         }
     } else {
-        chatInterface.addSystemMessage('⚠️ Invalid API key format. Please ensure it starts with "sk-".');
+        const keyHint = window.openAIService.provider?.keyHint || 'Please ensure it starts with "sk-".';
+        chatInterface.addSystemMessage(`⚠️ Invalid API key format. ${keyHint}`);
+    }
+}
+
+/**
+ * Handle '/ai key' subcommands (lock, unlock, forget, session); anything else is a new key
+ * @param {string} action - The first argument
+ * @param {string} value - The rest of the arguments (passphrase or on/off)
+ * @param {string} args - All arguments, used as the key when action is not a subcommand
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleKeyCommand(action, value, args, chatInterface) {
+    const service = window.openAIService;
+    switch (action.toLowerCase()) {
+        case 'lock': {
+            const result = await service.lockApiKey(value);
+            chatInterface.addSystemMessage(result.success ? `🔒 ${result.message}` : `⚠️ ${result.message}`);
+            break;
+        }
+        case 'unlock': {
+            if (!value) {
+                chatInterface.addSystemMessage("⚠️ Please provide your passphrase, e.g., '/ai key unlock PASSPHRASE'");
+                break;
+            }
+            const result = await service.unlockApiKey(value);
+            chatInterface.addSystemMessage(result.success ? `🔓 ${result.message}` : `⚠️ ${result.message}`);
+            break;
+        }
+        case 'forget':
+            service.forgetApiKey();
+            chatInterface.apiKeySet = false;
+            chatInterface.addSystemMessage(`🗑️ Your ${service.provider?.name || 'OpenAI'} API key was removed from this browser.`);
+            break;
+        case 'session': {
+            const mode = (value || 'on').toLowerCase();
+            if (mode !== 'on' && mode !== 'off') {
+                chatInterface.addSystemMessage("⚠️ Please use '/ai key session on' or '/ai key session off'");
+                break;
+            }
+            service.setSessionOnlyKeys(mode === 'on');
+            chatInterface.addSystemMessage(mode === 'on'
+                ? '✅ Session-only keys enabled. Keys stay in memory and are gone when you close or reload the page.'
+                : '✅ Session-only keys disabled. Keys are stored in your browser again.');
+            break;
+        }
+        default:
+            handleApiKey(args, chatInterface);
+    }
+}
+
+/**
+ * Show whether a key is set and where it is stored (/ai key)
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showKeyStatus(chatInterface) {
+    const status = window.openAIService.getKeyStatus();
+    const name = window.openAIService.provider?.name || 'OpenAI';
+    let message;
+    if (status.locked) {
+        message = `🔒 Your ${name} API key is encrypted and locked. Use '/ai key unlock PASSPHRASE' to use it.`;
+    } else if (status.set) {
+        message = `✅ Your ${name} API key is set. ${describeKeyStorage(status)}`;
+    } else {
+        message = `❌ No ${name} API key is set. Use '/ai key YOUR_API_KEY' to set one.`;
+    }
+    chatInterface.addSystemMessage(`${message}\nUse '/ai key lock PASSPHRASE', '/ai key unlock PASSPHRASE', '/ai key forget' or '/ai key session on|off' to manage it.`);
+}
+
+/**
+ * Describe where a newly set key is kept
+ * @param {Object} status - Key status from OpenAIService.getKeyStatus
+ * @returns {string} A sentence for the chat
+ */
+function describeKeyStorage(status) {
+    if (status.storage === 'session') {
+        return 'It is kept in memory for this session only.';
     }
+    if (status.storage === 'encrypted') {
+        return status.unlocked
+            ? 'It is stored encrypted with your passphrase.'
+            : "It is kept in memory only; use '/ai key lock PASSPHRASE' to store it encrypted.";
+    }
+    return "Your key is stored in your browser. Use '/ai key lock PASSPHRASE' to encrypt it.";
 }
 
 /**
@@ -343,10 +727,21 @@ function handleApiKey(apiKey, chatInterface) {
  * @param {Object} chatInterface - The chat interface instance
  */
 function handleApiEndpoint(endpoint, chatInterface) {
-    const result = window.openAIService.setApiEndpoint(endpoint);
-    result
-        ? chatInterface.addSystemMessage(`✅ API endpoint set to: ${endpoint}`)
-        : chatInterface.addSystemMessage('⚠️ Invalid API endpoint URL. Please provide a valid HTTP/HTTPS URL.');
+    const service = window.openAIService;
+    const result = service.setApiEndpoint(endpoint);
+    if (!result) {
+        chatInterface.addSystemMessage('⚠️ Invalid API endpoint URL. Please provide a valid HTTP/HTTPS URL.');
+        return;
+    }
+    if (service.providerId === 'mock') {
+        chatInterface.apiKeySet = service.validateApiKey();
+        if (typeof updateStatusBarWithAIInfo === 'function') {
+            updateStatusBarWithAIInfo(service.model);
+        }
+        chatInterface.addSystemMessage(`✅ Using the offline mock provider (${endpoint === 'mock://' ? 'built-in rules' : `fixture ${endpoint.substring(7)}`}). No API key or network needed; see '/ai mock' for latency and error injection.`);
+        return;
+    }
+    chatInterface.addSystemMessage(`✅ API endpoint set to: ${endpoint}`);
 }
 
 /**
@@ -367,93 +762,1133 @@ function handleResetApiEndpoint(chatInterface) {
  */
 function handleSetModel(model, chatInterface) {
     const result = window.openAIService.setModel(model);
+    // Model ids come from the endpoint, so they are escaped like any other remote text
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const models = window.openAIService.getModelSuggestions().map(escape);
     chatInterface.addSystemMessage(result
-        ? `✅ Model changed to "${model}".`
-        : '⚠️ Invalid model name. Available models: gpt-4o, gpt-4o-mini, gpt-3.5-turbo');
+        ? `✅ Model changed to "${escape(model)}".`
+        : `⚠️ Invalid model name. Available models: ${models.join(', ')}`);
 }
 
 /**
- * Handle clear conversation command (/ai clear)
+ * Handle model list command (/ai model) by asking the endpoint which models it offers
  * @param {Object} chatInterface - The chat interface instance
  */
-function handleClearConversation(chatInterface) {
-    window.openAIService.resetConversation();
-    chatInterface.addSystemMessage('✅ Conversation history cleared. Starting fresh conversation.');
+async function handleListModels(chatInterface) {
+    const service = window.openAIService;
+    // Model ids and errors come from the endpoint, so they are escaped
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    let note = '';
+    try {
+        const models = await service.fetchModels();
+        if (models.length === 0) {
+            note = `\n(The endpoint did not report any models; showing ${service.provider?.name || 'provider'} defaults.)`;
+        }
+    } catch (error) {
+        note = `\n(${escape(error.message)}; showing ${service.provider?.name || 'provider'} defaults.)`;
+    }
+    
+    const models = service.getModelSuggestions();
+    const lines = models.map(model => `${model === service.model ? '▶' : ' '} ${escape(model)}`);
+    chatInterface.addSystemMessage(`Available models:\n${lines.join('\n')}${note}\n\nUse '/ai model NAME' to switch (Tab completes the name).`);
 }
 
 /**
- * Display current AI settings in a system message popup
+ * Ask the endpoint for its models once, so '/ai model' can tab-complete them
+ */
+function requestModelList() {
+    const service = window.openAIService;
+    if (!service || service.availableModels.length > 0 || !service.validateApiKey()) return;
+    
+    // Only try each endpoint once; '/ai model' without a name retries explicitly
+    if (requestModelList.endpoint === service.apiEndpoint) return;
+    requestModelList.endpoint = service.apiEndpoint;
+    service.fetchModels().catch(error => console.warn('Could not list models:', error.message));
+}
+
+/**
+ * Handle generation parameter command (/ai set NAME VALUE)
+ * @param {string} name - Parameter name (temperature, max_tokens, top_p, seed or stop)
+ * @param {string} value - New value, or 'default' to reset it
  * @param {Object} chatInterface - The chat interface instance
  */
-function showAISettings(chatInterface) {
-    const settings = window.openAIService.getSettings();
-    const messageHTML = `
-<div class="ai-settings-display">
-  <div class="settings-title">🤖 OpenAI Integration Settings</div>
-  <table class="settings-table">
-    <tr><td>Model:</td><td>${settings.model}</td></tr>
-    <tr><td>API Key:</td><td>${settings.apiKeySet ? '✅ Set' : '❌ Not set'}</td></tr>
-    <tr><td>API Endpoint:</td><td>${settings.apiEndpoint}</td></tr>
-    <tr><td>Messages:</td><td>${settings.messageCount} in history</td></tr>
-  </table>
-</div>
-`;
-    const systemMessage = chatInterface.addSystemMessage(messageHTML);
-    if (systemMessage) {
-        const messageText = systemMessage.querySelector('.message-text');
-        if (messageText) messageText.innerHTML = messageHTML;
+function handleSetParameter(name, value, chatInterface) {
+    const service = window.openAIService;
+    if (!name) {
+        const params = Object.entries(service.generationParams)
+            .map(([param, current]) => `${param}: ${formatGenerationParam(current)}`);
+        chatInterface.addSystemMessage(`Generation parameters:\n${params.join('\n')}\n\nUse '/ai set NAME VALUE' to change one, or '/ai set NAME default' to reset it.`);
+        return;
     }
+    
+    const result = service.setGenerationParam(name, value);
+    chatInterface.addSystemMessage(result.success
+        ? `✅ ${name} set to ${formatGenerationParam(result.value)}.`
+        : `⚠️ ${result.message}`);
 }
 
 /**
- * Display help for AI commands in a system message popup
+ * Format a generation parameter value for display
+ * @param {*} value - Parameter value (null means the provider default)
+ * @returns {string} Display text
+ */
+function formatGenerationParam(value) {
+    if (value === null || value === undefined) return 'default';
+    return Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Handle mock provider settings (/ai mock [latency MS|errors RATE [STATUS]|load URL|reset])
+ * @param {Array} args - Arguments after "/ai mock"
  * @param {Object} chatInterface - The chat interface instance
  */
-function showAIHelp(chatInterface) {
-    const messageHTML = `
-<div class="ai-help-display">
-  <div class="help-title">🤖 OpenAI Integration Commands</div>
-  <div class="help-section">
-    <div class="help-subtitle">Configuration:</div>
-    <div class="command-list">
-      <div class="command-item">
-        <div class="command">/ai key YOUR_KEY</div>
-        <div class="description">Set your OpenAI API key</div>
-      </div>
-      <div class="command-item">
-        <div class="command">/ai model MODEL_NAME</div>
-        <div class="description">Change model (gpt-4o, gpt-4o-mini, gpt-3.5-turbo)</div>
-      </div>
-      <div class="command-item">
-        <div class="command">/ai endpoint URL</div>
-        <div class="description">Set a custom API endpoint</div>
-      </div>
-      <div class="command-item">
-        <div class="command">/ai reset-endpoint</div>
-        <div class="description">Reset to default endpoint</div>
-      </div>
-    </div>
-  </div>
-  <div class="help-section">
-    <div class="help-subtitle">Conversation:</div>
-    <div class="command-list">
-      <div class="command-item">
-        <div class="command">/ai clear</div>
-        <div class="description">Clear conversation history</div>
-      </div>
-      <div class="command-item">
-        <div class="command">/ai settings</div>
-        <div class="description">Show current AI settings</div>
-      </div>
-      <div class="command-item">
-        <div class="command">/ai help</div>
-        <div class="description">Show this help message</div>
+async function handleMockCommand(args, chatInterface) {
+    const mock = window.MockLLM;
+    if (!mock) {
+        chatInterface.addSystemMessage('⚠️ The mock provider is not available.');
+        return;
+    }
+    
+    const action = (args[0] || '').toLowerCase();
+    switch (action) {
+        case 'latency': {
+            const latency = parseInt(args[1]);
+            if (isNaN(latency) || latency < 0) {
+                chatInterface.addSystemMessage("⚠️ Usage: '/ai mock latency MS', e.g. '/ai mock latency 1000'");
+                return;
+            }
+            mock.overrides.latency = latency;
+            chatInterface.addSystemMessage(`✅ Mock responses now start after ${latency}ms.`);
+            return;
+        }
+        
+        case 'errors': {
+            const rate = parseFloat(args[1]);
+            const status = args[2] === undefined ? 500 : parseInt(args[2]);
+            if (isNaN(rate) || rate < 0 || rate > 1 || isNaN(status)) {
+                chatInterface.addSystemMessage("⚠️ Usage: '/ai mock errors RATE [STATUS]' with RATE from 0 to 1, e.g. '/ai mock errors 0.5 429' (status 0 = network failure)");
+                return;
+            }
+            mock.overrides.errorRate = rate;
+            mock.overrides.error = { status, message: `Injected mock error (HTTP ${status})` };
+            chatInterface.addSystemMessage(rate > 0
+                ? `✅ ${Math.round(rate * 100)}% of mock requests will fail with ${status ? `HTTP ${status}` : 'a network error'}.`
+                : '✅ Mock error injection turned off.');
+            return;
+        }
+        
+        case 'load':
+            if (!args[1]) {
+                chatInterface.addSystemMessage("⚠️ Usage: '/ai mock load URL', e.g. '/ai mock load fixtures/mock-llm-demo.json'");
+                return;
+            }
+            try {
+                await mock.loadFixture(args[1]);
+            } catch (error) {
+                chatInterface.addSystemMessage(`⚠️ ${error.message}`);
+                return;
+            }
+            handleApiEndpoint(`mock://${args[1]}`, chatInterface);
+            return;
+            
+        case 'reset':
+            mock.reset();
+            if (window.openAIService.providerId === 'mock') {
+                window.openAIService.setApiEndpoint('mock://');
+            }
+            chatInterface.addSystemMessage('✅ Mock provider reset to its built-in rules.');
+            return;
+    }
+    
+    const status = mock.getStatus();
+    const active = window.openAIService.providerId === 'mock';
+    chatInterface.addSystemMessage(`🧪 Mock provider${active ? '' : " (not active; use '/ai endpoint mock://' to select it)"}
+Responses: ${status.fixture} (${status.rules} rules, script: ${status.script})
+Latency: ${status.latency}ms, ${status.chunkDelay}ms between streamed chunks
+Error injection: ${status.errorRate > 0 ? `${Math.round(status.errorRate * 100)}% as ${status.errorStatus ? `HTTP ${status.errorStatus}` : 'network errors'}` : 'off'}
+
+Use '/ai mock latency MS', '/ai mock errors RATE [STATUS]', '/ai mock load URL' or '/ai mock reset'.`);
+}
+
+/**
+ * Handle provider command (/ai provider NAME)
+ * @param {string} providerId - The provider to switch to; omit to list providers
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleSetProvider(providerId, chatInterface) {
+    const service = window.openAIService;
+    const providers = window.LLMProviders ? window.LLMProviders.list() : [];
+    
+    if (!providerId) {
+        const list = providers
+            .map(p => `${p.id === service.providerId ? '▶' : '  '} ${p.id} - ${p.name}`)
+            .join('\n');
+        chatInterface.addSystemMessage(`Available providers:\n${list}\n\nUse '/ai provider NAME' to switch.`);
+        return;
+    }
+    
+    if (!service.setProvider(providerId)) {
+        chatInterface.addSystemMessage(`⚠️ Unknown provider "${providerId}". Available providers: ${providers.map(p => p.id).join(', ')}`);
+        return;
+    }
+    
+    const provider = service.provider;
+    chatInterface.apiKeySet = service.validateApiKey();
+    let message = `✅ Provider changed to ${provider.name} (model: ${service.model}, endpoint: ${service.apiEndpoint}).`;
+    if (!chatInterface.apiKeySet) {
+        message += `\nSet your ${provider.name} API key with '/ai key YOUR_API_KEY'.`;
+    }
+    chatInterface.addSystemMessage(message);
+}
+
+/**
+ * Handle streaming toggle command (/ai stream on|off)
+ * @param {string} value - 'on' or 'off'; omit to show the current setting
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleStreamSetting(value, chatInterface) {
+    const service = window.openAIService;
+    if (!value) {
+        chatInterface.addSystemMessage(`Streaming is ${service.streamResponses ? 'on' : 'off'}. Use '/ai stream on' or '/ai stream off' to change it.`);
+        return;
+    }
+    
+    value = value.toLowerCase();
+    if (value !== 'on' && value !== 'off') {
+        chatInterface.addSystemMessage("⚠️ Please use '/ai stream on' or '/ai stream off'");
+        return;
+    }
+    
+    service.setStreamResponses(value === 'on');
+    chatInterface.addSystemMessage(value === 'on'
+        ? '✅ Streaming enabled. Responses will appear as they are generated.'
+        : '✅ Streaming disabled. Responses will appear once complete.');
+}
+
+/**
+ * Handle tool calling toggle command (/ai tools on|off)
+ * @param {string} value - 'on' or 'off'; omit to show the current setting
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleToolsSetting(value, chatInterface) {
+    const service = window.openAIService;
+    if (!value) {
+        chatInterface.addSystemMessage(`Tool calling is ${service.useTools ? 'on' : 'off'}. Use '/ai tools on' or '/ai tools off' to change it.`);
+        return;
+    }
+    
+    value = value.toLowerCase();
+    if (value !== 'on' && value !== 'off') {
+        chatInterface.addSystemMessage("⚠️ Please use '/ai tools on' or '/ai tools off'");
+        return;
+    }
+    
+    service.setUseTools(value === 'on');
+    chatInterface.addSystemMessage(value === 'on'
+        ? '✅ Tool calling enabled. The AI will drive the canvas through native tool calls.'
+        : '✅ Tool calling disabled. Canvas commands will be read from the response text.');
+}
+
+/**
+ * Handle canvas context command (/ai context on|off|module)
+ * @param {string} value - 'on' (all tabs), 'module' (active module) or 'off'; omit to show the context
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleContextSetting(value, chatInterface) {
+    const service = window.openAIService;
+    const descriptions = {
+        on: 'the content of every canvas tab',
+        module: 'the content of the active canvas module',
+        off: 'no canvas content'
+    };
+    
+    if (!value) {
+        const context = service.canvasContextMode !== 'off' && window.Commands && typeof window.Commands.getCanvasContext === 'function'
+            ? window.Commands.getCanvasContext(service.canvasContextMode === 'on' ? 'all' : 'module')
+            : null;
+        const preview = context
+            ? `\n\nCurrently attached:\n${context.length > 1500 ? context.substring(0, 1500) + '...' : context}`
+            : '';
+        chatInterface.addSystemMessage(`Canvas context is '${service.canvasContextMode}': prompts include ${descriptions[service.canvasContextMode]}. Use '/ai context on|off|module' to change it.${preview}`);
+        return;
+    }
+    
+    const mode = value.toLowerCase();
+    chatInterface.addSystemMessage(service.setCanvasContextMode(mode)
+        ? `✅ Canvas context '${mode}': prompts will include ${descriptions[mode]}.`
+        : "⚠️ Please use '/ai context on', '/ai context module' or '/ai context off'");
+}
+
+/**
+ * Handle stop command (/ai stop)
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleStopRequest(chatInterface) {
+    if (!window.openAIService.cancelRequest()) {
+        chatInterface.addSystemMessage('No AI request is in progress.');
+    }
+}
+
+/**
+ * Handle look command (/ai look [question]) by sending the active canvas picture to the AI
+ * @param {string} question - What to ask about the picture
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleLookCommand(question, chatInterface) {
+    const service = window.openAIService;
+    if (!service.validateApiKey()) {
+        chatInterface.addSystemMessage(`⚠️ Please set your ${service.provider?.name || 'OpenAI'} API key with '/ai key YOUR_API_KEY' first.`);
+        return;
+    }
+    if (!window.Commands || typeof window.Commands.captureActiveCanvas !== 'function') {
+        chatInterface.addSystemMessage('⚠️ The canvas is not available.');
+        return;
+    }
+    
+    let snapshot;
+    try {
+        snapshot = window.Commands.captureActiveCanvas();
+    } catch (error) {
+        chatInterface.addSystemMessage(`⚠️ ${error.message}`);
+        return;
+    }
+    
+    // Show the user what is being sent
+    const preview = chatInterface.addSystemMessage(`👁️ Sending the ${snapshot.moduleName} ${snapshot.source === 'image' ? 'image' : 'canvas'} to the AI...`);
+    if (preview && window.ChatImageHandler) {
+        const messageText = preview.querySelector('.message-text');
+        if (messageText) {
+            messageText.appendChild(window.ChatImageHandler.createEnhancedImageBlock(snapshot.url));
+        }
+    }
+    
+    const prompt = question || `Describe what is shown in this ${snapshot.moduleName} view and point out anything that looks wrong or unclear.`;
+    processWithOpenAI(prompt, chatInterface, [snapshot.url, ...takeChatImages()]);
+}
+
+/**
+ * Handle chart command (/ai chart [bar|line|pie] DESCRIPTION): ask the AI for the data
+ * as JSON matching the chart schema, check it and draw it on the canvas
+ * @param {Array} args - Command arguments
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleChartRequest(args, chatInterface) {
+    const type = args.length > 0 && ChatStructuredOutput.chartTypes.includes(args[0].toLowerCase())
+        ? args.shift().toLowerCase()
+        : null;
+    const prompt = args.join(' ').trim();
+    if (!prompt) {
+        chatInterface.addSystemMessage("⚠️ Please describe the data to chart, e.g. '/ai chart pie browser market share in 2023'");
+        return;
+    }
+    if (!window.Commands || typeof window.Commands.executeAICommand !== 'function') {
+        chatInterface.addSystemMessage('⚠️ The canvas is not available.');
+        return;
+    }
+    
+    chatInterface.showTypingIndicator(() => window.openAIService.cancelRequest());
+    const result = await window.openAIService.requestStructured(prompt, {
+        name: 'chart_data',
+        schema: ChatStructuredOutput.getChartSchema(type),
+        instructions: ChatStructuredOutput.getChartInstructions(type),
+        validate: data => ChatStructuredOutput.validateChart(data, type)
+    });
+    chatInterface.hideTypingIndicator();
+    
+    if (!result.success) {
+        if (result.cancelled) {
+            chatInterface.addSystemMessage('⏹️ Request cancelled.');
+            return;
+        }
+        // Model output is shown as text, never as markup
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        const problems = (result.errors || []).map(problem => `\n• ${escape(problem)}`).join('');
+        const raw = result.raw ? `\nThe answer was: ${escape(result.raw.substring(0, 300))}` : '';
+        chatInterface.addSystemMessage(`⚠️ Could not draw the chart. ${escape(result.message)}${problems}${raw}`);
+        return;
+    }
+    
+    const spec = ChatStructuredOutput.toChartSpec(result.data, type);
+    const drawn = await window.Commands.executeAICommand({
+        category: 'chart',
+        action: 'createChartSpec',
+        params: [spec],
+        originalText: `/ai chart ${type ? `${type} ` : ''}${prompt}`
+    });
+    if (drawn.success && window.chatSessions) {
+        window.chatSessions.recordCanvasTab();
+    }
+    chatInterface.addSystemMessage(drawn.success
+        ? `📊 ${drawn.message.replace(/</g, '&lt;')}`
+        : `⚠️ Could not draw the chart: ${drawn.error}`);
+}
+
+/**
+ * Handle compare command (/ai compare MODEL_A MODEL_B PROMPT): send the conversation and
+ * the prompt to both models at once and show the answers side by side
+ * @param {Array} args - Command arguments
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleCompareCommand(args, chatInterface) {
+    const [modelA, modelB, ...words] = args;
+    const prompt = words.join(' ').trim();
+    if (!modelA || !modelB || !prompt) {
+        chatInterface.addSystemMessage("⚠️ Usage: /ai compare MODEL_A MODEL_B PROMPT, e.g. '/ai compare gpt-4o gpt-4o-mini explain closures'");
+        return;
+    }
+    
+    const options = {
+        onRetry: (attempt, delay, reason) => {
+            const label = document.querySelector('#typing-indicator .terminal-processing');
+            if (label) {
+                label.textContent = `${reason}, retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${window.openAIService.maxRetries})`;
+            }
+        }
+    };
+    // Both models see the same canvas, excerpts and tools as a normal prompt
+    if (window.Commands && typeof window.Commands.getCanvasContext === 'function') {
+        options.getContext = mode => window.Commands.getCanvasContext(mode === 'on' ? 'all' : 'module');
+    }
+    if (window.knowledgeBase) {
+        options.getKnowledge = text => window.knowledgeBase.getPromptContext(text);
+    }
+    if (window.Commands && window.Commands.getAIToolDefinitions) {
+        options.tools = window.Commands.getAIToolDefinitions();
+    }
+    
+    chatInterface.showTypingIndicator(() => window.openAIService.cancelRequest());
+    const comparison = await window.openAIService.compareModels(prompt, [modelA, modelB], options);
+    chatInterface.hideTypingIndicator();
+    if (!comparison.success) {
+        chatInterface.addSystemMessage(comparison.cancelled ? '⏹️ Request cancelled.' : `⚠️ ${comparison.message}`);
+        return;
+    }
+    showComparison(prompt, comparison, chatInterface);
+}
+
+/**
+ * Show compared answers in columns with their latency, token usage and canvas commands,
+ * and a button to continue the conversation with each
+ * @param {string} prompt - The prompt both models answered
+ * @param {Object} comparison - Result of OpenAIService.compareModels
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showComparison(prompt, comparison, chatInterface) {
+    // Model output is shown as text, never as markup
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const columns = comparison.results.map(answer => {
+        if (answer.error) {
+            return `<div class="comparison-answer"><div class="comparison-model">${escape(answer.model)}</div>` +
+                `<div class="comparison-text">⚠️ ${escape(answer.error)}</div></div>`;
+        }
+        const usage = window.chatUsage;
+        const record = { ...answer, provider: window.openAIService.providerId };
+        const price = usage && usage.isPriced(record) ? usage.costOf(record) : null;
+        const cost = !usage ? '' : price === null ? ' · price unknown' : price ? ` · ~$${price.toFixed(4)}` : '';
+        const stats = `${(answer.latency / 1000).toFixed(1)}s · ${answer.promptTokens} in / ${answer.completionTokens} out${cost}`;
+        const commands = describeAnswerCommands(answer);
+        return `<div class="comparison-answer"><div class="comparison-model">${escape(answer.model)}</div>` +
+            `<div class="comparison-stats">${stats}</div>` +
+            `<div class="comparison-text">${escape(answer.content || '(no text)')}</div>` +
+            `<div class="comparison-commands">${commands.length > 0
+                ? commands.map(command => `🔧 ${escape(command)}`).join('<br>')
+                : 'No canvas commands'}</div></div>`;
+    }).join('');
+    
+    const messageElement = chatInterface.addSystemMessage('');
+    messageElement.querySelector('.message-text').innerHTML = `<div class="model-comparison">${columns}</div>`;
+    
+    const choices = comparison.results.filter(answer => !answer.error);
+    if (choices.length > 0 && typeof chatInterface.addMessageActions === 'function') {
+        const actions = chatInterface.addMessageActions(messageElement, choices.map(answer => ({
+            label: `continue with ${escape(answer.model)}`,
+            icon: 'check',
+            title: 'Add this answer to the conversation, run its canvas commands and switch to this model',
+            onClick: () => continueWithAnswer(prompt, answer, actions, chatInterface)
+        })));
+    }
+    if (window.showKnowledgeSources) {
+        window.showKnowledgeSources({ message: '', sources: comparison.sources }, chatInterface);
+    }
+}
+
+/**
+ * List the canvas commands in a compared answer, from tool calls or the reply text
+ * @param {Object} answer - One result of OpenAIService.compareModels
+ * @returns {Array<string>} Short descriptions of the commands
+ */
+function describeAnswerCommands(answer) {
+    if (answer.toolCalls && answer.toolCalls.length > 0) {
+        return answer.toolCalls.map(toolCall => {
+            const args = toolCall.function?.arguments || '';
+            return `${toolCall.function?.name}(${args.length > 60 ? `${args.substring(0, 60)}…` : args})`;
+        });
+    }
+    if (!answer.content || !window.Commands || typeof window.Commands.parseAIResponse !== 'function') {
+        return [];
+    }
+    return window.Commands.parseAIResponse(answer.content).map(command => command.originalText);
+}
+
+/**
+ * Continue the conversation with one of the compared answers
+ * @param {string} prompt - The prompt both models answered
+ * @param {Object} answer - The chosen result of OpenAIService.compareModels
+ * @param {HTMLElement} actions - The "continue with" buttons, removed once a choice is made
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function continueWithAnswer(prompt, answer, actions, chatInterface) {
+    const service = window.openAIService;
+    if (service.abortController) {
+        chatInterface.addSystemMessage('⚠️ Please wait for the current request to finish, or use \'/ai stop\'.');
+        return;
+    }
+    actions.remove();
+    
+    // Run the answer's tool calls so their results can go into history with it
+    const toolResults = [];
+    await window.Commands.recordCanvasBatch('AI response', async () => {
+        for (const toolCall of answer.toolCalls || []) {
+            const result = await window.Commands.executeToolCall(toolCall);
+            toolResults.push({ toolCall, result });
+            chatInterface.addSystemMessage(result.success
+                ? `🔧 ${result.message}`
+                : `⚠️ ${toolCall.function?.name || 'Tool'} failed: ${result.error}`);
+        }
+    });
+    const switched = answer.model !== service.model && service.setModel(answer.model);
+    service.adoptAnswer(prompt, answer, toolResults);
+    chatInterface.addSystemMessage(`✅ Continuing with the answer from ${answer.model.replace(/</g, '&lt;')}` +
+        (switched ? `, which is now the model for this conversation.` : '.'));
+    
+    if (toolResults.length > 0) {
+        if (window.chatSessions) window.chatSessions.recordCanvasTab();
+    } else if (answer.content) {
+        checkAndExecuteCommands(answer.content, chatInterface);
+    }
+}
+
+/**
+ * Handle clear conversation command (/ai clear)
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleClearConversation(chatInterface) {
+    window.openAIService.resetConversation();
+    chatInterface.addSystemMessage('✅ Conversation history cleared. Starting fresh conversation.');
+}
+
+/**
+ * List saved conversations (/ai sessions)
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleListSessions(chatInterface) {
+    if (!window.chatSessions) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    
+    try {
+        const sessions = await window.chatSessions.store.list();
+        const activeId = window.chatSessions.activeSession?.id;
+        if (sessions.length === 0) {
+            chatInterface.addSystemMessage('No saved conversations yet. Conversations are saved automatically once you chat with the AI.');
+            return;
+        }
+        
+        const rows = sessions.map((session, index) => {
+            const userMessages = session.messages.filter(message => message.role === 'user').length;
+            const updated = new Date(session.updatedAt).toLocaleString();
+            const marker = session.id === activeId ? '▶ ' : '';
+            const tabThreads = Object.keys(session.threads || {}).length;
+            const threadNote = tabThreads > 0 ? ` · ${tabThreads} tab thread${tabThreads === 1 ? '' : 's'}` : '';
+            return `    <tr><td>${index + 1}. ${marker}${session.title}</td><td>${session.id} · ${userMessages} messages${threadNote} · ${updated}</td></tr>`;
+        }).join('\n');
+        
+        const messageHTML = `
+<div class="ai-settings-display">
+  <div class="settings-title">💬 Saved Conversations</div>
+  <table class="settings-table">
+${rows}
+  </table>
+</div>
+`;
+        const systemMessage = chatInterface.addSystemMessage(messageHTML);
+        if (systemMessage) {
+            const messageText = systemMessage.querySelector('.message-text');
+            if (messageText) messageText.innerHTML = messageHTML;
+        }
+    } catch (error) {
+        chatInterface.addSystemMessage(`⚠️ Could not load conversations: ${error.message}`);
+    }
+}
+
+/**
+ * Handle thread command (/ai thread [tab [PERSONA]|global|drop [N]])
+ * @param {Array} args - Command arguments
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleThreadCommand(args, chatInterface) {
+    const sessions = window.chatSessions;
+    if (!sessions || !sessions.activeSession) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    const action = (args[0] || '').toLowerCase();
+    if (action && window.openAIService.abortController) {
+        chatInterface.addSystemMessage('⚠️ Please wait for the current request to finish, or use \'/ai stop\'.');
+        return;
+    }
+    
+    switch (action) {
+        case '':
+            showThreads(chatInterface);
+            break;
+            
+        case 'tab': {
+            const canvas = sessions.getActiveCanvas();
+            if (!canvas) {
+                chatInterface.addSystemMessage('⚠️ Open a canvas tab first.');
+                return;
+            }
+            if (args[1] && !getPersonaNames().includes(args[1])) {
+                chatInterface.addSystemMessage(`⚠️ Unknown persona "${args[1]}". Available: ${getPersonaNames().join(', ')}`);
+                return;
+            }
+            if (!sessions.createCanvasThread(canvas, args[1])) {
+                chatInterface.addSystemMessage('⚠️ Could not create a thread for this tab.');
+            }
+            break;
+        }
+            
+        case 'global':
+            sessions.switchThread('global');
+            break;
+            
+        case 'drop': {
+            const threads = sessions.listThreads();
+            const thread = args[1]
+                ? threads[parseInt(args[1]) - 1]
+                : threads.find(t => t.id === (sessions.getActiveCanvas() || {}).id);
+            if (!thread || thread.id === 'global') {
+                chatInterface.addSystemMessage(args[1]
+                    ? `⚠️ No tab thread ${args[1]}. Use '/ai thread' to list them.`
+                    : '⚠️ This tab uses the global thread.');
+                return;
+            }
+            if (sessions.removeCanvasThread(thread.id)) {
+                chatInterface.addSystemMessage(`🗑️ Deleted the "${thread.title.replace(/</g, '&lt;')}" thread; the tab uses the global thread again.`);
+            }
+            break;
+        }
+            
+        default:
+            chatInterface.addSystemMessage("⚠️ Usage: '/ai thread', '/ai thread tab [PERSONA]', '/ai thread global' or '/ai thread drop [N]'");
+    }
+}
+
+/**
+ * List the threads of the current conversation
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showThreads(chatInterface) {
+    const rows = window.chatSessions.listThreads().map((thread, index) => {
+        const marker = thread.active ? '▶ ' : '';
+        const details = [
+            thread.persona ? `persona: ${thread.persona}` : 'default persona',
+            `${thread.messageCount} messages`,
+            thread.open ? '' : 'tab closed'
+        ].filter(Boolean).join(' · ');
+        return `    <tr><td>${index + 1}. ${marker}${thread.title.replace(/</g, '&lt;')}</td><td>${details}</td></tr>`;
+    }).join('\n');
+    
+    const messageHTML = `
+<div class="ai-settings-display">
+  <div class="settings-title">🧵 Threads</div>
+  <table class="settings-table">
+${rows}
+  </table>
+  <div class="help-footer">'/ai thread tab [PERSONA]' gives the active canvas tab its own thread; other tabs share the global thread.</div>
+</div>
+`;
+    const systemMessage = chatInterface.addSystemMessage(messageHTML);
+    if (systemMessage) {
+        const messageText = systemMessage.querySelector('.message-text');
+        if (messageText) messageText.innerHTML = messageHTML;
+    }
+}
+
+/**
+ * Names of the personas that can be used with '/ai persona'
+ * @returns {Array<string>} 'default' and the PromptManager prompt names
+ */
+function getPersonaNames() {
+    const templates = window.promptManager ? window.promptManager.getPromptTemplates() : [];
+    return ['default', ...templates.map(template => template.name)];
+}
+
+/**
+ * Handle persona command (/ai persona [NAME|edit])
+ * @param {string} name - Persona name
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handlePersonaCommand(name, chatInterface) {
+    const sessions = window.chatSessions;
+    if (!sessions || !sessions.activeSession) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    const thread = sessions.describeThread(sessions.activeThreadId);
+    
+    if (!name) {
+        const current = thread.persona || 'default';
+        chatInterface.addSystemMessage(`Persona of the ${thread.title.replace(/</g, '&lt;')} thread: ${current}\n` +
+            `Available: ${getPersonaNames().map(persona => persona === current ? `${persona} (current)` : persona).join(', ')}\n` +
+            "Use '/ai persona NAME' to switch, or '/ai persona edit' to write your own.");
+        return;
+    }
+    if (name === 'edit') {
+        if (window.promptManager) {
+            window.promptManager.createPromptManagerDialog();
+        } else {
+            chatInterface.addSystemMessage('⚠️ The prompt manager is not available.');
+        }
+        return;
+    }
+    if (!getPersonaNames().includes(name)) {
+        chatInterface.addSystemMessage(`⚠️ Unknown persona "${name.replace(/</g, '&lt;')}". Available: ${getPersonaNames().join(', ')}`);
+        return;
+    }
+    if (window.openAIService.abortController) {
+        chatInterface.addSystemMessage('⚠️ Please wait for the current request to finish, or use \'/ai stop\'.');
+        return;
+    }
+    sessions.setPersona(name);
+}
+
+/**
+ * Start a new conversation (/ai new)
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleNewSession(chatInterface) {
+    if (!window.chatSessions) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    await window.chatSessions.newSession();
+    if (chatInterface.chatMessages) chatInterface.chatMessages.innerHTML = '';
+    chatInterface.addSystemMessage('✅ Started a new conversation. The previous one was saved.');
+}
+
+/**
+ * Open a saved conversation (/ai open ID)
+ * @param {string} ref - Session id, id prefix or number from '/ai sessions'
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleOpenSession(ref, chatInterface) {
+    if (!window.chatSessions) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    
+    try {
+        const session = await window.chatSessions.openSession(ref);
+        if (!session) {
+            chatInterface.addSystemMessage(`⚠️ No conversation found for "${ref}". Use '/ai sessions' to list them.`);
+            return;
+        }
+        window.chatSessions.renderActiveSession(chatInterface);
+        let message = `✅ Opened conversation "${session.title}" (model: ${session.model}).`;
+        if (session.canvasTabs && session.canvasTabs.length > 0) {
+            message += `\nCanvas tabs used: ${session.canvasTabs.map(tab => tab.module ? `${tab.title} (${tab.module})` : tab.title).join(', ')}`;
+        }
+        chatInterface.addSystemMessage(message);
+    } catch (error) {
+        chatInterface.addSystemMessage(`⚠️ Could not open conversation: ${error.message}`);
+    }
+}
+
+/**
+ * Rename the current conversation (/ai rename TITLE)
+ * @param {string} title - The new title
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleRenameSession(title, chatInterface) {
+    if (!window.chatSessions) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    await window.chatSessions.renameSession(title);
+    chatInterface.addSystemMessage(`✅ Conversation renamed to "${title}".`);
+}
+
+/**
+ * Delete a saved conversation (/ai delete ID)
+ * @param {string} ref - Session id, id prefix or number from '/ai sessions'
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function handleDeleteSession(ref, chatInterface) {
+    if (!window.chatSessions) {
+        chatInterface.addSystemMessage('⚠️ Conversation sessions are not available.');
+        return;
+    }
+    
+    try {
+        const wasActive = window.chatSessions.activeSession;
+        const session = await window.chatSessions.deleteSession(ref);
+        if (!session) {
+            chatInterface.addSystemMessage(`⚠️ No conversation found for "${ref}". Use '/ai sessions' to list them.`);
+            return;
+        }
+        if (wasActive && wasActive.id === session.id && chatInterface.chatMessages) {
+            chatInterface.chatMessages.innerHTML = '';
+        }
+        chatInterface.addSystemMessage(`✅ Deleted conversation "${session.title}".`);
+    } catch (error) {
+        chatInterface.addSystemMessage(`⚠️ Could not delete conversation: ${error.message}`);
+    }
+}
+
+/**
+ * Handle usage command (/ai usage [prices|price|limit|reset])
+ * @param {Array} args - Arguments after 'usage'
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function handleUsageCommand(args, chatInterface) {
+    const usage = window.chatUsage;
+    if (!usage) {
+        chatInterface.addSystemMessage('⚠️ Usage tracking is not available.');
+        return;
+    }
+    
+    const action = (args[0] || '').toLowerCase();
+    switch (action) {
+        case 'price': {
+            const [model, input, output] = args.slice(1);
+            if (model && usage.setPrice(model, parseFloat(input), parseFloat(output))) {
+                chatInterface.addSystemMessage(`✅ Price for ${model} set to $${parseFloat(input)} input / $${parseFloat(output)} output per million tokens.`);
+            } else {
+                chatInterface.addSystemMessage("⚠️ Usage: '/ai usage price MODEL INPUT OUTPUT' with USD per million tokens, e.g. '/ai usage price gpt-4o 2.5 10'");
+            }
+            break;
+        }
+        
+        case 'prices': {
+            const prices = Object.entries(usage.listPrices())
+                .map(([model, price]) => `${model}: $${price.input} in / $${price.output} out`);
+            chatInterface.addSystemMessage(`Prices (USD per million tokens):\n${prices.join('\n')}\n\nDated snapshots (e.g. gpt-4o-2024-08-06) use their model's price; other models show as price unknown and do not count towards the limits. Use '/ai usage price MODEL INPUT OUTPUT' to add or change one.`);
+            break;
+        }
+        
+        case 'limit': {
+            const level = (args[1] || '').toLowerCase();
+            const value = (args[2] || '').toLowerCase();
+            const amount = value === 'off' ? null : parseFloat(value);
+            if (value && usage.setLimit(level, amount)) {
+                chatInterface.addSystemMessage(amount === null
+                    ? `✅ ${level} limit turned off.`
+                    : `✅ Monthly ${level} limit set to $${amount.toFixed(2)}. ${level === 'hard' ? 'Requests are blocked' : 'You will be warned'} once this month's estimated cost reaches it.`);
+                if (typeof updateStatusBarUsage === 'function') updateStatusBarUsage();
+            } else {
+                chatInterface.addSystemMessage("⚠️ Usage: '/ai usage limit soft|hard AMOUNT|off', e.g. '/ai usage limit hard 20'");
+            }
+            break;
+        }
+        
+        case 'reset':
+            usage.reset();
+            chatInterface.addSystemMessage('✅ Usage history cleared. Prices and limits were kept.');
+            break;
+            
+        default:
+            showUsageSummary(chatInterface);
+            break;
+    }
+}
+
+/**
+ * Display token usage and estimated cost per period, model and session
+ * @param {Object} chatInterface - The chat interface instance
+ */
+async function showUsageSummary(chatInterface) {
+    const usage = window.chatUsage;
+    const today = usage.today();
+    const month = today.substring(0, 7);
+    // Requests for models without a price are not guessed at, only counted
+    const describeCost = total => total.requests > 0 && total.unpriced === total.requests
+        ? 'price unknown'
+        : `$${total.cost.toFixed(2)}${total.unpriced > 0 ? ` + ${total.unpriced} request(s) with unknown price` : ''}`;
+    const describe = total =>
+        `${total.requests} requests · ${total.promptTokens.toLocaleString()} in / ${total.completionTokens.toLocaleString()} out · ${describeCost(total)}`;
+    
+    // Session ids are shown by title when the session still exists
+    let titles = {};
+    if (window.chatSessions) {
+        try {
+            (await window.chatSessions.store.list()).forEach(session => { titles[session.id] = session.title; });
+        } catch (error) {
+            console.warn('Could not load session titles for usage summary:', error);
+        }
+    }
+    
+    const all = usage.summarize(usage.filter());
+    const modelRows = usage.groupBy('model', { month }).map(group =>
+        `    <tr><td>${group.key}</td><td>${describe(group)}</td></tr>`).join('\n');
+    const sessionRows = usage.groupBy('sessionId', { month }).slice(0, 5).map(group =>
+        `    <tr><td>${titles[group.key] || group.key || 'No session'}</td><td>${describe(group)}</td></tr>`).join('\n');
+    const limits = ['soft', 'hard'].map(level =>
+        `${level}: ${usage.limits[level] ? '$' + usage.limits[level].toFixed(2) : 'off'}`).join(' · ');
+    
+    const messageHTML = `
+<div class="ai-settings-display">
+  <div class="settings-title">📊 AI Usage</div>
+  <table class="settings-table">
+    <tr><td>Today:</td><td>${describe(usage.summarize(usage.filter({ day: today })))}</td></tr>
+    <tr><td>This month:</td><td>${describe(usage.summarize(usage.filter({ month })))}</td></tr>
+    <tr><td>All time:</td><td>${describe(all)}</td></tr>
+    <tr><td>Limits:</td><td>${limits} (monthly)</td></tr>
+  </table>
+  <div class="settings-title">By model (this month)</div>
+  <table class="settings-table">
+${modelRows || '    <tr><td>No requests yet</td><td></td></tr>'}
+  </table>
+  <div class="settings-title">By conversation (this month)</div>
+  <table class="settings-table">
+${sessionRows || '    <tr><td>No requests yet</td><td></td></tr>'}
+  </table>
+  ${all.estimated > 0 ? `<div class="help-footer">${all.estimated} request(s) were estimated because the server did not report token usage.</div>` : ''}
+  <div class="help-footer">Costs are estimates; models without a price are left out. See '/ai usage prices' and '/ai usage limit'.</div>
+</div>
+`;
+    const systemMessage = chatInterface.addSystemMessage(messageHTML);
+    if (systemMessage) {
+        const messageText = systemMessage.querySelector('.message-text');
+        if (messageText) messageText.innerHTML = messageHTML;
+    }
+}
+
+/**
+ * Display current AI settings in a system message popup
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showAISettings(chatInterface) {
+    const settings = window.openAIService.getSettings();
+    const messageHTML = `
+<div class="ai-settings-display">
+  <div class="settings-title">🤖 OpenAI Integration Settings</div>
+  <table class="settings-table">
+    <tr><td>Provider:</td><td>${settings.providerName || 'OpenAI'}</td></tr>
+    <tr><td>Model:</td><td>${String(settings.model).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</td></tr>
+    <tr><td>API Key:</td><td>${settings.apiKeySet ? '✅ Set' : (settings.keyStatus.locked ? '🔒 Locked' : '❌ Not set')} (${{ local: 'stored', encrypted: 'encrypted', session: 'session only' }[settings.keyStatus.storage]})</td></tr>
+    <tr><td>API Endpoint:</td><td>${settings.apiEndpoint}</td></tr>
+    <tr><td>Streaming:</td><td>${settings.streamResponses ? 'On' : 'Off'}</td></tr>
+    <tr><td>Tool Calling:</td><td>${settings.useTools ? 'On' : 'Off'}</td></tr>
+    <tr><td>Canvas Context:</td><td>${{ on: 'All tabs', module: 'Active module', off: 'Off' }[settings.canvasContext]}</td></tr>
+    <tr><td>Temperature:</td><td>${formatGenerationParam(settings.generationParams.temperature)}</td></tr>
+    <tr><td>Max Tokens:</td><td>${formatGenerationParam(settings.generationParams.max_tokens)}</td></tr>
+    <tr><td>Top P:</td><td>${formatGenerationParam(settings.generationParams.top_p)}</td></tr>
+    <tr><td>Seed:</td><td>${formatGenerationParam(settings.generationParams.seed)}</td></tr>
+    <tr><td>Stop:</td><td>${formatGenerationParam(settings.generationParams.stop).replace(/</g, '&lt;')}</td></tr>
+    <tr><td>Messages:</td><td>${settings.messageCount} in history</td></tr>
+    <tr><td>Context:</td><td>~${settings.contextTokens.toLocaleString()} / ${settings.contextBudget.toLocaleString()} tokens (${Math.round(settings.contextTokens / settings.contextBudget * 100)}%)${settings.historySummarized ? ', older turns summarized' : ''}</td></tr>
+  </table>
+</div>
+`;
+    const systemMessage = chatInterface.addSystemMessage(messageHTML);
+    if (systemMessage) {
+        const messageText = systemMessage.querySelector('.message-text');
+        if (messageText) messageText.innerHTML = messageHTML;
+    }
+}
+
+/**
+ * Display help for AI commands in a system message popup
+ * @param {Object} chatInterface - The chat interface instance
+ */
+function showAIHelp(chatInterface) {
+    const messageHTML = `
+<div class="ai-help-display">
+  <div class="help-title">🤖 OpenAI Integration Commands</div>
+  <div class="help-section">
+    <div class="help-subtitle">Configuration:</div>
+    <div class="command-list">
+      <div class="command-item">
+        <div class="command">/ai key YOUR_KEY</div>
+        <div class="description">Set your OpenAI API key</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai key lock|unlock PASSPHRASE</div>
+        <div class="description">Encrypt the stored key with a passphrase, or decrypt it for this session</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai key forget</div>
+        <div class="description">Remove the key from this browser</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai key session on|off</div>
+        <div class="description">Keep keys in memory only, never in browser storage</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai model MODEL_NAME</div>
+        <div class="description">Change model; without a name, list the models your endpoint offers</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai set NAME VALUE</div>
+        <div class="description">Set temperature, max_tokens, top_p, seed or stop ('default' resets)</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai provider NAME</div>
+        <div class="description">Switch provider (openai, anthropic, ollama, local, mock)</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai endpoint URL</div>
+        <div class="description">Set a custom API endpoint; 'mock://' or 'mock://FIXTURE.json' answers offline</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai mock</div>
+        <div class="description">Mock provider status; 'latency MS', 'errors RATE [STATUS]', 'load URL', 'reset'</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai reset-endpoint</div>
+        <div class="description">Reset to default endpoint</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai stream on|off</div>
+        <div class="description">Stream responses as they are generated</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai tools on|off</div>
+        <div class="description">Let the AI call canvas tools directly</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai context on|off|module</div>
+        <div class="description">Send all tabs, the active module or no canvas content (the default) with prompts</div>
+      </div>
+    </div>
+  </div>
+  <div class="help-section">
+    <div class="help-subtitle">Conversation:</div>
+    <div class="command-list">
+      <div class="command-item">
+        <div class="command">/ai stop</div>
+        <div class="description">Stop the current request</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai look [QUESTION]</div>
+        <div class="description">Send the active canvas or image to the AI; paste or drop images to attach them</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai chart [bar|line|pie] DESCRIPTION</div>
+        <div class="description">Ask for chart data as JSON (labels, values or series, title) and draw it</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai compare MODEL_A MODEL_B PROMPT</div>
+        <div class="description">Ask two models at once and compare answers, latency, tokens and canvas commands; continue with either</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai clear</div>
+        <div class="description">Clear conversation history</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai settings</div>
+        <div class="description">Show current AI settings</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai usage</div>
+        <div class="description">Show tokens and estimated cost by day, model and conversation</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai usage price MODEL IN OUT</div>
+        <div class="description">Set the price per million tokens ('/ai usage prices' lists them)</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai usage limit soft|hard AMOUNT|off</div>
+        <div class="description">Warn at or block requests past a monthly spend</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai help</div>
+        <div class="description">Show this help message</div>
+      </div>
+    </div>
+  </div>
+  <div class="help-section">
+    <div class="help-subtitle">Threads:</div>
+    <div class="command-list">
+      <div class="command-item">
+        <div class="command">/ai thread</div>
+        <div class="description">List the global thread and the canvas tabs with their own thread</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai thread tab [PERSONA]</div>
+        <div class="description">Give the active canvas tab its own conversation; switching tabs switches threads</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai thread global</div>
+        <div class="description">Switch to the global thread shared by the other tabs</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai thread drop [N]</div>
+        <div class="description">Delete a tab's own thread</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai persona [NAME|edit]</div>
+        <div class="description">Set the current thread's persona (standard, developer, creative, minimal, your own)</div>
+      </div>
+    </div>
+  </div>
+  <div class="help-section">
+    <div class="help-subtitle">Knowledge base:</div>
+    <div class="command-list">
+      <div class="command-item">
+        <div class="command">/kb list</div>
+        <div class="description">List indexed documents; loaded markdown, fetched text, canvas code and dropped files are added automatically</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/kb add [URL|TEXT]</div>
+        <div class="description">Add the active canvas, a document from a URL or some text</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/kb search QUERY</div>
+        <div class="description">Show the excerpts that best match a query</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/kb remove N|all</div>
+        <div class="description">Remove a document from the knowledge base</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/kb on|off</div>
+        <div class="description">Send matching excerpts with prompts; replies cite them as [1], [2]</div>
+      </div>
+    </div>
+  </div>
+  <div class="help-section">
+    <div class="help-subtitle">Sessions:</div>
+    <div class="command-list">
+      <div class="command-item">
+        <div class="command">/ai sessions</div>
+        <div class="description">List saved conversations</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai new</div>
+        <div class="description">Start a new conversation</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai open ID</div>
+        <div class="description">Open a saved conversation (id or number)</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai rename TITLE</div>
+        <div class="description">Rename the current conversation</div>
+      </div>
+      <div class="command-item">
+        <div class="command">/ai delete ID</div>
+        <div class="description">Delete a saved conversation</div>
       </div>
     </div>
   </div>
   <div class="help-footer">
     To chat with AI, simply type your message after setting your API key.<br>
-    To use direct commands (e.g., "show image", "chart pie"), type them normally.
+    To use direct commands (e.g., "show image", "chart pie"), type them normally.<br>
+    Use "edit" on your messages or "regenerate" on replies to try alternatives; "&lt; 2/3 &gt;" switches between them.
   </div>
 </div>
 `;
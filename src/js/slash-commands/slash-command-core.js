@@ -19,6 +19,9 @@ window.SlashCommands = {
     // Tracks the currently active module
     activeModule: null,
     
+    // Argument completers keyed by command text (e.g. '/ai model')
+    argumentCompleters: {},
+    
     /**
      * Initialize the slash command system
      */
@@ -75,6 +78,19 @@ window.SlashCommands = {
         console.log(`Registered global slash command: ${command}`);
     },
     
+    /**
+     * Remove a global slash command
+     * @param {string} command - Slash command (e.g., '/img')
+     */
+    unregisterGlobal(command) {
+        if (!command.startsWith('/')) {
+            command = '/' + command;
+        }
+        
+        delete this.commands.global[command];
+        delete this.descriptions.global[command];
+    },
+    
     /**
      * Register a module-specific slash command
      * @param {string} moduleName - Name of the module this command belongs to
@@ -104,6 +120,39 @@ window.SlashCommands = {
         console.log(`Registered ${showAlways ? 'always-available' : 'module-specific'} slash command for ${moduleName}: ${command}`);
     },
     
+    /**
+     * Register a completer for the arguments of a command
+     * @param {string} command - Command text the arguments follow (e.g. '/ai model')
+     * @param {Function} completer - Receives the partial argument, returns [{ value, description }]
+     */
+    registerArgumentCompleter(command, completer) {
+        this.argumentCompleters[command.toLowerCase()] = completer;
+        console.log(`Registered argument completer for: ${command}`);
+    },
+    
+    /**
+     * Get argument suggestions for the current input, if a completer matches it
+     * @param {string} text - Current chat input
+     * @returns {Object|null} { command, partial, suggestions } or null
+     */
+    getArgumentSuggestions(text) {
+        const lowerText = text.toLowerCase();
+        
+        // Prefer the longest matching command ('/ai set temperature' over '/ai set')
+        const command = Object.keys(this.argumentCompleters)
+            .filter(cmd => lowerText.startsWith(cmd + ' '))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!command) return null;
+        
+        const partial = text.substring(command.length + 1);
+        // Only complete a single argument
+        if (partial.includes(' ')) return null;
+        
+        const suggestions = (this.argumentCompleters[command](partial) || [])
+            .filter(item => item.value.toLowerCase().startsWith(partial.toLowerCase()));
+        return { command: text.substring(0, command.length), partial, suggestions };
+    },
+    
     /**
      * Get all currently available commands based on active module
      * @returns {Object} Object mapping command to full command
@@ -172,6 +221,39 @@ window.SlashCommands = {
         return null;
     },
     
+    /**
+     * Run a typed slash command (e.g. '/expandall' or '/clear') through the terminal
+     * command processor, which also records it for macros. Extra words are passed on
+     * as arguments; commands whose target is another slash command are left to the chat.
+     * @param {string} text - Slash command with any arguments
+     * @returns {boolean|Promise<boolean>|null} The command's result, or null if the
+     *   command is not registered here
+     */
+    executeCommand(text) {
+        const trimmed = text.trim();
+        const space = trimmed.search(/\s/);
+        const command = space === -1 ? trimmed : trimmed.substring(0, space);
+        const args = space === -1 ? '' : trimmed.substring(space);
+        
+        let fullCommand = this.getAvailableCommands()[command];
+        const moduleCommand = fullCommand === undefined ? this.getModuleCommandByName(command) : null;
+        if (moduleCommand) {
+            fullCommand = moduleCommand.info.fullCommand;
+        }
+        if (fullCommand === undefined || fullCommand.startsWith('/') ||
+            !window.Commands || typeof window.Commands.processCommand !== 'function') {
+            return null;
+        }
+        
+        // Module commands that are not available yet activate their module first
+        if (moduleCommand && window.Commands.canvasManager) {
+            window.Commands.canvasManager.activateModule(moduleCommand.moduleName);
+            this.setActiveModule(moduleCommand.moduleName);
+        }
+        
+        return window.Commands.processCommand(fullCommand + args);
+    },
+    
     /**
      * Register core slash commands that are always available
      */
@@ -190,6 +272,8 @@ window.SlashCommands = {
         this.registerGlobal('/zoomin', 'zoom in', 'Zoom in the canvas');
         this.registerGlobal('/zoomout', 'zoom out', 'Zoom out the canvas');
         this.registerGlobal('/reset', 'reset view', 'Reset canvas view');
+        this.registerGlobal('/undo', '/undo', 'Undo the last canvas change (Ctrl+Z)');
+        this.registerGlobal('/redo', '/redo', 'Redo the last undone change (Ctrl+Shift+Z)');
         
         // Module activation commands - these will work via special handling
         try {
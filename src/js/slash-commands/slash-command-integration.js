@@ -256,7 +256,7 @@ function handleAICommand(command, chatInterface) {
  * @param {Object} chatInterface - The chat interface instance
  */
 function handleApiKey(apiKey, chatInterface) {
-    console.log('[DEBUG] handleApiKey called with:', apiKey.substring(0, 6) + '...');
+    console.log('[DEBUG] handleApiKey called');
     const result = window.openAIService.setApiKey(apiKey);
     if (result) {
         chatInterface.apiKeySet = true;
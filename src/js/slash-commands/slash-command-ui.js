@@ -220,9 +220,20 @@ function applySelectedCommand(command, execute, chatInput, dropdown, state) {
     
     const availableCommands = window.SlashCommands.getAvailableCommands();
     
+    // Argument completions (e.g. '/ai model gpt-4o') replace the whole input
+    if (command.includes(' ')) {
+        chatInput.value = command;
+        chatInput.focus();
+        if (execute) {
+            const sendButton = document.getElementById('chat-send');
+            if (sendButton) {
+                sendButton.click();
+            }
+        }
+    }
     // Handle module activation commands
-    const moduleCommand = window.SlashCommands.getModuleCommandByName(command);
-    if (!availableCommands[command] && moduleCommand) {
+    else if (!availableCommands[command] && window.SlashCommands.getModuleCommandByName(command)) {
+        const moduleCommand = window.SlashCommands.getModuleCommandByName(command);
         const { moduleName, info } = moduleCommand;
         
         if (window.Commands && window.Commands.canvasManager) {
@@ -261,8 +272,9 @@ function applySelectedCommand(command, execute, chatInput, dropdown, state) {
             const fullCommand = availableCommands[command];
             chatInput.value = fullCommand;
             
-            // Execute via Commands processor
-            if (window.Commands && typeof window.Commands.processCommand === 'function') {
+            // Execute via Commands processor; slash targets (aliases, /kb, /macro)
+            // are handled by the chat when the message is sent
+            if (!fullCommand.startsWith('/') && window.Commands && typeof window.Commands.processCommand === 'function') {
                 console.log("Executing command via processor:", fullCommand);
                 window.Commands.processCommand(fullCommand);
             }
@@ -296,6 +308,15 @@ function showAutocompleteSuggestions(text, chatInput, dropdown, state) {
         return;
     }
     
+    // Complete arguments for commands that registered a completer (e.g. '/ai model')
+    const argumentSuggestions = window.SlashCommands.getArgumentSuggestions
+        ? window.SlashCommands.getArgumentSuggestions(text)
+        : null;
+    if (argumentSuggestions) {
+        showArgumentSuggestions(argumentSuggestions, chatInput, dropdown, state);
+        return;
+    }
+    
     // Extract slash command
     const parts = text.split(' ');
     const slashCommand = parts[0].toLowerCase();
@@ -365,6 +386,54 @@ function showAutocompleteSuggestions(text, chatInput, dropdown, state) {
     // Reset selected index
     state.selectedAutocompleteIndex = -1;
     
+    positionAutocompleteDropdown(chatInput, dropdown);
+    console.log(`Showing dropdown with ${matches.length} commands`);
+}
+
+/**
+ * Show suggestions for a command's argument in the dropdown
+ */
+function showArgumentSuggestions(argumentSuggestions, chatInput, dropdown, state) {
+    const { command, suggestions } = argumentSuggestions;
+    dropdown.innerHTML = '';
+    
+    if (suggestions.length === 0) {
+        dropdown.style.display = 'none';
+        return;
+    }
+    
+    const header = document.createElement('div');
+    header.className = 'slash-command-category';
+    header.textContent = command;
+    dropdown.appendChild(header);
+    
+    suggestions.forEach(suggestion => {
+        const item = document.createElement('div');
+        item.className = 'slash-command-item';
+        item.dataset.command = `${command} ${suggestion.value}`;
+        // Values such as model ids come from remote endpoints, so they are shown as text
+        const name = document.createElement('span');
+        name.className = 'slash-command-name';
+        name.textContent = suggestion.value;
+        const description = document.createElement('span');
+        description.className = 'slash-command-desc';
+        description.textContent = suggestion.description || '';
+        item.append(name, description);
+        item.addEventListener('click', (e) => {
+            applySelectedCommand(item.dataset.command, false, chatInput, dropdown, state);
+            e.stopPropagation();
+        });
+        dropdown.appendChild(item);
+    });
+    
+    state.selectedAutocompleteIndex = -1;
+    positionAutocompleteDropdown(chatInput, dropdown);
+}
+
+/**
+ * Position the autocomplete dropdown below the chat input
+ */
+function positionAutocompleteDropdown(chatInput, dropdown) {
     // Get the position of the input element
     const rect = chatInput.getBoundingClientRect();
     
@@ -390,8 +459,6 @@ function showAutocompleteSuggestions(text, chatInput, dropdown, state) {
         margin: 0 !important;
         display: block !important;
     `;
-    
-    console.log(`Showing dropdown with ${matches.length} commands at position: top=${rect.bottom + 5}px, left=${rect.left}px`);
 }
 
 /**
@@ -6,6 +6,8 @@ class Terminal {
     constructor() {
         this.commandHistory = [];
         this.historyIndex = -1;
+        // Lines typed so far of a command with an open heredoc
+        this.pendingLines = null;
         this.setupEventListeners();
         this.updateClock();
     }
@@ -40,6 +42,7 @@ class Terminal {
       - code: Display formatted code
       - shape: Draw shapes and patterns
       - markdown: Render markdown content
+      - json: Explore JSON as a tree
       - terminal: Connect to remote terminals
 
 [INFO] Try these example commands:
@@ -51,6 +54,8 @@ class Terminal {
       $ code display console.log("Hello World");
       $ module markdown
       $ markdown load sample
+      $ fetch https://jsonplaceholder.typicode.com/users
+      $ json query $[*].address.city
       $ module terminal
       $ terminal connect wss://echo.websocket.org
 
@@ -67,6 +72,21 @@ class Terminal {
         
         if (e.key === 'Enter') {
             e.preventDefault();
+            
+            // Collect heredoc lines (kept as typed) until the terminator line
+            if (this.pendingLines) {
+                this.addOutput(`> ${commandInput.value}`);
+                this.pendingLines.push(commandInput.value);
+                commandInput.value = '';
+                
+                const command = this.pendingLines.join('\n');
+                if (!CommandParser.pendingHeredoc(command)) {
+                    this.pendingLines = null;
+                    Commands.processCommand(CommandEnvironment.expand(command));
+                }
+                return;
+            }
+            
             const command = commandInput.value.trim();
             
             if (command) {
@@ -77,12 +97,26 @@ class Terminal {
                 // Add command to output
                 this.addOutput(`$ ${command}`);
                 
-                // Process command
-                Commands.processCommand(command);
-                
                 // Clear input
                 commandInput.value = '';
+                
+                // A command ending in <<EOF continues on the next lines
+                const terminator = CommandParser.pendingHeredoc(command);
+                if (terminator) {
+                    this.pendingLines = [command];
+                    this.addOutput(`[INFO] Enter the text, then a line containing only ${terminator} (Escape cancels)`);
+                    return;
+                }
+                
+                // Process command
+                Commands.processCommand(CommandEnvironment.expand(command));
             }
+        } else if (e.key === 'Escape' && this.pendingLines) {
+            // Abandon an unfinished heredoc
+            e.preventDefault();
+            this.pendingLines = null;
+            commandInput.value = '';
+            this.addOutput('[INFO] Command cancelled');
         } else if (e.key === 'ArrowUp') {
             // Navigate command history - previous
             e.preventDefault();
@@ -184,8 +218,11 @@ class Terminal {
         this.addOutput(`
 Available commands:
 -------------------
-module [name]     - Switch to a specific module (image, chart, code, shape, markdown, terminal)
-fetch [url]       - Fetch data from API
+module [name]     - Switch to a specific module (image, chart, code, shape, markdown, json, terminal)
+fetch [url]       - Fetch data from API, showing status, timing, size and headers
+  -X POST -H 'Name: value' -d a=1 --json '{...}' --auth user:pass --query page=2
+  --format csv      - Read the response as json, csv, tsv, yaml, xml, markdown, html, javascript or text
+                      (detected from the content type, extension or content when not given)
 fetch image       - Fetch and display a random image
 
 Module commands:
@@ -218,6 +255,20 @@ markdown:
   scroll [dir]    - Scroll content (up, down, top, bottom)
   theme [theme]   - Set theme (dark, light, dracula, github)
 
+json:
+  data [json]     - Explore JSON as a collapsible tree (fetched JSON, YAML and XML open here)
+  query [filter]  - Show a jq filter (.items[0]) or JSONPath ($..name) result; none shows all
+                    jq subset: . .a .[0] .[2:5] .[] .. | , [...] {a, b: .c | length}
+                    == != < <= > >= and or not, map select sort_by has limit length
+                    keys values first last reverse sort unique flatten add min max
+                    type tostring tonumber to_entries (no //, arithmetic, if or $vars)
+  search [text]   - Show only keys and values containing the text
+  expand/collapse [path|all] - Open or close part of the tree
+  select [path]   - Select a value; clicking one also copies its path
+  copy [path]     - Copy the jq path of the selection
+  chart [type]    - Chart the selection (bar, line, pie)
+  code            - Show the selection in the code module
+
 terminal:
   connect [url]   - Connect to a terminal server
   send [command]  - Send command to the terminal
@@ -228,10 +279,43 @@ terminal:
 General commands:
 ---------------
 clear canvas      - Clear the canvas
+undo / redo       - Undo or redo a canvas change (Ctrl+Z / Ctrl+Shift+Z)
 clear/cls         - Clear terminal output
-commands [module] - List commands for a specific module
+commands [module] - List commands for a specific module, with their arguments
 modules           - List available modules
 help              - Show this help message
+
+Arguments:
+---------
+"double" or 'single' quotes keep spaces together; \\ escapes one character
+--name=value or --name value sets an option, e.g. code display --language=python print(1)
+<<EOF on the end of a line reads the following lines, up to EOF, as one argument:
+  markdown render <<EOF
+  # Title
+  EOF
+
+Pipelines:
+---------
+fetch [url] | jq .items | chart bar --label name --value count
+  Start with:  fetch [url], echo [text]
+  Transform:   jq [filter], table --columns a,b --limit 10
+  Show:        chart [type], code, markdown, json, image (must come last)
+Without a "show" stage the result is printed here.
+
+Macros (also /macro in the chat):
+-------------------------------
+macro record [name] [values]  - Record commands; the values become $1, $2...
+macro stop                    - Save the recording (or stop a running macro)
+macro run [name] [values]     - Replay, stopping at the first failing command (--delay=ms)
+macro list / show / delete    - Manage saved macros
+
+Variables and Aliases (also /set, /alias... in the chat):
+-------------------------------
+set NAME=value                - Set a variable, used as $NAME or \${NAME}
+                                ('...', heredocs, /ai key and \\$NAME keep a literal $)
+env / unset NAME              - List variables / remove one
+alias name='command ...'      - Define an alias, run it as "name [more arguments]"
+alias / unalias name          - List aliases / remove one
 `);
         return true;
     }
@@ -249,8 +333,10 @@ fetch image                                           - Random image
 fetch markdown https://raw.githubusercontent.com/username/repo/main/README.md - Markdown content
 fetch terminal wss://echo.websocket.org         - Terminal connection
 
-Content detection:
-  - JSON data will be visualized as charts
+Content detection (override it with --format):
+  - JSON data will open in the JSON explorer
+  - CSV and TSV files will be shown as tables; pipe them into chart to plot them
+  - YAML and XML will be converted to JSON and open in the JSON explorer
   - Images will be displayed in the image module
   - Code will be displayed with syntax highlighting
   - Markdown will be rendered in the markdown module